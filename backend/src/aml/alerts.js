@@ -0,0 +1,104 @@
+import { httpError } from "../kyc/decisions.js";
+
+/**
+ * AML alert case management: list / assign / comment / close with a disposition.
+ * Every step is a row in aml_alert_notes (the alert's own audit log).
+ *
+ * Status: OPEN -> IN_REVIEW (assigned) -> CLOSED (disposition required, final).
+ */
+
+export const DISPOSITIONS = ["FALSE_POSITIVE", "EXPLAINED", "SAR_FILED", "ACCOUNT_REVOKED"];
+
+function nowSec() {
+  return Math.floor(Date.now() / 1000);
+}
+
+export function addNote(db, { alertId, kind, actor, body = null }) {
+  db.prepare(`INSERT INTO aml_alert_notes (alertId, kind, actor, body, at) VALUES (?, ?, ?, ?, ?)`).run(
+    alertId,
+    kind,
+    actor,
+    body,
+    nowSec()
+  );
+}
+
+function alertFromRow(a) {
+  return { ...a, details: JSON.parse(a.detailsJson || "{}"), detailsJson: undefined };
+}
+
+function openAlert(db, id) {
+  const a = db.prepare(`SELECT * FROM aml_alerts WHERE id = ?`).get(id);
+  if (!a) throw httpError(404, "Alert not found");
+  if (a.status === "CLOSED") throw httpError(400, "Alert is closed");
+  return a;
+}
+
+export function listAlerts(db, { status = null, ruleId = null, subject = null, assignee = null, limit = 100 } = {}) {
+  return db
+    .prepare(
+      `
+      SELECT a.*, (SELECT COUNT(*) FROM aml_alert_events e WHERE e.alertId = a.id) AS eventCount
+      FROM aml_alerts a
+      WHERE (@status IS NULL OR a.status = @status)
+        AND (@ruleId IS NULL OR a.ruleId = @ruleId)
+        AND (@subject IS NULL OR a.subject = @subject OR a.counterparty = @subject)
+        AND (@assignee IS NULL OR a.assignee = @assignee)
+      ORDER BY a.id DESC
+      LIMIT @limit
+    `
+    )
+    .all({ status, ruleId, subject, assignee, limit })
+    .map(alertFromRow);
+}
+
+export function getAlert(db, id) {
+  const a = db.prepare(`SELECT * FROM aml_alerts WHERE id = ?`).get(id);
+  if (!a) return null;
+  return {
+    ...alertFromRow(a),
+    events: db
+      .prepare(`SELECT * FROM aml_alert_events WHERE alertId = ? ORDER BY blockNumber ASC, logIndex ASC`)
+      .all(id)
+      .map(({ alertId, ...e }) => e),
+    notes: db.prepare(`SELECT id, kind, actor, body, at FROM aml_alert_notes WHERE alertId = ? ORDER BY id`).all(id),
+  };
+}
+
+export function assignAlert(db, { id, assignee, actor }) {
+  const a = openAlert(db, id);
+  db.transaction(() => {
+    db.prepare(`UPDATE aml_alerts SET assignee = ?, status = 'IN_REVIEW', updatedAt = ? WHERE id = ?`).run(
+      assignee,
+      nowSec(),
+      a.id
+    );
+    addNote(db, { alertId: a.id, kind: "ASSIGNED", actor, body: assignee });
+  })();
+  return getAlert(db, a.id);
+}
+
+export function commentAlert(db, { id, body, actor }) {
+  const a = db.prepare(`SELECT id FROM aml_alerts WHERE id = ?`).get(id);
+  if (!a) throw httpError(404, "Alert not found");
+  db.transaction(() => {
+    addNote(db, { alertId: a.id, kind: "COMMENT", actor, body });
+    db.prepare(`UPDATE aml_alerts SET updatedAt = ? WHERE id = ?`).run(nowSec(), a.id);
+  })();
+  return getAlert(db, a.id);
+}
+
+export function closeAlert(db, { id, disposition, comment, actor }) {
+  if (!DISPOSITIONS.includes(disposition)) {
+    throw httpError(400, `disposition must be one of ${DISPOSITIONS.join(", ")}`);
+  }
+  const a = openAlert(db, id);
+  const ts = nowSec();
+  db.transaction(() => {
+    db.prepare(
+      `UPDATE aml_alerts SET status = 'CLOSED', disposition = ?, closedAt = ?, closedBy = ?, updatedAt = ? WHERE id = ?`
+    ).run(disposition, ts, actor, ts, a.id);
+    addNote(db, { alertId: a.id, kind: "CLOSED", actor, body: `${disposition}: ${comment}` });
+  })();
+  return getAlert(db, a.id);
+}
@@ -0,0 +1,113 @@
+import { createProposal } from "../kyc/proposals.js";
+import { loadRules, evaluateRule, MONITORED_EVENTS } from "./rules.js";
+import { addNote } from "./alerts.js";
+
+/**
+ * Transaction-monitoring run: every event indexed since the last run goes through every enabled rule.
+ *
+ * - Cursor = aml_state.lastEventId, advanced in the same transaction as the alerts it produced.
+ * - Alerts are unique on (ruleId, dedupKey): re-running, overlapping windows and re-indexed events
+ *   after a reorg all land on the existing alert; new triggering events are attached to it.
+ * - Rules with autoProposeRevoke open a maker-checker REVOKE proposal for the subject (proposer
+ *   "aml-engine", so any officer can confirm it).
+ */
+
+const BATCH = 500;
+const ENGINE = "aml-engine";
+
+function nowSec() {
+  return Math.floor(Date.now() / 1000);
+}
+
+export function runAmlRules(db, { rules = loadRules() } = {}) {
+  const active = rules.filter((r) => r.enabled);
+
+  const nextEvents = db.prepare(`
+    SELECT id, blockNumber, txHash, logIndex, eventName, fromAddr, toAddr, amount, timestamp
+    FROM events WHERE id > ? ORDER BY id ASC LIMIT ${BATCH}
+  `);
+  const insertAlert = db.prepare(`
+    INSERT OR IGNORE INTO aml_alerts (
+      ruleId, ruleType, severity, subject, counterparty, dedupKey, summary, detailsJson, status, createdAt, updatedAt
+    ) VALUES (@ruleId, @ruleType, @severity, @subject, @counterparty, @dedupKey, @summary, @detailsJson, 'OPEN', @ts, @ts)
+  `);
+  const findAlert = db.prepare(`SELECT id, summary, status FROM aml_alerts WHERE ruleId = ? AND dedupKey = ?`);
+  const refreshAlert = db.prepare(`UPDATE aml_alerts SET summary = ?, detailsJson = ?, updatedAt = ? WHERE id = ?`);
+  const linkEvent = db.prepare(`
+    INSERT OR IGNORE INTO aml_alert_events (alertId, txHash, logIndex, blockNumber, eventName, fromAddr, toAddr, amount, timestamp)
+    VALUES (@alertId, @txHash, @logIndex, @blockNumber, @eventName, @fromAddr, @toAddr, @amount, @timestamp)
+  `);
+
+  let scanned = 0;
+  const created = [];
+
+  for (;;) {
+    const { lastEventId } = db.prepare(`SELECT lastEventId FROM aml_state WHERE id = 1`).get();
+    const batch = nextEvents.all(lastEventId);
+    if (!batch.length) break;
+
+    const apply = db.transaction(() => {
+      const ts = nowSec();
+      for (const ev of batch) {
+        if (!MONITORED_EVENTS.includes(ev.eventName)) continue;
+
+        for (const rule of active) {
+          for (const hit of evaluateRule(db, rule, ev)) {
+            const detailsJson = JSON.stringify(hit.details);
+            const ins = insertAlert.run({
+              ruleId: rule.id,
+              ruleType: rule.type,
+              severity: rule.severity,
+              subject: hit.subject,
+              counterparty: hit.counterparty,
+              dedupKey: hit.dedupKey,
+              summary: hit.summary,
+              detailsJson,
+              ts,
+            });
+
+            let alertId;
+            if (ins.changes) {
+              alertId = Number(ins.lastInsertRowid);
+              addNote(db, { alertId, kind: "CREATED", actor: ENGINE, body: hit.summary });
+              created.push({ alertId, rule, subject: hit.subject });
+            } else {
+              // cùng alert, cửa sổ đã lớn thêm: cập nhật summary (chỉ khi chưa đóng)
+              const existing = findAlert.get(rule.id, hit.dedupKey);
+              alertId = existing.id;
+              if (existing.status !== "CLOSED" && existing.summary !== hit.summary) {
+                refreshAlert.run(hit.summary, detailsJson, ts, alertId);
+              }
+            }
+            for (const { id: _id, ...e } of hit.events) linkEvent.run({ alertId, ...e });
+          }
+        }
+      }
+
+      db.prepare(`UPDATE aml_state SET lastEventId = ?, lastRunAt = ? WHERE id = 1`).run(batch[batch.length - 1].id, ts);
+    });
+    apply();
+    scanned += batch.length;
+  }
+
+  const proposals = [];
+  for (const { alertId, rule, subject } of created) {
+    if (!rule.autoProposeRevoke) continue;
+    try {
+      const p = createProposal(db, {
+        action: "REVOKE",
+        wallet: subject,
+        notes: `AML alert #${alertId} (${rule.id})`,
+        proposedBy: ENGINE,
+      });
+      db.prepare(`UPDATE aml_alerts SET proposalId = ? WHERE id = ?`).run(p.id, alertId);
+      addNote(db, { alertId, kind: "REVOKE_PROPOSED", actor: ENGINE, body: `KYC revoke proposal #${p.id}` });
+      proposals.push(p.id);
+    } catch (e) {
+      // thường là 409: đã có proposal đang chờ cho ví này
+      addNote(db, { alertId, kind: "REVOKE_PROPOSED", actor: ENGINE, body: `Not proposed: ${e.message}` });
+    }
+  }
+
+  return { scanned, alerts: created.length, proposals };
+}
@@ -0,0 +1,46 @@
+import dotenv from "dotenv";
+import { initDb } from "../db/db.js";
+import { runAmlRules } from "./engine.js";
+import { loadRules, rulesFile } from "./rules.js";
+
+/**
+ * Transaction monitoring job (chạy song song với indexer).
+ *   node src/aml/job.js          -> poll for newly indexed events every AML_POLL_MS
+ *   node src/aml/job.js --once   -> one pass, then exit
+ *
+ * Rules are re-read every pass, so editing the JSON config needs no restart.
+ */
+
+dotenv.config();
+
+const once = process.argv.includes("--once");
+const db = initDb();
+
+const POLL_MS = Number(process.env.AML_POLL_MS || 10000);
+
+function tick() {
+  const r = runAmlRules(db, { rules: loadRules() });
+  if (once || r.alerts) console.log("AML:", r);
+}
+
+try {
+  tick();
+} catch (e) {
+  console.error(`AML rules (${rulesFile()}):`, e.message);
+  process.exit(1);
+}
+
+if (once) process.exit(0);
+
+console.log(`AML monitoring running (poll every ${POLL_MS}ms, rules ${rulesFile()}) ...`);
+
+// setTimeout chain (not setInterval) so two passes never overlap.
+const loop = () => {
+  try {
+    tick();
+  } catch (e) {
+    console.error("aml error:", e.message);
+  }
+  setTimeout(loop, POLL_MS);
+};
+setTimeout(loop, POLL_MS);
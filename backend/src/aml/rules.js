@@ -0,0 +1,261 @@
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { z } from "zod";
+import { ethers } from "ethers";
+
+/**
+ * AML monitoring rules: JSON config + one evaluator per rule type.
+ *
+ * Config = rules.json next to this file, or AML_RULES_FILE. Amounts are BKD (decimal strings).
+ * Rules only look at vault business events (Deposited / Withdrawn / TransferBKD): raw token
+ * Transfers also include mints/burns and pool movements, which would double count.
+ *
+ * An evaluator gets one newly indexed event (the trigger) and may look back in `events`;
+ * it returns hits { subject, counterparty, dedupKey, summary, details, events[] }.
+ * dedupKey decides what counts as "the same" alert (see engine.js).
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_FILE = path.join(__dirname, "rules.json");
+
+export const MONITORED_EVENTS = ["Deposited", "Withdrawn", "TransferBKD"];
+
+const bkd = z
+  .string()
+  .regex(/^\d+(\.\d{1,18})?$/, "BKD amount as a decimal string")
+  .transform((v) => ethers.parseUnits(v, 18));
+const eventList = z.array(z.enum(MONITORED_EVENTS)).min(1);
+
+const base = {
+  id: z.string().regex(/^[A-Z0-9_]+$/),
+  enabled: z.boolean().default(true),
+  severity: z.enum(["LOW", "MEDIUM", "HIGH"]).default("MEDIUM"),
+  autoProposeRevoke: z.boolean().default(false),
+};
+
+const ruleSchema = z.discriminatedUnion("type", [
+  z.object({ ...base, type: z.literal("largeTransfer"), events: eventList, minAmount: bkd }),
+  z.object({
+    ...base,
+    type: z.literal("structuring"),
+    events: eventList,
+    threshold: bkd,
+    bandPct: z.number().positive().max(100),
+    minCount: z.number().int().min(2),
+    windowSec: z.number().int().positive(),
+  }),
+  z.object({
+    ...base,
+    type: z.literal("velocity"),
+    events: eventList,
+    maxCount: z.number().int().positive(),
+    windowSec: z.number().int().positive(),
+  }),
+  z.object({
+    ...base,
+    type: z.literal("roundTrip"),
+    minAmount: bkd,
+    tolerancePct: z.number().min(0).max(100),
+    windowSec: z.number().int().positive(),
+  }),
+  z.object({
+    ...base,
+    type: z.literal("depositThenWithdraw"),
+    minAmount: bkd,
+    minPct: z.number().positive().max(100),
+    windowSec: z.number().int().positive(),
+  }),
+]);
+
+const configSchema = z.object({ rules: z.array(ruleSchema) });
+
+export function rulesFile() {
+  return process.env.AML_RULES_FILE ? path.resolve(process.env.AML_RULES_FILE) : DEFAULT_FILE;
+}
+
+/**
+ * Parsed + validated rules (amounts as bigint wei). Throws on a bad config, naming the field.
+ */
+export function loadRules(file = rulesFile()) {
+  const raw = JSON.parse(fs.readFileSync(file, "utf-8"));
+  const { rules } = configSchema.parse(raw);
+  const ids = new Set();
+  for (const r of rules) {
+    if (ids.has(r.id)) throw new Error(`Duplicate AML rule id ${r.id}`);
+    ids.add(r.id);
+  }
+  return rules;
+}
+
+// ---- helpers -------------------------------------------------------------------
+
+export function eventKey(ev) {
+  return `${ev.txHash}:${ev.logIndex}`;
+}
+
+function fmt(wei) {
+  return ethers.formatUnits(wei, 18);
+}
+
+function amountOf(ev) {
+  return BigInt(ev.amount || "0");
+}
+
+/**
+ * Events of `names` in [trigger.timestamp - windowSec, trigger], up to and including the trigger.
+ */
+function lookback(db, trigger, { names, windowSec, fromAddr = null, toAddr = null }) {
+  return db
+    .prepare(
+      `
+      SELECT id, blockNumber, txHash, logIndex, eventName, fromAddr, toAddr, amount, timestamp
+      FROM events
+      WHERE eventName IN (${names.map(() => "?").join(", ")})
+        AND (@fromAddr IS NULL OR fromAddr = @fromAddr)
+        AND (@toAddr IS NULL OR toAddr = @toAddr)
+        AND timestamp >= @since
+        AND (blockNumber < @block OR (blockNumber = @block AND logIndex <= @logIndex))
+      ORDER BY blockNumber ASC, logIndex ASC
+    `
+    )
+    .all(...names, {
+      fromAddr,
+      toAddr,
+      since: trigger.timestamp - windowSec,
+      block: trigger.blockNumber,
+      logIndex: trigger.logIndex,
+    });
+}
+
+/**
+ * Dedup key of the sliding-window rules: subject + fixed bucket of the trigger's time, so sustained activity
+ * grows one alert per windowSec instead of opening one per event (the window start moves with every event).
+ */
+function windowKey(subject, trigger, windowSec) {
+  return `${subject}:${Math.floor(trigger.timestamp / windowSec)}`;
+}
+
+// ---- evaluators --------------------------------------------------------------
+
+const EVALUATORS = {
+  largeTransfer(db, rule, ev) {
+    if (!rule.events.includes(ev.eventName) || amountOf(ev) < rule.minAmount) return [];
+    return [
+      {
+        subject: ev.fromAddr,
+        counterparty: ev.eventName === "TransferBKD" ? ev.toAddr : null,
+        dedupKey: eventKey(ev),
+        summary: `${ev.eventName} of ${fmt(amountOf(ev))} BKD (limit ${fmt(rule.minAmount)})`,
+        details: { amount: ev.amount },
+        events: [ev],
+      },
+    ];
+  },
+
+  // Nhiều giao dịch sát dưới ngưỡng báo cáo trong 1 cửa sổ
+  structuring(db, rule, ev) {
+    const floor = (rule.threshold * BigInt(Math.round((100 - rule.bandPct) * 100))) / 10000n;
+    const inBand = (e) => amountOf(e) >= floor && amountOf(e) < rule.threshold;
+    if (!rule.events.includes(ev.eventName) || !inBand(ev)) return [];
+
+    const hits = lookback(db, ev, { names: rule.events, windowSec: rule.windowSec, fromAddr: ev.fromAddr }).filter(inBand);
+    if (hits.length < rule.minCount) return [];
+
+    const total = hits.reduce((acc, e) => acc + amountOf(e), 0n);
+    return [
+      {
+        subject: ev.fromAddr,
+        counterparty: null,
+        dedupKey: windowKey(ev.fromAddr, ev, rule.windowSec),
+        summary: `${hits.length} movements just under ${fmt(rule.threshold)} BKD within ${rule.windowSec}s (total ${fmt(total)} BKD)`,
+        details: { count: hits.length, total: total.toString(), band: [floor.toString(), rule.threshold.toString()] },
+        events: hits,
+      },
+    ];
+  },
+
+  velocity(db, rule, ev) {
+    if (!rule.events.includes(ev.eventName)) return [];
+    const recent = lookback(db, ev, { names: rule.events, windowSec: rule.windowSec, fromAddr: ev.fromAddr });
+    if (recent.length <= rule.maxCount) return [];
+
+    return [
+      {
+        subject: ev.fromAddr,
+        counterparty: null,
+        dedupKey: windowKey(ev.fromAddr, ev, rule.windowSec),
+        summary: `${recent.length} outgoing movements within ${rule.windowSec}s (max ${rule.maxCount})`,
+        details: { count: recent.length },
+        events: recent,
+      },
+    ];
+  },
+
+  // A -> B rồi B -> A (số tiền gần bằng) trong cửa sổ: tiền đi một vòng rồi quay về
+  roundTrip(db, rule, ev) {
+    if (ev.eventName !== "TransferBKD" || amountOf(ev) < rule.minAmount) return [];
+
+    const amount = amountOf(ev);
+    const tol = (amount * BigInt(Math.round(rule.tolerancePct * 100))) / 10000n;
+    const outbound = lookback(db, ev, {
+      names: ["TransferBKD"],
+      windowSec: rule.windowSec,
+      fromAddr: ev.toAddr,
+      toAddr: ev.fromAddr,
+    }).filter((e) => eventKey(e) !== eventKey(ev));
+    const leg = outbound.reverse().find((e) => {
+      const d = amountOf(e) - amount;
+      return (d < 0n ? -d : d) <= tol;
+    });
+    if (!leg) return [];
+
+    return [
+      {
+        subject: leg.fromAddr,
+        counterparty: leg.toAddr,
+        dedupKey: `${eventKey(leg)}>${eventKey(ev)}`,
+        summary: `${fmt(amountOf(leg))} BKD sent to ${leg.toAddr.slice(0, 10)}… came back (${fmt(amount)} BKD) within ${
+          ev.timestamp - leg.timestamp
+        }s`,
+        details: { out: leg.amount, back: ev.amount, elapsedSec: ev.timestamp - leg.timestamp },
+        events: [leg, ev],
+      },
+    ];
+  },
+
+  depositThenWithdraw(db, rule, ev) {
+    if (ev.eventName !== "Withdrawn") return [];
+
+    const deposits = lookback(db, ev, { names: ["Deposited"], windowSec: rule.windowSec, fromAddr: ev.fromAddr });
+    const deposited = deposits.reduce((acc, e) => acc + amountOf(e), 0n);
+    if (deposited < rule.minAmount) return [];
+    if (amountOf(ev) * 10000n < deposited * BigInt(Math.round(rule.minPct * 100))) return [];
+
+    return [
+      {
+        subject: ev.fromAddr,
+        counterparty: null,
+        dedupKey: eventKey(ev),
+        summary: `Withdrew ${fmt(amountOf(ev))} BKD of ${fmt(deposited)} BKD deposited within ${rule.windowSec}s`,
+        details: { deposited: deposited.toString(), withdrawn: ev.amount },
+        events: [...deposits, ev],
+      },
+    ];
+  },
+};
+
+export function evaluateRule(db, rule, ev) {
+  const fn = EVALUATORS[rule.type];
+  if (!fn) throw new Error(`Unknown AML rule type ${rule.type}`);
+  return fn(db, rule, ev);
+}
+
+/**
+ * Rules as JSON (bigint amounts back to BKD strings), for GET /admin/aml/rules.
+ */
+export function rulesToJson(rules) {
+  return rules.map((r) =>
+    Object.fromEntries(Object.entries(r).map(([k, v]) => [k, typeof v === "bigint" ? fmt(v) : v]))
+  );
+}
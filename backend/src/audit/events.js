@@ -0,0 +1,202 @@
+import { z } from "zod";
+import { ethers } from "ethers";
+import { httpError } from "../kyc/decisions.js";
+
+/**
+ * Audit trail query over the indexed `events` table (used by /tx/:user and /admin/events).
+ *
+ * - Filters: eventName (CSV), contract (address or name from contracts.json), account/counterparty,
+ *   block range, time range (unix sec), amount range (wei).
+ * - Sort: block | time | amount, asc | desc.
+ * - Cursor (keyset) pagination: nextCursor là sort key của dòng cuối trang, encode base64url,
+ *   nên trang sau không bị lệch khi indexer chèn thêm event mới.
+ *
+ * amount là TEXT (wei): so sánh theo (length, string) = so sánh số cho số nguyên không âm.
+ */
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+// Sort key (as SQL expressions) per sort mode; `id` always last so keys are unique.
+const SORT_KEYS = {
+  block: ["blockNumber", "logIndex", "id"],
+  time: ["timestamp", "blockNumber", "logIndex", "id"],
+  amount: ["length(amount)", "amount", "id"],
+};
+
+const optInt = z.coerce.number().int().nonnegative().optional();
+const optWei = z
+  .string()
+  .regex(/^\d+$/, "Amount must be a wei integer")
+  .transform((s) => s.replace(/^0+(?=\d)/, ""))
+  .optional();
+
+export const eventQuerySchema = z.object({
+  eventName: z.string().optional(),
+  contract: z.string().optional(),
+  account: z.string().optional(),
+  counterparty: z.string().optional(),
+  fromBlock: optInt,
+  toBlock: optInt,
+  fromTime: optInt,
+  toTime: optInt,
+  minAmount: optWei,
+  maxAmount: optWei,
+  sort: z.enum(["block", "time", "amount"]).default("block"),
+  order: z.enum(["asc", "desc"]).default("desc"),
+  limit: z.coerce.number().int().min(1).max(MAX_LIMIT).default(DEFAULT_LIMIT),
+  cursor: z.string().optional(),
+});
+
+function address(v, label) {
+  if (!ethers.isAddress(v)) throw httpError(400, `Bad ${label} address`);
+  return v.toLowerCase();
+}
+
+function encodeCursor(sort, order, row) {
+  const key = SORT_KEYS[sort].map((_, i) => row[`_k${i}`]);
+  return Buffer.from(JSON.stringify({ s: sort, o: order, k: key })).toString("base64url");
+}
+
+function decodeCursor(cursor, sort, order) {
+  let c;
+  try {
+    c = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+  } catch {
+    throw httpError(400, "Bad cursor");
+  }
+  if (c?.s !== sort || c?.o !== order || !Array.isArray(c.k) || c.k.length !== SORT_KEYS[sort].length) {
+    throw httpError(400, "Cursor does not match sort/order");
+  }
+  return c.k;
+}
+
+/**
+ * Parse req.query into validated filters. `contracts` = { Name: address } from contracts.json.
+ */
+export function parseEventQuery(query, contracts = {}) {
+  const q = eventQuerySchema.parse(query);
+
+  const byName = Object.fromEntries(Object.entries(contracts).map(([n, a]) => [n.toLowerCase(), a]));
+  const contract = q.contract
+    ? address(byName[q.contract.toLowerCase()] ?? q.contract, "contract")
+    : null;
+
+  return {
+    ...q,
+    eventNames: q.eventName ? q.eventName.split(",").map((s) => s.trim()).filter(Boolean) : [],
+    contract,
+    account: q.account ? address(q.account, "account") : null,
+    counterparty: q.counterparty ? address(q.counterparty, "counterparty") : null,
+  };
+}
+
+/**
+ * Run the query. Returns { events, nextCursor } (nextCursor null on the last page).
+ */
+export function queryEvents(db, f, { columns = [] } = {}) {
+  const where = [];
+  const params = {};
+
+  if (f.account) {
+    params.account = f.account;
+    if (f.counterparty) {
+      params.counterparty = f.counterparty;
+      where.push(
+        "((fromAddr = @account AND toAddr = @counterparty) OR (toAddr = @account AND fromAddr = @counterparty))"
+      );
+    } else {
+      where.push("(fromAddr = @account OR toAddr = @account)");
+    }
+  } else if (f.counterparty) {
+    params.counterparty = f.counterparty;
+    where.push("(fromAddr = @counterparty OR toAddr = @counterparty)");
+  }
+
+  if (f.eventNames.length) {
+    const names = f.eventNames.map((n, i) => {
+      params[`ev${i}`] = n;
+      return `@ev${i}`;
+    });
+    where.push(`eventName IN (${names.join(", ")})`);
+  }
+  if (f.contract) {
+    params.contract = f.contract;
+    where.push("contractAddress = @contract");
+  }
+  if (f.fromBlock !== undefined) {
+    params.fromBlock = f.fromBlock;
+    where.push("blockNumber >= @fromBlock");
+  }
+  if (f.toBlock !== undefined) {
+    params.toBlock = f.toBlock;
+    where.push("blockNumber <= @toBlock");
+  }
+  if (f.fromTime !== undefined) {
+    params.fromTime = f.fromTime;
+    where.push("timestamp >= @fromTime");
+  }
+  if (f.toTime !== undefined) {
+    params.toTime = f.toTime;
+    where.push("timestamp <= @toTime");
+  }
+  if (f.minAmount !== undefined) {
+    params.minAmount = f.minAmount;
+    where.push("amount <> '' AND (length(amount), amount) >= (length(@minAmount), @minAmount)");
+  }
+  if (f.maxAmount !== undefined) {
+    params.maxAmount = f.maxAmount;
+    where.push("amount <> '' AND (length(amount), amount) <= (length(@maxAmount), @maxAmount)");
+  }
+
+  const keys = SORT_KEYS[f.sort];
+  const dir = f.order === "asc" ? "ASC" : "DESC";
+
+  if (f.cursor) {
+    const values = decodeCursor(f.cursor, f.sort, f.order);
+    const placeholders = values.map((v, i) => {
+      params[`c${i}`] = v;
+      return `@c${i}`;
+    });
+    where.push(`(${keys.join(", ")}) ${dir === "ASC" ? ">" : "<"} (${placeholders.join(", ")})`);
+  }
+
+  const select = [
+    "id",
+    "blockNumber",
+    "logIndex",
+    "txHash",
+    "contractAddress",
+    "eventName",
+    "fromAddr",
+    "toAddr",
+    "amount",
+    "timestamp",
+    ...columns,
+    ...keys.map((k, i) => `${k} AS _k${i}`),
+  ];
+
+  const rows = db
+    .prepare(
+      `
+      SELECT ${select.join(", ")}
+      FROM events
+      ${where.length ? "WHERE " + where.join(" AND ") : ""}
+      ORDER BY ${keys.map((k) => `${k} ${dir}`).join(", ")}
+      LIMIT @limit
+    `
+    )
+    .all({ ...params, limit: f.limit + 1 });
+
+  const hasMore = rows.length > f.limit;
+  const page = rows.slice(0, f.limit);
+  const nextCursor = hasMore ? encodeCursor(f.sort, f.order, page[page.length - 1]) : null;
+
+  const events = page.map((r) => {
+    const out = { ...r };
+    keys.forEach((_, i) => delete out[`_k${i}`]);
+    return out;
+  });
+
+  return { events, nextCursor };
+}
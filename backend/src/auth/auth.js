@@ -0,0 +1,179 @@
+import crypto from "crypto";
+import { ethers } from "ethers";
+import { getContracts, getContractsMeta } from "../web3/web3.js";
+
+/**
+ * Admin authentication (EIP-4361 "Sign-In with Ethereum" style).
+ *
+ * Flow:
+ * 1) POST /auth/challenge { address }  -> server builds + stores a SIWE message (single use)
+ * 2) Admin signs the message with personal_sign
+ * 3) POST /auth/verify { nonce, signature } -> short-lived bearer token
+ * 4) /admin/* requires "Authorization: Bearer <token>" AND COMPLIANCE_ROLE on KYCRegistry
+ *    (or OFFICER_ROLE on the ComplianceCouncil, which holds COMPLIANCE_ROLE instead of the officers)
+ *
+ * Token chỉ lưu dạng SHA-256 trong DB, lộ DB cũng không dùng lại được session.
+ */
+
+export const COMPLIANCE_ROLE = ethers.id("COMPLIANCE_ROLE");
+export const OFFICER_ROLE = ethers.id("OFFICER_ROLE");
+
+const CHALLENGE_TTL_SEC = Number(process.env.AUTH_CHALLENGE_TTL_SEC || 300);
+const SESSION_TTL_SEC = Number(process.env.ADMIN_SESSION_TTL_SEC || 900);
+
+function nowSec() {
+  return Math.floor(Date.now() / 1000);
+}
+
+function isoTime(sec) {
+  return new Date(sec * 1000).toISOString();
+}
+
+function sha256Hex(s) {
+  return crypto.createHash("sha256").update(s).digest("hex");
+}
+
+/**
+ * EIP-4361 message. Keep the field order exactly as the spec so wallets render it nicely.
+ */
+export function buildSiweMessage({ domain, address, uri, chainId, nonce, issuedAt, expiresAt }) {
+  return `${domain} wants you to sign in with your Ethereum account:
+${address}
+
+Sign in to the BankChain compliance console.
+
+URI: ${uri}
+Version: 1
+Chain ID: ${chainId}
+Nonce: ${nonce}
+Issued At: ${isoTime(issuedAt)}
+Expiration Time: ${isoTime(expiresAt)}`;
+}
+
+export async function issueChallenge(db, { address, domain, uri }) {
+  const meta = await getContractsMeta();
+  const checksum = ethers.getAddress(address);
+  const nonce = crypto.randomBytes(16).toString("hex");
+  const issuedAt = nowSec();
+  const expiresAt = issuedAt + CHALLENGE_TTL_SEC;
+
+  const message = buildSiweMessage({
+    domain,
+    address: checksum,
+    uri,
+    chainId: meta.chainId,
+    nonce,
+    issuedAt,
+    expiresAt,
+  });
+
+  db.prepare(
+    `
+    INSERT INTO auth_challenges (nonce, address, message, issuedAt, expiresAt)
+    VALUES (?, ?, ?, ?, ?)
+  `
+  ).run(nonce, checksum.toLowerCase(), message, issuedAt, expiresAt);
+
+  return { nonce, message, expiresAt };
+}
+
+export async function hasComplianceRole(address) {
+  const { kyc, council } = await getContracts();
+  if (council && (await council.hasRole(OFFICER_ROLE, address))) return true;
+  return kyc.hasRole(COMPLIANCE_ROLE, address);
+}
+
+/**
+ * Consume a challenge and open a session.
+ * Throws on any failure; the caller maps it to 401/403.
+ */
+export async function verifyChallenge(db, { nonce, signature }) {
+  const row = db.prepare(`SELECT * FROM auth_challenges WHERE nonce = ?`).get(nonce);
+  if (!row) throw authError(401, "Unknown challenge");
+  if (row.usedAt) throw authError(401, "Challenge already used");
+  if (row.expiresAt < nowSec()) throw authError(401, "Challenge expired");
+
+  // Single use: burn it before anything else so a failed attempt can't be retried.
+  db.prepare(`UPDATE auth_challenges SET usedAt = ? WHERE nonce = ?`).run(nowSec(), nonce);
+
+  let recovered;
+  try {
+    recovered = ethers.verifyMessage(row.message, signature).toLowerCase();
+  } catch {
+    throw authError(401, "Invalid signature");
+  }
+  if (recovered !== row.address) throw authError(401, "Signature does not match challenge address");
+
+  if (!(await hasComplianceRole(recovered))) {
+    throw authError(403, "Signer is not a compliance officer (COMPLIANCE_ROLE / council OFFICER_ROLE)");
+  }
+
+  const token = crypto.randomBytes(32).toString("hex");
+  const issuedAt = nowSec();
+  const expiresAt = issuedAt + SESSION_TTL_SEC;
+
+  db.prepare(
+    `
+    INSERT INTO admin_sessions (tokenHash, address, issuedAt, expiresAt)
+    VALUES (?, ?, ?, ?)
+  `
+  ).run(sha256Hex(token), recovered, issuedAt, expiresAt);
+
+  return { token, address: recovered, expiresAt };
+}
+
+export function revokeSession(db, token) {
+  db.prepare(`UPDATE admin_sessions SET revokedAt = ? WHERE tokenHash = ? AND revokedAt IS NULL`).run(
+    nowSec(),
+    sha256Hex(token)
+  );
+}
+
+export function bearerToken(req) {
+  const h = req.headers.authorization || "";
+  const m = /^Bearer\s+([0-9a-f]{64})$/i.exec(h.trim());
+  return m ? m[1].toLowerCase() : null;
+}
+
+function authError(status, message) {
+  const e = new Error(message);
+  e.status = status;
+  return e;
+}
+
+/**
+ * Session behind an admin token: { address, expiresAt } (address lowercase), or an error with e.status.
+ *
+ * Role được check lại mỗi lần: bị thu hồi COMPLIANCE_ROLE on-chain là mất quyền ngay,
+ * không phải chờ session hết hạn.
+ */
+export async function adminSession(db, token) {
+  if (!token) throw authError(401, "Missing admin session token");
+
+  const session = db
+    .prepare(`SELECT address, expiresAt, revokedAt FROM admin_sessions WHERE tokenHash = ?`)
+    .get(sha256Hex(token));
+
+  if (!session || session.revokedAt) throw authError(401, "Invalid admin session");
+  if (session.expiresAt < nowSec()) throw authError(401, "Admin session expired");
+  if (!(await hasComplianceRole(session.address))) {
+    throw authError(403, "COMPLIANCE_ROLE or council OFFICER_ROLE required");
+  }
+
+  return { address: session.address, expiresAt: session.expiresAt };
+}
+
+/**
+ * Express middleware for /admin/*.
+ * Sets req.admin = { address, expiresAt } (address lowercase) for the route handlers.
+ */
+export function requireAdmin(db) {
+  return async (req, res, next) => {
+    try {
+      req.admin = await adminSession(db, bearerToken(req));
+      next();
+    } catch (e) {
+      res.status(e?.status || 500).json({ message: e?.message || "Auth check failed" });
+    }
+  };
+}
@@ -179,6 +179,579 @@ function migrateToV4() {
   }
 }
 
+function migrateToV5() {
+  /**
+   * Admin sign-in (EIP-4361 "Sign-In with Ethereum" style).
+   *
+   * - auth_challenges: server-issued messages, single use, short expiry.
+   * - admin_sessions: bearer sessions; only the SHA-256 of the token is stored.
+   */
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS auth_challenges (
+      nonce TEXT PRIMARY KEY,
+      address TEXT NOT NULL,
+      message TEXT NOT NULL,
+      issuedAt INTEGER NOT NULL,
+      expiresAt INTEGER NOT NULL,
+      usedAt INTEGER
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_auth_challenges_address ON auth_challenges(address);
+
+    CREATE TABLE IF NOT EXISTS admin_sessions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      tokenHash TEXT NOT NULL UNIQUE,
+      address TEXT NOT NULL,
+      issuedAt INTEGER NOT NULL,
+      expiresAt INTEGER NOT NULL,
+      revokedAt INTEGER
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_admin_sessions_address ON admin_sessions(address);
+  `);
+}
+
+function migrateToV6() {
+  /**
+   * Maker-checker proposals for KYC decisions.
+   * status: PENDING -> EXECUTING -> EXECUTED | back to PENDING on failure
+   *         PENDING -> EXPIRED | CANCELLED
+   */
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS kyc_proposals (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      requestId INTEGER,
+      wallet TEXT NOT NULL,
+      action TEXT NOT NULL,          -- APPROVE | REJECT | REVOKE
+      level INTEGER,
+      expiresAt INTEGER,             -- KYC expiry to set on-chain (approve only)
+      notes TEXT,
+
+      proposedBy TEXT NOT NULL,
+      proposedAt INTEGER NOT NULL,
+      proposalExpiresAt INTEGER NOT NULL,
+
+      status TEXT NOT NULL DEFAULT 'PENDING',
+      confirmedBy TEXT,
+      confirmedAt INTEGER,
+      closedAt INTEGER,
+      txHash TEXT,
+      FOREIGN KEY(requestId) REFERENCES kyc_requests(id) ON DELETE SET NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_kyc_proposals_status ON kyc_proposals(status);
+    CREATE INDEX IF NOT EXISTS idx_kyc_proposals_request ON kyc_proposals(requestId);
+    CREATE INDEX IF NOT EXISTS idx_kyc_proposals_wallet ON kyc_proposals(wallet);
+  `);
+}
+
+function migrateToV7() {
+  /**
+   * PII at rest: payloadJson now holds an encrypted envelope (see src/kyc/crypto.js),
+   * so the replay nonce gets its own column instead of LIKE-matching the JSON.
+   * Existing plaintext rows: run `npm run kyc:keys -- encrypt-existing`.
+   */
+  addColumnIfMissing("kyc_requests", "nonce INTEGER", "nonce");
+
+  db.exec(`
+    UPDATE kyc_requests
+    SET nonce = json_extract(payloadJson, '$.nonce')
+    WHERE nonce IS NULL
+      AND json_valid(payloadJson)
+      AND json_extract(payloadJson, '$.enc') IS NULL;
+
+    CREATE INDEX IF NOT EXISTS idx_kyc_wallet_nonce ON kyc_requests(wallet, nonce);
+  `);
+}
+
+function migrateToV8() {
+  // Server-issued KYC nonces (GET /kyc/nonce/:wallet): expire + single use.
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS kyc_nonces (
+      nonce TEXT PRIMARY KEY,
+      wallet TEXT NOT NULL,
+      issuedAt INTEGER NOT NULL,
+      expiresAt INTEGER NOT NULL,
+      usedAt INTEGER,
+      requestId INTEGER,
+      FOREIGN KEY(requestId) REFERENCES kyc_requests(id) ON DELETE SET NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_kyc_nonces_wallet ON kyc_nonces(wallet);
+  `);
+}
+
+function migrateToV9() {
+  /**
+   * Reorg-safe indexer:
+   * - events unique on (txHash, logIndex) so re-reading a range is idempotent
+   * - indexer_blocks keeps recent block hashes to detect reorgs and find the common ancestor
+   * - indexer_state.lastIndexedHash = hash of the checkpoint block
+   *
+   * Rows written by the old indexer have no logIndex and can't be de-duplicated,
+   * so they are dropped and the checkpoint reset: the indexer rebuilds them from the chain.
+   */
+  addColumnIfMissing("indexer_state", "lastIndexedHash TEXT", "lastIndexedHash");
+
+  const legacy = db.prepare("SELECT COUNT(*) AS n FROM events WHERE logIndex IS NULL").get().n;
+  if (legacy > 0) {
+    db.exec(`
+      DELETE FROM events WHERE logIndex IS NULL;
+      UPDATE indexer_state SET lastIndexedBlock = 0, lastIndexedHash = NULL, updatedAt = strftime('%s','now');
+    `);
+  }
+
+  db.exec(`
+    CREATE UNIQUE INDEX IF NOT EXISTS ux_events_tx_log ON events(txHash, logIndex);
+    CREATE INDEX IF NOT EXISTS idx_events_contract ON events(contractAddress);
+
+    CREATE TABLE IF NOT EXISTS indexer_blocks (
+      blockNumber INTEGER PRIMARY KEY,
+      blockHash TEXT NOT NULL,
+      parentHash TEXT,
+      timestamp INTEGER
+    );
+  `);
+}
+
+function migrateToV10() {
+  /**
+   * KYCRegistry events are indexed too (see src/kyc/chainSync.js):
+   * - kyc_requests.requestTxHash: tx where the user published requestKYC(kycHash)
+   * - kyc_discrepancies: on-chain facts the DB can't explain (unique per log + kind)
+   */
+  addColumnIfMissing("kyc_requests", "requestTxHash TEXT", "requestTxHash");
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS kyc_discrepancies (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      kind TEXT NOT NULL,
+      wallet TEXT NOT NULL,
+      kycHash TEXT,
+      requestId INTEGER,
+      txHash TEXT NOT NULL,
+      logIndex INTEGER NOT NULL,
+      blockNumber INTEGER NOT NULL,
+      detailsJson TEXT,
+      detectedAt INTEGER NOT NULL,
+      resolvedAt INTEGER,
+      resolvedBy TEXT,
+      resolution TEXT,
+      UNIQUE(txHash, logIndex, kind),
+      FOREIGN KEY(requestId) REFERENCES kyc_requests(id) ON DELETE SET NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_kyc_disc_wallet ON kyc_discrepancies(wallet);
+    CREATE INDEX IF NOT EXISTS idx_kyc_disc_open ON kyc_discrepancies(resolvedAt);
+  `);
+}
+
+function migrateToV11() {
+  /**
+   * bkd_ledger: BKD running balance per account, from DepositToken Transfer events (src/ledger/ledger.js).
+   * One row per (log, account side); delta/balanceAfter are wei decimal strings.
+   */
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS bkd_ledger (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      account TEXT NOT NULL,
+      direction TEXT NOT NULL CHECK (direction IN ('DEBIT','CREDIT')),
+      counterparty TEXT NOT NULL,
+      delta TEXT NOT NULL,
+      balanceAfter TEXT NOT NULL,
+      blockNumber INTEGER NOT NULL,
+      logIndex INTEGER NOT NULL,
+      txHash TEXT NOT NULL,
+      timestamp INTEGER,
+      UNIQUE(txHash, logIndex, account, direction)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_bkd_ledger_account ON bkd_ledger(account, blockNumber, logIndex);
+    CREATE INDEX IF NOT EXISTS idx_bkd_ledger_block ON bkd_ledger(blockNumber);
+  `);
+
+  // Transfer chưa từng được index: quét lại từ đầu. Event cũ bị INSERT OR IGNORE bỏ qua
+  // (hook không chạy lại), chỉ Transfer mới được thêm + dựng ledger.
+  db.exec(`UPDATE indexer_state SET lastIndexedBlock = 0, lastIndexedHash = NULL, updatedAt = strftime('%s','now');`);
+}
+
+function migrateToV12() {
+  /**
+   * Reserve reconciliation history (src/recon/reconcile.js).
+   * - recon_runs: one row per run, figures at `blockNumber` (wei strings) in figuresJson
+   * - recon_breaks: failed checks of a run + block where the break first appeared
+   */
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS recon_runs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      startedAt INTEGER NOT NULL,
+      finishedAt INTEGER,
+      blockNumber INTEGER,
+      status TEXT NOT NULL CHECK (status IN ('RUNNING','OK','BREAKS','ERROR')),
+      trigger TEXT NOT NULL,
+      figuresJson TEXT,
+      error TEXT
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_recon_runs_status ON recon_runs(status);
+
+    CREATE TABLE IF NOT EXISTS recon_breaks (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      runId INTEGER NOT NULL,
+      kind TEXT NOT NULL,
+      description TEXT,
+      expected TEXT NOT NULL,
+      actual TEXT NOT NULL,
+      diff TEXT NOT NULL,
+      appearedAtBlock INTEGER,
+      detailsJson TEXT,
+      FOREIGN KEY(runId) REFERENCES recon_runs(id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_recon_breaks_run ON recon_breaks(runId);
+    CREATE INDEX IF NOT EXISTS idx_recon_breaks_kind ON recon_breaks(kind);
+  `);
+}
+
+function migrateToV13() {
+  /**
+   * Offline sanctions screening (src/screening/).
+   * - watchlists: one row per imported file; a new import of the same source replaces its entries
+   * - watchlist_entries: namesJson = primary name + aliases, dobsJson = YYYY[-MM[-DD]], national ids
+   * - screening_hits: dossier vs entry matches above the threshold; the entry is copied in
+   *   (source/externalId/entryName) so hits survive a re-import. OPEN hits block approval.
+   */
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS watchlists (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      source TEXT NOT NULL,
+      fileName TEXT NOT NULL,
+      fileSha256 TEXT NOT NULL,
+      entryCount INTEGER NOT NULL,
+      importedAt INTEGER NOT NULL,
+      importedBy TEXT NOT NULL,
+      active INTEGER NOT NULL DEFAULT 1
+    );
+
+    CREATE TABLE IF NOT EXISTS watchlist_entries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      listId INTEGER NOT NULL,
+      source TEXT NOT NULL,
+      externalId TEXT NOT NULL,
+      primaryName TEXT NOT NULL,
+      namesJson TEXT NOT NULL,
+      dobsJson TEXT NOT NULL DEFAULT '[]',
+      nationalIdsJson TEXT NOT NULL DEFAULT '[]',
+      program TEXT,
+      FOREIGN KEY(listId) REFERENCES watchlists(id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_watchlist_entries_list ON watchlist_entries(listId);
+
+    CREATE TABLE IF NOT EXISTS screening_hits (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      requestId INTEGER NOT NULL,
+      wallet TEXT NOT NULL,
+      source TEXT NOT NULL,
+      externalId TEXT NOT NULL,
+      entryName TEXT NOT NULL,
+      matchedName TEXT NOT NULL,
+      score REAL NOT NULL,
+      reasonsJson TEXT NOT NULL,
+      status TEXT NOT NULL CHECK (status IN ('OPEN','CLEARED')) DEFAULT 'OPEN',
+      createdAt INTEGER NOT NULL,
+      clearedBy TEXT,
+      clearedAt INTEGER,
+      justification TEXT,
+      UNIQUE(requestId, source, externalId),
+      FOREIGN KEY(requestId) REFERENCES kyc_requests(id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_screening_hits_request ON screening_hits(requestId, status);
+  `);
+
+  addColumnIfMissing("kyc_requests", "screenedAt INTEGER");
+}
+
+function migrateToV14() {
+  /**
+   * Transaction monitoring (src/aml/): rules run over newly indexed events.
+   * - aml_state.lastEventId: cursor into events.id (AUTOINCREMENT => ids are never reused after a reorg rollback)
+   * - aml_alerts: one row per rule hit, unique on (ruleId, dedupKey) so re-running never duplicates;
+   *   dedupKey is built from txHash:logIndex, not events.id (re-indexed rows get new ids)
+   * - aml_alert_events: snapshot of the triggering events (survives rollbacks of `events`)
+   * - aml_alert_notes: case log (CREATED, ASSIGNED, COMMENT, CLOSED, REVOKE_PROPOSED)
+   */
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS aml_state (
+      id INTEGER PRIMARY KEY CHECK (id = 1),
+      lastEventId INTEGER NOT NULL DEFAULT 0,
+      lastRunAt INTEGER
+    );
+    INSERT OR IGNORE INTO aml_state (id, lastEventId) VALUES (1, 0);
+
+    CREATE TABLE IF NOT EXISTS aml_alerts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      ruleId TEXT NOT NULL,
+      ruleType TEXT NOT NULL,
+      severity TEXT NOT NULL,
+      subject TEXT NOT NULL,
+      counterparty TEXT,
+      dedupKey TEXT NOT NULL,
+      summary TEXT NOT NULL,
+      detailsJson TEXT NOT NULL,
+      status TEXT NOT NULL CHECK (status IN ('OPEN','IN_REVIEW','CLOSED')) DEFAULT 'OPEN',
+      assignee TEXT,
+      disposition TEXT,
+      proposalId INTEGER,
+      createdAt INTEGER NOT NULL,
+      updatedAt INTEGER NOT NULL,
+      closedAt INTEGER,
+      closedBy TEXT,
+      UNIQUE(ruleId, dedupKey)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_aml_alerts_status ON aml_alerts(status, createdAt);
+    CREATE INDEX IF NOT EXISTS idx_aml_alerts_subject ON aml_alerts(subject);
+
+    CREATE TABLE IF NOT EXISTS aml_alert_events (
+      alertId INTEGER NOT NULL,
+      txHash TEXT NOT NULL,
+      logIndex INTEGER NOT NULL,
+      blockNumber INTEGER NOT NULL,
+      eventName TEXT NOT NULL,
+      fromAddr TEXT,
+      toAddr TEXT,
+      amount TEXT,
+      timestamp INTEGER,
+      PRIMARY KEY (alertId, txHash, logIndex),
+      FOREIGN KEY(alertId) REFERENCES aml_alerts(id) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS aml_alert_notes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      alertId INTEGER NOT NULL,
+      kind TEXT NOT NULL,
+      actor TEXT NOT NULL,
+      body TEXT,
+      at INTEGER NOT NULL,
+      FOREIGN KEY(alertId) REFERENCES aml_alerts(id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_aml_alert_notes_alert ON aml_alert_notes(alertId, id);
+  `);
+}
+
+function migrateToV15() {
+  /**
+   * Timelock governance (BankTimelock): one row per call of a scheduled operation, derived from the
+   * indexed CallScheduled / CallExecuted / Cancelled events (src/governance/timelock.js).
+   * - opId = TimelockController operation id; batches have several calls (idx 0..n-1)
+   * - readyAt = block timestamp of CallScheduled + delay
+   * - *Block columns let the indexer undo rows/updates above a reorg point
+   */
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS timelock_calls (
+      opId TEXT NOT NULL,
+      idx INTEGER NOT NULL,
+      target TEXT NOT NULL,
+      value TEXT NOT NULL,
+      data TEXT NOT NULL,
+      predecessor TEXT,
+      delay INTEGER NOT NULL,
+      scheduledBlock INTEGER NOT NULL,
+      scheduledTx TEXT NOT NULL,
+      scheduledAt INTEGER NOT NULL,
+      readyAt INTEGER NOT NULL,
+      executedBlock INTEGER,
+      executedTx TEXT,
+      executedAt INTEGER,
+      cancelledBlock INTEGER,
+      cancelledTx TEXT,
+      cancelledAt INTEGER,
+      PRIMARY KEY (opId, idx)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_timelock_calls_ready ON timelock_calls(readyAt);
+  `);
+}
+
+function migrateToV16() {
+  /**
+   * On-chain compliance council (ComplianceCouncil): APPROVE / REVOKE proposals are mirrored on-chain.
+   * - councilId: proposal id in the council contract (NULL until the first officer signature is relayed)
+   * - councilConfirmations: confirmations after the last relayed tx (the chain stays the source of truth)
+   */
+  addColumnIfMissing("kyc_proposals", "councilId INTEGER", "councilId");
+  addColumnIfMissing("kyc_proposals", "councilConfirmations INTEGER", "councilConfirmations");
+  addColumnIfMissing("kyc_proposals", "councilTxHash TEXT", "councilTxHash");
+}
+
+function migrateToV17() {
+  /**
+   * Outbound admin transaction queue (src/txqueue/queue.js).
+   * - admin_jobs: one row per admin write (KYC approve/revoke, council relay); the DB side effect of a job
+   *   runs only once its receipt has enough confirmations
+   * - admin_txs: every broadcast of a job (fee bumps / replacements share the nonce) and its receipt
+   * - admin_signers: local nonce per hot wallet + a short lease so only one worker sends at a time
+   */
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS admin_jobs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      kind TEXT NOT NULL,
+      contractName TEXT NOT NULL,
+      contractAddress TEXT NOT NULL,
+      method TEXT NOT NULL,
+      argsJson TEXT NOT NULL,
+      contextJson TEXT NOT NULL DEFAULT '{}',
+      status TEXT NOT NULL DEFAULT 'QUEUED', -- QUEUED | SENT | CONFIRMED | FAILED
+      signer TEXT,
+      nonce INTEGER,
+      txHash TEXT,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      nextAttemptAt INTEGER NOT NULL,
+      lastError TEXT,
+      resultJson TEXT,
+      createdBy TEXT,
+      createdAt INTEGER NOT NULL,
+      updatedAt INTEGER NOT NULL,
+      sentAt INTEGER,
+      confirmedAt INTEGER,
+      blockNumber INTEGER
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_admin_jobs_status ON admin_jobs(status, nextAttemptAt);
+
+    CREATE TABLE IF NOT EXISTS admin_txs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      jobId INTEGER NOT NULL,
+      txHash TEXT NOT NULL UNIQUE,
+      signer TEXT NOT NULL,
+      nonce INTEGER NOT NULL,
+      gasLimit TEXT NOT NULL,
+      maxFeePerGas TEXT NOT NULL,
+      maxPriorityFeePerGas TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'PENDING', -- PENDING | MINED | REPLACED | DROPPED
+      sentAt INTEGER NOT NULL,
+      blockNumber INTEGER,
+      blockHash TEXT,
+      receiptStatus INTEGER,
+      gasUsed TEXT,
+      effectiveGasPrice TEXT,
+      minedAt INTEGER,
+      FOREIGN KEY(jobId) REFERENCES admin_jobs(id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_admin_txs_job ON admin_txs(jobId, id);
+
+    CREATE TABLE IF NOT EXISTS admin_signers (
+      address TEXT PRIMARY KEY,
+      nextNonce INTEGER NOT NULL,
+      leaseOwner TEXT,
+      leaseUntil INTEGER
+    );
+  `);
+
+  // proposal đang chờ tx của nó (status EXECUTING) => job nào
+  addColumnIfMissing("kyc_proposals", "jobId INTEGER", "jobId");
+}
+
+function migrateToV18() {
+  /**
+   * Outbound webhooks (src/webhooks/).
+   * - webhook_subscriptions: URL + event types + optional account filter + HMAC secret;
+   *   fromEventId / fromActionId = chỗ các bảng nguồn đang đứng khi tạo (không gửi lịch sử cũ)
+   * - webhook_deliveries: one row per (subscription, source event); eventKey is txHash:logIndex for chain
+   *   events (re-indexed rows get new ids), kyc:<action>:<txHash> for KYC actions with a tx (backend and
+   *   chain sync may both log the same decision) or kyc:<kyc_actions.id>. Replays are new rows with replayOf set.
+   * - webhook_attempts: every HTTP attempt (status code / error / duration) = the delivery log
+   * - webhook_state: fan-out cursor into events.id / kyc_actions.id
+   */
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      url TEXT NOT NULL,
+      description TEXT,
+      eventTypesJson TEXT NOT NULL,
+      accountsJson TEXT, -- NULL = all accounts
+      secret TEXT NOT NULL,
+      active INTEGER NOT NULL DEFAULT 1,
+      fromEventId INTEGER NOT NULL DEFAULT 0,
+      fromActionId INTEGER NOT NULL DEFAULT 0,
+      createdBy TEXT,
+      createdAt INTEGER NOT NULL,
+      updatedAt INTEGER NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      subscriptionId INTEGER NOT NULL,
+      eventKey TEXT NOT NULL,
+      eventType TEXT NOT NULL,
+      payloadJson TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'PENDING', -- PENDING | DELIVERED | DEAD
+      attempts INTEGER NOT NULL DEFAULT 0,
+      nextAttemptAt INTEGER NOT NULL,
+      lastStatusCode INTEGER,
+      lastError TEXT,
+      replayOf INTEGER,
+      createdAt INTEGER NOT NULL,
+      updatedAt INTEGER NOT NULL,
+      deliveredAt INTEGER,
+      FOREIGN KEY(subscriptionId) REFERENCES webhook_subscriptions(id) ON DELETE CASCADE
+    );
+
+    CREATE UNIQUE INDEX IF NOT EXISTS uq_webhook_deliveries_event
+      ON webhook_deliveries(subscriptionId, eventKey) WHERE replayOf IS NULL;
+    CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, nextAttemptAt);
+    CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_sub ON webhook_deliveries(subscriptionId, id);
+
+    CREATE TABLE IF NOT EXISTS webhook_attempts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      deliveryId INTEGER NOT NULL,
+      attempt INTEGER NOT NULL,
+      at INTEGER NOT NULL,
+      statusCode INTEGER,
+      error TEXT,
+      durationMs INTEGER NOT NULL,
+      responseBody TEXT,
+      FOREIGN KEY(deliveryId) REFERENCES webhook_deliveries(id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_webhook_attempts_delivery ON webhook_attempts(deliveryId, id);
+
+    CREATE TABLE IF NOT EXISTS webhook_state (
+      id INTEGER PRIMARY KEY CHECK (id = 1),
+      lastEventId INTEGER NOT NULL DEFAULT 0,
+      lastActionId INTEGER NOT NULL DEFAULT 0
+    );
+    INSERT OR IGNORE INTO webhook_state (id, lastEventId, lastActionId) VALUES (
+      1,
+      (SELECT COALESCE(MAX(id), 0) FROM events),
+      (SELECT COALESCE(MAX(id), 0) FROM kyc_actions)
+    );
+  `);
+}
+
+function migrateToV19() {
+  /**
+   * Reorg-safe KYC sync: every kyc_requests change made by chainSync (indexer) is journaled with the block of
+   * the event and the row before / after, so rolling the indexer back restores the dossier.
+   * Chain-derived kyc_actions already carry detailsJson.blockNumber (source = chain).
+   */
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS kyc_chain_sync (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      blockNumber INTEGER NOT NULL,
+      requestId INTEGER NOT NULL,
+      beforeJson TEXT NOT NULL,
+      afterJson TEXT NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_kyc_chain_sync_block ON kyc_chain_sync(blockNumber);
+  `);
+}
+
 // ---- Run migrations -------------------------------------------------------
 
 function runMigrations() {
@@ -206,6 +779,83 @@ function runMigrations() {
       v = 4;
       setUserVersion(v);
     }
+    if (v < 5) {
+      migrateToV5();
+      v = 5;
+      setUserVersion(v);
+    }
+    if (v < 6) {
+      migrateToV6();
+      v = 6;
+      setUserVersion(v);
+    }
+    if (v < 7) {
+      migrateToV7();
+      v = 7;
+      setUserVersion(v);
+    }
+    if (v < 8) {
+      migrateToV8();
+      v = 8;
+      setUserVersion(v);
+    }
+    if (v < 9) {
+      migrateToV9();
+      v = 9;
+      setUserVersion(v);
+    }
+    if (v < 10) {
+      migrateToV10();
+      v = 10;
+      setUserVersion(v);
+    }
+    if (v < 11) {
+      migrateToV11();
+      v = 11;
+      setUserVersion(v);
+    }
+    if (v < 12) {
+      migrateToV12();
+      v = 12;
+      setUserVersion(v);
+    }
+    if (v < 13) {
+      migrateToV13();
+      v = 13;
+      setUserVersion(v);
+    }
+    if (v < 14) {
+      migrateToV14();
+      v = 14;
+      setUserVersion(v);
+    }
+    if (v < 15) {
+      migrateToV15();
+      v = 15;
+      setUserVersion(v);
+    }
+    if (v < 16) {
+      migrateToV16();
+      v = 16;
+      setUserVersion(v);
+    }
+    if (v < 17) {
+      migrateToV17();
+      v = 17;
+      setUserVersion(v);
+    }
+
+    if (v < 18) {
+      migrateToV18();
+      v = 18;
+      setUserVersion(v);
+    }
+
+    if (v < 19) {
+      migrateToV19();
+      v = 19;
+      setUserVersion(v);
+    }
   });
 
   tx();
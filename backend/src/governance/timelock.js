@@ -0,0 +1,169 @@
+import { ethers } from "ethers";
+import { getAbi } from "../web3/web3.js";
+
+/**
+ * Timelock governance (BankTimelock) as seen by the backend.
+ *
+ * The indexer calls applyTimelockEvent for every newly inserted CallScheduled / CallExecuted /
+ * Cancelled row (same transaction), which keeps timelock_calls up to date; listOperations groups
+ * the calls per operation and decodes them against the bank contracts' ABIs for the governance page.
+ *
+ * Status: PENDING (delay not over) -> READY (executor may run it) -> EXECUTED, or CANCELLED.
+ */
+
+const ROLE_NAMES = [
+  "COMPLIANCE_ROLE",
+  "MINTER_ROLE",
+  "RISK_ROLE",
+  "TREASURY_ROLE",
+  "SEIZURE_ROLE",
+  "GUARDIAN_ROLE",
+  "ENFORCER_ROLE",
+  "BANK_ROLE",
+  "MARKET_ADMIN_ROLE",
+  "PROPOSER_ROLE",
+  "EXECUTOR_ROLE",
+  "CANCELLER_ROLE",
+];
+const ROLES = new Map([
+  [ethers.ZeroHash, "DEFAULT_ADMIN_ROLE"],
+  ...ROLE_NAMES.map((r) => [ethers.id(r), r]),
+]);
+
+function nowSec() {
+  return Math.floor(Date.now() / 1000);
+}
+
+export function applyTimelockEvent(db, ev) {
+  const args = JSON.parse(ev.metaJson);
+
+  if (ev.eventName === "CallScheduled") {
+    const delay = Number(args.delay);
+    // ON CONFLICT: một operation đã cancel có thể được schedule lại với cùng id
+    db.prepare(
+      `
+      INSERT INTO timelock_calls (
+        opId, idx, target, value, data, predecessor, delay, scheduledBlock, scheduledTx, scheduledAt, readyAt
+      ) VALUES (@opId, @idx, @target, @value, @data, @predecessor, @delay, @block, @txHash, @at, @readyAt)
+      ON CONFLICT(opId, idx) DO UPDATE SET
+        delay = excluded.delay, scheduledBlock = excluded.scheduledBlock, scheduledTx = excluded.scheduledTx,
+        scheduledAt = excluded.scheduledAt, readyAt = excluded.readyAt,
+        cancelledBlock = NULL, cancelledTx = NULL, cancelledAt = NULL
+    `
+    ).run({
+      opId: args.id,
+      idx: Number(args.index),
+      target: args.target,
+      value: args.value,
+      data: args.data,
+      predecessor: args.predecessor === ethers.ZeroHash ? null : args.predecessor,
+      delay,
+      block: ev.blockNumber,
+      txHash: ev.txHash,
+      at: ev.timestamp,
+      readyAt: ev.timestamp + delay,
+    });
+  } else if (ev.eventName === "CallExecuted") {
+    db.prepare(
+      `UPDATE timelock_calls SET executedBlock = ?, executedTx = ?, executedAt = ? WHERE opId = ? AND idx = ?`
+    ).run(ev.blockNumber, ev.txHash, ev.timestamp, args.id, Number(args.index));
+  } else if (ev.eventName === "Cancelled") {
+    db.prepare(
+      `UPDATE timelock_calls SET cancelledBlock = ?, cancelledTx = ?, cancelledAt = ? WHERE opId = ? AND executedAt IS NULL`
+    ).run(ev.blockNumber, ev.txHash, ev.timestamp, args.id);
+  }
+}
+
+/**
+ * Undo timelock_calls above `block` (called from the indexer's reorg rollback, same transaction).
+ */
+export function rollbackTimelock(db, block) {
+  db.prepare("DELETE FROM timelock_calls WHERE scheduledBlock > ?").run(block);
+  db.prepare(
+    "UPDATE timelock_calls SET executedBlock = NULL, executedTx = NULL, executedAt = NULL WHERE executedBlock > ?"
+  ).run(block);
+  db.prepare(
+    "UPDATE timelock_calls SET cancelledBlock = NULL, cancelledTx = NULL, cancelledAt = NULL WHERE cancelledBlock > ?"
+  ).run(block);
+}
+
+// target address -> { name, iface } for the deployed bank contracts
+function contractDirectory(meta) {
+  const dir = new Map();
+  for (const [name, address] of Object.entries(meta.contracts || {})) {
+    try {
+      dir.set(address.toLowerCase(), { name, iface: new ethers.Interface(getAbi(name)) });
+    } catch {
+      dir.set(address.toLowerCase(), { name, iface: null });
+    }
+  }
+  return dir;
+}
+
+function fmtArg(input, value) {
+  if (input.baseType === "array") return [...value].map((v) => fmtArg(input.arrayChildren, v));
+  if (input.baseType === "tuple") return Object.fromEntries(input.components.map((c, i) => [c.name, fmtArg(c, value[i])]));
+  if (input.type === "bytes32" && ROLES.has(value)) return ROLES.get(value);
+  return typeof value === "bigint" ? value.toString() : value;
+}
+
+/**
+ * "LendingPool.setParams(_maxLTVBps=4000)" style description of one call.
+ */
+export function decodeCall(dir, target, data) {
+  const c = dir.get(target.toLowerCase());
+  const parsed = c?.iface?.parseTransaction({ data });
+  if (!parsed) return { contract: c?.name ?? null, function: null, args: null, summary: `${target} ${data.slice(0, 10)}` };
+
+  const args = Object.fromEntries(parsed.fragment.inputs.map((input, i) => [input.name, fmtArg(input, parsed.args[i])]));
+  const argText = Object.entries(args)
+    .map(([k, v]) => `${k}=${typeof v === "object" ? JSON.stringify(v) : v}`)
+    .join(", ");
+  return { contract: c.name, function: parsed.name, args, summary: `${c.name}.${parsed.name}(${argText})` };
+}
+
+function statusOf(op, now) {
+  if (op.cancelledAt) return "CANCELLED";
+  if (op.executedAt) return "EXECUTED";
+  return op.readyAt <= now ? "READY" : "PENDING";
+}
+
+export const OPERATION_STATUSES = ["PENDING", "READY", "EXECUTED", "CANCELLED"];
+
+/**
+ * Operations newest first. `now` should be the chain's latest block timestamp (that's what the
+ * timelock compares readyAt against); wall clock is only the fallback.
+ */
+export function listOperations(db, meta, { status = null, limit = 100, now = nowSec() } = {}) {
+  const rows = db.prepare(`SELECT * FROM timelock_calls ORDER BY scheduledAt DESC, opId, idx`).all();
+  const dir = contractDirectory(meta);
+
+  const ops = new Map();
+  for (const r of rows) {
+    let op = ops.get(r.opId);
+    if (!op) {
+      op = {
+        id: r.opId,
+        predecessor: r.predecessor,
+        delay: r.delay,
+        scheduledAt: r.scheduledAt,
+        scheduledTx: r.scheduledTx,
+        readyAt: r.readyAt,
+        executedAt: r.executedAt,
+        executedTx: r.executedTx,
+        cancelledAt: r.cancelledAt,
+        cancelledTx: r.cancelledTx,
+        calls: [],
+      };
+      ops.set(r.opId, op);
+    }
+    // batch: executed only once every call is
+    if (!r.executedAt) op.executedAt = null;
+    op.calls.push({ index: r.idx, target: r.target, value: r.value, data: r.data, ...decodeCall(dir, r.target, r.data) });
+  }
+
+  return [...ops.values()]
+    .map((op) => ({ ...op, status: statusOf(op, now) }))
+    .filter((op) => !status || op.status === status)
+    .slice(0, limit);
+}
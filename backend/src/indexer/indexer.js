@@ -1,105 +1,355 @@
 import dotenv from "dotenv";
 import { initDb } from "../db/db.js";
 import { getContracts, getProvider } from "../web3/web3.js";
+import { applyKycEvent, rollbackKycSync, pruneKycSync } from "../kyc/chainSync.js";
+import { applyTransfer } from "../ledger/ledger.js";
+import { applyTimelockEvent, rollbackTimelock } from "../governance/timelock.js";
+
+/**
+ * Event indexer: chain logs -> SQLite `events` (audit trail).
+ *
+ * Reorg safety:
+ * - Chỉ index tới `latest - INDEXER_CONFIRMATIONS`.
+ * - Checkpoint (indexer_state) lưu block cuối + hash; indexer_blocks lưu hash các block gần đây.
+ * - Mỗi vòng: nếu hash checkpoint không còn trên chain => reorg, lùi về tổ tiên chung,
+ *   xoá các row mồ côi rồi index lại.
+ * - Mỗi batch insert + cập nhật checkpoint trong CÙNG 1 transaction, và events unique theo
+ *   (txHash, logIndex): crash giữa chừng thì chạy lại cũng không trùng, không hổng.
+ */
 
 dotenv.config();
 
 const once = process.argv.includes("--once");
 const db = initDb();
 
+const CONFIRMATIONS = Number(process.env.INDEXER_CONFIRMATIONS || 0);
+const BATCH_BLOCKS = Number(process.env.INDEXER_BATCH_BLOCKS || 2000);
+const REORG_WINDOW = Number(process.env.INDEXER_REORG_WINDOW || 128);
+const START_BLOCK = Number(process.env.INDEXER_START_BLOCK || 0);
+const POLL_MS = Number(process.env.INDEXER_POLL_MS || 3000);
+
+class ReorgInProgress extends Error {}
+
 function normalizeAddr(a) {
   return (a || "").toLowerCase();
 }
 
-async function blockTimestamp(provider, blockNumber) {
-  const block = await provider.getBlock(blockNumber);
-  return block?.timestamp || null;
+/**
+ * Named event args -> plain JSON (bigint -> string), stored in events.metaJson.
+ */
+function argsToJson(parsed) {
+  const out = {};
+  parsed.fragment.inputs.forEach((input, i) => {
+    const v = parsed.args[i];
+    out[input.name] = typeof v === "string" ? v.toLowerCase() : v.toString();
+  });
+  return out;
 }
 
-async function indexOnce() {
-  const provider = getProvider();
-  const { vault, lending } = await getContracts();
-
-  const latest = await provider.getBlockNumber();
-  const lastIndexedRow = db.prepare("SELECT MAX(blockNumber) as b FROM events").get();
-  const fromBlock = (lastIndexedRow?.b ?? 0);
+/**
+ * Which contracts/events to index and how to map them onto the flat events columns.
+ * `onInsert` runs inside the batch transaction for newly inserted rows only.
+ */
+function eventSources({ kyc, token, vault, lending, sanctions, timelock, council }) {
+  const sources = [
+    {
+      contract: kyc,
+      events: ["KYCRequested", "KYCApproved", "KYCRevoked"],
+      map: (args) => ({
+        fromAddr: normalizeAddr(args.user),
+        toAddr: normalizeAddr(args.by ?? ""),
+        amount: "",
+      }),
+      onInsert: (row) => applyKycEvent(db, row),
+    },
+    {
+      // Mọi BKD movement (mint/burn/transfer, kể cả qua LendingPool) => bkd_ledger
+      contract: token,
+      events: ["Transfer"],
+      map: (args) => ({
+        fromAddr: normalizeAddr(args.from),
+        toAddr: normalizeAddr(args.to),
+        amount: args.value.toString(),
+      }),
+      onInsert: (row) => applyTransfer(db, row),
+    },
+    {
+      // Seizure / court order: Transfer của cùng tx đã vào ledger ở trên, đây chỉ là audit trail
+      contract: token,
+      events: ["ForcedTransfer"],
+      map: (args) => ({
+        fromAddr: normalizeAddr(args.from),
+        toAddr: normalizeAddr(args.to),
+        amount: args.amount.toString(),
+      }),
+    },
+    {
+      contract: vault,
+      events: ["Deposited", "Withdrawn", "TransferBKD"],
+      map: (args) => ({
+        fromAddr: normalizeAddr(args.from ?? args.user ?? ""),
+        toAddr: normalizeAddr(args.to ?? ""),
+        amount: (args.amount ?? args.mintedBKD ?? args.burnedBKD ?? "").toString(),
+      }),
+    },
+    {
+      contract: lending,
+      events: [
+        "CollateralDeposited",
+        "CollateralWithdrawn",
+        "Borrowed",
+        "Repaid",
+        "Liquidated",
+        "BadDebtWrittenOff",
+        "Supplied",
+        "Redeemed",
+        "ReservesCollected",
+      ],
+      map: (args) => ({
+        fromAddr: normalizeAddr(args.user ?? args.treasury ?? ""),
+        // Liquidated: borrower = from, liquidator = to => cả 2 đều thấy trong /tx/:user
+        toAddr: normalizeAddr(args.liquidator ?? ""),
+        amount: (args.amount ?? args.repaid ?? "").toString(),
+      }),
+    },
+  ];
 
-  // To avoid re-reading the deployment block as 0 always, start at fromBlock+1
-  const start = fromBlock === 0 ? 0 : fromBlock + 1;
+  // Emergency pause (GranularPausable): action là bytes32 trong metaJson, contractAddress cho biết contract nào
+  for (const contract of [vault, token, lending]) {
+    sources.push({
+      contract,
+      events: ["Paused", "Unpaused"],
+      map: (args) => ({
+        fromAddr: normalizeAddr(args.by),
+        toAddr: "",
+        amount: "",
+      }),
+    });
+  }
 
-  const events = [];
+  // Optional: deployments from before SanctionsRegistry don't have it
+  if (sanctions) {
+    sources.push({
+      contract: sanctions,
+      events: ["AddressFrozen", "AddressUnfrozen"],
+      map: (args) => ({
+        fromAddr: normalizeAddr(args.account),
+        toAddr: normalizeAddr(args.by),
+        amount: "",
+      }),
+    });
+  }
 
-  // Vault events
-  const vaultEvents = [
-    { name: "Deposited", iface: vault.interface },
-    { name: "Withdrawn", iface: vault.interface },
-    { name: "TransferBKD", iface: vault.interface },
-  ];
+  // Optional: deployments from before BankTimelock (admin = EOA)
+  if (timelock) {
+    sources.push({
+      contract: timelock,
+      events: ["CallScheduled", "CallExecuted", "Cancelled"],
+      map: (args) => ({
+        fromAddr: "",
+        toAddr: normalizeAddr(args.target ?? ""),
+        amount: (args.value ?? "").toString(),
+      }),
+      onInsert: (row) => applyTimelockEvent(db, row),
+    });
+  }
 
-  for (const ev of vaultEvents) {
-    const logs = await provider.getLogs({
-      address: vault.target,
-      fromBlock: start,
-      toBlock: latest,
-      topics: [vault.interface.getEvent(ev.name).topicHash],
+  // Optional: ComplianceCouncil (M-of-N KYC decisions). KYCApproved/KYCRevoked của lúc execute có by = council
+  if (council) {
+    sources.push({
+      contract: council,
+      events: ["Proposed", "Confirmed", "ConfirmationRevoked", "Executed"],
+      map: (args) => ({
+        fromAddr: normalizeAddr(args.officer ?? args.proposer ?? ""),
+        toAddr: normalizeAddr(args.user ?? ""),
+        amount: "",
+      }),
     });
-    for (const l of logs) {
-      const parsed = vault.interface.parseLog(l);
-      events.push({
-        blockNumber: l.blockNumber,
-        txHash: l.transactionHash,
-        eventName: ev.name,
-        fromAddr: normalizeAddr(parsed.args.from ?? parsed.args.user ?? ""),
-        toAddr: normalizeAddr(parsed.args.to ?? ""),
-        amount: (parsed.args.amount ?? parsed.args.mintedBKD ?? parsed.args.burnedBKD ?? "").toString(),
-      });
+  }
+  return sources;
+}
+
+function getCheckpoint() {
+  return db.prepare("SELECT lastIndexedBlock, lastIndexedHash FROM indexer_state WHERE id = 1").get();
+}
+
+/**
+ * Drop everything above `block` and move the checkpoint back to it.
+ * block < 0 means "nothing is trustworthy", i.e. reindex from START_BLOCK.
+ */
+function rollbackTo(block, hash) {
+  const tx = db.transaction(() => {
+    const removed = db.prepare("DELETE FROM events WHERE blockNumber > ?").run(block).changes;
+    db.prepare("DELETE FROM kyc_discrepancies WHERE blockNumber > ? AND resolvedAt IS NULL").run(block);
+    db.prepare("DELETE FROM bkd_ledger WHERE blockNumber > ?").run(block);
+    rollbackTimelock(db, block);
+    rollbackKycSync(db, block);
+    db.prepare("DELETE FROM indexer_blocks WHERE blockNumber > ?").run(block);
+    db.prepare(
+      "UPDATE indexer_state SET lastIndexedBlock = ?, lastIndexedHash = ?, updatedAt = strftime('%s','now') WHERE id = 1"
+    ).run(Math.max(block, 0), block < 0 ? null : hash);
+    return removed;
+  });
+  return tx();
+}
+
+/**
+ * If the checkpoint block is no longer canonical, walk back through indexer_blocks
+ * to the newest block whose hash still matches the chain and roll back to it.
+ */
+async function handleReorg(provider) {
+  const cp = getCheckpoint();
+  if (!cp?.lastIndexedHash) return null;
+
+  const head = await provider.getBlock(cp.lastIndexedBlock);
+  if (head && head.hash === cp.lastIndexedHash) return null;
+
+  const stored = db
+    .prepare(
+      "SELECT blockNumber, blockHash FROM indexer_blocks WHERE blockNumber < ? ORDER BY blockNumber DESC LIMIT ?"
+    )
+    .all(cp.lastIndexedBlock, REORG_WINDOW);
+
+  let ancestor = { blockNumber: -1, blockHash: null };
+  for (const b of stored) {
+    const onChain = await provider.getBlock(b.blockNumber);
+    if (onChain && onChain.hash === b.blockHash) {
+      ancestor = b;
+      break;
     }
   }
 
-  // Lending events
-  const lendingEvents = [
-    "CollateralDeposited",
-    "CollateralWithdrawn",
-    "Borrowed",
-    "Repaid",
-  ];
+  if (ancestor.blockNumber < 0) {
+    console.warn(`Reorg deeper than ${REORG_WINDOW} blocks (or no history): reindexing from ${START_BLOCK}`);
+  }
+
+  const removed = rollbackTo(ancestor.blockNumber, ancestor.blockHash);
+  return { from: cp.lastIndexedBlock, to: ancestor.blockNumber, removed };
+}
+
+async function indexRange(provider, sources, fromBlock, toBlock, parentHash) {
+  const blocks = new Map();
+  async function block(n) {
+    if (!blocks.has(n)) {
+      const b = await provider.getBlock(n);
+      if (!b) throw new ReorgInProgress(`Block ${n} not available`);
+      blocks.set(n, b);
+    }
+    return blocks.get(n);
+  }
+
+  // Hash của `toBlock` cam kết toàn bộ tổ tiên: nếu không đổi trước/sau getLogs thì range nhất quán.
+  const endBefore = await block(toBlock);
+  if (parentHash) {
+    const first = await provider.getBlock(fromBlock);
+    if (!first || first.parentHash !== parentHash) throw new ReorgInProgress("Checkpoint no longer canonical");
+  }
 
-  for (const name of lendingEvents) {
+  const rows = [];
+  for (const src of sources) {
+    const iface = src.contract.interface;
     const logs = await provider.getLogs({
-      address: lending.target,
-      fromBlock: start,
-      toBlock: latest,
-      topics: [lending.interface.getEvent(name).topicHash],
+      address: src.contract.target,
+      fromBlock,
+      toBlock,
+      topics: [src.events.map((name) => iface.getEvent(name).topicHash)],
     });
+
     for (const l of logs) {
-      const parsed = lending.interface.parseLog(l);
-      events.push({
+      const parsed = iface.parseLog(l);
+      if (!parsed) continue;
+      rows.push({
         blockNumber: l.blockNumber,
+        blockHash: l.blockHash,
         txHash: l.transactionHash,
-        eventName: name,
-        fromAddr: normalizeAddr(parsed.args.user ?? ""),
-        toAddr: "",
-        amount: (parsed.args.amount ?? "").toString(),
+        logIndex: l.index,
+        contractAddress: normalizeAddr(l.address),
+        eventName: parsed.name,
+        ...src.map(parsed.args),
+        metaJson: JSON.stringify(argsToJson(parsed)),
+        onInsert: src.onInsert,
       });
     }
   }
 
-  // sort by blockNumber for deterministic inserts
-  events.sort((a, b) => a.blockNumber - b.blockNumber);
+  for (const r of rows) {
+    const b = await block(r.blockNumber);
+    if (b.hash !== r.blockHash) throw new ReorgInProgress(`Log block hash mismatch at ${r.blockNumber}`);
+    r.timestamp = b.timestamp;
+  }
+
+  const endAfter = await provider.getBlock(toBlock);
+  if (!endAfter || endAfter.hash !== endBefore.hash) throw new ReorgInProgress("Chain changed during batch");
+
+  // sort by (blockNumber, logIndex) for deterministic inserts
+  rows.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
 
   const insert = db.prepare(`
-    INSERT INTO events (blockNumber, txHash, eventName, fromAddr, toAddr, amount, timestamp)
-    VALUES (@blockNumber, @txHash, @eventName, @fromAddr, @toAddr, @amount, @timestamp)
+    INSERT OR IGNORE INTO events (
+      blockNumber, txHash, logIndex, contractAddress, eventName, fromAddr, toAddr, amount, timestamp, metaJson
+    ) VALUES (
+      @blockNumber, @txHash, @logIndex, @contractAddress, @eventName, @fromAddr, @toAddr, @amount, @timestamp, @metaJson
+    )
+  `);
+  const saveBlock = db.prepare(`
+    INSERT OR REPLACE INTO indexer_blocks (blockNumber, blockHash, parentHash, timestamp)
+    VALUES (?, ?, ?, ?)
   `);
 
+  const commit = db.transaction(() => {
+    let inserted = 0;
+    for (const { onInsert, ...r } of rows) {
+      const changes = insert.run(r).changes;
+      if (changes && onInsert) onInsert(r);
+      inserted += changes;
+    }
+
+    for (const b of blocks.values()) saveBlock.run(b.number, b.hash, b.parentHash, b.timestamp);
+    db.prepare("DELETE FROM indexer_blocks WHERE blockNumber <= ?").run(toBlock - REORG_WINDOW);
+    pruneKycSync(db, toBlock - REORG_WINDOW);
+
+    db.prepare(
+      "UPDATE indexer_state SET lastIndexedBlock = ?, lastIndexedHash = ?, updatedAt = strftime('%s','now') WHERE id = 1"
+    ).run(toBlock, endBefore.hash);
+
+    return inserted;
+  });
+
+  return { inserted: commit(), hash: endBefore.hash };
+}
+
+async function indexOnce() {
+  const provider = getProvider();
+  const contracts = await getContracts();
+  const sources = eventSources(contracts);
+
+  const reorg = await handleReorg(provider);
+  if (reorg) console.warn("Reorg detected, rolled back:", reorg);
+
+  const latest = await provider.getBlockNumber();
+  const target = latest - CONFIRMATIONS;
+
+  const cp = getCheckpoint();
+  const start = cp.lastIndexedHash ? cp.lastIndexedBlock + 1 : START_BLOCK;
+  let parentHash = cp.lastIndexedHash;
+
   let inserted = 0;
-  for (const e of events) {
-    const ts = await blockTimestamp(provider, e.blockNumber);
-    insert.run({ ...e, timestamp: ts });
-    inserted++;
+  let cursor = start;
+  try {
+    while (cursor <= target) {
+      const end = Math.min(cursor + BATCH_BLOCKS - 1, target);
+      const res = await indexRange(provider, sources, cursor, end, parentHash);
+      inserted += res.inserted;
+      parentHash = res.hash;
+      cursor = end + 1;
+    }
+  } catch (e) {
+    // Chain moved under us: keep what's committed, next poll will detect + roll back.
+    if (!(e instanceof ReorgInProgress)) throw e;
+    console.warn("Batch aborted:", e.message);
   }
 
-  return { latest, start, inserted };
+  return { latest, target, start, indexedTo: cursor - 1, inserted, reorg };
 }
 
 async function main() {
@@ -108,15 +358,19 @@ async function main() {
     console.log("Indexed:", res);
     if (once) process.exit(0);
 
-    console.log("Indexer running (poll every 3s) ...");
-    setInterval(async () => {
+    console.log(`Indexer running (poll every ${POLL_MS}ms, confirmations=${CONFIRMATIONS}) ...`);
+
+    // setTimeout chain (not setInterval) so two polls never overlap.
+    const loop = async () => {
       try {
         const r = await indexOnce();
-        if (r.inserted) console.log("Indexed:", r);
+        if (r.inserted || r.reorg) console.log("Indexed:", r);
       } catch (e) {
         console.error("index error:", e.message);
       }
-    }, 3000);
+      setTimeout(loop, POLL_MS);
+    };
+    setTimeout(loop, POLL_MS);
   } catch (e) {
     console.error(e);
     process.exit(1);
@@ -0,0 +1,212 @@
+/**
+ * Keep kyc_requests / kyc_actions in sync with KYCRegistry events.
+ *
+ * Called by the indexer, inside the same transaction that inserts the event row,
+ * and only for rows that were actually inserted (re-index = no-op).
+ *
+ * - KYCRequested(user, kycHash)          -> link to the dossier with that kycHash (requestTxHash)
+ * - KYCApproved(user, by, level, expiry) -> dossier PENDING => APPROVED
+ * - KYCRevoked(user, by)                 -> dossier APPROVED => REVOKED
+ *
+ * Anything that can't be matched (ví dụ approve thẳng on-chain mà DB không có hồ sơ, như deploy.ts seed)
+ * goes to kyc_discrepancies for an admin to review.
+ *
+ * Reorg: mọi thay đổi kyc_requests được ghi vào kyc_chain_sync (trước / sau, theo block của event) và
+ * kyc_actions từ chain mang detailsJson.blockNumber, nên indexer rollback gọi rollbackKycSync để hoàn tác.
+ */
+
+// các cột chainSync được phép đổi trên kyc_requests
+const SYNCED_COLUMNS = ["status", "reviewedAt", "updatedAt", "reviewer", "approveTxHash", "revokeTxHash", "requestTxHash"];
+
+function syncedColumns(db, requestId) {
+  return db.prepare(`SELECT ${SYNCED_COLUMNS.join(", ")} FROM kyc_requests WHERE id = ?`).get(requestId);
+}
+
+// UPDATE kyc_requests + journal (before / after) for rollbackKycSync
+function updateRequest(db, ev, requestId, sql, ...params) {
+  const before = syncedColumns(db, requestId);
+  db.prepare(sql).run(...params);
+  db.prepare(`INSERT INTO kyc_chain_sync (blockNumber, requestId, beforeJson, afterJson) VALUES (?, ?, ?, ?)`).run(
+    ev.blockNumber,
+    requestId,
+    JSON.stringify(before),
+    JSON.stringify(syncedColumns(db, requestId))
+  );
+}
+
+function logChainAction(db, { requestId, wallet, action, actor, ev, details }) {
+  // Backend đã ghi action cho đúng tx này rồi (approve/revoke qua API) thì thôi.
+  const seen = db
+    .prepare(`SELECT id FROM kyc_actions WHERE txHash = ? AND action = ? AND wallet = ? LIMIT 1`)
+    .get(ev.txHash, action, wallet);
+  if (seen) return;
+
+  db.prepare(
+    `
+    INSERT INTO kyc_actions(requestId, wallet, action, actor, txHash, at, detailsJson)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `
+  ).run(
+    requestId ?? null,
+    wallet,
+    action,
+    actor,
+    ev.txHash,
+    ev.timestamp,
+    JSON.stringify({ ...details, source: "chain", blockNumber: ev.blockNumber })
+  );
+}
+
+function flag(db, kind, { wallet, kycHash = null, requestId = null, ev, details = {} }) {
+  db.prepare(
+    `
+    INSERT OR IGNORE INTO kyc_discrepancies (
+      kind, wallet, kycHash, requestId, txHash, logIndex, blockNumber, detailsJson, detectedAt
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, strftime('%s','now'))
+  `
+  ).run(kind, wallet, kycHash, requestId, ev.txHash, ev.logIndex, ev.blockNumber, JSON.stringify(details));
+}
+
+/**
+ * kycHash the user had pending on-chain right before `ev` (the one approveFromRequest consumes).
+ */
+function pendingHashBefore(db, wallet, ev) {
+  const row = db
+    .prepare(
+      `
+      SELECT json_extract(metaJson, '$.kycHash') AS kycHash
+      FROM events
+      WHERE eventName = 'KYCRequested' AND fromAddr = ?
+        AND (blockNumber < ? OR (blockNumber = ? AND logIndex < ?))
+      ORDER BY blockNumber DESC, logIndex DESC
+      LIMIT 1
+    `
+    )
+    .get(wallet, ev.blockNumber, ev.blockNumber, ev.logIndex);
+  return row?.kycHash || null;
+}
+
+function onRequested(db, ev, args) {
+  const wallet = args.user;
+  const row = db
+    .prepare(
+      `SELECT id, status FROM kyc_requests WHERE wallet = ? AND kycHash = ? ORDER BY id DESC LIMIT 1`
+    )
+    .get(wallet, args.kycHash);
+
+  if (!row) {
+    flag(db, "REQUEST_WITHOUT_DOSSIER", { wallet, kycHash: args.kycHash, ev });
+    return;
+  }
+
+  updateRequest(db, ev, row.id, `UPDATE kyc_requests SET requestTxHash = ?, updatedAt = ? WHERE id = ?`, ev.txHash, ev.timestamp, row.id);
+  logChainAction(db, { requestId: row.id, wallet, action: "PUBLISHED", actor: wallet, ev, details: { kycHash: args.kycHash } });
+
+  // Publish một hồ sơ đã bị REJECT mới là bất thường; APPROVED/REVOKED thì chắc chắn đã publish
+  // trước đó (reindex lại lịch sử sẽ gặp các case này).
+  if (row.status === "REJECTED") {
+    flag(db, "REQUEST_FOR_CLOSED_DOSSIER", { wallet, kycHash: args.kycHash, requestId: row.id, ev, details: { dbStatus: row.status } });
+  }
+}
+
+function onApproved(db, ev, args) {
+  const wallet = args.user;
+  const kycHash = pendingHashBefore(db, wallet, ev);
+  const details = { level: Number(args.level), expiresAt: Number(args.expiresAt), kycHash };
+
+  const row = kycHash
+    ? db.prepare(`SELECT * FROM kyc_requests WHERE wallet = ? AND kycHash = ? ORDER BY id DESC LIMIT 1`).get(wallet, kycHash)
+    : null;
+
+  if (!row) {
+    flag(db, "APPROVAL_WITHOUT_DOSSIER", { wallet, kycHash, ev, details: { ...details, by: args.by } });
+    return;
+  }
+
+  if (row.status === "PENDING") {
+    updateRequest(
+      db,
+      ev,
+      row.id,
+      `
+      UPDATE kyc_requests
+      SET status='APPROVED', reviewedAt=?, updatedAt=?, reviewer=COALESCE(reviewer, ?), approveTxHash=?
+      WHERE id=?
+    `,
+      ev.timestamp,
+      ev.timestamp,
+      args.by,
+      ev.txHash,
+      row.id
+    );
+  } else if (row.status !== "APPROVED" && row.approveTxHash !== ev.txHash) {
+    flag(db, "APPROVED_ONCHAIN_BUT_DB_" + row.status, { wallet, kycHash, requestId: row.id, ev, details });
+  }
+
+  logChainAction(db, { requestId: row.id, wallet, action: "APPROVED", actor: args.by, ev, details });
+}
+
+function onRevoked(db, ev, args) {
+  const wallet = args.user;
+  const row = db
+    .prepare(`SELECT * FROM kyc_requests WHERE wallet = ? AND status IN ('APPROVED','REVOKED') ORDER BY id DESC LIMIT 1`)
+    .get(wallet);
+
+  if (!row) {
+    flag(db, "REVOCATION_WITHOUT_DOSSIER", { wallet, ev, details: { by: args.by } });
+    return;
+  }
+
+  updateRequest(
+    db,
+    ev,
+    row.id,
+    `UPDATE kyc_requests SET status='REVOKED', updatedAt=?, revokeTxHash=COALESCE(revokeTxHash, ?) WHERE id=?`,
+    ev.timestamp,
+    ev.txHash,
+    row.id
+  );
+
+  logChainAction(db, { requestId: row.id, wallet, action: "REVOKED", actor: args.by, ev, details: {} });
+}
+
+export function applyKycEvent(db, ev) {
+  const args = JSON.parse(ev.metaJson);
+  if (ev.eventName === "KYCRequested") onRequested(db, ev, args);
+  else if (ev.eventName === "KYCApproved") onApproved(db, ev, args);
+  else if (ev.eventName === "KYCRevoked") onRevoked(db, ev, args);
+}
+
+/**
+ * Undo what applyKycEvent wrote for events above `block` (indexer rollbackTo, same transaction).
+ * Newest change first; a dossier changed since by someone else (API) is left alone (logged).
+ */
+export function rollbackKycSync(db, block) {
+  const changes = db.prepare(`SELECT * FROM kyc_chain_sync WHERE blockNumber > ? ORDER BY id DESC`).all(block);
+  const restore = db.prepare(
+    `UPDATE kyc_requests SET ${SYNCED_COLUMNS.map((c) => `${c} = @${c}`).join(", ")} WHERE id = @id`
+  );
+
+  for (const c of changes) {
+    const current = syncedColumns(db, c.requestId);
+    if (!current) continue;
+    if (JSON.stringify(current) !== c.afterJson) {
+      console.warn(`KYC sync rollback: request #${c.requestId} changed since block ${c.blockNumber}, left as is`);
+      continue;
+    }
+    restore.run({ ...JSON.parse(c.beforeJson), id: c.requestId });
+  }
+
+  db.prepare(`DELETE FROM kyc_chain_sync WHERE blockNumber > ?`).run(block);
+  db.prepare(
+    `DELETE FROM kyc_actions
+     WHERE json_extract(detailsJson, '$.source') = 'chain' AND json_extract(detailsJson, '$.blockNumber') > ?`
+  ).run(block);
+}
+
+/**
+ * Journal rows at or below `block` can't be reorged any more (older than the indexer's reorg window).
+ */
+export function pruneKycSync(db, block) {
+  db.prepare(`DELETE FROM kyc_chain_sync WHERE blockNumber <= ?`).run(block);
+}
@@ -0,0 +1,258 @@
+import { ethers } from "ethers";
+import { getContracts, getAdminSigner, getAbi } from "../web3/web3.js";
+import { enqueueAdminTx, registerJobHandler } from "../txqueue/queue.js";
+import { recordApprove, recordRevoke, assertPendingOnChain, httpError } from "./decisions.js";
+
+/**
+ * ComplianceCouncil (M-of-N on-chain multisig) behind the KYC proposal endpoints.
+ *
+ * When contracts.json has a ComplianceCouncil, APPROVE / REVOKE proposals are decided on-chain:
+ * - each officer signs EIP-712 typed data in their wallet (GET /admin/kyc/proposals/:id/council) and the backend
+ *   relays it through the admin tx queue (proposeBySig / confirmBySig / revokeConfirmationBySig);
+ * - the first signature creates the council proposal (councilId), later ones confirm it;
+ * - the confirmation that reaches the threshold executes the KYCRegistry call in the same tx, and only
+ *   then the DB decision is recorded (recordApprove / recordRevoke with that tx).
+ *
+ * REJECT never touches the chain and keeps the DB four-eyes flow.
+ */
+
+export const COUNCIL_ACTIONS = { APPROVE: 0, REVOKE: 1 };
+
+const TYPES = {
+  propose: {
+    Propose: [
+      { name: "action", type: "uint8" },
+      { name: "user", type: "address" },
+      { name: "level", type: "uint8" },
+      { name: "kycExpiresAt", type: "uint64" },
+      { name: "nonce", type: "uint256" },
+    ],
+  },
+  confirm: {
+    Confirm: [
+      { name: "proposalId", type: "uint256" },
+      { name: "nonce", type: "uint256" },
+    ],
+  },
+  revoke: {
+    RevokeConfirmation: [
+      { name: "proposalId", type: "uint256" },
+      { name: "nonce", type: "uint256" },
+    ],
+  },
+};
+
+function nowSec() {
+  return Math.floor(Date.now() / 1000);
+}
+
+/**
+ * The council contract if this proposal is decided on-chain, else null (REJECT, or no council deployed).
+ */
+export async function councilFor(proposal) {
+  if (!(proposal.action in COUNCIL_ACTIONS)) return null;
+  const { council } = await getContracts();
+  return council;
+}
+
+export async function councilInfo() {
+  const { council } = await getContracts();
+  if (!council) return null;
+  const [threshold, proposalTtl] = await Promise.all([council.threshold(), council.proposalTtl()]);
+  return { address: council.target, threshold: Number(threshold), proposalTtl: Number(proposalTtl) };
+}
+
+function domain(cfg, council) {
+  return {
+    name: "BankChain Compliance Council",
+    version: "1",
+    chainId: cfg.chainId,
+    verifyingContract: council.target,
+  };
+}
+
+/**
+ * Relays of this officer still in the admin tx queue: each will use up one council nonce first.
+ */
+function queuedRelays(db, council, officer) {
+  return db
+    .prepare(
+      `
+      SELECT COUNT(*) AS n FROM admin_jobs
+      WHERE kind = 'COUNCIL_RELAY' AND status IN ('QUEUED','SENT') AND contractAddress = ?
+        AND lower(json_extract(contextJson, '$.officer')) = ?
+    `
+    )
+    .get(council.target.toLowerCase(), officer.toLowerCase()).n;
+}
+
+/**
+ * What `officer` has to sign next for this proposal: propose (no council proposal yet),
+ * confirm, or revoke (take back an earlier confirmation).
+ * The nonce skips over the officer's relays that are queued but not mined yet.
+ */
+export async function councilTypedData(db, proposal, { officer, op = null }) {
+  const council = await councilFor(proposal);
+  if (!council) throw httpError(400, "This proposal is not decided by the compliance council");
+  const { cfg } = await getContracts();
+
+  if (!proposal.councilId) {
+    if (op && op !== "propose") throw httpError(400, "Not on-chain yet: the first signature proposes it");
+    op = "propose";
+  } else {
+    const confirmed = await council.hasConfirmed(proposal.councilId, officer);
+    op = op || (confirmed ? "revoke" : "confirm");
+    if (op === "propose") throw httpError(409, `Already proposed on-chain as council proposal #${proposal.councilId}`);
+    if (op === "confirm" && confirmed) throw httpError(409, "You already confirmed this proposal");
+    if (op === "revoke" && !confirmed) throw httpError(409, "You have not confirmed this proposal");
+  }
+
+  const nonce = (await council.nonces(officer)) + BigInt(queuedRelays(db, council, officer));
+  const message =
+    op === "propose"
+      ? {
+          action: COUNCIL_ACTIONS[proposal.action],
+          user: ethers.getAddress(proposal.wallet),
+          level: proposal.action === "APPROVE" ? proposal.level ?? 1 : 0,
+          kycExpiresAt: proposal.action === "APPROVE" ? proposal.expiresAt ?? 0 : 0,
+          nonce: nonce.toString(),
+        }
+      : { proposalId: String(proposal.councilId), nonce: nonce.toString() };
+
+  return { op, domain: domain(cfg, council), types: TYPES[op], message };
+}
+
+function councilEvents(councilAddress, iface, receipt) {
+  return receipt.logs
+    .filter((l) => l.address.toLowerCase() === councilAddress)
+    .map((l) => iface.parseLog(l))
+    .filter(Boolean);
+}
+
+function logCouncilAction(db, p, { action, actor, txHash, details }) {
+  db.prepare(
+    `
+    INSERT INTO kyc_actions(requestId, wallet, action, actor, txHash, at, detailsJson)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `
+  ).run(p.requestId ?? null, p.wallet, action, actor, txHash, nowSec(), JSON.stringify(details));
+}
+
+const RELAY_METHODS = { propose: "proposeBySig", confirm: "confirmBySig", revoke: "revokeConfirmationBySig" };
+
+/**
+ * Queue one officer signature over `typed` (from councilTypedData) for DB proposal `p` in the admin tx
+ * queue. The signature is checked off-chain, and the call simulated when nothing of this officer is
+ * queued ahead of it, so a bad / stale signature is refused right away.
+ * Returns the job; the council columns are updated when it is confirmed (see the handler below).
+ */
+export async function relayCouncilSignature(db, p, { officer, typed, signature }) {
+  const council = await councilFor(p);
+  if (!council) throw httpError(400, "This proposal is not decided by the compliance council");
+  const { op } = typed;
+  const method = RELAY_METHODS[op];
+  if (!method) throw httpError(400, "op must be propose, confirm or revoke");
+
+  let signer;
+  try {
+    signer = ethers.verifyTypedData(typed.domain, typed.types, typed.message, signature);
+  } catch {
+    signer = null;
+  }
+  if (signer?.toLowerCase() !== officer.toLowerCase()) {
+    throw httpError(409, "Council rejected the signature: InvalidSignature (sign the latest typed data again)");
+  }
+  const { kyc } = await getContracts();
+
+  if (p.action === "APPROVE" && op !== "revoke") {
+    const row = db.prepare(`SELECT * FROM kyc_requests WHERE id = ?`).get(p.requestId);
+    await assertPendingOnChain(kyc, row);
+  }
+
+  const args =
+    op === "propose"
+      ? [
+          COUNCIL_ACTIONS[p.action],
+          p.wallet,
+          p.action === "APPROVE" ? p.level ?? 1 : 0,
+          p.action === "APPROVE" ? p.expiresAt ?? 0 : 0,
+          officer,
+          signature,
+        ]
+      : [p.councilId, officer, signature];
+
+  const chainNonce = await council.nonces(officer);
+  if (!queuedRelays(db, council, officer)) {
+    try {
+      const relayer = await getAdminSigner();
+      await council.connect(relayer)[method].staticCall(...args);
+    } catch (e) {
+      // custom errors (ProposalExpired, AlreadyConfirmed, NotOfficer...) come back as revert data
+      const reason = e?.revert?.name || e?.shortMessage || e.message;
+      throw httpError(409, `Council rejected the signature: ${reason}`);
+    }
+  }
+
+  // no await from here to the insert: of two signatures over the same nonce only the first gets queued
+  if (BigInt(typed.message.nonce) !== chainNonce + BigInt(queuedRelays(db, council, officer))) {
+    throw httpError(409, "Council rejected the signature: nonce already used by another queued signature, sign again");
+  }
+  return enqueueAdminTx(db, {
+    kind: "COUNCIL_RELAY",
+    contractName: "ComplianceCouncil",
+    contract: council,
+    method,
+    args,
+    context: { proposalId: p.id, officer, op },
+    createdBy: officer,
+  });
+}
+
+/**
+ * Relay confirmed: mirror the council proposal state onto the DB proposal, and record the KYC decision
+ * if this confirmation reached the threshold (the registry call ran in the same tx).
+ */
+registerJobHandler("COUNCIL_RELAY", {
+  onConfirmed: (db, job, receipt) => {
+    const { proposalId, officer, op } = job.context;
+    const p = db.prepare(`SELECT * FROM kyc_proposals WHERE id = ?`).get(proposalId);
+    const iface = new ethers.Interface(getAbi("ComplianceCouncil"));
+    const events = councilEvents(job.contractAddress, iface, receipt);
+
+    const proposed = events.find((ev) => ev.name === "Proposed");
+    const councilId = proposed ? Number(proposed.args.id) : p.councilId;
+    const last = [...events].reverse().find((ev) => ev.name === "Confirmed" || ev.name === "ConfirmationRevoked");
+    const confirmations = last ? Number(last.args.confirmations) : p.councilConfirmations;
+    const executed = events.some((ev) => ev.name === "Executed");
+
+    db.prepare(`UPDATE kyc_proposals SET councilId = ?, councilConfirmations = ?, councilTxHash = ? WHERE id = ?`).run(
+      councilId,
+      confirmations,
+      receipt.hash,
+      p.id
+    );
+    logCouncilAction(db, p, {
+      action: op === "revoke" ? "COUNCIL_CONFIRMATION_REVOKED" : "COUNCIL_CONFIRMED",
+      actor: officer,
+      txHash: receipt.hash,
+      details: { proposalId: p.id, councilId, confirmations },
+    });
+
+    if (executed) {
+      const record = {
+        notes: p.notes,
+        reviewer: officer,
+        details: { proposalId: p.id, councilId, proposedBy: p.proposedBy, confirmedBy: officer },
+        txHash: receipt.hash,
+        signer: job.contractAddress,
+      };
+      if (p.action === "APPROVE") {
+        recordApprove(db, { ...record, requestId: p.requestId, level: p.level, expiresAt: p.expiresAt });
+      } else {
+        recordRevoke(db, { ...record, wallet: p.wallet });
+      }
+    }
+
+    return { councilId, confirmations, executed };
+  },
+});
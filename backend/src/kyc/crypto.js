@@ -0,0 +1,177 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { ethers } from "ethers";
+
+/**
+ * Envelope encryption for KYC dossiers (kyc_requests.payloadJson).
+ *
+ * - Mỗi record có 1 data key (DEK) ngẫu nhiên, AES-256-GCM mã hoá canonical payload.
+ * - DEK được "wrap" bằng master key (KEK) đọc từ keyfile local.
+ * - AAD của payload = kycHash, nên không thể tráo ciphertext giữa các record.
+ * - Rotate master key = chỉ re-wrap DEK, không phải mã hoá lại payload.
+ *
+ * Keyfile (JSON, chmod 600):
+ *   { "current": "k2", "keys": { "k1": "<base64 32 bytes>", "k2": "..." } }
+ */
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// backend/src/kyc/crypto.js -> backend root = đi lên 2 cấp
+const BACKEND_ROOT = path.resolve(__dirname, "..", "..");
+
+const ALG = "aes-256-gcm";
+
+export function keyfilePath() {
+  const envFile = process.env.KYC_MASTER_KEY_FILE;
+  if (!envFile) return path.join(BACKEND_ROOT, "data", "kyc-master-key.json");
+  return path.isAbsolute(envFile) ? envFile : path.resolve(BACKEND_ROOT, envFile);
+}
+
+function newKeyId(keys) {
+  let n = Object.keys(keys).length + 1;
+  while (keys[`k${n}`]) n++;
+  return `k${n}`;
+}
+
+export function writeKeyring(ring, file = keyfilePath()) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(ring, null, 2), { encoding: "utf-8", mode: 0o600 });
+}
+
+function keyringError(message) {
+  const e = new Error(message);
+  e.status = 500; // cấu hình server sai, không phải lỗi của request
+  return e;
+}
+
+/**
+ * Load the keyring. A missing keyfile is an error: generating a fresh "k1" here would seal new dossiers
+ * with a different key and silently orphan every existing envelope. Keys are created by `keytool init`.
+ */
+export function loadKeyring(file = keyfilePath()) {
+  if (!fs.existsSync(file)) {
+    throw keyringError(
+      `KYC master keyfile not found: ${file}. Check KYC_MASTER_KEY_FILE, restore it from backup, ` +
+        "or create one with `npm --workspace backend run kyc:keys -- init`"
+    );
+  }
+
+  const ring = JSON.parse(fs.readFileSync(file, "utf-8"));
+  if (!ring?.current || !ring?.keys?.[ring.current]) {
+    throw keyringError(`Invalid KYC keyfile ${file}: missing current key`);
+  }
+  return ring;
+}
+
+/**
+ * Create the keyfile (keytool init). Refused while records are sealed with some key: a new "k1" could never
+ * open them, so the original keyfile has to be found instead.
+ * @param existingEnvelopes number of kyc_requests rows that are envelopes
+ */
+export function createKeyring(file, { existingEnvelopes = 0 } = {}) {
+  if (fs.existsSync(file)) throw new Error(`Keyfile ${file} already exists`);
+  if (existingEnvelopes > 0) {
+    throw new Error(
+      `${existingEnvelopes} KYC record(s) are encrypted but ${file} is missing: restore the keyfile ` +
+        "(or fix KYC_MASTER_KEY_FILE) instead of creating a new one"
+    );
+  }
+  const ring = { current: "k1", keys: { k1: crypto.randomBytes(32).toString("base64") } };
+  writeKeyring(ring, file);
+  return ring;
+}
+
+export function addMasterKey(ring) {
+  const kid = newKeyId(ring.keys);
+  return {
+    current: kid,
+    keys: { ...ring.keys, [kid]: crypto.randomBytes(32).toString("base64") },
+  };
+}
+
+function masterKey(ring, kid) {
+  const b64 = ring.keys[kid];
+  if (!b64) throw new Error(`Master key ${kid} not found in keyfile`);
+  const key = Buffer.from(b64, "base64");
+  if (key.length !== 32) throw new Error(`Master key ${kid} must be 32 bytes`);
+  return key;
+}
+
+function seal(key, plaintext, aad) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALG, key, iv);
+  if (aad) cipher.setAAD(Buffer.from(aad, "utf-8"));
+  const ct = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return { iv: iv.toString("base64"), tag: cipher.getAuthTag().toString("base64"), ct: ct.toString("base64") };
+}
+
+function open(key, box, aad) {
+  const decipher = crypto.createDecipheriv(ALG, key, Buffer.from(box.iv, "base64"));
+  if (aad) decipher.setAAD(Buffer.from(aad, "utf-8"));
+  decipher.setAuthTag(Buffer.from(box.tag, "base64"));
+  return Buffer.concat([decipher.update(Buffer.from(box.ct, "base64")), decipher.final()]);
+}
+
+export function isEnvelope(payloadJson) {
+  try {
+    const o = JSON.parse(payloadJson);
+    return o?.enc === "kyc-envelope-v1";
+  } catch {
+    return false;
+  }
+}
+
+export function envelopeKeyId(payloadJson) {
+  return isEnvelope(payloadJson) ? JSON.parse(payloadJson).kid : null;
+}
+
+/**
+ * Encrypt the canonical dossier. Returns the string to store in payloadJson.
+ */
+export function encryptDossier(ring, canonical, kycHash) {
+  const dek = crypto.randomBytes(32);
+  const kid = ring.current;
+
+  const payload = seal(dek, Buffer.from(canonical, "utf-8"), kycHash);
+  const wrapped = seal(masterKey(ring, kid), dek, kid);
+
+  return JSON.stringify({ enc: "kyc-envelope-v1", alg: ALG, kid, wrappedKey: wrapped, payload });
+}
+
+/**
+ * Decrypt payloadJson and re-check the kycHash commitment.
+ * Legacy plaintext rows are returned as-is (encrypted=false) until keytool encrypt-existing runs.
+ */
+export function decryptDossier(ring, payloadJson, kycHash) {
+  let canonical;
+  let encrypted = false;
+
+  if (isEnvelope(payloadJson)) {
+    const env = JSON.parse(payloadJson);
+    const dek = open(masterKey(ring, env.kid), env.wrappedKey, env.kid);
+    canonical = open(dek, env.payload, kycHash).toString("utf-8");
+    encrypted = true;
+  } else {
+    canonical = payloadJson;
+  }
+
+  const recomputed = ethers.keccak256(ethers.toUtf8Bytes(canonical));
+  const hashVerified = recomputed.toLowerCase() === String(kycHash).toLowerCase();
+
+  return { canonical, encrypted, hashVerified };
+}
+
+/**
+ * Re-wrap the DEK under the keyring's current master key (payload ciphertext unchanged).
+ */
+export function rewrapEnvelope(ring, payloadJson) {
+  const env = JSON.parse(payloadJson);
+  if (env.kid === ring.current) return payloadJson;
+
+  const dek = open(masterKey(ring, env.kid), env.wrappedKey, env.kid);
+  const wrapped = seal(masterKey(ring, ring.current), dek, ring.current);
+  return JSON.stringify({ ...env, kid: ring.current, wrappedKey: wrapped });
+}
@@ -0,0 +1,222 @@
+import { ethers } from "ethers";
+import { getContracts } from "../web3/web3.js";
+import { enqueueAdminTx, registerJobHandler } from "../txqueue/queue.js";
+
+/**
+ * Execute a final KYC decision (on-chain where needed) and record it in the DB.
+ *
+ * These run only after the maker-checker step (see proposals.js):
+ * - reviewer = the officer whose confirmation triggered execution
+ * - details  = extra audit fields merged into kyc_actions.detailsJson
+ *
+ * Approve / revoke don't send anything themselves: they queue a registry call in the admin tx queue
+ * (txqueue/queue.js) and return its jobId; recordApprove / recordRevoke write the DB side once the
+ * receipt is confirmed (also used when the ComplianceCouncil executed the call, see council.js).
+ *
+ * Errors carry an HTTP status (e.status) so routes can forward them as-is.
+ */
+
+function nowSec() {
+  return Math.floor(Date.now() / 1000);
+}
+
+/**
+ * Kiểm tra contract có hàm X hay không (để tương thích cả bản cũ và bản upgrade).
+ */
+function hasFn(contract, fnName) {
+  return typeof contract?.[fnName] === "function";
+}
+
+export function httpError(status, message) {
+  const e = new Error(message);
+  e.status = status;
+  return e;
+}
+
+/**
+ * The user's on-chain pending request must be the dossier we are approving (KYC v2).
+ */
+export async function assertPendingOnChain(kyc, row) {
+  const pending = await kyc.pendingKycHash(row.wallet);
+  if (!pending || pending === ethers.ZeroHash) {
+    throw httpError(
+      400,
+      "On-chain pending request not found. User must call requestKYC(kycHash) on-chain first."
+    );
+  }
+
+  // optional: check match hash
+  if (pending.toLowerCase() !== String(row.kycHash).toLowerCase()) {
+    throw httpError(400, "On-chain pending hash does not match DB kycHash. Refuse to approve.");
+  }
+}
+
+export async function executeApprove(db, { requestId, level, expiresAt, notes, reviewer, details = {} }) {
+  const row = db.prepare(`SELECT * FROM kyc_requests WHERE id = ?`).get(requestId);
+  if (!row) throw httpError(404, "Request not found");
+  if (row.status !== "PENDING") throw httpError(400, "Request is not pending");
+
+  const { kyc } = await getContracts();
+  const context = { requestId, level, expiresAt, notes: notes || null, reviewer, details };
+
+  // Nếu contract đã upgrade theo v2:
+  // - user phải publish requestHash on-chain: kyc.requestKYC(kycHash)
+  // - admin approveFromRequest(user, level, expiresAt)
+  let job;
+  if (hasFn(kyc, "approveFromRequest") && hasFn(kyc, "pendingKycHash")) {
+    await assertPendingOnChain(kyc, row);
+    job = enqueueAdminTx(db, {
+      kind: "KYC_APPROVE",
+      contractName: "KYCRegistry",
+      contract: kyc,
+      method: "approveFromRequest",
+      args: [row.wallet, level, expiresAt],
+      context,
+      createdBy: reviewer,
+    });
+  } else if (hasFn(kyc, "approveKYC")) {
+    // fallback: contract cũ (approve thẳng address)
+    job = enqueueAdminTx(db, {
+      kind: "KYC_APPROVE",
+      contractName: "KYCRegistry",
+      contract: kyc,
+      method: "approveKYC",
+      args: [row.wallet],
+      context,
+      createdBy: reviewer,
+    });
+  } else {
+    throw httpError(500, "KYC contract does not support approval methods");
+  }
+
+  return { jobId: job.id, txHash: null };
+}
+
+/**
+ * DB side of an approval whose tx is confirmed (admin tx queue or ComplianceCouncil).
+ * The indexer may have seen the KYCApproved event first: then only the reviewer/notes are filled in.
+ */
+export function recordApprove(db, { requestId, level, expiresAt, notes, reviewer, details = {}, txHash, signer }) {
+  const row = db.prepare(`SELECT * FROM kyc_requests WHERE id = ?`).get(requestId);
+  if (!row) throw httpError(404, "Request not found");
+  if (row.status !== "PENDING" && row.approveTxHash !== txHash) {
+    throw httpError(409, `Request #${requestId} is ${row.status} in the DB`);
+  }
+
+  const ts = nowSec();
+  db.prepare(
+    `
+    UPDATE kyc_requests
+    SET status='APPROVED', reviewedAt=?, updatedAt=?, reviewer=?, notes=?, approveTxHash=?
+    WHERE id=?
+  `
+  ).run(ts, ts, reviewer, notes || null, txHash, requestId);
+
+  // actor = người ký duyệt (session), signer = hot wallet gửi tx on-chain (hoặc council)
+  logDecision(db, {
+    requestId,
+    wallet: row.wallet,
+    action: "APPROVED",
+    actor: reviewer,
+    txHash,
+    details: { ...details, level, expiresAt, signer },
+  });
+
+  return { txHash };
+}
+
+/**
+ * The backend's own kyc_actions row for a decision tx; replaces the row the indexer wrote
+ * (source: chain) if it got there first.
+ */
+function logDecision(db, { requestId, wallet, action, actor, txHash, details }) {
+  db.prepare(`DELETE FROM kyc_actions WHERE txHash = ? AND action = ? AND wallet = ?`).run(txHash, action, wallet);
+  db.prepare(
+    `
+    INSERT INTO kyc_actions(requestId, wallet, action, actor, txHash, at, detailsJson)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `
+  ).run(requestId ?? null, wallet, action, actor, txHash, nowSec(), JSON.stringify(details));
+}
+
+export function executeReject(db, { requestId, notes, reviewer, details = {} }) {
+  const row = db.prepare(`SELECT * FROM kyc_requests WHERE id = ?`).get(requestId);
+  if (!row) throw httpError(404, "Request not found");
+  if (row.status !== "PENDING") throw httpError(400, "Not pending");
+
+  const ts = nowSec();
+
+  db.prepare(
+    `
+    UPDATE kyc_requests
+    SET status='REJECTED', reviewedAt=?, updatedAt=?, reviewer=?, notes=?
+    WHERE id=?
+  `
+  ).run(ts, ts, reviewer, notes || null, requestId);
+
+  db.prepare(
+    `
+    INSERT INTO kyc_actions(requestId, wallet, action, actor, at, detailsJson)
+    VALUES (?, ?, 'REJECTED', ?, ?, ?)
+  `
+  ).run(requestId, row.wallet, reviewer, ts, JSON.stringify({ ...details, notes: notes || "" }));
+
+  return { txHash: null };
+}
+
+export async function executeRevoke(db, { wallet, notes, reviewer, details = {} }) {
+  const { kyc } = await getContracts();
+  if (!hasFn(kyc, "revokeKYC")) throw httpError(500, "KYC contract does not support revokeKYC");
+
+  const job = enqueueAdminTx(db, {
+    kind: "KYC_REVOKE",
+    contractName: "KYCRegistry",
+    contract: kyc,
+    method: "revokeKYC",
+    args: [wallet],
+    context: { wallet, notes: notes || null, reviewer, details },
+    createdBy: reviewer,
+  });
+
+  return { jobId: job.id, txHash: null };
+}
+
+export function recordRevoke(db, { wallet, notes, reviewer, details = {}, txHash, signer }) {
+  const ts = nowSec();
+
+  // update latest approved request if exists (indexer có thể đã chuyển sang REVOKED trước)
+  const latest = db
+    .prepare(
+      `SELECT id FROM kyc_requests WHERE wallet=? AND status IN ('APPROVED','REVOKED') ORDER BY id DESC LIMIT 1`
+    )
+    .get(wallet);
+
+  if (latest) {
+    db.prepare(
+      `
+      UPDATE kyc_requests
+      SET status='REVOKED', updatedAt=?, reviewer=?, notes=?, revokeTxHash=?
+      WHERE id=?
+    `
+    ).run(ts, reviewer, notes || null, txHash, latest.id);
+  }
+
+  logDecision(db, {
+    requestId: latest?.id,
+    wallet,
+    action: "REVOKED",
+    actor: reviewer,
+    txHash,
+    details: { ...details, notes: notes || "", signer },
+  });
+
+  return { txHash };
+}
+
+// Admin tx queue: the DB only changes once the registry tx is confirmed
+registerJobHandler("KYC_APPROVE", {
+  onConfirmed: (db, job, receipt) => recordApprove(db, { ...job.context, txHash: receipt.hash, signer: job.signer }),
+});
+registerJobHandler("KYC_REVOKE", {
+  onConfirmed: (db, job, receipt) => recordRevoke(db, { ...job.context, txHash: receipt.hash, signer: job.signer }),
+});
@@ -0,0 +1,131 @@
+import fs from "fs";
+import dotenv from "dotenv";
+import { initDb } from "../db/db.js";
+import {
+  keyfilePath,
+  loadKeyring,
+  createKeyring,
+  writeKeyring,
+  addMasterKey,
+  isEnvelope,
+  envelopeKeyId,
+  encryptDossier,
+  rewrapEnvelope,
+} from "./crypto.js";
+
+/**
+ * KYC master key management.
+ *
+ *   node src/kyc/keytool.js init               # create keyfile if missing (refused if records are encrypted)
+ *   node src/kyc/keytool.js status             # keys + how many records use each
+ *   node src/kyc/keytool.js rotate [--prune]   # new master key, re-wrap every record
+ *   node src/kyc/keytool.js encrypt-existing   # encrypt legacy plaintext payloadJson rows
+ *
+ * Rotate ghi keyfile (giữ cả key cũ) TRƯỚC khi re-wrap, nên chết giữa chừng vẫn giải mã được;
+ * chạy lại rotate sẽ làm nốt các record còn lại. --prune xoá key cũ khi không còn record nào dùng.
+ */
+
+dotenv.config();
+
+const [cmd = "status", ...flags] = process.argv.slice(2);
+const db = initDb();
+
+function envelopeCount() {
+  let n = 0;
+  for (const r of db.prepare(`SELECT payloadJson FROM kyc_requests`).iterate()) if (isEnvelope(r.payloadJson)) n++;
+  return n;
+}
+
+function keyUsage(ring) {
+  const usage = Object.fromEntries(Object.keys(ring.keys).map((k) => [k, 0]));
+  let plaintext = 0;
+  for (const r of db.prepare(`SELECT payloadJson FROM kyc_requests`).iterate()) {
+    const kid = envelopeKeyId(r.payloadJson);
+    if (kid) usage[kid] = (usage[kid] || 0) + 1;
+    else plaintext++;
+  }
+  return { usage, plaintext };
+}
+
+function rewrapAll(ring) {
+  const rows = db.prepare(`SELECT id, payloadJson FROM kyc_requests`).all();
+  const update = db.prepare(`UPDATE kyc_requests SET payloadJson = ? WHERE id = ?`);
+  let rewrapped = 0;
+
+  const tx = db.transaction(() => {
+    for (const r of rows) {
+      if (!isEnvelope(r.payloadJson)) continue;
+      const next = rewrapEnvelope(ring, r.payloadJson);
+      if (next !== r.payloadJson) {
+        update.run(next, r.id);
+        rewrapped++;
+      }
+    }
+  });
+  tx();
+
+  return rewrapped;
+}
+
+function encryptExisting(ring) {
+  const rows = db.prepare(`SELECT id, kycHash, payloadJson FROM kyc_requests`).all();
+  const update = db.prepare(`UPDATE kyc_requests SET payloadJson = ?, message = NULL WHERE id = ?`);
+  let encrypted = 0;
+
+  const tx = db.transaction(() => {
+    for (const r of rows) {
+      if (isEnvelope(r.payloadJson)) continue;
+      update.run(encryptDossier(ring, r.payloadJson, r.kycHash), r.id);
+      encrypted++;
+    }
+  });
+  tx();
+
+  return encrypted;
+}
+
+try {
+  const file = keyfilePath();
+
+  if (cmd === "init") {
+    if (fs.existsSync(file)) {
+      console.log(`Keyfile OK: ${file} (current=${loadKeyring(file).current})`);
+    } else {
+      createKeyring(file, { existingEnvelopes: envelopeCount() });
+      console.log(`Created ${file} (current=k1). Back it up: encrypted KYC records can't be read without it.`);
+    }
+  } else if (cmd === "status") {
+    const ring = loadKeyring(file);
+    console.log({ file, current: ring.current, ...keyUsage(ring) });
+  } else if (cmd === "rotate") {
+    const ring = addMasterKey(loadKeyring(file));
+    writeKeyring(ring, file);
+    const rewrapped = rewrapAll(ring);
+
+    if (flags.includes("--prune")) {
+      const { usage } = keyUsage(ring);
+      for (const kid of Object.keys(ring.keys)) {
+        if (kid !== ring.current && !usage[kid]) delete ring.keys[kid];
+      }
+      writeKeyring(ring, file);
+    }
+
+    console.log(`Rotated to ${ring.current}; re-wrapped ${rewrapped} record(s).`);
+  } else if (cmd === "encrypt-existing") {
+    const ring = loadKeyring(file);
+    const encrypted = encryptExisting(ring);
+    console.log(`Encrypted ${encrypted} plaintext record(s) with ${ring.current}.`);
+  } else {
+    console.error(`Unknown command: ${cmd}`);
+    process.exitCode = 1;
+  }
+} catch (e) {
+  console.error("keytool failed:", e);
+  process.exitCode = 1;
+} finally {
+  try {
+    db.close();
+  } catch {
+    // ignore
+  }
+}
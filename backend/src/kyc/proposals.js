@@ -0,0 +1,303 @@
+import { executeApprove, executeReject, executeRevoke, httpError } from "./decisions.js";
+import { assertNoOpenHits } from "../screening/screening.js";
+import { councilFor, councilTypedData, relayCouncilSignature } from "./council.js";
+import { registerJobHandler } from "../txqueue/queue.js";
+
+/**
+ * Maker-checker (four-eyes) for KYC decisions.
+ *
+ * - Officer A proposes APPROVE / REJECT / REVOKE (with level + expiry for approvals).
+ * - Officer B (khác A) confirms -> chỉ lúc này mới gửi tx on-chain / đổi status DB.
+ * - Proposal không ai confirm trong KYC_PROPOSAL_TTL_SEC thì tự EXPIRED.
+ *
+ * Every step is written to kyc_actions (PROPOSED, CONFIRMED, PROPOSAL_EXPIRED, PROPOSAL_CANCELLED),
+ * followed by the usual APPROVED / REJECTED / REVOKED row from decisions.js.
+ *
+ * APPROVE / REVOKE go through the admin tx queue: the confirmed proposal stays EXECUTING (jobId) until
+ * its tx is confirmed (-> EXECUTED) or the job fails (-> back to PENDING, EXECUTION_FAILED logged).
+ *
+ * With a ComplianceCouncil deployed, APPROVE / REVOKE are confirmed by officer signatures relayed to
+ * the council instead (council.js): the M-of-N rule is enforced on-chain, and the proposal stays
+ * PENDING until the threshold is reached.
+ */
+
+const PROPOSAL_TTL_SEC = Number(process.env.KYC_PROPOSAL_TTL_SEC || 24 * 60 * 60);
+
+function nowSec() {
+  return Math.floor(Date.now() / 1000);
+}
+
+function logAction(db, { requestId, wallet, action, actor, details }) {
+  db.prepare(
+    `
+    INSERT INTO kyc_actions(requestId, wallet, action, actor, at, detailsJson)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `
+  ).run(requestId ?? null, wallet, action, actor, nowSec(), JSON.stringify(details));
+}
+
+/**
+ * Lazily expire stale proposals (called before any read/confirm, no background job needed).
+ */
+export function expireStaleProposals(db) {
+  const ts = nowSec();
+  const stale = db
+    .prepare(`SELECT * FROM kyc_proposals WHERE status = 'PENDING' AND proposalExpiresAt < ?`)
+    .all(ts);
+
+  const expire = db.transaction(() => {
+    for (const p of stale) {
+      db.prepare(`UPDATE kyc_proposals SET status = 'EXPIRED', closedAt = ? WHERE id = ?`).run(ts, p.id);
+      logAction(db, {
+        requestId: p.requestId,
+        wallet: p.wallet,
+        action: "PROPOSAL_EXPIRED",
+        actor: "system",
+        details: { proposalId: p.id, proposedAction: p.action, proposedBy: p.proposedBy },
+      });
+    }
+  });
+  expire();
+
+  return stale.length;
+}
+
+export function createProposal(db, { action, requestId = null, wallet, level = null, expiresAt = null, notes, proposedBy }) {
+  expireStaleProposals(db);
+
+  if (requestId != null) {
+    const row = db.prepare(`SELECT id, wallet, status FROM kyc_requests WHERE id = ?`).get(requestId);
+    if (!row) throw httpError(404, "Request not found");
+    if (row.status !== "PENDING") throw httpError(400, "Request is not pending");
+    if (action === "APPROVE") assertNoOpenHits(db, requestId);
+    wallet = row.wallet;
+  }
+
+  // Một request/ví chỉ có tối đa 1 proposal đang chờ, tránh 2 quyết định trái ngược cùng lúc.
+  const open = db
+    .prepare(
+      `SELECT id FROM kyc_proposals
+       WHERE status IN ('PENDING','EXECUTING') AND (requestId = ? OR (requestId IS NULL AND wallet = ?))
+       LIMIT 1`
+    )
+    .get(requestId, wallet);
+  if (open) throw httpError(409, `Proposal #${open.id} is already waiting for confirmation`);
+
+  const ts = nowSec();
+  const ins = db
+    .prepare(
+      `
+      INSERT INTO kyc_proposals (
+        requestId, wallet, action, level, expiresAt, notes,
+        proposedBy, proposedAt, proposalExpiresAt, status
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'PENDING')
+    `
+    )
+    .run(requestId, wallet, action, level, expiresAt, notes || null, proposedBy, ts, ts + PROPOSAL_TTL_SEC);
+
+  const proposalId = Number(ins.lastInsertRowid);
+  logAction(db, {
+    requestId,
+    wallet,
+    action: "PROPOSED",
+    actor: proposedBy,
+    details: { proposalId, proposedAction: action, level, expiresAt, notes: notes || "" },
+  });
+
+  return db.prepare(`SELECT * FROM kyc_proposals WHERE id = ?`).get(proposalId);
+}
+
+export function listProposals(db, { status = "PENDING" } = {}) {
+  expireStaleProposals(db);
+  return db
+    .prepare(
+      `SELECT * FROM kyc_proposals WHERE status = ? ORDER BY proposedAt DESC LIMIT 200`
+    )
+    .all(status);
+}
+
+export function cancelProposal(db, { proposalId, actor }) {
+  expireStaleProposals(db);
+  const p = db.prepare(`SELECT * FROM kyc_proposals WHERE id = ?`).get(proposalId);
+  if (!p) throw httpError(404, "Proposal not found");
+  if (p.status !== "PENDING") throw httpError(400, `Proposal is ${p.status}`);
+  if (p.proposedBy !== actor) throw httpError(403, "Only the proposer can cancel a proposal");
+  if (p.councilConfirmations) {
+    throw httpError(409, `Already signed on-chain (council proposal #${p.councilId}): withdraw the confirmations instead`);
+  }
+
+  db.prepare(`UPDATE kyc_proposals SET status = 'CANCELLED', closedAt = ? WHERE id = ?`).run(nowSec(), p.id);
+  logAction(db, {
+    requestId: p.requestId,
+    wallet: p.wallet,
+    action: "PROPOSAL_CANCELLED",
+    actor,
+    details: { proposalId: p.id },
+  });
+}
+
+/**
+ * Second signature. Runs the decision: REJECT closes the proposal as EXECUTED right away, APPROVE / REVOKE
+ * queue their tx and return { status: "EXECUTING", jobId } (see the queue handlers at the bottom).
+ * If the decision can't be queued (e.g. user hasn't published requestKYC yet) the proposal goes back to PENDING.
+ */
+export async function confirmProposal(db, { proposalId, confirmedBy, signature = null }) {
+  expireStaleProposals(db);
+  const p = db.prepare(`SELECT * FROM kyc_proposals WHERE id = ?`).get(proposalId);
+  if (!p) throw httpError(404, "Proposal not found");
+  if (p.status !== "PENDING") throw httpError(400, `Proposal is ${p.status}`);
+  // a rescreen may have raised a hit after the proposal was made
+  if (p.action === "APPROVE") assertNoOpenHits(db, p.requestId);
+
+  if (await councilFor(p)) return councilSign(db, p, { officer: confirmedBy, op: p.councilId ? "confirm" : "propose", signature });
+
+  if (p.proposedBy === confirmedBy) {
+    throw httpError(403, "Four-eyes rule: the confirming officer must differ from the proposer");
+  }
+
+  // Claim the proposal so two concurrent confirmations can't both send a tx.
+  const claimed = db
+    .prepare(`UPDATE kyc_proposals SET status = 'EXECUTING' WHERE id = ? AND status = 'PENDING'`)
+    .run(p.id);
+  if (!claimed.changes) throw httpError(409, "Proposal is being confirmed by someone else");
+
+  logAction(db, {
+    requestId: p.requestId,
+    wallet: p.wallet,
+    action: "CONFIRMED",
+    actor: confirmedBy,
+    details: { proposalId: p.id, proposedAction: p.action, proposedBy: p.proposedBy },
+  });
+
+  const details = { proposalId: p.id, proposedBy: p.proposedBy, confirmedBy };
+
+  let result;
+  try {
+    if (p.action === "APPROVE") {
+      result = await executeApprove(db, {
+        requestId: p.requestId,
+        level: p.level,
+        expiresAt: p.expiresAt,
+        notes: p.notes,
+        reviewer: confirmedBy,
+        details,
+      });
+    } else if (p.action === "REJECT") {
+      result = executeReject(db, { requestId: p.requestId, notes: p.notes, reviewer: confirmedBy, details });
+    } else {
+      result = await executeRevoke(db, { wallet: p.wallet, notes: p.notes, reviewer: confirmedBy, details });
+    }
+  } catch (e) {
+    db.prepare(`UPDATE kyc_proposals SET status = 'PENDING' WHERE id = ?`).run(p.id);
+    throw e;
+  }
+
+  if (result.jobId) {
+    // chờ tx confirmed (handler bên dưới đóng proposal)
+    db.prepare(`UPDATE kyc_proposals SET jobId = ?, confirmedBy = ?, confirmedAt = ? WHERE id = ?`).run(
+      result.jobId,
+      confirmedBy,
+      nowSec(),
+      p.id
+    );
+    return { proposalId: p.id, action: p.action, status: "EXECUTING", jobId: result.jobId };
+  }
+
+  const ts = nowSec();
+  db.prepare(
+    `
+    UPDATE kyc_proposals
+    SET status = 'EXECUTED', confirmedBy = ?, confirmedAt = ?, closedAt = ?, txHash = ?
+    WHERE id = ?
+  `
+  ).run(confirmedBy, ts, ts, result.txHash, p.id);
+
+  return { proposalId: p.id, action: p.action, status: "EXECUTED", txHash: result.txHash };
+}
+
+/**
+ * Council proposals: relay one officer signature (propose / confirm / revoke their confirmation).
+ * The proposer may sign too: the council counts distinct officers, so four-eyes still holds.
+ */
+async function councilSign(db, p, { officer, op, signature }) {
+  if (!signature) {
+    throw httpError(400, "Council proposal: sign the typed data from /admin/kyc/proposals/:id/council and send { signature }");
+  }
+  const typed = await councilTypedData(db, p, { officer, op });
+
+  const claimed = db
+    .prepare(`UPDATE kyc_proposals SET status = 'EXECUTING' WHERE id = ? AND status = 'PENDING'`)
+    .run(p.id);
+  if (!claimed.changes) throw httpError(409, "Proposal is being confirmed by someone else");
+
+  let job;
+  try {
+    job = await relayCouncilSignature(db, p, { officer, typed, signature });
+  } catch (e) {
+    db.prepare(`UPDATE kyc_proposals SET status = 'PENDING' WHERE id = ?`).run(p.id);
+    throw e;
+  }
+
+  db.prepare(`UPDATE kyc_proposals SET jobId = ? WHERE id = ?`).run(job.id, p.id);
+  return { proposalId: p.id, action: p.action, op: typed.op, status: "EXECUTING", jobId: job.id };
+}
+
+export async function withdrawCouncilConfirmation(db, { proposalId, officer, signature }) {
+  expireStaleProposals(db);
+  const p = db.prepare(`SELECT * FROM kyc_proposals WHERE id = ?`).get(proposalId);
+  if (!p) throw httpError(404, "Proposal not found");
+  if (p.status !== "PENDING") throw httpError(400, `Proposal is ${p.status}`);
+  if (!(await councilFor(p))) throw httpError(400, "This proposal is not decided by the compliance council");
+  return councilSign(db, p, { officer, op: "revoke", signature });
+}
+
+export async function proposalTypedData(db, { proposalId, officer, op = null }) {
+  expireStaleProposals(db);
+  const p = db.prepare(`SELECT * FROM kyc_proposals WHERE id = ?`).get(proposalId);
+  if (!p) throw httpError(404, "Proposal not found");
+  if (p.status !== "PENDING") throw httpError(400, `Proposal is ${p.status}`);
+  return councilTypedData(db, p, { officer, op });
+}
+
+// ---- admin tx queue outcomes ----------------------------------------------------
+
+function closeExecuted(db, job, receipt, { confirmedBy }) {
+  const ts = nowSec();
+  db.prepare(
+    `
+    UPDATE kyc_proposals
+    SET status = 'EXECUTED', confirmedBy = ?, confirmedAt = COALESCE(confirmedAt, ?), closedAt = ?, txHash = ?
+    WHERE jobId = ? AND status = 'EXECUTING'
+  `
+  ).run(confirmedBy, ts, ts, receipt.hash, job.id);
+}
+
+function reopenFailed(db, job, error) {
+  const p = db.prepare(`SELECT * FROM kyc_proposals WHERE jobId = ? AND status = 'EXECUTING'`).get(job.id);
+  if (!p) return;
+  // council: confirmedBy/At chỉ có khi đủ chữ ký; four-eyes thường thì confirm lại sau
+  db.prepare(`UPDATE kyc_proposals SET status = 'PENDING', jobId = NULL, confirmedBy = NULL, confirmedAt = NULL WHERE id = ?`).run(p.id);
+  logAction(db, {
+    requestId: p.requestId,
+    wallet: p.wallet,
+    action: "EXECUTION_FAILED",
+    actor: "system",
+    details: { proposalId: p.id, proposedAction: p.action, jobId: job.id, error },
+  });
+}
+
+for (const kind of ["KYC_APPROVE", "KYC_REVOKE"]) {
+  registerJobHandler(kind, {
+    onConfirmed: (db, job, receipt) => closeExecuted(db, job, receipt, { confirmedBy: job.context.reviewer }),
+    onFailed: reopenFailed,
+  });
+}
+
+registerJobHandler("COUNCIL_RELAY", {
+  // council.js đã cập nhật councilId/confirmations; ở đây chỉ mở lại hoặc đóng proposal
+  onConfirmed: (db, job, receipt, result) => {
+    if (result.executed) closeExecuted(db, job, receipt, { confirmedBy: job.context.officer });
+    else db.prepare(`UPDATE kyc_proposals SET status = 'PENDING', jobId = NULL WHERE jobId = ? AND status = 'EXECUTING'`).run(job.id);
+  },
+  onFailed: reopenFailed,
+});
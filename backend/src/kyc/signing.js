@@ -0,0 +1,99 @@
+import crypto from "crypto";
+import { ethers } from "ethers";
+
+/**
+ * KYC request signing.
+ *
+ * v2 (hiện tại): server cấp nonce (GET /kyc/nonce/:wallet, hết hạn + dùng 1 lần),
+ *   user ký EIP-712 typed data gắn với chainId + địa chỉ KYCRegistry
+ *   => chữ ký không replay được sang deployment khác.
+ * v1 (legacy, vẫn chấp nhận trong lúc migrate): personal_sign trên buildKycMessage(canonical),
+ *   nonce do client tự chọn (số).
+ */
+
+const NONCE_TTL_SEC = Number(process.env.KYC_NONCE_TTL_SEC || 600);
+
+export const KYC_TYPES = {
+  KYCRequest: [
+    { name: "wallet", type: "address" },
+    { name: "fullName", type: "string" },
+    { name: "dob", type: "string" },
+    { name: "nationalId", type: "string" },
+    { name: "addressText", type: "string" },
+    { name: "docRef", type: "string" },
+    { name: "nonce", type: "bytes32" },
+  ],
+};
+
+function nowSec() {
+  return Math.floor(Date.now() / 1000);
+}
+
+export function kycDomain(meta) {
+  return {
+    name: "BankChain KYC",
+    version: "1",
+    chainId: meta.chainId,
+    verifyingContract: meta.contracts.KYCRegistry,
+  };
+}
+
+/**
+ * Message user ký để chứng minh sở hữu ví (legacy v1).
+ * (Đây là “tôi là tôi” ở mức crypto: ai giữ private key thì ký được.)
+ */
+export function buildKycMessage(canonicalPayload) {
+  return `BankChain KYC Request
+${canonicalPayload}`;
+}
+
+export function verifyKycTypedData(meta, payload, signature) {
+  return ethers.verifyTypedData(kycDomain(meta), KYC_TYPES, payload, signature).toLowerCase();
+}
+
+/**
+ * Nonce for GET /kyc/nonce/:wallet. The route is public, so it must not add a row per call: expired unused
+ * nonces are deleted, and a wallet's outstanding nonce is handed out again while at least half its TTL is left.
+ */
+export function issueKycNonce(db, wallet) {
+  const issue = db.transaction(() => {
+    const now = nowSec();
+    db.prepare(`DELETE FROM kyc_nonces WHERE usedAt IS NULL AND expiresAt < ?`).run(now);
+
+    const open = db
+      .prepare(
+        `SELECT nonce, expiresAt FROM kyc_nonces
+         WHERE wallet = ? AND usedAt IS NULL AND expiresAt >= ?
+         ORDER BY expiresAt DESC LIMIT 1`
+      )
+      .get(wallet, now + Math.ceil(NONCE_TTL_SEC / 2));
+    if (open) return open;
+
+    const nonce = ethers.hexlify(crypto.randomBytes(32));
+    const expiresAt = now + NONCE_TTL_SEC;
+    db.prepare(
+      `
+      INSERT INTO kyc_nonces (nonce, wallet, issuedAt, expiresAt)
+      VALUES (?, ?, ?, ?)
+    `
+    ).run(nonce, wallet, now, expiresAt);
+    return { nonce, expiresAt };
+  });
+  return issue();
+}
+
+/**
+ * Mark a server nonce as used. Returns a reason string when the nonce can't be used, else null.
+ * Call inside the same transaction as the kyc_requests insert.
+ */
+export function consumeKycNonce(db, { wallet, nonce, requestId }) {
+  const row = db.prepare(`SELECT * FROM kyc_nonces WHERE nonce = ?`).get(nonce);
+  if (!row || row.wallet !== wallet) return "Unknown nonce for this wallet";
+  if (row.usedAt) return "Nonce already used";
+  if (row.expiresAt < nowSec()) return "Nonce expired";
+
+  const upd = db
+    .prepare(`UPDATE kyc_nonces SET usedAt = ?, requestId = ? WHERE nonce = ? AND usedAt IS NULL`)
+    .run(nowSec(), requestId, nonce);
+  return upd.changes ? null : "Nonce already used";
+}
@@ -0,0 +1,270 @@
+import { httpError } from "../kyc/decisions.js";
+import { indexedToBlock } from "../ledger/ledger.js";
+import { getProvider } from "../web3/web3.js";
+import { DEBT_EVENTS, remainingDebtOf } from "./liquidations.js";
+
+/**
+ * LendingPool account views for the API (thay cho việc frontend gọi getAccount trực tiếp).
+ *
+ * Mọi số liệu của một response đọc on-chain tại cùng một block (blockTag), và response ghi rõ block đó:
+ * lãi cộng dồn theo block.timestamp nên "nợ bây giờ" chỉ có nghĩa kèm block.
+ *
+ * - healthFactor = collateral * liquidationThreshold / debt (< 1 => liquidatable), null khi không nợ
+ * - accruedInterest = debt - nợ ghi trong event nợ gần nhất (Borrowed/Repaid/Liquidated): lãi từ lần đổi nợ cuối
+ * - projections / schedule giữ nguyên borrow APR hiện tại; lãi cộng như contract (tuyến tính giữa 2 lần accrue,
+ *   mỗi lần repay là một lần accrue)
+ */
+
+const BPS = 10000n;
+const YEAR = 365n * 86400n;
+const DAY = 86400;
+
+export const PROJECTION_DAYS = [30, 90, 365];
+export const MAX_INSTALLMENTS = 360;
+const MAX_PAYOFF_SEC = 30 * 365 * DAY;
+// getAccount calls in flight at once when listing borrowers
+const ACCOUNT_BATCH = 20;
+
+async function blockRef() {
+  const b = await getProvider().getBlock("latest");
+  return { number: b.number, hash: b.hash, timestamp: b.timestamp };
+}
+
+async function poolParams(lending, opts) {
+  const [maxLTVBps, liquidationThresholdBps, pool] = await Promise.all([
+    lending.maxLTVBps(opts),
+    lending.liquidationThresholdBps(opts),
+    lending.getPoolState(opts),
+  ]);
+  return {
+    maxLTVBps,
+    liquidationThresholdBps,
+    borrowRateBps: pool.borrowRateBps,
+    utilizationBps: pool.utilizationBps,
+    cash: pool.cash,
+  };
+}
+
+function paramsToJson(p) {
+  return {
+    maxLTVBps: Number(p.maxLTVBps),
+    liquidationThresholdBps: Number(p.liquidationThresholdBps),
+    borrowRateBps: Number(p.borrowRateBps),
+    utilizationBps: Number(p.utilizationBps),
+    cash: p.cash.toString(),
+  };
+}
+
+/**
+ * LTV / health / headroom of one account (bigint in). Borrowing is capped by maxLTV and by pool cash.
+ * risk: CLOSED (no debt) < HEALTHY < AT_RISK (above max LTV, can't borrow more) < LIQUIDATABLE.
+ */
+export function accountHealth(collateral, debt, p) {
+  const maxDebt = (collateral * p.maxLTVBps) / BPS;
+  const headroom = maxDebt > debt ? maxDebt - debt : 0n;
+  const liquidatable = debt > 0n && debt * BPS > collateral * p.liquidationThresholdBps;
+
+  let risk = "CLOSED";
+  if (liquidatable) risk = "LIQUIDATABLE";
+  else if (debt > 0n) risk = debt > maxDebt ? "AT_RISK" : "HEALTHY";
+
+  return {
+    ltvBps: collateral > 0n ? Number((debt * BPS) / collateral) : null,
+    // 4 chữ số thập phân, làm tròn xuống: healthFactor < 1 <=> liquidatable
+    healthFactor: debt > 0n ? Number((collateral * p.liquidationThresholdBps) / debt) / 10000 : null,
+    liquidatable,
+    risk,
+    availableToBorrow: (headroom < p.cash ? headroom : p.cash).toString(),
+  };
+}
+
+/**
+ * Debt after `seconds` at a fixed APR, accrued once at the end (what getAccount returns then if nobody
+ * touches the pool in between).
+ */
+export function projectDebt(debt, rateBps, seconds) {
+  return debt + (debt * rateBps * BigInt(seconds)) / (BPS * YEAR);
+}
+
+/**
+ * Equal installments that clear `debt` at `payoffAt` (last one takes the rounding remainder).
+ * Interest of each period accrues on the balance left by the previous payment.
+ */
+export function repaymentSchedule(debt, { rateBps, from, payoffAt, installments = null }) {
+  if (payoffAt <= from) throw httpError(400, "payoffDate must be after the time of the block");
+  if (payoffAt - from > MAX_PAYOFF_SEC) throw httpError(400, "payoffDate must be within 30 years");
+
+  const span = payoffAt - from;
+  const n = installments ?? Math.max(1, Math.ceil(span / (30 * DAY)));
+  if (n > MAX_INSTALLMENTS) throw httpError(400, `At most ${MAX_INSTALLMENTS} installments`);
+
+  const payments = [];
+  let totalPaid = 0n;
+  let totalInterest = 0n;
+
+  if (debt > 0n) {
+    // annuity: P = D * i / (1 - (1 + i)^-n), i = lãi một kỳ (kỳ trung bình)
+    const i = (Number(rateBps) / 10000) * (span / n / (365 * DAY));
+    const factor = i === 0 ? 1 / n : i / (1 - (1 + i) ** -n);
+    const installment = BigInt(Math.ceil(Number(debt) * factor));
+
+    let balance = debt;
+    let prev = from;
+    for (let k = 1; k <= n && balance > 0n; k++) {
+      const dueAt = from + Math.round((span * k) / n);
+      const interest = (balance * rateBps * BigInt(dueAt - prev)) / (BPS * YEAR);
+      const owed = balance + interest;
+      const payment = k === n || installment >= owed ? owed : installment;
+      balance = owed - payment;
+      totalPaid += payment;
+      totalInterest += interest;
+      payments.push({
+        installment: k,
+        dueAt,
+        payment: payment.toString(),
+        interest: interest.toString(),
+        principal: (payment - interest).toString(),
+        balance: balance.toString(),
+      });
+      prev = dueAt;
+    }
+  }
+
+  return {
+    payoffAt,
+    installments: n,
+    borrowRateBps: Number(rateBps),
+    payments,
+    totalPaid: totalPaid.toString(),
+    totalInterest: totalInterest.toString(),
+  };
+}
+
+/**
+ * Last debt-changing event of `user` up to `block`: indexed events, plus on-chain logs for the blocks
+ * the indexer hasn't reached yet (nếu không, một lần borrow mới sẽ bị tính thành lãi).
+ */
+async function lastDebtChange(db, lending, user, block) {
+  const indexed = Math.min(indexedToBlock(db), block);
+  let last =
+    db
+      .prepare(
+        `
+        SELECT eventName, metaJson, blockNumber FROM events
+        WHERE contractAddress = ? AND fromAddr = ? AND blockNumber <= ?
+          AND eventName IN (${DEBT_EVENTS.map(() => "?").join(", ")})
+        ORDER BY blockNumber DESC, logIndex DESC
+        LIMIT 1
+      `
+      )
+      .get(lending.target.toLowerCase(), user, indexed, ...DEBT_EVENTS) || null;
+
+  if (indexed < block) {
+    const logs = (
+      await Promise.all(DEBT_EVENTS.map((name) => lending.queryFilter(lending.filters[name](user), indexed + 1, block)))
+    ).flat();
+    const newest = logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index).at(-1);
+    if (newest) {
+      const args = Object.fromEntries(Object.entries(newest.args.toObject()).map(([k, v]) => [k, String(v)]));
+      last = { eventName: newest.eventName, metaJson: JSON.stringify(args), blockNumber: newest.blockNumber };
+    }
+  }
+  return last;
+}
+
+/**
+ * GET /lending/:user: position, health, interest, projections (+ schedule when payoffAt is given).
+ */
+export async function getLendingAccount(db, lending, user, { payoffAt = null, installments = null } = {}) {
+  const account = user.toLowerCase();
+  const block = await blockRef();
+  const opts = { blockTag: block.number };
+
+  const [p, [collateral, debt], [shares, supplied]] = await Promise.all([
+    poolParams(lending, opts),
+    lending.getAccount(account, opts),
+    lending.getSupplyPosition(account, opts),
+  ]);
+  const last = await lastDebtChange(db, lending, account, block.number);
+  const recorded = last ? remainingDebtOf(last) : 0n;
+
+  return {
+    block,
+    user: account,
+    collateral: collateral.toString(),
+    debt: debt.toString(),
+    ...accountHealth(collateral, debt, p),
+    accruedInterest: (debt > recorded ? debt - recorded : 0n).toString(),
+    accruedSince: last ? { event: last.eventName, blockNumber: last.blockNumber } : null,
+    supply: { shares: shares.toString(), value: supplied.toString() },
+    params: paramsToJson(p),
+    projections: PROJECTION_DAYS.map((days) => ({
+      days,
+      at: block.timestamp + days * DAY,
+      debt: projectDebt(debt, p.borrowRateBps, days * DAY).toString(),
+    })),
+    schedule:
+      payoffAt === null
+        ? null
+        : repaymentSchedule(debt, { rateBps: p.borrowRateBps, from: block.timestamp, payoffAt, installments }),
+  };
+}
+
+/**
+ * Borrowers whose last indexed debt event left debt > 0 (everyone with an indexed Borrowed event when `all`),
+ * totals from indexed Borrowed/Repaid/Liquidated, live position at one block. Riskiest first: lowest health
+ * factor, accounts without debt last.
+ */
+export async function listLendingAccounts(db, lending, { all = false } = {}) {
+  const block = await blockRef();
+  const opts = { blockTag: block.number };
+  const p = await poolParams(lending, opts);
+
+  const rows = db
+    .prepare(
+      `
+      SELECT fromAddr, eventName, amount, metaJson, blockNumber FROM events
+      WHERE contractAddress = ? AND eventName IN (${DEBT_EVENTS.map(() => "?").join(", ")})
+        AND fromAddr IN (SELECT fromAddr FROM events WHERE contractAddress = ? AND eventName = 'Borrowed')
+      ORDER BY blockNumber ASC, logIndex ASC
+    `
+    )
+    .all(lending.target.toLowerCase(), ...DEBT_EVENTS, lending.target.toLowerCase());
+
+  const borrowers = new Map();
+  for (const r of rows) {
+    const b = borrowers.get(r.fromAddr) ?? { borrowed: 0n, repaid: 0n };
+    // Liquidated: amount = phần nợ liquidator trả thay
+    if (r.eventName === "Borrowed") b.borrowed += BigInt(r.amount || "0");
+    else if (r.eventName === "Repaid" || r.eventName === "Liquidated") b.repaid += BigInt(r.amount || "0");
+    b.last = r;
+    borrowers.set(r.fromAddr, b);
+  }
+
+  // đã trả hết nợ (theo event nợ cuối đã index) => bỏ qua, trừ khi all
+  const listed = [...borrowers].filter(([, b]) => all || remainingDebtOf(b.last) > 0n);
+  const accounts = [];
+  for (let i = 0; i < listed.length; i += ACCOUNT_BATCH) {
+    const chunk = listed.slice(i, i + ACCOUNT_BATCH);
+    const positions = await Promise.all(chunk.map(([user]) => lending.getAccount(user, opts)));
+    chunk.forEach(([user, b], k) => {
+      const [collateral, debt] = positions[k];
+      accounts.push({
+        user,
+        collateral: collateral.toString(),
+        debt: debt.toString(),
+        ...accountHealth(collateral, debt, p),
+        totalBorrowed: b.borrowed.toString(),
+        totalRepaid: b.repaid.toString(),
+        lastDebtEvent: b.last.eventName,
+        lastDebtBlock: b.last.blockNumber,
+      });
+    });
+  }
+
+  const hf = (a) => a.healthFactor ?? Number.POSITIVE_INFINITY;
+  const byDebtDesc = (a, b) => (BigInt(b.debt) > BigInt(a.debt) ? 1 : BigInt(b.debt) < BigInt(a.debt) ? -1 : 0);
+  accounts.sort((a, b) => (hf(a) === hf(b) ? byDebtDesc(a, b) : hf(a) - hf(b)));
+
+  return { block, indexedToBlock: indexedToBlock(db), params: paramsToJson(p), accounts };
+}
@@ -0,0 +1,88 @@
+import dotenv from "dotenv";
+import { ethers } from "ethers";
+import { initDb } from "../db/db.js";
+import { getContracts, getProvider } from "../web3/web3.js";
+import { findLiquidatable } from "./liquidations.js";
+
+/**
+ * Liquidation keeper.
+ *   node src/lending/keeper.js [--once]
+ *
+ * - Không có KEEPER_PRIVATE_KEY: chỉ báo cáo các account liquidatable (dry run).
+ * - Có key: liquidate(user, min(maxRepay, số dư BKD của keeper)). Ví keeper phải được KYC
+ *   (token chặn transfer với địa chỉ chưa KYC) và có BKD.
+ */
+
+dotenv.config();
+
+const once = process.argv.includes("--once");
+const db = initDb();
+
+const POLL_MS = Number(process.env.KEEPER_POLL_MS || 15000);
+
+function keeperSigner() {
+  const pk = process.env.KEEPER_PRIVATE_KEY;
+  if (!pk || pk.includes("REPLACE_WITH")) return null;
+  return new ethers.Wallet(pk, getProvider());
+}
+
+async function tick() {
+  const { token, lending } = await getContracts();
+  const { accounts } = await findLiquidatable(db, lending);
+  const targets = accounts.filter((a) => a.liquidatable);
+
+  const signer = keeperSigner();
+  if (!signer) {
+    if (targets.length) console.log("Liquidatable (dry run, set KEEPER_PRIVATE_KEY to act):", targets);
+    return { found: targets.length, liquidated: 0 };
+  }
+
+  let liquidated = 0;
+  for (const t of targets) {
+    const balance = await token.balanceOf(signer.address);
+    const repay = BigInt(t.maxRepay) < balance ? BigInt(t.maxRepay) : balance;
+    if (repay === 0n) {
+      console.warn("Keeper has no BKD left to repay with");
+      break;
+    }
+
+    const allowance = await token.allowance(signer.address, lending.target);
+    if (allowance < repay) await (await token.connect(signer).approve(lending.target, ethers.MaxUint256)).wait();
+
+    try {
+      const receipt = await (await lending.connect(signer).liquidate(t.user, repay)).wait();
+      console.log(`Liquidated ${t.user}: repay ${repay} (tx ${receipt.hash})`);
+      liquidated++;
+    } catch (e) {
+      // ví dụ: người khác liquidate trước, account đã healthy lại
+      console.warn(`Liquidation of ${t.user} failed:`, e.shortMessage || e.message);
+    }
+  }
+
+  return { found: targets.length, liquidated };
+}
+
+async function main() {
+  try {
+    const res = await tick();
+    console.log("Keeper:", res);
+    if (once) process.exit(0);
+
+    console.log(`Keeper running (poll every ${POLL_MS}ms) ...`);
+    const loop = async () => {
+      try {
+        const r = await tick();
+        if (r.found) console.log("Keeper:", r);
+      } catch (e) {
+        console.error("keeper error:", e.message);
+      }
+      setTimeout(loop, POLL_MS);
+    };
+    setTimeout(loop, POLL_MS);
+  } catch (e) {
+    console.error(e);
+    process.exit(1);
+  }
+}
+
+main();
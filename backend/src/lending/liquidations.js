@@ -0,0 +1,79 @@
+/**
+ * Find LendingPool accounts that can be liquidated.
+ *
+ * Ứng viên lấy từ dữ liệu đã index: user có Borrowed và event nợ gần nhất
+ * (Borrowed.newDebt / Repaid.remainingDebt / Liquidated.remainingDebt) vẫn còn nợ, chưa bị write-off.
+ * Sau đó xác nhận on-chain (lãi cộng dồn theo thời gian, không có event) bằng getAccount.
+ */
+
+export const DEBT_EVENTS = ["Borrowed", "Repaid", "Liquidated", "BadDebtWrittenOff"];
+
+// debt còn lại ngay sau event (ev: { eventName, metaJson })
+export function remainingDebtOf(ev) {
+  const meta = JSON.parse(ev.metaJson || "{}");
+  if (ev.eventName === "Borrowed") return BigInt(meta.newDebt ?? "0");
+  if (ev.eventName === "BadDebtWrittenOff") return 0n;
+  return BigInt(meta.remainingDebt ?? "0");
+}
+
+/**
+ * Borrowers whose last indexed debt event left them with debt > 0.
+ */
+export function indexedBorrowers(db, lendingAddress) {
+  const rows = db
+    .prepare(
+      `
+      SELECT e.fromAddr, e.eventName, e.metaJson, e.blockNumber
+      FROM events e
+      WHERE e.contractAddress = @lending
+        AND e.eventName IN (${DEBT_EVENTS.map((_, i) => `@e${i}`).join(", ")})
+        AND e.id = (
+          SELECT x.id FROM events x
+          WHERE x.contractAddress = @lending AND x.fromAddr = e.fromAddr
+            AND x.eventName IN (${DEBT_EVENTS.map((_, i) => `@e${i}`).join(", ")})
+          ORDER BY x.blockNumber DESC, x.logIndex DESC
+          LIMIT 1
+        )
+    `
+    )
+    .all({ lending: lendingAddress.toLowerCase(), ...Object.fromEntries(DEBT_EVENTS.map((n, i) => [`e${i}`, n])) });
+
+  return rows
+    .filter((r) => remainingDebtOf(r) > 0n)
+    .map((r) => ({ user: r.fromAddr, lastDebtEvent: r.eventName, lastDebtBlock: r.blockNumber }));
+}
+
+/**
+ * Indexed borrowers + live on-chain health. `liquidatable` = debt > collateral * threshold.
+ */
+export async function findLiquidatable(db, lending) {
+  const [thresholdBps, closeFactorBps, bonusBps] = await Promise.all([
+    lending.liquidationThresholdBps(),
+    lending.closeFactorBps(),
+    lending.liquidationBonusBps(),
+  ]);
+
+  const out = [];
+  for (const b of indexedBorrowers(db, lending.target)) {
+    const [collateral, debt] = await lending.getAccount(b.user);
+    const liquidatable = debt > 0n && debt * 10000n > collateral * thresholdBps;
+    out.push({
+      ...b,
+      collateral: collateral.toString(),
+      debt: debt.toString(),
+      // current LTV; liquidatable once above liquidationThresholdBps
+      ltvBps: collateral > 0n ? Number((debt * 10000n) / collateral) : null,
+      liquidatable,
+      maxRepay: liquidatable ? ((debt * closeFactorBps) / 10000n).toString() : "0",
+    });
+  }
+
+  return {
+    params: {
+      liquidationThresholdBps: Number(thresholdBps),
+      closeFactorBps: Number(closeFactorBps),
+      liquidationBonusBps: Number(bonusBps),
+    },
+    accounts: out.sort((a, b) => (b.ltvBps ?? Number.MAX_SAFE_INTEGER) - (a.ltvBps ?? Number.MAX_SAFE_INTEGER)),
+  };
+}
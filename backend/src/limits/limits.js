@@ -0,0 +1,47 @@
+/**
+ * KYC-level limits (LimitsPolicy) as seen by one user: cap, used, remaining for each limit.
+ *
+ * - deposit:    max single deposit (no window)
+ * - withdrawal: rolling 24h volume
+ * - transfer:   rolling 24h volume (transferBKD)
+ * - borrow:     max outstanding debt => used = current debt (LendingPool.getAccount)
+ *
+ * Amounts are wei strings. The order matches the LimitsPolicy.Limit enum.
+ */
+export const LIMIT_KINDS = [
+  { key: "deposit", window: "single" },
+  { key: "withdrawal", window: "24h" },
+  { key: "transfer", window: "24h" },
+  { key: "borrow", window: "outstanding" },
+];
+
+export async function userLimits({ kyc, vault, lending, limits }, user) {
+  const level = Number(await kyc.kycLevel(user));
+  if (!limits) return { user, kycLevel: level, enforced: false, limits: null };
+
+  const enforcedBy = {
+    vault: (await vault.limits()).toLowerCase() === limits.target.toLowerCase(),
+    lending: (await lending.limits()).toLowerCase() === limits.target.toLowerCase(),
+  };
+
+  const [, debt] = await lending.getAccount(user);
+  const out = {};
+  for (const [i, { key, window }] of LIMIT_KINDS.entries()) {
+    const cap = await limits.limitOf(user, i);
+    const used = key === "borrow" ? debt : await limits.usedInWindow(user, i);
+    out[key] = {
+      window,
+      limit: cap.toString(),
+      used: used.toString(),
+      remaining: (cap > used ? cap - used : 0n).toString(),
+    };
+  }
+
+  return {
+    user,
+    kycLevel: level,
+    enforced: enforcedBy.vault || enforcedBy.lending,
+    enforcedBy,
+    limits: out,
+  };
+}
@@ -0,0 +1,230 @@
+import { z } from "zod";
+import { zodToJsonSchema } from "./jsonSchema.js";
+import { COMPONENTS, ErrorResponse } from "./schemas.js";
+
+/**
+ * Routes are declared with their spec: api.get(path, spec, handler) = app.get(path, handler) + an entry
+ * in the OpenAPI 3.1 document (GET /openapi.json, docs page at /docs, client: npm run openapi:client).
+ *
+ * spec = {
+ *   id: "getBalance",              // operationId = method name in the generated client
+ *   summary, description?, tag,
+ *   params?: z.object(...)         // path params (default: strings)
+ *   query?: z.object(...)          // query string (values arrive as strings => z.coerce / regex)
+ *   body?: zod schema, bodyName?   // request JSON; published as components.schemas[bodyName ?? <Id>Body]
+ *   responses: { 200: schema | { "<content type>": schema, ... }, 202: ... }
+ * }
+ * Errors are always { message } (ErrorResponse); /admin/* paths need the admin bearer token.
+ *
+ * Dev mode (OPENAPI_VALIDATE=1, default when NODE_ENV != production): requests that don't match the spec
+ * get a 400 before the handler runs, and JSON responses that don't match are replaced by a 500 (+ logged),
+ * so schema drift shows up while developing instead of in the generated client.
+ */
+
+const ORIGINAL_JSON = Symbol("openapi.json");
+
+export function validationEnabled() {
+  const v = process.env.OPENAPI_VALIDATE;
+  if (v !== undefined && v !== "") return v === "1";
+  return process.env.NODE_ENV !== "production";
+}
+
+function pascal(id) {
+  return id.charAt(0).toUpperCase() + id.slice(1);
+}
+
+// "/kyc/:user" -> "/kyc/{user}"
+function openApiPath(path) {
+  return path.replace(/:([A-Za-z0-9_]+)/g, "{$1}");
+}
+
+function pathParamNames(path) {
+  return [...path.matchAll(/:([A-Za-z0-9_]+)/g)].map((m) => m[1]);
+}
+
+function isZod(v) {
+  return !!v?._def;
+}
+
+// response spec -> { contentType: schema }
+function responseContent(r) {
+  return isZod(r) ? { "application/json": r } : r;
+}
+
+function describeIssues(where, error) {
+  return error.issues.map((i) => ({ in: where, path: i.path.join("."), message: i.message }));
+}
+
+function formatIssues(issues) {
+  return issues
+    .slice(0, 3)
+    .map((i) => `${i.in}${i.path ? `.${i.path}` : ""}: ${i.message}`)
+    .join("; ");
+}
+
+export function createApi(app, { title = "BankChain API", version = "1.0.0", validate = validationEnabled() } = {}) {
+  const operations = [];
+  const refs = new Map(Object.entries(COMPONENTS).map(([name, schema]) => [schema, name]));
+  const components = { ...COMPONENTS };
+
+  function component(name, schema) {
+    if (refs.has(schema)) return;
+    if (components[name]) throw new Error(`OpenAPI: component ${name} is defined twice`);
+    refs.set(schema, name);
+    components[name] = schema;
+  }
+
+  function requestValidator(op) {
+    return (req, res, next) => {
+      const issues = [];
+      const check = (where, schema, value) => {
+        if (!schema) return;
+        const r = schema.safeParse(value);
+        if (!r.success) issues.push(...describeIssues(where, r.error));
+      };
+      check("path", op.params, req.params);
+      check("query", op.query, req.query);
+      if (op.body) check("body", op.body, req.body ?? {});
+      if (issues.length) {
+        const message = `Request does not match the API spec: ${formatIssues(issues)}`;
+        return res.status(400).json({ message, issues });
+      }
+      next();
+    };
+  }
+
+  function responseValidator(op) {
+    return (req, res, next) => {
+      // /admin/kyc/approve chạy lại router với cùng res: chỉ bọc một lần, theo spec của route sau cùng
+      const send = (res[ORIGINAL_JSON] ??= res.json.bind(res));
+      res.json = (body) => {
+        const status = res.statusCode;
+        const documented = op.responses[status] && responseContent(op.responses[status])["application/json"];
+        const schema = status >= 400 ? ErrorResponse : documented;
+        // kiểm tra đúng thứ client nhận được (undefined bị bỏ, Date -> string, ...)
+        const r = schema
+          ? schema.safeParse(body === undefined ? undefined : JSON.parse(JSON.stringify(body)))
+          : { success: false, error: { issues: [{ path: [], message: `status ${status} is not in the spec` }] } };
+        if (r.success) return send(body);
+
+        const issues = describeIssues("response", r.error);
+        console.error(`OpenAPI: ${op.method.toUpperCase()} ${op.path} (${op.id}) response ${status} mismatch:`, issues);
+        res.status(500);
+        return send({ message: `Response does not match the API spec: ${formatIssues(issues)}`, issues });
+      };
+      next();
+    };
+  }
+
+  function register(method, path, spec, handlers) {
+    if (!spec?.id || !spec.responses) {
+      throw new Error(`OpenAPI: ${method.toUpperCase()} ${path} needs an id and responses`);
+    }
+    if (operations.some((o) => o.id === spec.id)) throw new Error(`OpenAPI: duplicate operation id ${spec.id}`);
+
+    const names = pathParamNames(path);
+    const params =
+      spec.params ?? (names.length ? z.object(Object.fromEntries(names.map((n) => [n, z.string()]))) : null);
+    const op = { ...spec, method, path, params, admin: path.startsWith("/admin/") };
+    if (op.body) component(spec.bodyName ?? `${pascal(spec.id)}Body`, op.body);
+    operations.push(op);
+
+    const middleware = validate ? [requestValidator(op), responseValidator(op)] : [];
+    app[method](path, ...middleware, ...handlers);
+  }
+
+  function parameters(op) {
+    const out = [];
+    for (const [where, schema] of [
+      ["path", op.params],
+      ["query", op.query],
+    ]) {
+      if (!schema) continue;
+      const json = zodToJsonSchema(schema, { refs });
+      for (const [name, s] of Object.entries(json.properties || {})) {
+        const { description, ...rest } = s;
+        out.push({
+          name,
+          in: where,
+          required: where === "path" || (json.required || []).includes(name),
+          ...(description ? { description } : {}),
+          schema: rest,
+        });
+      }
+    }
+    return out;
+  }
+
+  function operationObject(op) {
+    const responses = {};
+    for (const [status, r] of Object.entries(op.responses)) {
+      const content = Object.fromEntries(
+        Object.entries(responseContent(r)).map(([type, schema]) => [
+          type,
+          { schema: zodToJsonSchema(schema, { refs, root: false }) },
+        ])
+      );
+      responses[status] = { description: status === "202" ? "Accepted" : "OK", content };
+    }
+    const error = (description) => ({
+      description,
+      content: { "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } } },
+    });
+    if (op.admin) {
+      responses["401"] = error("Missing or expired admin session");
+      responses["403"] = error("Wallet lacks COMPLIANCE_ROLE");
+    }
+    responses.default = error("Error");
+
+    return {
+      operationId: op.id,
+      summary: op.summary,
+      ...(op.description ? { description: op.description } : {}),
+      tags: [op.tag],
+      ...(op.admin ? { security: [{ adminSession: [] }] } : {}),
+      parameters: parameters(op),
+      ...(op.body
+        ? {
+            requestBody: {
+              // vd. assign / confirm không có council: body rỗng cũng hợp lệ
+              required: !op.body.safeParse({}).success,
+              content: { "application/json": { schema: zodToJsonSchema(op.body, { refs, root: false }) } },
+            },
+          }
+        : {}),
+      responses,
+    };
+  }
+
+  function document() {
+    const paths = {};
+    for (const op of operations) {
+      const p = openApiPath(op.path);
+      paths[p] = { ...paths[p], [op.method]: operationObject(op) };
+    }
+    return {
+      openapi: "3.1.0",
+      info: { title, version },
+      tags: [...new Set(operations.map((o) => o.tag))].map((name) => ({ name })),
+      paths,
+      components: {
+        schemas: Object.fromEntries(Object.entries(components).map(([n, s]) => [n, zodToJsonSchema(s, { refs })])),
+        securitySchemes: {
+          adminSession: {
+            type: "http",
+            scheme: "bearer",
+            description: "Token from POST /auth/verify (wallet with COMPLIANCE_ROLE)",
+          },
+        },
+      },
+    };
+  }
+
+  return {
+    get: (path, spec, ...handlers) => register("get", path, spec, handlers),
+    post: (path, spec, ...handlers) => register("post", path, spec, handlers),
+    component,
+    document,
+    validate,
+  };
+}
@@ -0,0 +1,193 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+/**
+ * Generate the frontend API client (frontend/src/lib/api.js) from the OpenAPI document.
+ *
+ *   npm --workspace backend run openapi:client [-- <spec url or file> [out file]]
+ *
+ * Default spec: http://localhost:$PORT/openapi.json (the backend must be running). Output: one method per
+ * operationId + JSDoc typedefs for every component schema, so editors type-check calls and results.
+ * Operations that only stream (text/event-stream) are left out: use lib/stream.js.
+ */
+
+const here = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_OUT = path.resolve(here, "../../../frontend/src/lib/api.js");
+
+async function loadSpec(src) {
+  if (/^https?:\/\//.test(src)) {
+    const res = await fetch(src);
+    if (!res.ok) throw new Error(`GET ${src}: HTTP ${res.status}`);
+    return res.json();
+  }
+  return JSON.parse(fs.readFileSync(src, "utf8"));
+}
+
+const refName = (ref) => ref.replace("#/components/schemas/", "");
+
+// JSON Schema -> JSDoc type expression
+function jsType(s) {
+  if (!s || typeof s !== "object") return "any";
+  if (s.$ref) return refName(s.$ref);
+  if (s.const !== undefined) return JSON.stringify(s.const);
+  if (s.enum) return s.enum.map((v) => JSON.stringify(v)).join(" | ");
+  if (s.anyOf) return s.anyOf.map(jsType).join(" | ");
+  if (s.allOf) return s.allOf.map(jsType).join(" & ");
+  if (Array.isArray(s.type)) return s.type.map((type) => jsType({ ...s, type })).join(" | ");
+
+  switch (s.type) {
+    case "string":
+      return "string";
+    case "integer":
+    case "number":
+      return "number";
+    case "boolean":
+      return "boolean";
+    case "null":
+      return "null";
+    case "array":
+      return s.prefixItems ? `[${s.prefixItems.map(jsType).join(", ")}]` : `Array<${jsType(s.items)}>`;
+    case "object": {
+      const props = Object.entries(s.properties || {});
+      if (!props.length) {
+        return s.additionalProperties && s.additionalProperties !== true
+          ? `Record<string, ${jsType(s.additionalProperties)}>`
+          : "Record<string, any>";
+      }
+      const required = new Set(s.required || []);
+      return `{ ${props.map(([k, v]) => `${k}${required.has(k) ? "" : "?"}: ${jsType(v)}`).join(", ")} }`;
+    }
+    default:
+      return "any";
+  }
+}
+
+function jsonContent(response) {
+  return response?.content?.["application/json"]?.schema;
+}
+
+function operationCode(pathTemplate, method, op) {
+  const pathParams = (op.parameters || []).filter((p) => p.in === "path");
+  const queryParams = (op.parameters || []).filter((p) => p.in === "query");
+  const body = jsonContent(op.requestBody);
+
+  const ok = Object.entries(op.responses).filter(([status]) => /^2\d\d$/.test(status));
+  const types = [...new Set(ok.flatMap(([, r]) => Object.keys(r.content || {})))];
+  const resultTypes = new Set(ok.map(([, r]) => jsonContent(r)).filter(Boolean).map(jsType));
+  if (types.some((t) => t !== "application/json")) resultTypes.add("string");
+
+  const args = pathParams.map((p) => p.name);
+  const doc = [op.summary];
+  for (const p of pathParams) doc.push(`@param {${jsType(p.schema)}} ${p.name}`);
+  if (body) {
+    args.push("body");
+    doc.push(`@param {${jsType(body)}} ${op.requestBody.required ? "body" : "[body]"}`);
+  }
+  if (queryParams.length) {
+    args.push("query");
+    doc.push(`@param {{ ${queryParams.map((p) => `${p.name}?: ${jsType(p.schema)}`).join(", ")} }} [query]`);
+  }
+  doc.push(`@returns {Promise<${[...resultTypes].join(" | ") || "void"}>}`);
+
+  const url = "`" + pathTemplate.replace(/\{([^}]+)\}/g, (_m, n) => `\${enc(${n})}`) + "`";
+  const opts = [body ? "body" : null, queryParams.length ? "query" : null].filter(Boolean);
+  const call = `request("${method}", ${url}${opts.length ? `, { ${opts.join(", ")} }` : ""})`;
+
+  const lines = [`    /**`, ...doc.map((d) => `     * ${d}`), `     */`];
+  if (types.length > 1 && method === "get") {
+    // vd. statement CSV / HTML: link để mở thẳng trong browser
+    const urlArgs = [...pathParams.map((p) => p.name), ...(queryParams.length ? ["query"] : [])];
+    lines.push(
+      `    ${op.operationId}: Object.assign((${args.join(", ")}) => ${call}, {`,
+      `      /** URL of the same request (for links / window.open) */`,
+      `      url: (${urlArgs.join(", ")}) => urlFor(${url}${queryParams.length ? ", query" : ""}),`,
+      `    }),`
+    );
+  } else {
+    lines.push(`    ${op.operationId}: (${args.join(", ")}) => ${call},`);
+  }
+  return lines.join("\n");
+}
+
+function generateClient(spec) {
+  const typedefs = Object.entries(spec.components?.schemas || {}).map(([name, s]) => {
+    const lines = s.description ? [s.description] : [];
+    if (s.type === "object" && s.properties) {
+      // object: một @property mỗi field để editor hiện mô tả từng field
+      const required = new Set(s.required || []);
+      lines.push(`@typedef {Object} ${name}`);
+      for (const [k, v] of Object.entries(s.properties)) {
+        const prop = required.has(k) ? k : `[${k}]`;
+        lines.push(`@property {${jsType(v)}} ${prop}${v.description ? ` ${v.description}` : ""}`);
+      }
+    } else {
+      lines.push(`@typedef {${jsType(s)}} ${name}`);
+    }
+    return `/**\n${lines.map((l) => ` * ${l}`).join("\n")}\n */`;
+  });
+
+  const methods = [];
+  for (const [p, item] of Object.entries(spec.paths)) {
+    for (const [method, op] of Object.entries(item)) {
+      const types = Object.entries(op.responses)
+        .filter(([status]) => /^2\d\d$/.test(status))
+        .flatMap(([, r]) => Object.keys(r.content || {}));
+      if (types.length && types.every((t) => t === "text/event-stream")) continue;
+      methods.push(operationCode(p, method, op));
+    }
+  }
+
+  return `// Generated from the backend OpenAPI spec (GET /openapi.json) by \`npm --workspace backend run openapi:client\`.
+// Do not edit: change the route spec in backend/src/server.js or backend/src/openapi/schemas.js and regenerate.
+// ${spec.info.title} ${spec.info.version}, OpenAPI ${spec.openapi}
+import axios from "axios";
+import { BACKEND_URL } from "./config.js";
+
+${typedefs.join("\n\n")}
+
+const enc = (v) => encodeURIComponent(String(v));
+
+/**
+ * @param {{ baseUrl?: string, headers?: () => Record<string, string> }} [options]
+ *   headers: called per request, e.g. () => adminHeaders() for /admin routes
+ */
+export function createClient({ baseUrl = BACKEND_URL, headers = () => ({}) } = {}) {
+  async function request(method, path, { body, query } = {}) {
+    const { data } = await axios.request({
+      method,
+      url: \`\${baseUrl}\${path}\`,
+      params: query,
+      data: body,
+      headers: headers(),
+    });
+    return data;
+  }
+
+  function urlFor(path, query = {}) {
+    const qs = new URLSearchParams(Object.entries(query).filter(([, v]) => v !== undefined && v !== null && v !== ""));
+    return \`\${baseUrl}\${path}\${String(qs) ? \`?\${qs}\` : ""}\`;
+  }
+
+  return {
+${methods.join("\n")}
+  };
+}
+
+/** Client for public routes (BACKEND_URL, no auth header) */
+export const api = createClient();
+`;
+}
+
+async function main() {
+  const src = process.argv[2] || `http://localhost:${process.env.PORT || 4000}/openapi.json`;
+  const out = path.resolve(process.argv[3] || DEFAULT_OUT);
+  const spec = await loadSpec(src);
+  fs.writeFileSync(out, generateClient(spec));
+  console.log(`Wrote ${out} (${Object.keys(spec.paths).length} paths) from ${src}`);
+}
+
+main().catch((e) => {
+  console.error(e.message);
+  process.exit(1);
+});
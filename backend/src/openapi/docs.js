@@ -0,0 +1,106 @@
+/**
+ * GET /docs: API reference rendered on the server from the OpenAPI document (no JS, no CDN).
+ */
+
+const esc = (s) =>
+  String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// JSON Schema -> đọc được bằng mắt, $ref thành link tới #schema-<Name>
+function schemaHtml(schema) {
+  const json = esc(JSON.stringify(schema, null, 2));
+  return `<pre>${json.replace(
+    /&quot;\$ref&quot;: &quot;#\/components\/schemas\/([A-Za-z0-9_]+)&quot;/g,
+    (_m, name) => `&quot;$ref&quot;: <a href="#schema-${name}">${name}</a>`
+  )}</pre>`;
+}
+
+function parametersHtml(parameters) {
+  if (!parameters.length) return "";
+  const rows = parameters
+    .map(
+      (p) => `<tr>
+        <td><code>${esc(p.name)}</code>${p.required ? " *" : ""}</td>
+        <td>${esc(p.in)}</td>
+        <td><code>${esc(JSON.stringify(p.schema))}</code></td>
+        <td>${esc(p.description)}</td>
+      </tr>`
+    )
+    .join("");
+  return `<h4>Parameters</h4><table><tr><th>Name</th><th>In</th><th>Schema</th><th></th></tr>${rows}</table>`;
+}
+
+function operationHtml(path, method, op) {
+  const body = op.requestBody?.content?.["application/json"]?.schema;
+  const responses = Object.entries(op.responses)
+    .map(([status, r]) => {
+      const content = Object.entries(r.content || {})
+        .map(([type, c]) => `<div class="type">${esc(type)}</div>${schemaHtml(c.schema)}`)
+        .join("");
+      return `<h4>${esc(status)} ${esc(r.description)}</h4>${content}`;
+    })
+    .join("");
+
+  return `<section class="op" id="op-${esc(op.operationId)}">
+    <h3><span class="method ${method}">${method.toUpperCase()}</span> <code>${esc(path)}</code>
+      ${op.security ? '<span class="lock">admin</span>' : ""}</h3>
+    <p>${esc(op.summary)} <span class="muted">· <code>${esc(op.operationId)}()</code></span></p>
+    ${op.description ? `<p class="muted">${esc(op.description)}</p>` : ""}
+    ${parametersHtml(op.parameters)}
+    ${body ? `<h4>Request body</h4>${schemaHtml(body)}` : ""}
+    ${responses}
+  </section>`;
+}
+
+export function renderDocs(doc) {
+  const byTag = new Map(doc.tags.map((t) => [t.name, []]));
+  for (const [path, item] of Object.entries(doc.paths)) {
+    for (const [method, op] of Object.entries(item)) byTag.get(op.tags[0]).push(operationHtml(path, method, op));
+  }
+
+  const toc = doc.tags.map((t) => `<a href="#tag-${esc(t.name)}">${esc(t.name)}</a>`).join(" · ");
+  const sections = [...byTag]
+    .map(([tag, ops]) => `<h2 id="tag-${esc(tag)}">${esc(tag)}</h2>${ops.join("")}`)
+    .join("");
+  const schemas = Object.entries(doc.components.schemas)
+    .map(([name, s]) => `<section class="op" id="schema-${esc(name)}"><h3>${esc(name)}</h3>${schemaHtml(s)}</section>`)
+    .join("");
+
+  return `<!doctype html>
+<html>
+<head>
+  <meta charset="utf-8" />
+  <title>${esc(doc.info.title)}</title>
+  <style>
+    body { font-family: system-ui, sans-serif; max-width: 1100px; margin: 24px auto; padding: 0 16px; color: #222; }
+    h2 { border-bottom: 1px solid #ddd; padding-bottom: 4px; margin-top: 40px; }
+    .op { border: 1px solid #e5e5e5; border-radius: 6px; padding: 8px 16px; margin: 12px 0; }
+    .op h3 { margin: 8px 0; font-size: 16px; }
+    .op h4 { margin: 12px 0 4px; font-size: 13px; }
+    .method { display: inline-block; min-width: 48px; text-align: center; color: #fff; border-radius: 4px;
+      font-size: 12px; padding: 2px 6px; }
+    .method.get { background: #2f7d32; }
+    .method.post { background: #1f5fa8; }
+    .lock { font-size: 11px; background: #fbe9c6; border-radius: 4px; padding: 2px 6px; margin-left: 6px; }
+    .muted { color: #777; }
+    .type { font-size: 12px; color: #777; margin-top: 6px; }
+    pre { background: #f6f8fa; padding: 8px; overflow: auto; font-size: 12px; max-height: 360px; margin: 4px 0; }
+    table { border-collapse: collapse; font-size: 13px; }
+    td, th { border: 1px solid #e5e5e5; padding: 4px 8px; text-align: left; vertical-align: top; }
+  </style>
+</head>
+<body>
+  <h1>${esc(doc.info.title)} <span class="muted">${esc(doc.info.version)}</span></h1>
+  <p>OpenAPI ${esc(doc.openapi)}: <a href="/openapi.json">/openapi.json</a>.
+    Admin routes need <code>Authorization: Bearer &lt;token&gt;</code> from <code>POST /auth/verify</code>.
+    Errors are <a href="#schema-ErrorResponse">ErrorResponse</a>.</p>
+  <p>${toc} · <a href="#schemas">Schemas</a></p>
+  ${sections}
+  <h2 id="schemas">Schemas</h2>
+  ${schemas}
+</body>
+</html>`;
+}
@@ -0,0 +1,125 @@
+/**
+ * zod (v3) -> JSON Schema 2020-12, the dialect of OpenAPI 3.1.
+ *
+ * Covers what the API schemas use: objects, arrays, records, unions, enums, literals, strings
+ * (length / regex / email / url), numbers (int / min / max, z.coerce too), optional / nullable /
+ * default, and effects (refine / transform / preprocess: the input schema is documented).
+ *
+ * Request bodies: fields with a default are optional, like for z.parse.
+ * `refs`: Map(schema -> component name); those schemas become $ref to #/components/schemas/<name>.
+ */
+
+function withDescription(def, out) {
+  return def.description ? { ...out, description: def.description } : out;
+}
+
+function nullable(s) {
+  if (typeof s.type === "string") return { ...s, type: [s.type, "null"] };
+  return { anyOf: [s, { type: "null" }] };
+}
+
+function stringSchema(def) {
+  const out = { type: "string" };
+  for (const c of def.checks || []) {
+    if (c.kind === "min") out.minLength = c.value;
+    else if (c.kind === "max") out.maxLength = c.value;
+    else if (c.kind === "length") out.minLength = out.maxLength = c.value;
+    else if (c.kind === "regex") out.pattern = c.regex.source;
+    else if (c.kind === "email") out.format = "email";
+    else if (c.kind === "url") out.format = "uri";
+    else if (c.kind === "datetime") out.format = "date-time";
+  }
+  return out;
+}
+
+function numberSchema(def) {
+  const out = { type: "number" };
+  for (const c of def.checks || []) {
+    if (c.kind === "int") out.type = "integer";
+    else if (c.kind === "min") out[c.inclusive ? "minimum" : "exclusiveMinimum"] = c.value;
+    else if (c.kind === "max") out[c.inclusive ? "maximum" : "exclusiveMaximum"] = c.value;
+  }
+  return out;
+}
+
+// field có thể bỏ trống khi gửi lên
+function isOptional(schema) {
+  const t = schema._def.typeName;
+  if (t === "ZodOptional" || t === "ZodDefault") return true;
+  if (t === "ZodEffects") return isOptional(schema._def.schema);
+  return false;
+}
+
+export function zodToJsonSchema(schema, { refs = new Map(), root = true } = {}) {
+  if (!root && refs.has(schema)) return { $ref: `#/components/schemas/${refs.get(schema)}` };
+  const def = schema._def;
+  const sub = (s) => zodToJsonSchema(s, { refs, root: false });
+
+  switch (def.typeName) {
+    case "ZodString":
+      return withDescription(def, stringSchema(def));
+    case "ZodNumber":
+      return withDescription(def, numberSchema(def));
+    case "ZodBoolean":
+      return withDescription(def, { type: "boolean" });
+    case "ZodNull":
+      return withDescription(def, { type: "null" });
+    case "ZodAny":
+    case "ZodUnknown":
+      return withDescription(def, {});
+    case "ZodLiteral":
+      return withDescription(def, { const: def.value });
+    case "ZodEnum":
+      return withDescription(def, { type: "string", enum: [...def.values] });
+    case "ZodNativeEnum":
+      return withDescription(def, { enum: Object.values(def.values) });
+    case "ZodArray": {
+      const out = { type: "array", items: sub(def.type) };
+      if (def.minLength) out.minItems = def.minLength.value;
+      if (def.maxLength) out.maxItems = def.maxLength.value;
+      return withDescription(def, out);
+    }
+    case "ZodTuple":
+      return withDescription(def, { type: "array", prefixItems: def.items.map(sub), minItems: def.items.length });
+    case "ZodObject": {
+      const shape = def.shape();
+      const properties = {};
+      const required = [];
+      for (const [k, v] of Object.entries(shape)) {
+        properties[k] = sub(v);
+        if (!isOptional(v)) required.push(k);
+      }
+      const out = { type: "object", properties };
+      if (required.length) out.required = required;
+      if (def.unknownKeys === "strict") out.additionalProperties = false;
+      if (def.catchall && def.catchall._def.typeName !== "ZodNever") out.additionalProperties = sub(def.catchall);
+      return withDescription(def, out);
+    }
+    case "ZodRecord":
+      return withDescription(def, { type: "object", additionalProperties: sub(def.valueType) });
+    case "ZodUnion":
+    case "ZodDiscriminatedUnion":
+      return withDescription(def, { anyOf: [...def.options.values()].map(sub) });
+    case "ZodIntersection":
+      return withDescription(def, { allOf: [sub(def.left), sub(def.right)] });
+    case "ZodOptional":
+      return withDescription(def, sub(def.innerType));
+    case "ZodNullable":
+      return withDescription(def, nullable(sub(def.innerType)));
+    case "ZodDefault":
+      return withDescription(def, { ...sub(def.innerType), default: def.defaultValue() });
+    case "ZodCatch":
+    case "ZodReadonly":
+      return withDescription(def, sub(def.innerType));
+    case "ZodBranded":
+      return withDescription(def, sub(def.type));
+    case "ZodEffects":
+      return withDescription(def, sub(def.schema));
+    case "ZodPipeline":
+      return withDescription(def, sub(def.in));
+    case "ZodLazy":
+      return withDescription(def, sub(def.getter()));
+    default:
+      throw new Error(`zodToJsonSchema: ${def.typeName} is not supported`);
+  }
+}
@@ -0,0 +1,717 @@
+import { z } from "zod";
+
+/**
+ * Response shapes of the API (request shapes stay next to their routes in server.js).
+ * Every schema in COMPONENTS is published under #/components/schemas/<name> and becomes a
+ * @typedef in the generated client.
+ *
+ * Objects list the fields clients rely on; extra fields are allowed (z.object strips, never rejects).
+ * DB columns that can be NULL are .nullable().
+ */
+
+export const Address = z
+  .string()
+  .regex(/^0x[0-9a-fA-F]{40}$/, "Must be a 0x address")
+  .describe("0x address");
+export const Hash = z
+  .string()
+  .regex(/^0x[0-9a-fA-F]{64}$/, "Must be 32-byte hex")
+  .describe("32-byte hex (tx hash, kycHash, ...)");
+export const Wei = z
+  .string()
+  .regex(/^\d+$/, "Must be an integer string")
+  .describe("Integer amount in wei, as a decimal string");
+export const SignedWei = z
+  .string()
+  .regex(/^-?\d+$/, "Must be a signed integer string")
+  .describe("Signed integer amount in wei, as a decimal string (negative for debits)");
+const Unix = z.number().int().describe("Unix time (seconds)");
+const Id = z.number().int().positive();
+
+export const ErrorResponse = z.object({ message: z.string() });
+export const Ok = z.object({ ok: z.literal(true) });
+
+// ---- path / query helpers ------------------------------------------------------------
+
+export const UserParam = z.object({ user: Address });
+export const IdParam = z.object({ id: z.coerce.number().int().positive() });
+export const Limit = z.coerce.number().int().positive().optional();
+export const StatementTime = z
+  .string()
+  .regex(/^(\d+|\d{4}-\d{2}-\d{2})$/)
+  .describe("YYYY-MM-DD or unix seconds");
+
+// ?status=pending và ?status=PENDING đều được (handler tự chuẩn hoá)
+export function caseInsensitiveEnum(values) {
+  return z.preprocess(
+    (v) => (typeof v === "string" ? values.find((x) => x.toLowerCase() === v.toLowerCase()) ?? v : v),
+    z.enum(values)
+  );
+}
+// ---- meta ---------------------------------------------------------------------
+
+export const Health = z.object({ ok: z.literal(true), service: z.string(), ts: Unix });
+
+const ActionPause = z.object({
+  paused: z.boolean(),
+  since: z.object({ by: z.string(), at: Unix, txHash: Hash }).nullable(),
+});
+
+export const PauseStatus = z.object({
+  paused: z.array(z.string()).describe("Paused actions (DEPOSITS, WITHDRAWALS, TRANSFERS, LENDING)"),
+  contracts: z.record(z.object({ supported: z.boolean(), actions: z.record(ActionPause) })),
+});
+
+const TimelockCall = z.object({
+  index: z.number().int(),
+  target: Address,
+  value: z.string(),
+  data: z.string(),
+  contract: z.string().nullable(),
+  function: z.string().nullable(),
+  args: z.unknown(),
+  summary: z.string(),
+});
+
+export const TimelockOperation = z.object({
+  id: Hash,
+  predecessor: z.string().nullable(),
+  delay: z.number().int(),
+  scheduledAt: Unix,
+  scheduledTx: Hash,
+  readyAt: Unix,
+  executedAt: Unix.nullable(),
+  executedTx: Hash.nullable(),
+  cancelledAt: Unix.nullable(),
+  cancelledTx: Hash.nullable(),
+  calls: z.array(TimelockCall),
+  status: z.enum(["PENDING", "READY", "EXECUTED", "CANCELLED"]),
+});
+
+export const GovernanceOperations = z.object({
+  timelock: Address.nullable(),
+  minDelay: z.number().int().nullable(),
+  chainTime: Unix.optional(),
+  operations: z.array(TimelockOperation),
+});
+
+export const ContractsMeta = z.object({
+  chainId: z.number().int(),
+  rpcUrl: z.string(),
+  contracts: z.record(Address),
+});
+
+export const Abi = z.array(z.record(z.unknown())).describe("Contract ABI (JSON fragments)");
+
+// ---- accounts -----------------------------------------------------------------
+
+export const KycStatus = z.object({
+  user: z.string(),
+  approved: z.boolean(),
+  latestRequest: z
+    .object({
+      id: Id,
+      wallet: Address,
+      kycHash: Hash,
+      status: z.string(),
+      createdAt: Unix,
+      reviewedAt: Unix.nullable(),
+      reviewer: z.string().nullable(),
+    })
+    .nullable(),
+});
+
+export const LedgerCheck = z.object({ block: z.number().int(), indexed: Wei, onchain: Wei, matches: z.boolean() });
+
+export const Balance = z.object({
+  user: z.string(),
+  block: z.number().int().optional(),
+  bkd: Wei,
+  ledger: LedgerCheck,
+});
+
+const WindowLimit = z.object({ window: z.string(), limit: Wei, used: Wei, remaining: Wei });
+
+export const UserLimits = z.object({
+  user: z.string(),
+  kycLevel: z.number().int(),
+  enforced: z.boolean(),
+  enforcedBy: z.object({ vault: z.boolean(), lending: z.boolean() }).optional(),
+  limits: z
+    .record(WindowLimit)
+    .nullable()
+    .describe("deposit / withdrawal / transfer / borrow; null without a LimitsPolicy"),
+});
+
+export const LedgerEntry = z.object({
+  blockNumber: z.number().int(),
+  logIndex: z.number().int(),
+  txHash: Hash,
+  timestamp: Unix.nullable(),
+  direction: z.enum(["CREDIT", "DEBIT"]),
+  counterparty: z.string(),
+  delta: SignedWei,
+  balanceAfter: Wei,
+});
+
+export const BalanceHistory = z.object({
+  user: z.string(),
+  indexedTo: z.number().int(),
+  balance: Wei,
+  history: z.array(LedgerEntry),
+});
+
+export const ChainEvent = z.object({
+  id: Id,
+  blockNumber: z.number().int(),
+  logIndex: z.number().int(),
+  txHash: Hash,
+  contractAddress: Address.nullable(),
+  eventName: z.string(),
+  fromAddr: z.string().nullable().describe("0x address, or empty"),
+  toAddr: z.string().nullable().describe("0x address, or empty"),
+  amount: z.string().nullable().describe("wei, or empty"),
+  timestamp: Unix.nullable(),
+  metaJson: z.string().optional().describe("Decoded event args as JSON (admin only)"),
+});
+
+export const EventPage = z.object({
+  user: z.string().optional(),
+  events: z.array(ChainEvent),
+  nextCursor: z.string().nullable(),
+});
+
+const StatementLine = z.object({
+  bookedAt: Unix.nullable(),
+  blockNumber: z.number().int(),
+  logIndex: z.number().int(),
+  txHash: Hash,
+  direction: z.enum(["CREDIT", "DEBIT"]),
+  counterparty: z.string(),
+  amount: Wei,
+  code: z.string(),
+  description: z.string(),
+  balanceAfter: Wei,
+});
+
+export const Statement = z.object({
+  account: Address,
+  currency: z.string(),
+  from: Unix,
+  to: Unix,
+  generatedAt: Unix,
+  indexedToBlock: z.number().int(),
+  openingBalance: Wei,
+  closingBalance: Wei,
+  totalCredit: Wei,
+  totalDebit: Wei,
+  lines: z.array(StatementLine),
+});
+
+// ---- KYC (user side) -------------------------------------------------------------
+
+const TypedDataField = z.object({ name: z.string(), type: z.string() });
+const Eip712Domain = z.object({
+  name: z.string(),
+  version: z.string(),
+  chainId: z.number().int(),
+  verifyingContract: Address,
+});
+
+export const KycNonce = z.object({
+  wallet: Address,
+  nonce: Hash,
+  expiresAt: Unix,
+  typedData: z.object({
+    domain: Eip712Domain,
+    types: z.record(z.array(TypedDataField)),
+    primaryType: z.literal("KYCRequest"),
+  }),
+});
+
+export const KycSubmitted = z.object({
+  ok: z.literal(true),
+  requestId: Id,
+  wallet: Address,
+  kycHash: Hash,
+  signatureScheme: z.enum(["eip712-v2", "personal_sign-v1"]),
+});
+
+// ---- admin sign-in --------------------------------------------------------------
+
+export const AuthChallenge = z.object({ nonce: z.string(), message: z.string(), expiresAt: Unix });
+export const AdminToken = z.object({ ok: z.literal(true), token: z.string(), address: Address, expiresAt: Unix });
+export const AdminSession = z.object({ address: Address, expiresAt: Unix });
+
+// ---- admin KYC ----------------------------------------------------------------------
+
+export const KycRequestSummary = z.object({
+  id: Id,
+  wallet: Address,
+  kycHash: Hash,
+  status: z.string(),
+  createdAt: Unix,
+  screenedAt: Unix.nullable(),
+  openHits: z.number().int(),
+});
+
+export const ScreeningHit = z.object({
+  id: Id,
+  requestId: Id,
+  wallet: Address,
+  source: z.string(),
+  externalId: z.string(),
+  entryName: z.string(),
+  matchedName: z.string(),
+  score: z.number(),
+  reasons: z.unknown(),
+  status: z.enum(["OPEN", "CLEARED"]),
+  createdAt: Unix,
+  clearedBy: z.string().nullable(),
+  clearedAt: Unix.nullable(),
+  justification: z.string().nullable(),
+});
+
+export const KycRequestDetail = z.object({
+  request: z.object({
+    id: Id,
+    wallet: Address,
+    kycHash: Hash,
+    payloadJson: z.string().describe("Decrypted canonical dossier (viewing it is audited)"),
+    status: z.string(),
+    createdAt: Unix,
+    reviewedAt: Unix.nullable(),
+    reviewer: z.string().nullable(),
+    notes: z.string().nullable(),
+    approveTxHash: Hash.nullable(),
+    revokeTxHash: Hash.nullable(),
+    screenedAt: Unix.nullable(),
+    encrypted: z.boolean(),
+    hashVerified: z.boolean(),
+  }),
+  hits: z.array(ScreeningHit),
+});
+
+export const Watchlist = z.object({
+  id: Id,
+  source: z.string(),
+  fileName: z.string(),
+  fileSha256: z.string(),
+  entryCount: z.number().int(),
+  importedAt: Unix,
+  importedBy: z.string(),
+  active: z.number().int(),
+});
+
+export const RescreenResult = z.object({
+  ok: z.literal(true),
+  screened: z.number().int(),
+  newHits: z.number().int(),
+  errors: z.array(z.unknown()),
+});
+
+export const Proposal = z.object({
+  id: Id,
+  requestId: Id.nullable(),
+  wallet: Address,
+  action: z.enum(["APPROVE", "REJECT", "REVOKE"]),
+  level: z.number().int().nullable(),
+  expiresAt: Unix.nullable(),
+  notes: z.string().nullable(),
+  proposedBy: z.string(),
+  proposedAt: Unix,
+  proposalExpiresAt: Unix,
+  status: z.enum(["PENDING", "EXECUTING", "EXECUTED", "CANCELLED", "EXPIRED"]),
+  confirmedBy: z.string().nullable(),
+  confirmedAt: Unix.nullable(),
+  closedAt: Unix.nullable(),
+  txHash: Hash.nullable(),
+  councilId: z.number().int().nullable(),
+  councilConfirmations: z.number().int().nullable(),
+  councilTxHash: Hash.nullable(),
+  jobId: Id.nullable(),
+});
+
+export const ProposalCreated = z.object({
+  ok: z.literal(true),
+  proposalId: Id,
+  status: Proposal.shape.status,
+  proposal: Proposal,
+});
+
+export const CouncilInfo = z.object({ address: Address, threshold: z.number().int(), proposalTtl: z.number().int() });
+
+export const ProposalList = z.object({ proposals: z.array(Proposal), council: CouncilInfo.nullable() });
+
+export const CouncilTypedData = z.object({
+  op: z.enum(["propose", "confirm", "revoke"]),
+  domain: Eip712Domain,
+  types: z.record(z.array(TypedDataField)),
+  message: z.record(z.unknown()),
+});
+
+export const ProposalDecision = z.object({
+  ok: z.literal(true),
+  proposalId: Id,
+  action: Proposal.shape.action,
+  op: CouncilTypedData.shape.op.optional(),
+  status: z.enum(["EXECUTING", "EXECUTED"]),
+  jobId: Id.optional().describe("Admin tx queue job (poll /admin/jobs/:id)"),
+  txHash: Hash.nullable().optional(),
+});
+
+export const Discrepancy = z.object({
+  id: Id,
+  kind: z.string(),
+  wallet: Address,
+  kycHash: Hash.nullable(),
+  requestId: Id.nullable(),
+  txHash: Hash,
+  logIndex: z.number().int(),
+  blockNumber: z.number().int(),
+  detailsJson: z.string().nullable(),
+  detectedAt: Unix,
+  resolvedAt: Unix.nullable(),
+  resolvedBy: z.string().nullable(),
+  resolution: z.string().nullable(),
+});
+
+// ---- ledger / reconciliation / lending ---------------------------------------------------
+
+const AccountCheck = LedgerCheck.extend({ account: Address });
+
+export const LedgerVerify = z.object({
+  block: z.number().int(),
+  checked: z.number().int(),
+  ok: z.boolean(),
+  mismatches: z.array(AccountCheck),
+  accounts: z.array(AccountCheck),
+});
+
+export const ReconRunSummary = z.object({
+  id: Id,
+  startedAt: Unix,
+  finishedAt: Unix.nullable(),
+  blockNumber: z.number().int().nullable(),
+  status: z.enum(["RUNNING", "OK", "BREAKS", "ERROR"]),
+  trigger: z.string(),
+  error: z.string().nullable(),
+  breakCount: z.number().int(),
+});
+
+export const ReconRun = ReconRunSummary.omit({ breakCount: true }).extend({
+  figures: z.record(z.unknown()).nullable(),
+  breaks: z.array(
+    z.object({
+      id: Id,
+      runId: Id,
+      kind: z.string(),
+      description: z.string().nullable(),
+      expected: z.string(),
+      actual: z.string(),
+      diff: z.string(),
+      appearedAtBlock: z.number().int().nullable(),
+      details: z.record(z.unknown()),
+    })
+  ),
+});
+
+export const Reconciliation = z.object({ latest: ReconRun.nullable(), history: z.array(ReconRunSummary) });
+
+export const LiquidationCandidates = z.object({
+  params: z.object({
+    liquidationThresholdBps: z.number().int(),
+    closeFactorBps: z.number().int(),
+    liquidationBonusBps: z.number().int(),
+  }),
+  accounts: z.array(
+    z.object({
+      user: Address,
+      lastDebtEvent: z.string(),
+      lastDebtBlock: z.number().int(),
+      collateral: Wei,
+      debt: Wei,
+      ltvBps: z.number().int().nullable(),
+      liquidatable: z.boolean(),
+      maxRepay: Wei,
+    })
+  ),
+});
+
+export const BlockRef = z
+  .object({ number: z.number().int(), hash: Hash, timestamp: Unix })
+  .describe("Block every on-chain figure of the response was read at");
+
+const LendingParams = z.object({
+  maxLTVBps: z.number().int(),
+  liquidationThresholdBps: z.number().int(),
+  borrowRateBps: z.number().int().describe("current borrow APR"),
+  utilizationBps: z.number().int(),
+  cash: Wei.describe("pool liquidity available to borrow"),
+});
+
+const AccountHealth = {
+  collateral: Wei,
+  debt: Wei.describe("incl. interest accrued up to the block"),
+  ltvBps: z.number().int().nullable(),
+  healthFactor: z.number().nullable().describe("collateral * liquidation threshold / debt; < 1 = liquidatable"),
+  liquidatable: z.boolean(),
+  risk: z.enum(["LIQUIDATABLE", "AT_RISK", "HEALTHY", "CLOSED"]).describe("AT_RISK = above max LTV"),
+  availableToBorrow: Wei.describe("min(max LTV headroom, pool cash)"),
+};
+
+export const RepaymentSchedule = z.object({
+  payoffAt: Unix,
+  installments: z.number().int(),
+  borrowRateBps: z.number().int().describe("APR assumed for the whole schedule"),
+  payments: z.array(
+    z.object({
+      installment: z.number().int(),
+      dueAt: Unix,
+      payment: Wei,
+      interest: Wei,
+      principal: Wei,
+      balance: Wei.describe("debt left after this payment"),
+    })
+  ),
+  totalPaid: Wei,
+  totalInterest: Wei,
+});
+
+export const LendingAccount = z.object({
+  block: BlockRef,
+  user: Address,
+  ...AccountHealth,
+  accruedInterest: Wei.describe("interest accrued since the last debt change"),
+  accruedSince: z.object({ event: z.string(), blockNumber: z.number().int() }).nullable(),
+  supply: z.object({ shares: Wei, value: Wei.describe("incl. earned interest") }),
+  params: LendingParams,
+  projections: z.array(z.object({ days: z.number().int(), at: Unix, debt: Wei })).describe("at the current APR"),
+  schedule: RepaymentSchedule.nullable().describe("null unless payoffDate is given"),
+});
+
+export const LendingAccounts = z.object({
+  block: BlockRef,
+  indexedToBlock: z.number().int().describe("borrowers are taken from events indexed up to here"),
+  params: LendingParams,
+  accounts: z.array(
+    z.object({
+      user: Address,
+      ...AccountHealth,
+      totalBorrowed: Wei,
+      totalRepaid: Wei.describe("Repaid + repaid by liquidators"),
+      lastDebtEvent: z.string(),
+      lastDebtBlock: z.number().int(),
+    })
+  ),
+});
+
+// ---- AML ----------------------------------------------------------------------------
+
+export const AmlRules = z.object({
+  rules: z.array(z.object({ id: z.string(), enabled: z.boolean(), severity: z.string(), type: z.string() })),
+  dispositions: z.array(z.string()),
+});
+
+export const AmlRunResult = z.object({
+  ok: z.literal(true),
+  scanned: z.number().int(),
+  alerts: z.number().int(),
+  proposals: z.array(Id),
+});
+
+export const AmlAlert = z.object({
+  id: Id,
+  ruleId: z.string(),
+  ruleType: z.string(),
+  severity: z.string(),
+  subject: Address,
+  counterparty: z.string().nullable(),
+  dedupKey: z.string(),
+  summary: z.string(),
+  details: z.record(z.unknown()),
+  status: z.enum(["OPEN", "IN_REVIEW", "CLOSED"]),
+  assignee: z.string().nullable(),
+  disposition: z.string().nullable(),
+  proposalId: Id.nullable(),
+  createdAt: Unix,
+  updatedAt: Unix,
+  closedAt: Unix.nullable(),
+  closedBy: z.string().nullable(),
+  eventCount: z.number().int().optional(),
+});
+
+export const AmlAlertDetail = AmlAlert.extend({
+  events: z.array(
+    z.object({
+      txHash: Hash,
+      logIndex: z.number().int(),
+      blockNumber: z.number().int(),
+      eventName: z.string(),
+      fromAddr: z.string().nullable(),
+      toAddr: z.string().nullable(),
+      amount: z.string().nullable(),
+      timestamp: Unix.nullable(),
+    })
+  ),
+  notes: z.array(z.object({ id: Id, kind: z.string(), actor: z.string(), body: z.string().nullable(), at: Unix })),
+});
+
+export const AmlAlertResult = z.object({ ok: z.literal(true), alert: AmlAlertDetail });
+
+// ---- admin tx queue -------------------------------------------------------------------
+
+export const AdminJob = z.object({
+  id: Id,
+  kind: z.string(),
+  contractName: z.string(),
+  contractAddress: Address,
+  method: z.string(),
+  args: z.array(z.unknown()),
+  context: z.record(z.unknown()),
+  status: z.enum(["QUEUED", "SENT", "CONFIRMED", "FAILED"]),
+  signer: Address.nullable(),
+  nonce: z.number().int().nullable(),
+  txHash: Hash.nullable(),
+  attempts: z.number().int(),
+  nextAttemptAt: Unix,
+  lastError: z.string().nullable(),
+  result: z.record(z.unknown()).nullable(),
+  createdBy: z.string().nullable(),
+  createdAt: Unix,
+  updatedAt: Unix,
+  sentAt: Unix.nullable(),
+  confirmedAt: Unix.nullable(),
+  blockNumber: z.number().int().nullable(),
+});
+
+export const AdminTx = z.object({
+  id: Id,
+  jobId: Id,
+  txHash: Hash,
+  signer: Address,
+  nonce: z.number().int(),
+  gasLimit: Wei,
+  maxFeePerGas: Wei,
+  maxPriorityFeePerGas: Wei,
+  status: z.enum(["PENDING", "MINED", "REPLACED", "DROPPED"]),
+  sentAt: Unix,
+  blockNumber: z.number().int().nullable(),
+  blockHash: Hash.nullable(),
+  receiptStatus: z.number().int().nullable(),
+  gasUsed: Wei.nullable(),
+  effectiveGasPrice: Wei.nullable(),
+  minedAt: Unix.nullable(),
+});
+
+export const AdminJobDetail = AdminJob.extend({ txs: z.array(AdminTx) });
+
+// ---- webhooks ----------------------------------------------------------------------------
+
+export const Webhook = z.object({
+  id: Id,
+  url: z.string(),
+  description: z.string().nullable(),
+  active: z.boolean(),
+  eventTypes: z.array(z.string()),
+  accounts: z.array(Address).nullable(),
+  fromEventId: z.number().int(),
+  fromActionId: z.number().int(),
+  createdBy: z.string().nullable(),
+  createdAt: Unix,
+  updatedAt: Unix,
+  deliveries: z
+    .object({ PENDING: z.number().int(), DELIVERED: z.number().int(), DEAD: z.number().int() })
+    .optional(),
+});
+
+export const WebhookWithSecret = Webhook.extend({
+  secret: z.string().describe("HMAC key for X-BankChain-Signature; only returned on create / rotate"),
+});
+
+export const WebhookDelivery = z.object({
+  id: Id,
+  subscriptionId: Id,
+  eventKey: z.string(),
+  eventType: z.string(),
+  payload: z.object({ id: z.string(), type: z.string(), createdAt: Unix, data: z.record(z.unknown()) }),
+  status: z.enum(["PENDING", "DELIVERED", "DEAD"]),
+  attempts: z.number().int(),
+  nextAttemptAt: Unix,
+  lastStatusCode: z.number().int().nullable(),
+  lastError: z.string().nullable(),
+  replayOf: Id.nullable(),
+  createdAt: Unix,
+  updatedAt: Unix,
+  deliveredAt: Unix.nullable(),
+});
+
+export const WebhookAttempt = z.object({
+  id: Id,
+  deliveryId: Id,
+  attempt: z.number().int(),
+  at: Unix,
+  statusCode: z.number().int().nullable(),
+  error: z.string().nullable(),
+  durationMs: z.number().int(),
+  responseBody: z.string().nullable(),
+});
+
+export const WebhookDeliveryDetail = WebhookDelivery.extend({ attemptLog: z.array(WebhookAttempt) });
+
+export const COMPONENTS = {
+  ErrorResponse,
+  Health,
+  PauseStatus,
+  TimelockOperation,
+  GovernanceOperations,
+  ContractsMeta,
+  KycStatus,
+  LedgerCheck,
+  Balance,
+  UserLimits,
+  LedgerEntry,
+  BalanceHistory,
+  ChainEvent,
+  EventPage,
+  Statement,
+  KycNonce,
+  KycSubmitted,
+  AuthChallenge,
+  AdminToken,
+  AdminSession,
+  KycRequestSummary,
+  ScreeningHit,
+  KycRequestDetail,
+  Watchlist,
+  RescreenResult,
+  Proposal,
+  ProposalCreated,
+  CouncilInfo,
+  ProposalList,
+  CouncilTypedData,
+  ProposalDecision,
+  Discrepancy,
+  LedgerVerify,
+  ReconRunSummary,
+  ReconRun,
+  Reconciliation,
+  LiquidationCandidates,
+  BlockRef,
+  RepaymentSchedule,
+  LendingAccount,
+  LendingAccounts,
+  AmlRules,
+  AmlRunResult,
+  AmlAlert,
+  AmlAlertDetail,
+  AmlAlertResult,
+  AdminJob,
+  AdminTx,
+  AdminJobDetail,
+  Webhook,
+  WebhookWithSecret,
+  WebhookDelivery,
+  WebhookAttempt,
+  WebhookDeliveryDetail,
+};
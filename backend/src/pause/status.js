@@ -0,0 +1,47 @@
+import { ethers } from "ethers";
+
+/**
+ * Emergency pause state (GranularPausable) of vault / token / lending, for GET /status.
+ *
+ * The chain is the source of truth for paused/not paused; who paused it and when comes from the
+ * indexed Paused events (may lag the chain by the indexer's confirmations).
+ */
+const PAUSABLE = ["vault", "token", "lending"];
+
+function lastPause(db, contractAddress, action) {
+  const row = db
+    .prepare(
+      `
+      SELECT fromAddr, timestamp, txHash FROM events
+      WHERE eventName = 'Paused' AND contractAddress = ? AND json_extract(metaJson, '$.action') = ?
+      ORDER BY blockNumber DESC, logIndex DESC LIMIT 1
+    `
+    )
+    .get(contractAddress.toLowerCase(), ethers.encodeBytes32String(action).toLowerCase());
+  return row ? { by: row.fromAddr, at: row.timestamp, txHash: row.txHash } : null;
+}
+
+export async function pauseStatus(db, contracts) {
+  const out = {};
+  const paused = [];
+  for (const name of PAUSABLE) {
+    const c = contracts[name];
+    let state;
+    try {
+      state = await c.pauseState();
+    } catch {
+      // deployment from before GranularPausable: nothing can be paused
+      out[name] = { supported: false, actions: {} };
+      continue;
+    }
+    const [actions, flags] = state;
+    const entries = {};
+    actions.forEach((raw, i) => {
+      const action = ethers.decodeBytes32String(raw);
+      entries[action] = { paused: flags[i], since: flags[i] ? lastPause(db, c.target, action) : null };
+      if (flags[i]) paused.push(action);
+    });
+    out[name] = { supported: true, actions: entries };
+  }
+  return { paused, contracts: out };
+}
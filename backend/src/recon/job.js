@@ -0,0 +1,47 @@
+import dotenv from "dotenv";
+import { initDb } from "../db/db.js";
+import { runReconciliation } from "./reconcile.js";
+
+/**
+ * Scheduled reserve reconciliation (chạy song song với indexer).
+ *   node src/recon/job.js          -> chạy mỗi RECON_INTERVAL_SEC
+ *   node src/recon/job.js --once   -> chạy 1 lần rồi thoát (exit 2 nếu có break, cho cron/CI)
+ */
+
+dotenv.config();
+
+const once = process.argv.includes("--once");
+const db = initDb();
+
+const INTERVAL_SEC = Number(process.env.RECON_INTERVAL_SEC || 3600);
+
+function summary(run) {
+  return {
+    id: run.id,
+    block: run.blockNumber,
+    status: run.status,
+    breaks: run.breaks.map((b) => `${b.kind} (since block ${b.appearedAtBlock}, diff ${b.diff})`),
+    error: run.error || undefined,
+  };
+}
+
+async function main() {
+  const run = await runReconciliation(db, { trigger: "job" });
+  console.log("Reconciliation:", summary(run));
+  if (once) process.exit(run.status === "OK" ? 0 : 2);
+
+  console.log(`Reconciliation job running (every ${INTERVAL_SEC}s) ...`);
+
+  const loop = async () => {
+    try {
+      const r = await runReconciliation(db, { trigger: "job" });
+      if (r.status !== "OK") console.warn("Reconciliation:", summary(r));
+    } catch (e) {
+      console.error("recon error:", e.message);
+    }
+    setTimeout(loop, INTERVAL_SEC * 1000);
+  };
+  setTimeout(loop, INTERVAL_SEC * 1000);
+}
+
+main();
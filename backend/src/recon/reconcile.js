@@ -0,0 +1,292 @@
+import { getContracts, getProvider } from "../web3/web3.js";
+import { indexedToBlock } from "../ledger/ledger.js";
+
+/**
+ * Reserve reconciliation: vault ETH vs BKD supply vs indexed events vs LendingPool.
+ *
+ * Mọi số liệu lấy tại CÙNG một block (checkpoint của indexer) để on-chain state và events khớp nhau.
+ * Một "break" mới (run trước không có) được dò nhị phân trên state lịch sử để tìm block đầu tiên
+ * nó xuất hiện — treasuryWithdrawETH không emit event nên chỉ có cách này.
+ *
+ * Mỗi lần chạy ghi recon_runs + recon_breaks (lịch sử cho auditor).
+ */
+
+const LENDING_USER_EVENTS = ["CollateralDeposited", "CollateralWithdrawn", "Borrowed", "Repaid"];
+
+function nowSec() {
+  return Math.floor(Date.now() / 1000);
+}
+
+function sumEvents(db, { contract, eventName, field, block }) {
+  const rows = db
+    .prepare(
+      `SELECT metaJson FROM events WHERE contractAddress = ? AND eventName = ? AND blockNumber <= ?`
+    )
+    .all(contract, eventName, block);
+  return rows.reduce((acc, r) => acc + BigInt(JSON.parse(r.metaJson)[field] ?? "0"), 0n);
+}
+
+function ledgerTotal(db, block) {
+  // Số dư của mỗi account = balanceAfter của dòng cuối cùng <= block.
+  const rows = db
+    .prepare(
+      `
+      SELECT l.balanceAfter FROM bkd_ledger l
+      WHERE l.id = (
+        SELECT id FROM bkd_ledger x
+        WHERE x.account = l.account AND x.blockNumber <= @block
+        ORDER BY x.blockNumber DESC, x.logIndex DESC, x.id DESC
+        LIMIT 1
+      )
+    `
+    )
+    .all({ block });
+  return rows.reduce((acc, r) => acc + BigInt(r.balanceAfter), 0n);
+}
+
+function lendingUsers(db, lending, block) {
+  return db
+    .prepare(
+      `
+      SELECT DISTINCT fromAddr FROM events
+      WHERE contractAddress = ? AND blockNumber <= ?
+        AND eventName IN (${LENDING_USER_EVENTS.map(() => "?").join(", ")})
+    `
+    )
+    .all(lending, block, ...LENDING_USER_EVENTS)
+    .map((r) => r.fromAddr);
+}
+
+/**
+ * All figures at `block` (bigint). Before the contracts exist every on-chain figure is 0.
+ */
+async function figuresAt(db, c, block) {
+  const provider = getProvider();
+  const vault = c.vault.target.toLowerCase();
+  const lending = c.lending.target.toLowerCase();
+  const deployed = (await provider.getCode(c.token.target, block)) !== "0x";
+  const opts = { blockTag: block };
+
+  const users = lendingUsers(db, lending, block);
+  let poolCollateral = 0n;
+  let poolDebt = 0n;
+  let poolCash = 0n;
+  let poolReserves = 0n;
+  if (deployed && (await provider.getCode(c.lending.target, block)) !== "0x") {
+    for (const u of users) {
+      const [collateral, debt] = await c.lending.getAccount(u, opts);
+      poolCollateral += collateral;
+      poolDebt += debt;
+    }
+    // pending interest included, like getAccount().debt
+    const pool = await c.lending.getPoolState(opts);
+    poolCash = pool.cash;
+    poolReserves = pool.reserves;
+  }
+
+  return {
+    block,
+    vaultEth: await provider.getBalance(c.vault.target, block),
+    totalSupply: deployed ? await c.token.totalSupply(opts) : 0n,
+    eventsNetEth:
+      sumEvents(db, { contract: vault, eventName: "Deposited", field: "ethAmount", block }) -
+      sumEvents(db, { contract: vault, eventName: "Withdrawn", field: "ethReturned", block }),
+    eventsNetMinted:
+      sumEvents(db, { contract: vault, eventName: "Deposited", field: "mintedBKD", block }) -
+      sumEvents(db, { contract: vault, eventName: "Withdrawn", field: "burnedBKD", block }),
+    ledgerTotal: ledgerTotal(db, block),
+    poolBkd: deployed ? await c.token.balanceOf(c.lending.target, opts) : 0n,
+    poolCollateral,
+    poolDebt,
+    poolCash,
+    poolReserves,
+    eventsNetSupplyCash:
+      sumEvents(db, { contract: lending, eventName: "Supplied", field: "amount", block }) -
+      sumEvents(db, { contract: lending, eventName: "Redeemed", field: "amount", block }),
+    eventsNetCollateral:
+      sumEvents(db, { contract: lending, eventName: "CollateralDeposited", field: "amount", block }) -
+      sumEvents(db, { contract: lending, eventName: "CollateralWithdrawn", field: "amount", block }) -
+      sumEvents(db, { contract: lending, eventName: "Liquidated", field: "seized", block }),
+    lendingUsers: users.length,
+  };
+}
+
+/**
+ * Each check: expected vs actual; `ok` decides whether it's a break.
+ */
+const CHECKS = [
+  {
+    kind: "VAULT_ETH_BELOW_SUPPLY",
+    description: "Vault ETH must cover BKD total supply (1:1 backing)",
+    expected: (f) => f.totalSupply,
+    actual: (f) => f.vaultEth,
+    ok: (expected, actual) => actual >= expected,
+  },
+  {
+    kind: "VAULT_ETH_VS_EVENTS",
+    description: "Vault ETH should equal net Deposited.ethAmount - Withdrawn.ethReturned",
+    expected: (f) => f.eventsNetEth,
+    actual: (f) => f.vaultEth,
+  },
+  {
+    kind: "SUPPLY_VS_EVENTS",
+    description: "BKD total supply should equal net Deposited.mintedBKD - Withdrawn.burnedBKD",
+    expected: (f) => f.eventsNetMinted,
+    actual: (f) => f.totalSupply,
+  },
+  {
+    kind: "SUPPLY_VS_LEDGER",
+    description: "BKD total supply should equal the sum of indexed holder balances",
+    expected: (f) => f.totalSupply,
+    actual: (f) => f.ledgerTotal,
+  },
+  {
+    kind: "POOL_COLLATERAL_VS_EVENTS",
+    description: "LendingPool collateral should equal net CollateralDeposited - CollateralWithdrawn - Liquidated.seized",
+    expected: (f) => f.eventsNetCollateral,
+    actual: (f) => f.poolCollateral,
+  },
+  {
+    kind: "POOL_UNDERFUNDED",
+    description: "LendingPool BKD must cover collateral owed to users + lendable cash",
+    expected: (f) => f.poolCollateral + f.poolCash,
+    actual: (f) => f.poolBkd,
+    ok: (expected, actual) => actual >= expected,
+  },
+  {
+    kind: "POOL_LENDER_FUNDS_VS_EVENTS",
+    description:
+      "LendingPool cash + loans - reserves should cover net Supplied - Redeemed (interest only adds; a shortfall = lender loss)",
+    expected: (f) => f.eventsNetSupplyCash,
+    actual: (f) => f.poolCash + f.poolDebt - f.poolReserves,
+    ok: (expected, actual) => actual >= expected,
+  },
+];
+
+function evaluate(check, f) {
+  const expected = check.expected(f);
+  const actual = check.actual(f);
+  const ok = check.ok ? check.ok(expected, actual) : expected === actual;
+  return { ok, expected, actual };
+}
+
+/**
+ * Smallest block in (goodBlock, badBlock] where `check` fails, assuming it passed at goodBlock.
+ */
+async function locateBreak(db, c, check, goodBlock, badBlock) {
+  let lo = goodBlock;
+  let hi = badBlock;
+  while (hi - lo > 1) {
+    const mid = Math.floor((lo + hi) / 2);
+    if (evaluate(check, await figuresAt(db, c, mid)).ok) lo = mid;
+    else hi = mid;
+  }
+  return hi;
+}
+
+function figuresToJson(f) {
+  return Object.fromEntries(Object.entries(f).map(([k, v]) => [k, typeof v === "bigint" ? v.toString() : v]));
+}
+
+/**
+ * Run all checks at the indexer checkpoint and store the run.
+ * @returns the stored run (see getRun)
+ */
+export async function runReconciliation(db, { trigger = "manual" } = {}) {
+  const startedAt = nowSec();
+  const runId = db
+    .prepare(`INSERT INTO recon_runs (startedAt, trigger, status) VALUES (?, ?, 'RUNNING')`)
+    .run(startedAt, trigger).lastInsertRowid;
+
+  try {
+    const c = await getContracts();
+    const block = indexedToBlock(db);
+    const figures = await figuresAt(db, c, block);
+
+    const prevRun = db
+      .prepare(`SELECT id, blockNumber FROM recon_runs WHERE status IN ('OK','BREAKS') AND id < ? ORDER BY id DESC LIMIT 1`)
+      .get(runId);
+    const prevBreaks = prevRun
+      ? new Map(
+          db
+            .prepare(`SELECT kind, appearedAtBlock FROM recon_breaks WHERE runId = ?`)
+            .all(prevRun.id)
+            .map((b) => [b.kind, b.appearedAtBlock])
+        )
+      : new Map();
+
+    const breaks = [];
+    for (const check of CHECKS) {
+      const r = evaluate(check, figures);
+      if (r.ok) continue;
+
+      // Đã break từ run trước => giữ nguyên block xuất hiện; break mới => dò trong (block run trước, block]
+      let appearedAtBlock = prevBreaks.get(check.kind);
+      let searchedFrom = null;
+      if (appearedAtBlock === undefined || appearedAtBlock > block) {
+        searchedFrom = prevRun && prevRun.blockNumber < block && !prevBreaks.has(check.kind) ? prevRun.blockNumber : 0;
+        appearedAtBlock = await locateBreak(db, c, check, searchedFrom, block);
+      }
+
+      breaks.push({
+        kind: check.kind,
+        description: check.description,
+        expected: r.expected.toString(),
+        actual: r.actual.toString(),
+        diff: (r.actual - r.expected).toString(),
+        appearedAtBlock,
+        searchedFrom,
+      });
+    }
+
+    const status = breaks.length ? "BREAKS" : "OK";
+    const save = db.transaction(() => {
+      const ins = db.prepare(`
+        INSERT INTO recon_breaks (runId, kind, description, expected, actual, diff, appearedAtBlock, detailsJson)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `);
+      for (const b of breaks) {
+        ins.run(runId, b.kind, b.description, b.expected, b.actual, b.diff, b.appearedAtBlock, JSON.stringify({ searchedFrom: b.searchedFrom }));
+      }
+      db.prepare(
+        `UPDATE recon_runs SET finishedAt = ?, blockNumber = ?, status = ?, figuresJson = ? WHERE id = ?`
+      ).run(nowSec(), block, status, JSON.stringify(figuresToJson(figures)), runId);
+    });
+    save();
+  } catch (e) {
+    db.prepare(`UPDATE recon_runs SET finishedAt = ?, status = 'ERROR', error = ? WHERE id = ?`).run(
+      nowSec(),
+      String(e?.message || e),
+      runId
+    );
+  }
+
+  return getRun(db, runId);
+}
+
+export function getRun(db, id) {
+  const run = db.prepare(`SELECT * FROM recon_runs WHERE id = ?`).get(id);
+  if (!run) return null;
+  const breaks = db.prepare(`SELECT * FROM recon_breaks WHERE runId = ? ORDER BY id`).all(id);
+  return {
+    ...run,
+    figures: run.figuresJson ? JSON.parse(run.figuresJson) : null,
+    figuresJson: undefined,
+    breaks: breaks.map((b) => ({ ...b, details: JSON.parse(b.detailsJson || "{}"), detailsJson: undefined })),
+  };
+}
+
+export function listRuns(db, { limit = 50, status = null } = {}) {
+  return db
+    .prepare(
+      `
+      SELECT r.id, r.startedAt, r.finishedAt, r.blockNumber, r.status, r.trigger, r.error,
+             (SELECT COUNT(*) FROM recon_breaks b WHERE b.runId = r.id) AS breakCount
+      FROM recon_runs r
+      WHERE (@status IS NULL OR r.status = @status)
+      ORDER BY r.id DESC
+      LIMIT @limit
+    `
+    )
+    .all({ limit, status });
+}
@@ -0,0 +1,41 @@
+import fs from "node:fs";
+import dotenv from "dotenv";
+import { initDb } from "../db/db.js";
+import { importWatchlist, rescreenAll, listWatchlists } from "./screening.js";
+import { SOURCES } from "./parsers.js";
+
+/**
+ * Watchlist import (offline: the file is downloaded / exported separately).
+ *
+ *   node src/screening/import.js <source> <file>   # import, then re-screen PENDING + APPROVED dossiers
+ *   node src/screening/import.js list              # imported lists
+ *
+ * source: OFAC_SDN_CSV | OFAC_SDN_XML | EU_XML | INTERNAL_CSV
+ */
+
+dotenv.config();
+
+const [source, file] = process.argv.slice(2);
+const db = initDb();
+
+if (source === "list") {
+  console.table(listWatchlists(db));
+  process.exit(0);
+}
+
+if (!SOURCES.includes(source) || !file) {
+  console.error(`Usage: node src/screening/import.js <${SOURCES.join("|")}> <file>`);
+  process.exit(1);
+}
+
+const imported = importWatchlist(db, {
+  source,
+  fileName: file,
+  content: fs.readFileSync(file),
+  importedBy: process.env.USER || "cli",
+});
+console.log(`Imported ${imported.entryCount} entries from ${file} as ${source} (list #${imported.listId})`);
+
+const r = rescreenAll(db);
+console.log(`Re-screened ${r.screened} dossier(s): ${r.newHits} new hit(s)`);
+for (const e of r.errors) console.warn(`  request #${e.requestId}: ${e.message}`);
@@ -0,0 +1,129 @@
+import { nameTokens, normalizeId, normalizeDob } from "./normalize.js";
+
+/**
+ * Fuzzy matching of one dossier against one watchlist entry.
+ *
+ * - Name: every entry name (primary + aliases) is compared token-set-wise: each token of the
+ *   shorter name is paired with its best Jaro-Winkler match in the longer one, so token order
+ *   ("NGUYEN Van Duc" vs "Duc Van Nguyen") and small spelling differences don't matter.
+ * - DOB: same (partial) date => +0.05, different year/month/day => score × 0.8. Missing = neutral.
+ * - National id: exact match after normalization => score 1 (regardless of the name).
+ */
+
+function jaro(a, b) {
+  if (a === b) return 1;
+  const la = a.length;
+  const lb = b.length;
+  if (!la || !lb) return 0;
+
+  const range = Math.max(0, Math.floor(Math.max(la, lb) / 2) - 1);
+  const aFlags = new Array(la).fill(false);
+  const bFlags = new Array(lb).fill(false);
+  let matches = 0;
+  for (let i = 0; i < la; i++) {
+    const lo = Math.max(0, i - range);
+    const hi = Math.min(lb - 1, i + range);
+    for (let j = lo; j <= hi; j++) {
+      if (bFlags[j] || a[i] !== b[j]) continue;
+      aFlags[i] = bFlags[j] = true;
+      matches++;
+      break;
+    }
+  }
+  if (!matches) return 0;
+
+  let t = 0;
+  let k = 0;
+  for (let i = 0; i < la; i++) {
+    if (!aFlags[i]) continue;
+    while (!bFlags[k]) k++;
+    if (a[i] !== b[k]) t++;
+    k++;
+  }
+  return (matches / la + matches / lb + (matches - t / 2) / matches) / 3;
+}
+
+export function jaroWinkler(a, b) {
+  const j = jaro(a, b);
+  let prefix = 0;
+  while (prefix < 4 && prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+  return j + prefix * 0.1 * (1 - j);
+}
+
+/**
+ * Token-set similarity in [0, 1]: average best-token score of the shorter name,
+ * damped when the longer name has extra tokens ("Ali" should not fully match "Ali Hassan Omar").
+ */
+export function nameScore(aTokens, bTokens) {
+  if (!aTokens.length || !bTokens.length) return 0;
+  const [short, long] = aTokens.length <= bTokens.length ? [aTokens, bTokens] : [bTokens, aTokens];
+
+  const used = new Set();
+  let sum = 0;
+  for (const t of short) {
+    let best = 0;
+    let bestIdx = -1;
+    long.forEach((u, idx) => {
+      if (used.has(idx)) return;
+      const s = jaroWinkler(t, u);
+      if (s > best) {
+        best = s;
+        bestIdx = idx;
+      }
+    });
+    if (bestIdx >= 0) used.add(bestIdx);
+    sum += best;
+  }
+  const coverage = sum / short.length;
+  return coverage * (0.75 + 0.25 * (short.length / long.length));
+}
+
+/**
+ * "1970-01" vs "1970-01-31" => true (same as far as both are known); null if either is unknown.
+ */
+function dobMatches(a, b) {
+  if (!a || !b) return null;
+  const n = Math.min(a.length, b.length);
+  return a.slice(0, n) === b.slice(0, n);
+}
+
+/**
+ * @param {{fullName: string, dob?: string, nationalId?: string}} subject  decrypted dossier fields
+ * @param {{names: string[], dobs: string[], nationalIds: string[]}} entry
+ * @returns {{score: number, reasons: object}}
+ */
+export function scoreEntry(subject, entry) {
+  const subjectTokens = nameTokens(subject.fullName);
+
+  let best = 0;
+  let matchedName = entry.names[0] ?? "";
+  for (const name of entry.names) {
+    const s = nameScore(subjectTokens, nameTokens(name));
+    if (s > best) {
+      best = s;
+      matchedName = name;
+    }
+  }
+
+  const dob = normalizeDob(subject.dob);
+  let dobMatch = null;
+  for (const d of entry.dobs) {
+    const m = dobMatches(dob, d);
+    if (m === null) continue;
+    dobMatch = m;
+    if (m) break;
+  }
+
+  const id = normalizeId(subject.nationalId);
+  const idMatch = Boolean(id) && entry.nationalIds.some((x) => normalizeId(x) === id);
+
+  let score = best;
+  if (dobMatch === true) score = Math.min(1, score + 0.05);
+  if (dobMatch === false) score *= 0.8;
+  if (idMatch) score = 1;
+
+  return {
+    score: Math.round(score * 1000) / 1000,
+    reasons: { nameScore: Math.round(best * 1000) / 1000, matchedName, dobMatch, idMatch },
+  };
+}
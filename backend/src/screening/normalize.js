@@ -0,0 +1,82 @@
+/**
+ * Name / id / date normalization for watchlist screening.
+ *
+ * "Nguyễn Văn Đức", "NGUYEN, Van Duc" and "Нгуен Ван Дук" must end up comparable:
+ * - lowercase, strip diacritics (NFKD), fold special letters (đ, ß, ø, ł, ...)
+ * - transliterate Cyrillic to Latin
+ * - drop punctuation and honorifics, split into tokens (token order is handled by the matcher)
+ */
+
+const SPECIAL = {
+  đ: "d",
+  ð: "d",
+  ß: "ss",
+  æ: "ae",
+  œ: "oe",
+  ø: "o",
+  ł: "l",
+  þ: "th",
+  ı: "i",
+};
+
+// BGN/PCGN-style, đủ cho tên người
+const CYRILLIC = {
+  а: "a", б: "b", в: "v", г: "g", д: "d", е: "e", ё: "e", ж: "zh", з: "z", и: "i", й: "y",
+  к: "k", л: "l", м: "m", н: "n", о: "o", п: "p", р: "r", с: "s", т: "t", у: "u", ф: "f",
+  х: "kh", ц: "ts", ч: "ch", ш: "sh", щ: "shch", ъ: "", ы: "y", ь: "", э: "e", ю: "yu", я: "ya",
+  і: "i", ї: "yi", є: "ye", ґ: "g", ў: "u",
+};
+
+const HONORIFICS = new Set(["mr", "mrs", "ms", "miss", "dr", "prof", "sir", "sheikh", "haji"]);
+
+export function foldName(s) {
+  return Array.from(String(s || "").toLowerCase())
+    .map((ch) => SPECIAL[ch] ?? CYRILLIC[ch] ?? ch)
+    .join("")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+/**
+ * "ABU ABBAS, Mohammed" -> ["abu", "abbas", "mohammed"]
+ */
+export function nameTokens(s) {
+  return foldName(s)
+    .split(" ")
+    .filter((t) => t && !HONORIFICS.has(t));
+}
+
+export function normalizeId(s) {
+  return String(s || "")
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, "");
+}
+
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+function pad(n) {
+  return String(n).padStart(2, "0");
+}
+
+/**
+ * Dates as found in lists / dossiers -> "YYYY-MM-DD", "YYYY-MM" or "YYYY" (null if unparseable).
+ * Accepts 1970-01-31, 31/01/1970, 31 Jan 1970, Jan 1970, 1970.
+ */
+export function normalizeDob(s) {
+  const v = String(s || "").trim();
+  let m;
+  if ((m = /^(\d{4})-(\d{1,2})-(\d{1,2})/.exec(v))) return `${m[1]}-${pad(m[2])}-${pad(m[3])}`;
+  if ((m = /^(\d{1,2})[/.](\d{1,2})[/.](\d{4})$/.exec(v))) return `${m[3]}-${pad(m[2])}-${pad(m[1])}`;
+  if ((m = /^(\d{1,2}) ([A-Za-z]{3})[a-z]* (\d{4})$/.exec(v))) {
+    const mon = MONTHS.indexOf(m[2].toLowerCase());
+    if (mon >= 0) return `${m[3]}-${pad(mon + 1)}-${pad(m[1])}`;
+  }
+  if ((m = /^([A-Za-z]{3})[a-z]* (\d{4})$/.exec(v))) {
+    const mon = MONTHS.indexOf(m[1].toLowerCase());
+    if (mon >= 0) return `${m[2]}-${pad(mon + 1)}`;
+  }
+  if ((m = /^(?:circa )?(\d{4})$/i.exec(v))) return m[1];
+  return null;
+}
@@ -0,0 +1,245 @@
+import { normalizeDob } from "./normalize.js";
+
+/**
+ * Watchlist file parsers -> [{ externalId, primaryName, names[], dobs[], nationalIds[], program }].
+ * Only natural persons are kept (dossiers are individuals; vessels / entities can't match).
+ *
+ * Sources:
+ * - OFAC_SDN_CSV: sdn.csv from the SDN list (no header; "-0-" = empty; DOB / ids / a.k.a. in Remarks)
+ * - OFAC_SDN_XML: sdn.xml (sdnEntry / akaList / dateOfBirthList / idList)
+ * - EU_XML:       EU consolidated financial sanctions list (sanctionEntity / nameAlias / birthdate / identification)
+ * - INTERNAL_CSV: our own list, header `name,aliases,dob,nationalId,reference,program`,
+ *                 aliases and national ids separated by ";"
+ *
+ * XML được đọc bằng regex (các file này phẳng, không cần XML parser đầy đủ).
+ */
+
+export const SOURCES = ["OFAC_SDN_CSV", "OFAC_SDN_XML", "EU_XML", "INTERNAL_CSV"];
+
+/**
+ * RFC 4180-ish: quoted fields, "" escapes, CRLF / LF.
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+      continue;
+    }
+    if (ch === '"') quoted = true;
+    else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      if (row.some((f) => f.trim() !== "")) rows.push(row);
+      row = [];
+      field = "";
+    } else field += ch;
+  }
+  row.push(field);
+  if (row.some((f) => f.trim() !== "")) rows.push(row);
+  return rows;
+}
+
+function uniq(xs) {
+  return [...new Set(xs.filter(Boolean))];
+}
+
+function entry({ externalId, names, dobs = [], nationalIds = [], program = null }) {
+  const clean = uniq(names.map((n) => String(n).trim()));
+  if (!externalId || !clean.length) return null;
+  return {
+    externalId: String(externalId).trim(),
+    primaryName: clean[0],
+    names: clean,
+    dobs: uniq(dobs.map(normalizeDob)),
+    nationalIds: uniq(nationalIds.map((x) => String(x).trim())),
+    program: program || null,
+  };
+}
+
+// ---- OFAC ------------------------------------------------------------------
+
+/**
+ * "ABU ABBAS, Mohammed" -> "Mohammed ABU ABBAS" (không bắt buộc cho matcher, nhưng dễ đọc hơn trên UI)
+ */
+function ofacName(s) {
+  const m = /^([^,]+),\s*(.+)$/.exec(String(s).trim());
+  return m ? `${m[2]} ${m[1]}` : String(s).trim();
+}
+
+/**
+ * Remarks: "DOB 12 Jan 1970; alt. DOB 1971; POB Baghdad; a.k.a. 'ABU ALI'; Passport A123 (Iraq); National ID No. 456 (Iraq)."
+ */
+function parseOfacRemarks(remarks) {
+  const dobs = [];
+  const ids = [];
+  const akas = [];
+  for (const part of String(remarks || "").split(";")) {
+    const p = part.trim().replace(/\.$/, "");
+    let m;
+    if ((m = /^(?:alt\. )?DOB (.+)$/i.exec(p))) dobs.push(...m[1].split(/ to /i).map((d) => d.trim()));
+    else if ((m = /^(?:alt\. )?(?:National ID No\.|Passport|Identification Number|Cedula No\.|Tax ID No\.)\s+([A-Z0-9-]+)/i.exec(p)))
+      ids.push(m[1]);
+    else if ((m = /^(?:f\.)?k\.a\.\s+'([^']+)'/i.exec(p)) || (m = /^a\.k\.a\.\s+'([^']+)'/i.exec(p))) akas.push(m[1]);
+  }
+  return { dobs, ids, akas };
+}
+
+function parseOfacCsv(text) {
+  const out = [];
+  const nil = (v) => (v == null || v.trim() === "-0-" ? "" : v.trim());
+  for (const cols of parseCsv(text)) {
+    const [entNum, name, type, program, , , , , , , , remarks] = cols.map(nil);
+    if (type.toLowerCase() !== "individual") continue;
+    const r = parseOfacRemarks(remarks);
+    const e = entry({
+      externalId: entNum,
+      names: [ofacName(name), ...r.akas.map(ofacName)],
+      dobs: r.dobs,
+      nationalIds: r.ids,
+      program,
+    });
+    if (e) out.push(e);
+  }
+  return out;
+}
+
+// ---- XML helpers -------------------------------------------------------------
+
+function decodeXml(s) {
+  return String(s)
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, "$1")
+    .replace(/&#x([0-9a-f]+);/gi, (_, h) => String.fromCodePoint(parseInt(h, 16)))
+    .replace(/&#(\d+);/g, (_, d) => String.fromCodePoint(Number(d)))
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+// <tag ...>inner</tag>, optional namespace prefix
+function blocks(xml, tag) {
+  const re = new RegExp(`<(?:\\w+:)?${tag}\\b[^>]*>([\\s\\S]*?)</(?:\\w+:)?${tag}>`, "g");
+  return [...xml.matchAll(re)].map((m) => m[1]);
+}
+
+// <tag .../> or <tag ...> opening tags -> attribute maps
+function elements(xml, tag) {
+  const re = new RegExp(`<(?:\\w+:)?${tag}\\b([^>]*?)/?>`, "g");
+  return [...xml.matchAll(re)].map((m) => {
+    const attrs = {};
+    for (const a of m[1].matchAll(/([\w:]+)="([^"]*)"/g)) attrs[a[1]] = decodeXml(a[2]);
+    return attrs;
+  });
+}
+
+function text(xml, tag) {
+  const b = blocks(xml, tag)[0];
+  return b === undefined ? "" : decodeXml(b).trim();
+}
+
+function parseOfacXml(xml) {
+  const out = [];
+  for (const e of blocks(xml, "sdnEntry")) {
+    if (text(e, "sdnType").toLowerCase() !== "individual") continue;
+
+    const fullName = (x) => [text(x, "firstName"), text(x, "lastName")].filter(Boolean).join(" ");
+    const names = [fullName(e.replace(/<akaList>[\s\S]*<\/akaList>/, ""))];
+    for (const aka of blocks(e, "aka")) names.push(fullName(aka));
+
+    const parsed = entry({
+      externalId: text(e, "uid"),
+      names,
+      dobs: blocks(e, "dateOfBirthItem").map((d) => text(d, "dateOfBirth")),
+      nationalIds: blocks(e, "id").map((d) => text(d, "idNumber")),
+      program: blocks(e, "program").map(decodeXml).join(", "),
+    });
+    if (parsed) out.push(parsed);
+  }
+  return out;
+}
+
+// ---- EU ----------------------------------------------------------------------
+
+function parseEuXml(xml) {
+  const out = [];
+  const re = /<(?:\w+:)?sanctionEntity\b([^>]*)>([\s\S]*?)<\/(?:\w+:)?sanctionEntity>/g;
+  for (const [, attrs, body] of xml.matchAll(re)) {
+    const subject = elements(body, "subjectType")[0];
+    if (subject?.code !== "person") continue;
+
+    const logicalId = /logicalId="([^"]*)"/.exec(attrs)?.[1];
+    const names = elements(body, "nameAlias").map(
+      (a) => a.wholeName || [a.firstName, a.middleName, a.lastName].filter(Boolean).join(" ")
+    );
+    const dobs = elements(body, "birthdate").map(
+      (b) => b.birthdate || [b.year, b.monthOfYear?.padStart(2, "0"), b.dayOfMonth?.padStart(2, "0")].filter(Boolean).join("-")
+    );
+
+    const parsed = entry({
+      externalId: logicalId,
+      names,
+      dobs,
+      nationalIds: elements(body, "identification").map((i) => i.number),
+      program: elements(body, "regulation")[0]?.programme,
+    });
+    if (parsed) out.push(parsed);
+  }
+  return out;
+}
+
+// ---- internal ----------------------------------------------------------------
+
+function parseInternalCsv(text) {
+  const [header, ...rows] = parseCsv(text);
+  const cols = (header || []).map((h) => h.trim());
+  if (!cols.includes("name") || !cols.includes("reference")) {
+    throw new Error("Internal list CSV needs a header with at least `name` and `reference`");
+  }
+  const split = (v) => String(v || "").split(";").map((s) => s.trim());
+
+  const out = [];
+  for (const r of rows) {
+    const rec = Object.fromEntries(cols.map((c, i) => [c, (r[i] ?? "").trim()]));
+    const parsed = entry({
+      externalId: rec.reference,
+      names: [rec.name, ...split(rec.aliases)],
+      dobs: split(rec.dob),
+      nationalIds: split(rec.nationalId),
+      program: rec.program,
+    });
+    if (parsed) out.push(parsed);
+  }
+  return out;
+}
+
+export function parseWatchlist(source, text) {
+  switch (source) {
+    case "OFAC_SDN_CSV":
+      return parseOfacCsv(text);
+    case "OFAC_SDN_XML":
+      return parseOfacXml(text);
+    case "EU_XML":
+      return parseEuXml(text);
+    case "INTERNAL_CSV":
+      return parseInternalCsv(text);
+    default:
+      throw new Error(`Unknown watchlist source ${source} (expected ${SOURCES.join(", ")})`);
+  }
+}
@@ -0,0 +1,254 @@
+import crypto from "node:crypto";
+import path from "node:path";
+import { loadKeyring, decryptDossier } from "../kyc/crypto.js";
+import { httpError } from "../kyc/decisions.js";
+import { parseWatchlist, SOURCES } from "./parsers.js";
+import { scoreEntry } from "./match.js";
+
+/**
+ * Offline sanctions screening of KYC dossiers.
+ *
+ * - Watchlists are imported from local files (no network): `npm run screening:import -- <source> <file>`.
+ *   Re-importing a source replaces its previous entries (the old list row stays, inactive, for audit).
+ * - Each dossier (fullName / dob / nationalId, decrypted in memory only) is scored against every
+ *   active entry; score >= SCREENING_THRESHOLD => an OPEN hit on the request.
+ * - New requests are screened on submit; PENDING + APPROVED ones again after every import.
+ * - OPEN hits block approval (propose + confirm) until an officer clears each one with a justification.
+ *
+ * Mọi hit / clear đều ghi vào kyc_actions (SCREENING_HIT, HIT_CLEARED).
+ */
+
+const THRESHOLD = Number(process.env.SCREENING_THRESHOLD || 0.88);
+
+function nowSec() {
+  return Math.floor(Date.now() / 1000);
+}
+
+function logAction(db, { requestId, wallet, action, actor, details }) {
+  db.prepare(
+    `
+    INSERT INTO kyc_actions(requestId, wallet, action, actor, at, detailsJson)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `
+  ).run(requestId, wallet, action, actor, nowSec(), JSON.stringify(details));
+}
+
+// Entries của các list đang active, parse JSON 1 lần. Key = id các list active: import chạy ở process khác
+// (screening:import), nên mỗi lần dùng đều so key với DB thay vì chờ reset.
+let entryCache = { key: null, entries: [] };
+
+function activeListKey(db) {
+  const row = db
+    .prepare(`SELECT group_concat(id) AS ids FROM (SELECT id FROM watchlists WHERE active = 1 ORDER BY id)`)
+    .get();
+  return row.ids ?? "";
+}
+
+function activeEntries(db) {
+  const key = activeListKey(db);
+  if (entryCache.key !== key) {
+    const entries = db
+      .prepare(
+        `
+        SELECT e.source, e.externalId, e.primaryName, e.namesJson, e.dobsJson, e.nationalIdsJson, e.program
+        FROM watchlist_entries e JOIN watchlists w ON w.id = e.listId
+        WHERE w.active = 1
+      `
+      )
+      .all()
+      .map((e) => ({
+        source: e.source,
+        externalId: e.externalId,
+        primaryName: e.primaryName,
+        program: e.program,
+        names: JSON.parse(e.namesJson),
+        dobs: JSON.parse(e.dobsJson),
+        nationalIds: JSON.parse(e.nationalIdsJson),
+      }));
+    entryCache = { key, entries };
+  }
+  return entryCache.entries;
+}
+
+/**
+ * @param {string} source one of SOURCES
+ * @param {string} fileName for the audit row only
+ * @param {string|Buffer} content file content
+ */
+export function importWatchlist(db, { source, fileName, content, importedBy = "system" }) {
+  if (!SOURCES.includes(source)) throw httpError(400, `Unknown source (expected ${SOURCES.join(", ")})`);
+
+  const text = Buffer.isBuffer(content) ? content.toString("utf-8") : String(content);
+  const entries = parseWatchlist(source, text.replace(/^\uFEFF/, ""));
+  if (!entries.length) throw httpError(400, `No individuals found in ${fileName} (wrong source?)`);
+
+  const sha = crypto.createHash("sha256").update(text).digest("hex");
+
+  const run = db.transaction(() => {
+    db.prepare(`UPDATE watchlists SET active = 0 WHERE source = ? AND active = 1`).run(source);
+    db.prepare(
+      `DELETE FROM watchlist_entries WHERE listId IN (SELECT id FROM watchlists WHERE source = ? AND active = 0)`
+    ).run(source);
+
+    const listId = Number(
+      db
+        .prepare(
+          `INSERT INTO watchlists (source, fileName, fileSha256, entryCount, importedAt, importedBy, active)
+           VALUES (?, ?, ?, ?, ?, ?, 1)`
+        )
+        .run(source, path.basename(fileName), sha, entries.length, nowSec(), importedBy).lastInsertRowid
+    );
+
+    const ins = db.prepare(`
+      INSERT INTO watchlist_entries (listId, source, externalId, primaryName, namesJson, dobsJson, nationalIdsJson, program)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    for (const e of entries) {
+      ins.run(
+        listId,
+        source,
+        e.externalId,
+        e.primaryName,
+        JSON.stringify(e.names),
+        JSON.stringify(e.dobs),
+        JSON.stringify(e.nationalIds),
+        e.program
+      );
+    }
+    return listId;
+  });
+
+  const listId = run();
+  return { listId, source, entryCount: entries.length, fileSha256: sha };
+}
+
+export function listWatchlists(db) {
+  return db.prepare(`SELECT * FROM watchlists ORDER BY id DESC LIMIT 50`).all();
+}
+
+/**
+ * Score one request's dossier and store new hits (a hit already recorded for the same entry,
+ * OPEN or CLEARED, is not raised again).
+ * @returns number of new hits
+ */
+export function screenRequest(db, requestId, { ring = loadKeyring(), actor = "system" } = {}) {
+  const row = db.prepare(`SELECT id, wallet, kycHash, payloadJson FROM kyc_requests WHERE id = ?`).get(requestId);
+  if (!row) throw httpError(404, "Request not found");
+
+  const subject = JSON.parse(decryptDossier(ring, row.payloadJson, row.kycHash).canonical);
+
+  const ins = db.prepare(`
+    INSERT OR IGNORE INTO screening_hits (
+      requestId, wallet, source, externalId, entryName, matchedName, score, reasonsJson, status, createdAt
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'OPEN', ?)
+  `);
+
+  const ts = nowSec();
+  const save = db.transaction(() => {
+    let created = 0;
+    for (const entry of activeEntries(db)) {
+      const { score, reasons } = scoreEntry(subject, entry);
+      if (score < THRESHOLD) continue;
+
+      const r = ins.run(
+        row.id,
+        row.wallet,
+        entry.source,
+        entry.externalId,
+        entry.primaryName,
+        reasons.matchedName,
+        score,
+        JSON.stringify({ ...reasons, program: entry.program }),
+        ts
+      );
+      if (!r.changes) continue;
+      created++;
+      logAction(db, {
+        requestId: row.id,
+        wallet: row.wallet,
+        action: "SCREENING_HIT",
+        actor,
+        details: { hitId: Number(r.lastInsertRowid), source: entry.source, externalId: entry.externalId, score },
+      });
+    }
+    db.prepare(`UPDATE kyc_requests SET screenedAt = ? WHERE id = ?`).run(ts, row.id);
+    return created;
+  });
+
+  return save();
+}
+
+/**
+ * Re-screen every PENDING / APPROVED dossier (after a list import).
+ */
+export function rescreenAll(db, { actor = "system" } = {}) {
+  const ring = loadKeyring();
+  const ids = db.prepare(`SELECT id FROM kyc_requests WHERE status IN ('PENDING','APPROVED') ORDER BY id`).all();
+
+  let newHits = 0;
+  const errors = [];
+  for (const { id } of ids) {
+    try {
+      newHits += screenRequest(db, id, { ring, actor });
+    } catch (e) {
+      errors.push({ requestId: id, message: e.message });
+    }
+  }
+  return { screened: ids.length - errors.length, newHits, errors };
+}
+
+function hitFromRow(h) {
+  return { ...h, reasons: JSON.parse(h.reasonsJson), reasonsJson: undefined };
+}
+
+export function listHits(db, requestId) {
+  return db
+    .prepare(`SELECT * FROM screening_hits WHERE requestId = ? ORDER BY status DESC, score DESC, id`)
+    .all(requestId)
+    .map(hitFromRow);
+}
+
+export function openHitCount(db, requestId) {
+  return db.prepare(`SELECT COUNT(*) AS n FROM screening_hits WHERE requestId = ? AND status = 'OPEN'`).get(requestId).n;
+}
+
+/**
+ * Approval gate: the dossier must have been screened (a failed screening at submit leaves screenedAt null)
+ * and every hit cleared.
+ */
+export function assertNoOpenHits(db, requestId) {
+  const row = db.prepare(`SELECT screenedAt FROM kyc_requests WHERE id = ?`).get(requestId);
+  if (row && row.screenedAt == null) {
+    throw httpError(409, "Request has not been screened yet; run a rescreen (POST /admin/screening/rescreen) first");
+  }
+  const n = openHitCount(db, requestId);
+  if (n) throw httpError(409, `Request has ${n} open screening hit(s); clear them with a justification first`);
+}
+
+/**
+ * False positive (or accepted risk): the officer records why. The hit stays, as CLEARED.
+ */
+export function clearHit(db, { hitId, justification, actor }) {
+  const text = String(justification || "").trim();
+  if (text.length < 10) throw httpError(400, "Justification is required (at least 10 characters)");
+
+  const hit = db.prepare(`SELECT * FROM screening_hits WHERE id = ?`).get(hitId);
+  if (!hit) throw httpError(404, "Hit not found");
+  if (hit.status !== "OPEN") throw httpError(400, `Hit is ${hit.status}`);
+
+  const ts = nowSec();
+  db.transaction(() => {
+    db.prepare(
+      `UPDATE screening_hits SET status = 'CLEARED', clearedBy = ?, clearedAt = ?, justification = ? WHERE id = ?`
+    ).run(actor, ts, text, hit.id);
+    logAction(db, {
+      requestId: hit.requestId,
+      wallet: hit.wallet,
+      action: "HIT_CLEARED",
+      actor,
+      details: { hitId: hit.id, source: hit.source, externalId: hit.externalId, score: hit.score, justification: text },
+    });
+  })();
+
+  return hitFromRow(db.prepare(`SELECT * FROM screening_hits WHERE id = ?`).get(hit.id));
+}
@@ -5,7 +5,114 @@ import { z } from "zod";
 import { ethers } from "ethers";
 
 import { initDb } from "./db/db.js";
-import { getContracts, getContractsMeta, getAdminSigner, getAbi } from "./web3/web3.js";
+import { getContracts, getContractsMeta, getAbi, getProvider } from "./web3/web3.js";
+import { issueChallenge, verifyChallenge, revokeSession, bearerToken, requireAdmin, adminSession } from "./auth/auth.js";
+import {
+  createProposal,
+  listProposals,
+  confirmProposal,
+  cancelProposal,
+  proposalTypedData,
+  withdrawCouncilConfirmation,
+} from "./kyc/proposals.js";
+import { councilInfo } from "./kyc/council.js";
+import { loadKeyring, encryptDossier, decryptDossier } from "./kyc/crypto.js";
+import { httpError } from "./kyc/decisions.js";
+import {
+  KYC_TYPES,
+  kycDomain,
+  buildKycMessage,
+  verifyKycTypedData,
+  issueKycNonce,
+  consumeKycNonce,
+} from "./kyc/signing.js";
+import { eventQuerySchema, parseEventQuery, queryEvents } from "./audit/events.js";
+import { buildStatement, parseStatementTime } from "./statements/statement.js";
+import { statementToCsv, statementToHtml, statementToCamt053 } from "./statements/render.js";
+import { findLiquidatable } from "./lending/liquidations.js";
+import { getLendingAccount, listLendingAccounts, MAX_INSTALLMENTS } from "./lending/accounts.js";
+import { userLimits } from "./limits/limits.js";
+import { pauseStatus } from "./pause/status.js";
+import { listOperations, OPERATION_STATUSES } from "./governance/timelock.js";
+import { screenRequest, rescreenAll, listWatchlists, listHits, clearHit } from "./screening/screening.js";
+import { runReconciliation, getRun, listRuns } from "./recon/reconcile.js";
+import { runAmlRules } from "./aml/engine.js";
+import { loadRules, rulesToJson } from "./aml/rules.js";
+import { listAlerts, getAlert, assignAlert, commentAlert, closeAlert, DISPOSITIONS } from "./aml/alerts.js";
+import { ledgerBalanceAt, ledgerHistory, ledgerAccounts, indexedToBlock, verifyBalance } from "./ledger/ledger.js";
+import { getJob, listJobs, startTxQueue, JOB_STATUSES } from "./txqueue/queue.js";
+import { createStreamHub, parseSubscription } from "./stream/hub.js";
+import { attachWebSocket } from "./stream/ws.js";
+import {
+  createSubscription,
+  updateSubscription,
+  rotateSecret,
+  getSubscription,
+  listSubscriptions,
+  getDelivery,
+  listDeliveries,
+  replayDelivery,
+  sendTestEvent,
+  WEBHOOK_EVENT_TYPES,
+  DELIVERY_STATUSES,
+} from "./webhooks/webhooks.js";
+import { startWebhooks } from "./webhooks/dispatcher.js";
+import { createApi } from "./openapi/api.js";
+import { renderDocs } from "./openapi/docs.js";
+import {
+  Address,
+  UserParam,
+  IdParam,
+  Limit,
+  StatementTime,
+  caseInsensitiveEnum,
+  Ok,
+  Health,
+  PauseStatus,
+  GovernanceOperations,
+  ContractsMeta,
+  Abi,
+  KycStatus,
+  Balance,
+  UserLimits,
+  BalanceHistory,
+  EventPage,
+  Statement,
+  KycNonce,
+  KycSubmitted,
+  AuthChallenge,
+  AdminToken,
+  AdminSession,
+  KycRequestSummary,
+  KycRequestDetail,
+  Watchlist,
+  RescreenResult,
+  ScreeningHit,
+  Proposal,
+  ProposalCreated,
+  ProposalList,
+  CouncilTypedData,
+  ProposalDecision,
+  Discrepancy,
+  LedgerVerify,
+  Reconciliation,
+  ReconRunSummary,
+  ReconRun,
+  LiquidationCandidates,
+  LendingAccount,
+  LendingAccounts,
+  AmlRules,
+  AmlRunResult,
+  AmlAlert,
+  AmlAlertDetail,
+  AmlAlertResult,
+  AdminJob,
+  AdminJobDetail,
+  Webhook,
+  WebhookWithSecret,
+  WebhookDelivery,
+  WebhookDeliveryDetail,
+} from "./openapi/schemas.js";
 
 
 dotenv.config();
@@ -17,6 +124,9 @@ app.use(express.json({ limit: "2mb" })); // đủ cho payload KYC demo (không u
 const db = initDb();
 const PORT = process.env.PORT || 4000;
 
+// Mọi route khai báo kèm spec (src/openapi/api.js): /openapi.json, /docs, client frontend sinh từ đó
+const api = createApi(app);
+
 // -------------------------
 // Helpers (stable stringify + message/signature verification)
 // -------------------------
@@ -38,15 +148,6 @@ function stableStringify(obj) {
     .join(",")}}`;
 }
 
-/**
- * Message user ký để chứng minh sở hữu ví.
- * (Đây là “tôi là tôi” ở mức crypto: ai giữ private key thì ký được.)
- */
-function buildKycMessage(canonicalPayload) {
-  return `BankChain KYC Request
-${canonicalPayload}`;
-}
-
 function isAddress(a) {
   try {
     return ethers.isAddress(a);
@@ -55,101 +156,480 @@ function isAddress(a) {
   }
 }
 
-/**
- * Kiểm tra contract có hàm X hay không (để tương thích cả bản cũ và bản upgrade).
- */
-function hasFn(contract, fnName) {
-  return typeof contract?.[fnName] === "function";
-}
-
 // -------------------------
 // Health + Meta
 // -------------------------
 
-app.get("/health", (_req, res) =>
-  res.json({ ok: true, service: "bankchain-backend", ts: nowSec() })
+api.get(
+  "/health",
+  { id: "health", tag: "Meta", summary: "Liveness check", responses: { 200: Health } },
+  (_req, res) => res.json({ ok: true, service: "bankchain-backend", ts: nowSec() })
 );
 
-app.get("/contracts", async (_req, res) => {
-  const meta = await getContractsMeta();
-  res.json(meta);
-});
-app.get("/abi/:name", (req, res) => {
-  try {
-    const abi = getAbi(req.params.name);
-    res.json(abi);
-  } catch (e) {
-    res.status(404).json({ message: e.message });
+// Emergency pause (guardian): which actions are currently stopped, so the UI can disable them
+api.get(
+  "/status",
+  {
+    id: "getPauseStatus",
+    tag: "Meta",
+    summary: "Paused actions per contract (emergency pause)",
+    responses: { 200: PauseStatus },
+  },
+  async (_req, res) => {
+    try {
+      res.json(await pauseStatus(db, await getContracts()));
+    } catch (e) {
+      res.status(e?.status || 500).json({ message: e?.message || "Chain unavailable" });
+    }
   }
-});
+);
+
+// Timelock governance: queued admin changes and when each takes effect (public, like the chain itself)
+api.get(
+  "/governance/operations",
+  {
+    id: "listGovernanceOperations",
+    tag: "Governance",
+    summary: "Timelocked admin operations and when they become executable",
+    query: z.object({ status: caseInsensitiveEnum(OPERATION_STATUSES).optional(), limit: Limit }).strict(),
+    responses: { 200: GovernanceOperations },
+  },
+  async (req, res) => {
+    try {
+      const status = req.query.status ? String(req.query.status).toUpperCase() : null;
+      if (status && !OPERATION_STATUSES.includes(status)) {
+        throw httpError(400, `status must be one of ${OPERATION_STATUSES.join(", ")}`);
+      }
+      const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 500);
+      const { cfg, timelock } = await getContracts();
+      if (!timelock) return res.json({ timelock: null, minDelay: null, operations: [] });
+
+      const [minDelay, head] = await Promise.all([timelock.getMinDelay(), getProvider().getBlock("latest")]);
+      res.json({
+        timelock: timelock.target,
+        minDelay: Number(minDelay),
+        chainTime: head.timestamp,
+        operations: listOperations(db, cfg, { status, limit, now: head.timestamp }),
+      });
+    } catch (e) {
+      res.status(e?.status || 400).json({ message: e?.message || "Bad request" });
+    }
+  }
+);
+
+api.get(
+  "/contracts",
+  {
+    id: "getContractsMeta",
+    tag: "Meta",
+    summary: "Chain id, RPC URL and deployed contract addresses",
+    responses: { 200: ContractsMeta },
+  },
+  async (_req, res) => {
+    const meta = await getContractsMeta();
+    res.json(meta);
+  }
+);
+api.get(
+  "/abi/:name",
+  {
+    id: "getAbi",
+    tag: "Meta",
+    summary: "ABI of a deployed contract",
+    params: z.object({ name: z.string().describe("Contract name from /contracts") }),
+    responses: { 200: Abi },
+  },
+  (req, res) => {
+    try {
+      const abi = getAbi(req.params.name);
+      res.json(abi);
+    } catch (e) {
+      res.status(404).json({ message: e.message });
+    }
+  }
+);
+
+app.get("/openapi.json", (_req, res) => res.json(api.document()));
+app.get("/docs", (_req, res) => res.type("html").send(renderDocs(api.document())));
 
 // -------------------------
 // Read endpoints (balances, KYC status)
 // -------------------------
 
-app.get("/kyc/:user", async (req, res) => {
+api.get(
+  "/kyc/:user",
+  {
+    id: "getKycStatus",
+    tag: "KYC",
+    summary: "On-chain KYC approval + latest off-chain request",
+    params: UserParam,
+    responses: { 200: KycStatus },
+  },
+  async (req, res) => {
+
+    const user = req.params.user;
+    if (!isAddress(user)) return res.status(400).json({ message: "Bad address" });
+
+    const { kyc } = await getContracts();
 
-  const user = req.params.user;
-  if (!isAddress(user)) return res.status(400).json({ message: "Bad address" });
+    // luôn giữ API này vì frontend đang gọi
+    const approved = await kyc.isKYCApproved(user);
 
-  const { kyc } = await getContracts();
+    // thêm dữ liệu DB (nếu có) để bạn nhìn “hồ sơ” off-chain
+    const row = db
+      .prepare(
+        `SELECT id, wallet, kycHash, status, createdAt, reviewedAt, reviewer
+         FROM kyc_requests
+         WHERE wallet = ?
+         ORDER BY id DESC
+         LIMIT 1`
+      )
+      .get(user.toLowerCase());
 
-  // luôn giữ API này vì frontend đang gọi
-  const approved = await kyc.isKYCApproved(user);
+    res.json({ user, approved, latestRequest: row || null });
+  }
+);
 
-  // thêm dữ liệu DB (nếu có) để bạn nhìn “hồ sơ” off-chain
-  const row = db
-    .prepare(
-      `SELECT id, wallet, kycHash, status, createdAt, reviewedAt, reviewer
-       FROM kyc_requests
-       WHERE wallet = ?
-       ORDER BY id DESC
-       LIMIT 1`
-    )
-    .get(user.toLowerCase());
+function optBlock(v) {
+  if (v === undefined || v === "") return null;
+  const n = Number(v);
+  if (!Number.isInteger(n) || n < 0) throw httpError(400, "Bad block");
+  return n;
+}
 
-  res.json({ user, approved, latestRequest: row || null });
-});
+/**
+ * bkd = balanceOf hiện tại (hoặc số dư ledger tại ?block=N).
+ * ledger = so khớp bkd_ledger với balanceOf tại CÙNG một block (mặc định: checkpoint indexer).
+ */
+api.get(
+  "/balance/:user",
+  {
+    id: "getBalance",
+    tag: "Accounts",
+    summary: "BKD balance, checked against the indexed ledger",
+    params: UserParam,
+    query: z
+      .object({ block: z.coerce.number().int().nonnegative().optional().describe("Ledger balance at this block") })
+      .strict(),
+    responses: { 200: Balance },
+  },
+  async (req, res) => {
+    try {
+      const user = req.params.user;
+      if (!isAddress(user)) return res.status(400).json({ message: "Bad address" });
+      const account = user.toLowerCase();
+      const block = optBlock(req.query.block);
+
+      const { token } = await getContracts();
+      const indexedTo = indexedToBlock(db);
+
+      if (block === null) {
+        const bal = await token.balanceOf(user);
+        const ledger = await verifyBalance(db, token, account, indexedTo);
+        return res.json({ user, bkd: bal.toString(), ledger });
+      }
+
+      if (block > indexedTo) throw httpError(409, `Block ${block} not indexed yet (indexed to ${indexedTo})`);
+      const ledger = await verifyBalance(db, token, account, block);
+      res.json({ user, block, bkd: ledger.indexed, ledger });
+    } catch (e) {
+      res.status(e?.status || 400).json({ message: e?.message || "Bad request" });
+    }
+  }
+);
 
-app.get("/balance/:user", async (req, res) => {
-  const user = req.params.user;
-  if (!isAddress(user)) return res.status(400).json({ message: "Bad address" });
+// Headroom theo KYC level (LimitsPolicy): deposit / withdrawal 24h / transfer 24h / borrow
+api.get(
+  "/limits/:user",
+  {
+    id: "getLimits",
+    tag: "Accounts",
+    summary: "Per-KYC-level limits and remaining headroom",
+    params: UserParam,
+    responses: { 200: UserLimits },
+  },
+  async (req, res) => {
+    try {
+      const user = req.params.user;
+      if (!isAddress(user)) return res.status(400).json({ message: "Bad address" });
+      res.json(await userLimits(await getContracts(), user));
+    } catch (e) {
+      res.status(e?.status || 400).json({ message: e?.message || "Bad request" });
+    }
+  }
+);
 
-  const { token } = await getContracts();
-  const bal = await token.balanceOf(user);
-  res.json({ user, bkd: bal.toString() });
-});
+api.get(
+  "/balance/:user/history",
+  {
+    id: "getBalanceHistory",
+    tag: "Accounts",
+    summary: "BKD ledger entries with running balance",
+    params: UserParam,
+    query: z
+      .object({
+        fromBlock: z.coerce.number().int().nonnegative().optional(),
+        toBlock: z.coerce.number().int().nonnegative().optional(),
+        limit: Limit.describe("default 200, at most 1000"),
+      })
+      .strict(),
+    responses: { 200: BalanceHistory },
+  },
+  (req, res) => {
+    try {
+      const user = req.params.user;
+      if (!isAddress(user)) return res.status(400).json({ message: "Bad address" });
+      const account = user.toLowerCase();
+
+      const limit = Math.min(Math.max(Number(req.query.limit) || 200, 1), 1000);
+      const rows = ledgerHistory(db, account, {
+        fromBlock: optBlock(req.query.fromBlock),
+        toBlock: optBlock(req.query.toBlock),
+        limit,
+      });
+
+      res.json({
+        user,
+        indexedTo: indexedToBlock(db),
+        balance: ledgerBalanceAt(db, account).balance,
+        history: rows,
+      });
+    } catch (e) {
+      res.status(e?.status || 400).json({ message: e?.message || "Bad request" });
+    }
+  }
+);
 
 // -------------------------
 // Audit Trail (events from indexer)
 // -------------------------
 
-app.get("/tx/:user", (req, res) => {
-  const user = (req.params.user || "").toLowerCase();
-  if (!isAddress(user)) return res.status(400).json({ message: "Bad address" });
+/**
+ * Query params: xem src/audit/events.js (eventName, contract, counterparty, fromBlock/toBlock,
+ * fromTime/toTime, minAmount/maxAmount, sort, order, limit, cursor).
+ */
+api.get(
+  "/tx/:user",
+  {
+    id: "listAccountEvents",
+    tag: "Audit",
+    summary: "Indexed events of one account (filters, keyset pagination)",
+    params: UserParam,
+    query: eventQuerySchema.omit({ account: true }).strict(),
+    responses: { 200: EventPage },
+  },
+  async (req, res) => {
+    try {
+      const user = (req.params.user || "").toLowerCase();
+      if (!isAddress(user)) return res.status(400).json({ message: "Bad address" });
+
+      const { contracts } = await getContractsMeta();
+      const filters = parseEventQuery({ ...req.query, account: user }, contracts);
+      const { events, nextCursor } = queryEvents(db, filters);
+
+      res.json({ user, events, nextCursor });
+    } catch (e) {
+      res.status(e?.status || 400).json({ message: e?.message || "Bad request" });
+    }
+  }
+);
 
-  const rows = db
-    .prepare(
-      `
-    SELECT id, blockNumber, txHash, eventName, fromAddr, toAddr, amount, timestamp
-    FROM events
-    WHERE fromAddr = ? OR toAddr = ?
-    ORDER BY blockNumber DESC, id DESC
-    LIMIT 200
-  `
-    )
-    .all(user, user);
-
-  res.json({ user, events: rows });
-});
+// -------------------------
+// Live updates: SSE /stream (+ WebSocket /ws, xem stream/ws.js)
+// ?topics=events,kyc,inbox&accounts=0x..,0x..  (inbox / mọi account: cần ?token=<admin token>,
+// EventSource không gửi được header). Reconnect: Last-Event-ID (browser tự gửi) hoặc ?lastEventId=
+// -------------------------
+
+const streamHub = createStreamHub(db);
+
+api.get(
+  "/stream",
+  {
+    id: "openStream",
+    tag: "Live",
+    summary: "Server-sent events: indexed events, KYC changes, admin inbox",
+    description: "Browsers should use EventSource (frontend/src/lib/stream.js). WebSocket equivalent: /ws.",
+    query: z
+      .object({
+        topics: z.string().optional().describe("CSV of events, kyc, inbox"),
+        accounts: z.string().optional().describe("CSV of addresses; all accounts needs an admin token"),
+        token: z.string().optional().describe("Admin session token (EventSource cannot send headers)"),
+        lastEventId: z.string().optional(),
+      })
+      .strict(),
+    responses: { 200: { "text/event-stream": z.string() } },
+  },
+  async (req, res) => {
+    let token;
+    let session;
+    let sub;
+    try {
+      token = req.query.token ? String(req.query.token) : bearerToken(req);
+      session = token ? await adminSession(db, token) : null;
+      sub = parseSubscription(
+        {
+          topics: req.query.topics,
+          accounts: req.query.accounts,
+          lastEventId: req.get("Last-Event-ID") ?? req.query.lastEventId,
+        },
+        session?.address ?? null
+      );
+    } catch (e) {
+      return res.status(e?.status || 400).json({ message: e?.message || "Bad request" });
+    }
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.write("retry: 3000\n\n");
+
+    const client = {
+      sub,
+      send: (m) => res.write(`id: ${m.id}\nevent: ${m.type}\ndata: ${JSON.stringify(m.data)}\n\n`),
+    };
+    const lastEventId = streamHub.add(client);
+    // id ngay từ đầu: reconnect trước khi có message nào vẫn resume đúng chỗ
+    res.write(
+      `id: ${lastEventId}\nevent: subscribed\ndata: ${JSON.stringify({
+        topics: [...sub.topics],
+        accounts: sub.accounts ? [...sub.accounts] : null,
+        lastEventId,
+      })}\n\n`
+    );
+
+    // mỗi heartbeat kiểm tra lại session admin: logout / mất COMPLIANCE_ROLE => đóng luôn, không đợi expiresAt
+    // (lỗi RPC khi check role thì giữ stream, lần sau check lại)
+    const heartbeat = setInterval(async () => {
+      res.write(": keep-alive\n\n");
+      if (!session) return;
+      try {
+        await adminSession(db, token);
+      } catch (e) {
+        if (e?.status === 401 || e?.status === 403) close();
+      }
+    }, 25000);
+    const expiry = session
+      ? setTimeout(() => close(), Math.min(session.expiresAt * 1000 - Date.now(), 2 ** 31 - 1))
+      : null;
+    function close() {
+      streamHub.remove(client);
+      clearInterval(heartbeat);
+      clearTimeout(expiry);
+      if (!res.writableEnded) res.end();
+    }
+    req.on("close", close);
+  }
+);
+
+// -------------------------
+// Statements (CSV / printable HTML / camt.053) from indexed events
+// -------------------------
+
+const STATEMENT_FORMATS = {
+  json: { type: "application/json", ext: "json" },
+  csv: { type: "text/csv; charset=utf-8", ext: "csv", render: statementToCsv },
+  html: { type: "text/html; charset=utf-8", ext: "html", render: statementToHtml, inline: true },
+  camt053: { type: "application/xml; charset=utf-8", ext: "xml", render: statementToCamt053 },
+};
+
+/**
+ * GET /statements/:user?from=YYYY-MM-DD|unix&to=YYYY-MM-DD|unix&format=json|csv|html|camt053
+ */
+api.get(
+  "/statements/:user",
+  {
+    id: "getStatement",
+    tag: "Accounts",
+    summary: "Account statement for a period",
+    params: UserParam,
+    query: z
+      .object({
+        from: StatementTime.optional(),
+        to: StatementTime.optional(),
+        format: caseInsensitiveEnum(Object.keys(STATEMENT_FORMATS)).optional().describe("default json"),
+      })
+      .strict(),
+    responses: {
+      200: {
+        "application/json": Statement,
+        "text/csv": z.string(),
+        "text/html": z.string(),
+        "application/xml": z.string().describe("ISO 20022 camt.053"),
+      },
+    },
+  },
+  async (req, res) => {
+    try {
+      const user = req.params.user;
+      if (!isAddress(user)) return res.status(400).json({ message: "Bad address" });
+
+      const format = String(req.query.format || "json").toLowerCase();
+      const fmt = STATEMENT_FORMATS[format];
+      if (!fmt) return res.status(400).json({ message: "format must be json, csv, html or camt053" });
+
+      const { contracts } = await getContractsMeta();
+      const st = buildStatement(db, {
+        account: user.toLowerCase(),
+        token: contracts.DepositToken,
+        fromTs: parseStatementTime(req.query.from),
+        toTs: parseStatementTime(req.query.to, { endOfDay: true }),
+      });
+
+      if (!fmt.render) return res.json(st);
+
+      const filename = `statement-${st.account}-${new Date(st.from * 1000).toISOString().slice(0, 10)}-${new Date(
+        st.to * 1000
+      )
+        .toISOString()
+        .slice(0, 10)}.${fmt.ext}`;
+      res.setHeader("Content-Type", fmt.type);
+      res.setHeader("Content-Disposition", `${fmt.inline ? "inline" : "attachment"}; filename="${filename}"`);
+      res.send(fmt.render(st));
+    } catch (e) {
+      res.status(e?.status || 400).json({ message: e?.message || "Bad request" });
+    }
+  }
+);
 
 // -------------------------
 // KYC v2 (OFF-CHAIN dossier + signature)  ✅
 // -------------------------
 
+/**
+ * Challenge cho KYC request: nonce do server cấp (hết hạn, dùng 1 lần) + spec EIP-712 để ký.
+ */
+api.get(
+  "/kyc/nonce/:wallet",
+  {
+    id: "getKycNonce",
+    tag: "KYC",
+    summary: "Single-use nonce + EIP-712 spec for signing a KYC request",
+    params: z.object({ wallet: Address }),
+    responses: { 200: KycNonce },
+  },
+  async (req, res) => {
+    const wallet = req.params.wallet;
+    if (!isAddress(wallet)) return res.status(400).json({ message: "Bad address" });
+
+    const meta = await getContractsMeta();
+    const { nonce, expiresAt } = issueKycNonce(db, wallet.toLowerCase());
+
+    res.json({
+      wallet: wallet.toLowerCase(),
+      nonce,
+      expiresAt,
+      typedData: { domain: kycDomain(meta), types: KYC_TYPES, primaryType: "KYCRequest" },
+    });
+  }
+);
+
 /**
  * User submits KYC dossier to backend:
  * - backend verify signature to prove wallet ownership
+ *   (EIP-712 + server nonce; legacy personal_sign + numeric nonce vẫn nhận trong lúc migrate)
  * - backend computes kycHash (fingerprint of canonical payload)
  * - store request in SQLite (PENDING)
  *
@@ -165,130 +645,377 @@ const kycRequestSchema = z.object({
   // reference của ảnh/giấy tờ: hash/CID/URL nội bộ
   docRef: z.string().optional(),
 
-  // chống replay
-  nonce: z.number().int().nonnegative(),
+  // chống replay: bytes32 hex từ GET /kyc/nonce (EIP-712) hoặc số do client chọn (legacy)
+  nonce: z.union([z.string().regex(/^0x[0-9a-fA-F]{64}$/), z.number().int().nonnegative()]),
 
   signature: z.string().min(20),
 });
 
-app.post("/kyc/request", (req, res) => {
-  try {
-    const body = kycRequestSchema.parse(req.body);
+api.post(
+  "/kyc/request",
+  {
+    id: "submitKycRequest",
+    tag: "KYC",
+    summary: "Submit a signed KYC dossier",
+    body: kycRequestSchema,
+    responses: { 200: KycSubmitted },
+  },
+  async (req, res) => {
+    try {
+      const body = kycRequestSchema.parse(req.body);
+
+      if (!isAddress(body.wallet)) {
+        return res.status(400).json({ message: "Bad wallet address" });
+      }
 
-    if (!isAddress(body.wallet)) {
-      return res.status(400).json({ message: "Bad wallet address" });
-    }
+      const wallet = body.wallet.toLowerCase();
+      const legacy = typeof body.nonce === "number";
+      const nonce = legacy ? body.nonce : body.nonce.toLowerCase();
+
+      // payload dùng để hash (không chứa signature)
+      const payload = {
+        wallet,
+        fullName: body.fullName,
+        dob: body.dob,
+        nationalId: body.nationalId,
+        addressText: body.addressText,
+        docRef: body.docRef || "",
+        nonce,
+      };
+
+      const canonical = stableStringify(payload);
+
+      // Verify signature (proof-of-ownership)
+      let recovered;
+      if (legacy) {
+        recovered = ethers.verifyMessage(buildKycMessage(canonical), body.signature).toLowerCase();
+      } else {
+        recovered = verifyKycTypedData(await getContractsMeta(), payload, body.signature);
+      }
+      if (recovered !== wallet) {
+        return res.status(400).json({
+          message: "Invalid signature: wallet ownership proof failed",
+        });
+      }
+
+      // Hash commitment (đây là thứ bạn publish lên chain)
+      const kycHash = ethers.keccak256(ethers.toUtf8Bytes(canonical));
+
+      // PII không lưu plaintext: payloadJson = envelope (DEK riêng, wrap bằng master key).
+      // message cũng chứa PII nên không lưu; dựng lại được từ payload sau khi giải mã.
+      const sealed = encryptDossier(loadKeyring(), canonical, kycHash);
+
+      const ts = nowSec();
+
+      const insert = db.transaction(() => {
+        // legacy: không cho trùng nonce cho cùng wallet
+        if (legacy) {
+          const existed = db
+            .prepare(`SELECT id FROM kyc_requests WHERE wallet = ? AND nonce = ? LIMIT 1`)
+            .get(wallet, nonce);
+          if (existed) throw new Error("Nonce already used for this wallet");
+        }
+
+        const ins = db
+          .prepare(
+            `
+          INSERT INTO kyc_requests (
+            wallet, kycHash, payloadJson, nonce, signature, docRef,
+            status, createdAt, updatedAt
+          ) VALUES (?, ?, ?, ?, ?, ?, 'PENDING', ?, ?)
+        `
+          )
+          .run(wallet, kycHash, sealed, nonce, body.signature, payload.docRef, ts, ts);
+
+        // server nonce: single use, consumed cùng transaction với insert
+        if (!legacy) {
+          const reason = consumeKycNonce(db, { wallet, nonce, requestId: ins.lastInsertRowid });
+          if (reason) throw new Error(reason);
+        }
+
+        // audit compliance action log
+        db.prepare(
+          `
+          INSERT INTO kyc_actions(requestId, wallet, action, actor, at, detailsJson)
+          VALUES (?, ?, 'SUBMITTED', ?, ?, ?)
+        `
+        ).run(
+          ins.lastInsertRowid,
+          wallet,
+          "system",
+          ts,
+          JSON.stringify({ kycHash, signatureScheme: legacy ? "personal_sign-v1" : "eip712-v2" })
+        );
+
+        return ins.lastInsertRowid;
+      });
 
-    const wallet = body.wallet.toLowerCase();
+      const requestId = insert();
 
-    // payload dùng để hash (không chứa signature)
-    const payload = {
-      wallet,
-      fullName: body.fullName,
-      dob: body.dob,
-      nationalId: body.nationalId,
-      addressText: body.addressText,
-      docRef: body.docRef || "",
-      nonce: body.nonce,
-    };
+      // Screening lỗi không được làm mất request: nó sẽ được screen lại ở lần import / rescreen sau.
+      try {
+        screenRequest(db, requestId);
+      } catch (e) {
+        console.error(`Screening of request #${requestId} failed:`, e.message);
+      }
+
+      res.json({
+        ok: true,
+        requestId,
+        wallet,
+        kycHash,
+        signatureScheme: legacy ? "personal_sign-v1" : "eip712-v2",
+      });
+    } catch (e) {
+      res.status(400).json({ message: e?.message || "Bad request" });
+    }
+  }
+);
 
-    const canonical = stableStringify(payload);
-    const message = buildKycMessage(canonical);
+// -------------------------
+// Admin sign-in (SIWE-style challenge -> session token)
+// -------------------------
+
+const challengeSchema = z.object({
+  address: z.string().min(1),
+});
 
-    // Verify signature (proof-of-ownership)
-    const recovered = ethers.verifyMessage(message, body.signature).toLowerCase();
-    if (recovered !== wallet) {
-      return res.status(400).json({
-        message: "Invalid signature: wallet ownership proof failed",
+api.post(
+  "/auth/challenge",
+  {
+    id: "createAuthChallenge",
+    tag: "Auth",
+    summary: "Sign-in message for an admin wallet",
+    body: challengeSchema,
+    responses: { 200: AuthChallenge },
+  },
+  async (req, res) => {
+    try {
+      const { address } = challengeSchema.parse(req.body);
+      if (!isAddress(address)) return res.status(400).json({ message: "Bad address" });
+
+      const host = req.get("host") || "localhost";
+      const challenge = await issueChallenge(db, {
+        address,
+        domain: process.env.AUTH_DOMAIN || host,
+        uri: process.env.AUTH_URI || `${req.protocol}://${host}`,
       });
+      res.json(challenge);
+    } catch (e) {
+      res.status(400).json({ message: e?.message || "Bad request" });
+    }
+  }
+);
+
+const verifySchema = z.object({
+  nonce: z.string().min(1),
+  signature: z.string().min(20),
+});
+
+api.post(
+  "/auth/verify",
+  {
+    id: "verifyAuthChallenge",
+    tag: "Auth",
+    summary: "Exchange the signed challenge for an admin session token",
+    body: verifySchema,
+    responses: { 200: AdminToken },
+  },
+  async (req, res) => {
+    try {
+      const body = verifySchema.parse(req.body);
+      const session = await verifyChallenge(db, body);
+      res.json({ ok: true, ...session });
+    } catch (e) {
+      res.status(e?.status || 400).json({ message: e?.message || "Bad request" });
     }
+  }
+);
+
+api.post(
+  "/auth/logout",
+  {
+    id: "logout",
+    tag: "Auth",
+    summary: "Revoke the bearer session token (if any)",
+    responses: { 200: Ok },
+  },
+  (req, res) => {
+    const token = bearerToken(req);
+    if (token) revokeSession(db, token);
+    res.json({ ok: true });
+  }
+);
+
+// Mọi route /admin/* phía dưới đều cần session + COMPLIANCE_ROLE.
+app.use("/admin", requireAdmin(db));
 
-    // Hash commitment (đây là thứ bạn publish lên chain)
-    const kycHash = ethers.keccak256(ethers.toUtf8Bytes(canonical));
+api.get(
+  "/admin/session",
+  { id: "getAdminSession", tag: "Auth", summary: "Current admin session", responses: { 200: AdminSession } },
+  (req, res) => {
+    res.json({ address: req.admin.address, expiresAt: req.admin.expiresAt });
+  }
+);
+
+// -------------------------
+// Admin KYC Console v2 (view requests + approve by requestId) ✅
+// -------------------------
 
-    // chống spam/replay cơ bản: không cho trùng nonce cho cùng wallet
-    const existed = db
+api.get(
+  "/admin/kyc/requests",
+  {
+    id: "listKycRequests",
+    tag: "Admin KYC",
+    summary: "Pending KYC requests",
+    responses: { 200: z.object({ requests: z.array(KycRequestSummary) }) },
+  },
+  (_req, res) => {
+    const rows = db
       .prepare(
-        `SELECT id FROM kyc_requests WHERE wallet = ? AND payloadJson LIKE ? LIMIT 1`
+        `
+      SELECT id, wallet, kycHash, status, createdAt, screenedAt,
+        (SELECT COUNT(*) FROM screening_hits h WHERE h.requestId = kyc_requests.id AND h.status = 'OPEN') AS openHits
+      FROM kyc_requests
+      WHERE status = 'PENDING'
+      ORDER BY createdAt DESC
+      LIMIT 200
+    `
       )
-      .get(wallet, `%\"nonce\":${body.nonce}%`);
+      .all();
+    res.json({ requests: rows });
+  }
+);
 
-    if (existed) {
-      return res.status(400).json({ message: "Nonce already used for this wallet" });
+api.get(
+  "/admin/kyc/requests/:id",
+  {
+    id: "getKycRequest",
+    tag: "Admin KYC",
+    summary: "Decrypted dossier + screening hits (audited)",
+    params: IdParam,
+    responses: { 200: KycRequestDetail },
+  },
+  (req, res) => {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) {
+      return res.status(400).json({ message: "Bad request id" });
     }
 
-    const ts = nowSec();
-
-    const ins = db
+    const row = db
       .prepare(
         `
-      INSERT INTO kyc_requests (
-        wallet, kycHash, payloadJson, message, signature, docRef,
-        status, createdAt, updatedAt
-      ) VALUES (?, ?, ?, ?, ?, ?, 'PENDING', ?, ?)
+      SELECT id, wallet, kycHash, payloadJson, status, createdAt, reviewedAt, reviewer, notes, approveTxHash, revokeTxHash, screenedAt
+      FROM kyc_requests
+      WHERE id = ?
     `
       )
-      .run(wallet, kycHash, canonical, message, body.signature, payload.docRef, ts, ts);
+      .get(id);
 
-    // audit compliance action log
+    if (!row) return res.status(404).json({ message: "Not found" });
+
+    let dossier;
+    try {
+      dossier = decryptDossier(loadKeyring(), row.payloadJson, row.kycHash);
+    } catch (e) {
+      return res.status(500).json({ message: `Cannot decrypt dossier: ${e.message}` });
+    }
+
+    // Mỗi lần admin xem PII đều phải để lại dấu vết.
     db.prepare(
       `
       INSERT INTO kyc_actions(requestId, wallet, action, actor, at, detailsJson)
-      VALUES (?, ?, 'SUBMITTED', ?, ?, ?)
+      VALUES (?, ?, 'DOSSIER_VIEWED', ?, ?, ?)
     `
-    ).run(ins.lastInsertRowid, wallet, "system", ts, JSON.stringify({ kycHash }));
+    ).run(
+      row.id,
+      row.wallet,
+      req.admin.address,
+      nowSec(),
+      JSON.stringify({ encrypted: dossier.encrypted, hashVerified: dossier.hashVerified })
+    );
 
     res.json({
-      ok: true,
-      requestId: ins.lastInsertRowid,
-      wallet,
-      kycHash,
-      messageToSign: message, // hữu ích cho debug
+      request: {
+        ...row,
+        payloadJson: dossier.canonical,
+        encrypted: dossier.encrypted,
+        hashVerified: dossier.hashVerified,
+      },
+      hits: listHits(db, row.id),
     });
-  } catch (e) {
-    res.status(400).json({ message: e?.message || "Bad request" });
   }
-});
+);
 
 // -------------------------
-// Admin KYC Console v2 (view requests + approve by requestId) ✅
+// Sanctions screening (lists are imported offline: npm run screening:import)
 // -------------------------
 
-app.get("/admin/kyc/requests", (_req, res) => {
-  const rows = db
-    .prepare(
-      `
-    SELECT id, wallet, kycHash, status, createdAt
-    FROM kyc_requests
-    WHERE status = 'PENDING'
-    ORDER BY createdAt DESC
-    LIMIT 200
-  `
-    )
-    .all();
-  res.json({ requests: rows });
-});
+api.get(
+  "/admin/screening/lists",
+  {
+    id: "listWatchlists",
+    tag: "Screening",
+    summary: "Imported sanctions lists",
+    responses: { 200: z.object({ lists: z.array(Watchlist) }) },
+  },
+  (_req, res) => {
+    res.json({ lists: listWatchlists(db) });
+  }
+);
 
-app.get("/admin/kyc/requests/:id", (req, res) => {
-  const id = Number(req.params.id);
-  if (!Number.isInteger(id) || id <= 0) {
-    return res.status(400).json({ message: "Bad request id" });
+api.post(
+  "/admin/screening/rescreen",
+  {
+    id: "rescreenAll",
+    tag: "Screening",
+    summary: "Screen every pending request against the active lists",
+    responses: { 200: RescreenResult },
+  },
+  (req, res) => {
+    try {
+      res.json({ ok: true, ...rescreenAll(db, { actor: req.admin.address }) });
+    } catch (e) {
+      res.status(e?.status || 400).json({ message: e?.message || "Bad request" });
+    }
   }
+);
 
-  const row = db
-    .prepare(
-      `
-    SELECT id, wallet, kycHash, payloadJson, status, createdAt, reviewedAt, reviewer, notes, approveTxHash, revokeTxHash
-    FROM kyc_requests
-    WHERE id = ?
-  `
-    )
-    .get(id);
-
-  if (!row) return res.status(404).json({ message: "Not found" });
-  res.json({ request: row });
+const clearHitSchema = z.object({
+  justification: z.string().trim().min(10),
 });
 
+api.post(
+  "/admin/screening/hits/:id/clear",
+  {
+    id: "clearScreeningHit",
+    tag: "Screening",
+    summary: "Clear a false-positive hit",
+    params: IdParam,
+    body: clearHitSchema,
+    responses: { 200: z.object({ ok: z.literal(true), hit: ScreeningHit }) },
+  },
+  (req, res) => {
+    try {
+      const hitId = Number(req.params.id);
+      if (!Number.isInteger(hitId) || hitId <= 0) throw httpError(400, "Bad hit id");
+      const { justification } = clearHitSchema.parse(req.body);
+      const hit = clearHit(db, { hitId, justification, actor: req.admin.address });
+      res.json({ ok: true, hit });
+    } catch (e) {
+      res.status(e?.status || 400).json({ message: e?.message || "Bad request" });
+    }
+  }
+);
+
+// -------------------------
+// Maker-checker: mọi quyết định KYC đi qua 2 bước
+// 1) officer A đề xuất (approve-request / reject-request / revoke)
+// 2) officer B (khác A) confirm -> mới gửi tx on-chain
+// Có ComplianceCouncil: APPROVE / REVOKE do council quyết on-chain (M-of-N). Mỗi officer (kể cả người
+// đề xuất) ký typed data từ GET .../council rồi POST .../confirm { signature }; backend relay.
+// -------------------------
+
 const approveReqSchema = z.object({
   requestId: z.number().int().positive(),
   level: z.number().int().min(1).max(5).default(1),
@@ -296,128 +1023,633 @@ const approveReqSchema = z.object({
   notes: z.string().optional(),
 });
 
-app.post("/admin/kyc/approve-request", async (req, res) => {
-  try {
-    const { requestId, level, expiresAt, notes } = approveReqSchema.parse(req.body);
+api.post(
+  "/admin/kyc/approve-request",
+  {
+    id: "proposeKycApproval",
+    tag: "Admin KYC",
+    summary: "Propose approving a request (maker step)",
+    body: approveReqSchema,
+    responses: { 202: ProposalCreated },
+  },
+  (req, res) => {
+    try {
+      const { requestId, level, expiresAt, notes } = approveReqSchema.parse(req.body);
+      const proposal = createProposal(db, {
+        action: "APPROVE",
+        requestId,
+        level,
+        expiresAt,
+        notes,
+        proposedBy: req.admin.address,
+      });
+      res.status(202).json({ ok: true, proposalId: proposal.id, status: proposal.status, proposal });
+    } catch (e) {
+      res.status(e?.status || 400).json({ message: e?.message || "Bad request" });
+    }
+  }
+);
+
+const rejectReqSchema = z.object({
+  requestId: z.number().int().positive(),
+  notes: z.string().optional(),
+});
 
-    const row = db.prepare(`SELECT * FROM kyc_requests WHERE id = ?`).get(requestId);
-    if (!row) return res.status(404).json({ message: "Request not found" });
-    if (row.status !== "PENDING") {
-      return res.status(400).json({ message: "Request is not pending" });
+api.post(
+  "/admin/kyc/reject-request",
+  {
+    id: "proposeKycRejection",
+    tag: "Admin KYC",
+    summary: "Propose rejecting a request (maker step)",
+    body: rejectReqSchema,
+    responses: { 202: ProposalCreated },
+  },
+  (req, res) => {
+    try {
+      const { requestId, notes } = rejectReqSchema.parse(req.body);
+      const proposal = createProposal(db, {
+        action: "REJECT",
+        requestId,
+        notes,
+        proposedBy: req.admin.address,
+      });
+      res.status(202).json({ ok: true, proposalId: proposal.id, status: proposal.status, proposal });
+    } catch (e) {
+      res.status(e?.status || 400).json({ message: e?.message || "Bad request" });
     }
+  }
+);
 
-    const { kyc } = await getContracts();
-    const admin = await getAdminSigner();
+api.get(
+  "/admin/kyc/proposals",
+  {
+    id: "listKycProposals",
+    tag: "Admin KYC",
+    summary: "Proposals by status + council settings",
+    query: z.object({ status: caseInsensitiveEnum(Proposal.shape.status.options).optional() }).strict(),
+    responses: { 200: ProposalList },
+  },
+  async (req, res) => {
+    try {
+      const status = String(req.query.status || "PENDING").toUpperCase();
+      res.json({ proposals: listProposals(db, { status }), council: await councilInfo() });
+    } catch (e) {
+      res.status(e?.status || 400).json({ message: e?.message || "Bad request" });
+    }
+  }
+);
 
-    // Nếu contract đã upgrade theo v2:
-    // - user phải publish requestHash on-chain: kyc.requestKYC(kycHash)
-    // - admin approveFromRequest(user, level, expiresAt)
-    let receiptHash = null;
+const councilSigSchema = z.object({
+  signature: z.string().regex(/^0x[0-9a-fA-F]+$/),
+});
+// không có council: confirm không cần chữ ký
+const councilConfirmSchema = councilSigSchema.partial();
+
+api.get(
+  "/admin/kyc/proposals/:id/council",
+  {
+    id: "getCouncilTypedData",
+    tag: "Admin KYC",
+    summary: "EIP-712 data the officer signs for the council",
+    params: IdParam,
+    query: z.object({ op: CouncilTypedData.shape.op.optional() }).strict(),
+    responses: { 200: CouncilTypedData },
+  },
+  async (req, res) => {
+    try {
+      const proposalId = Number(req.params.id);
+      if (!Number.isInteger(proposalId) || proposalId <= 0) {
+        return res.status(400).json({ message: "Bad proposal id" });
+      }
+      const op = req.query.op ? String(req.query.op) : null;
+      if (op && !["propose", "confirm", "revoke"].includes(op)) {
+        return res.status(400).json({ message: "op must be propose, confirm or revoke" });
+      }
+      res.json(await proposalTypedData(db, { proposalId, officer: req.admin.address, op }));
+    } catch (e) {
+      res.status(e?.status || 400).json({ message: e?.message || "Bad request" });
+    }
+  }
+);
 
-    if (hasFn(kyc, "approveFromRequest") && hasFn(kyc, "pendingRequest")) {
-      const pending = await kyc.pendingRequest(row.wallet);
-      if (!pending || pending === ethers.ZeroHash) {
-        return res.status(400).json({
-          message:
-            "On-chain pending request not found. User must call requestKYC(kycHash) on-chain first.",
-        });
+api.post(
+  "/admin/kyc/proposals/:id/confirm",
+  {
+    id: "confirmKycProposal",
+    tag: "Admin KYC",
+    summary: "Confirm a proposal (checker step); council proposals need a signature",
+    params: IdParam,
+    body: councilConfirmSchema,
+    responses: { 200: ProposalDecision, 202: ProposalDecision },
+  },
+  async (req, res) => {
+    try {
+      const proposalId = Number(req.params.id);
+      if (!Number.isInteger(proposalId) || proposalId <= 0) {
+        return res.status(400).json({ message: "Bad proposal id" });
       }
+      const signature = req.body?.signature ? councilSigSchema.parse(req.body).signature : null;
+      const result = await confirmProposal(db, { proposalId, confirmedBy: req.admin.address, signature });
+      res.status(result.jobId ? 202 : 200).json({ ok: true, ...result });
+    } catch (e) {
+      res.status(e?.status || 400).json({ message: e?.message || "Bad request" });
+    }
+  }
+);
 
-      // optional: check match hash
-      if (pending.toLowerCase() !== String(row.kycHash).toLowerCase()) {
-        return res.status(400).json({
-          message:
-            "On-chain pending hash does not match DB kycHash. Refuse to approve.",
-        });
+api.post(
+  "/admin/kyc/proposals/:id/council/revoke",
+  {
+    id: "revokeCouncilConfirmation",
+    tag: "Admin KYC",
+    summary: "Withdraw this officer's council confirmation",
+    params: IdParam,
+    body: councilSigSchema,
+    responses: { 202: ProposalDecision },
+  },
+  async (req, res) => {
+    try {
+      const proposalId = Number(req.params.id);
+      if (!Number.isInteger(proposalId) || proposalId <= 0) {
+        return res.status(400).json({ message: "Bad proposal id" });
       }
+      const { signature } = councilSigSchema.parse(req.body);
+      const result = await withdrawCouncilConfirmation(db, { proposalId, officer: req.admin.address, signature });
+      res.status(202).json({ ok: true, ...result });
+    } catch (e) {
+      res.status(e?.status || 400).json({ message: e?.message || "Bad request" });
+    }
+  }
+);
 
-      const tx = await kyc.connect(admin).approveFromRequest(row.wallet, level, expiresAt);
-      const receipt = await tx.wait();
-      receiptHash = receipt.hash;
-    } else if (hasFn(kyc, "approveKYC")) {
-      // fallback: contract cũ (approve thẳng address)
-      const tx = await kyc.connect(admin).approveKYC(row.wallet);
-      const receipt = await tx.wait();
-      receiptHash = receipt.hash;
-    } else {
-      return res.status(500).json({ message: "KYC contract does not support approval methods" });
+api.post(
+  "/admin/kyc/proposals/:id/cancel",
+  {
+    id: "cancelKycProposal",
+    tag: "Admin KYC",
+    summary: "Cancel own pending proposal",
+    params: IdParam,
+    responses: { 200: Ok },
+  },
+  (req, res) => {
+    try {
+      const proposalId = Number(req.params.id);
+      if (!Number.isInteger(proposalId) || proposalId <= 0) {
+        return res.status(400).json({ message: "Bad proposal id" });
+      }
+      cancelProposal(db, { proposalId, actor: req.admin.address });
+      res.json({ ok: true });
+    } catch (e) {
+      res.status(e?.status || 400).json({ message: e?.message || "Bad request" });
     }
+  }
+);
 
-    const ts = nowSec();
-    db.prepare(
-      `
-      UPDATE kyc_requests
-      SET status='APPROVED', reviewedAt=?, updatedAt=?, reviewer=?, notes=?, approveTxHash=?
-      WHERE id=?
-    `
-    ).run(ts, ts, (await admin.getAddress()).toLowerCase(), notes || null, receiptHash, requestId);
+// -------------------------
+// Chain vs DB discrepancies (filled by the indexer from KYCRegistry events)
+// -------------------------
 
-    db.prepare(
-      `
-      INSERT INTO kyc_actions(requestId, wallet, action, actor, txHash, at, detailsJson)
-      VALUES (?, ?, 'APPROVED', ?, ?, ?, ?)
+api.get(
+  "/admin/kyc/discrepancies",
+  {
+    id: "listKycDiscrepancies",
+    tag: "Admin KYC",
+    summary: "On-chain KYC facts the DB cannot explain",
+    query: z
+      .object({ status: z.enum(["open", "resolved", "all"]).optional(), wallet: Address.optional() })
+      .strict(),
+    responses: { 200: z.object({ discrepancies: z.array(Discrepancy) }) },
+  },
+  (req, res) => {
+    const status = String(req.query.status || "open");
+    const where =
+      status === "resolved" ? "WHERE resolvedAt IS NOT NULL" : status === "all" ? "" : "WHERE resolvedAt IS NULL";
+    const wallet = req.query.wallet ? String(req.query.wallet).toLowerCase() : null;
+
+    const rows = db
+      .prepare(
+        `
+      SELECT * FROM kyc_discrepancies
+      ${where} ${wallet ? (where ? "AND" : "WHERE") + " wallet = @wallet" : ""}
+      ORDER BY blockNumber DESC, id DESC
+      LIMIT 200
     `
-    ).run(
-      requestId,
-      row.wallet,
-      (await admin.getAddress()).toLowerCase(),
-      receiptHash,
-      ts,
-      JSON.stringify({ level, expiresAt })
-    );
+      )
+      .all(wallet ? { wallet } : {});
 
-    res.json({ ok: true, txHash: receiptHash });
-  } catch (e) {
-    res.status(400).json({ message: e?.message || "Bad request" });
+    res.json({ discrepancies: rows });
   }
-});
+);
 
-const rejectReqSchema = z.object({
-  requestId: z.number().int().positive(),
-  notes: z.string().optional(),
+const resolveDiscrepancySchema = z.object({
+  resolution: z.string().min(3),
 });
 
-app.post("/admin/kyc/reject-request", async (req, res) => {
-  try {
-    const { requestId, notes } = rejectReqSchema.parse(req.body);
-    const row = db.prepare(`SELECT * FROM kyc_requests WHERE id = ?`).get(requestId);
-    if (!row) return res.status(404).json({ message: "Request not found" });
-    if (row.status !== "PENDING") return res.status(400).json({ message: "Not pending" });
+api.post(
+  "/admin/kyc/discrepancies/:id/resolve",
+  {
+    id: "resolveKycDiscrepancy",
+    tag: "Admin KYC",
+    summary: "Mark a discrepancy as resolved",
+    params: IdParam,
+    body: resolveDiscrepancySchema,
+    responses: { 200: Ok },
+  },
+  (req, res) => {
+    try {
+      const id = Number(req.params.id);
+      if (!Number.isInteger(id) || id <= 0) return res.status(400).json({ message: "Bad id" });
+      const { resolution } = resolveDiscrepancySchema.parse(req.body);
+
+      const upd = db
+        .prepare(
+          `UPDATE kyc_discrepancies SET resolvedAt = ?, resolvedBy = ?, resolution = ? WHERE id = ? AND resolvedAt IS NULL`
+        )
+        .run(nowSec(), req.admin.address, resolution, id);
+      if (!upd.changes) return res.status(404).json({ message: "Not found or already resolved" });
+
+      res.json({ ok: true });
+    } catch (e) {
+      res.status(400).json({ message: e?.message || "Bad request" });
+    }
+  }
+);
 
-    const admin = await getAdminSigner();
-    const ts = nowSec();
+// -------------------------
+// Audit trail across all accounts (same filters as /tx/:user, plus `account`)
+// -------------------------
 
-    db.prepare(
-      `
-      UPDATE kyc_requests
-      SET status='REJECTED', reviewedAt=?, updatedAt=?, reviewer=?, notes=?
-      WHERE id=?
-    `
-    ).run(ts, ts, (await admin.getAddress()).toLowerCase(), notes || null, requestId);
+api.get(
+  "/admin/events",
+  {
+    id: "listEvents",
+    tag: "Audit",
+    summary: "Indexed events across all accounts",
+    query: eventQuerySchema.strict(),
+    responses: { 200: EventPage },
+  },
+  async (req, res) => {
+    try {
+      const { contracts } = await getContractsMeta();
+      const filters = parseEventQuery(req.query, contracts);
+      const { events, nextCursor } = queryEvents(db, filters, { columns: ["metaJson"] });
+
+      res.json({ events, nextCursor });
+    } catch (e) {
+      res.status(e?.status || 400).json({ message: e?.message || "Bad request" });
+    }
+  }
+);
 
-    db.prepare(
-      `
-      INSERT INTO kyc_actions(requestId, wallet, action, actor, at, detailsJson)
-      VALUES (?, ?, 'REJECTED', ?, ?, ?)
-    `
-    ).run(
-      requestId,
-      row.wallet,
-      (await admin.getAddress()).toLowerCase(),
-      ts,
-      JSON.stringify({ notes: notes || "" })
-    );
+// -------------------------
+// BKD ledger audit: every indexed account vs balanceOf at the indexer checkpoint
+// -------------------------
 
-    res.json({ ok: true });
-  } catch (e) {
-    res.status(400).json({ message: e?.message || "Bad request" });
+api.get(
+  "/admin/ledger/verify",
+  {
+    id: "verifyLedger",
+    tag: "Ledger",
+    summary: "Every indexed account vs balanceOf at the indexer checkpoint",
+    responses: { 200: LedgerVerify },
+  },
+  async (req, res) => {
+    try {
+      const { token } = await getContracts();
+      const block = indexedToBlock(db);
+
+      const accounts = [];
+      for (const account of ledgerAccounts(db)) {
+        accounts.push({ account, ...(await verifyBalance(db, token, account, block)) });
+      }
+      const mismatches = accounts.filter((a) => !a.matches);
+
+      res.json({ block, checked: accounts.length, ok: mismatches.length === 0, mismatches, accounts });
+    } catch (e) {
+      res.status(e?.status || 500).json({ message: e?.message || "Ledger verification failed" });
+    }
+  }
+);
+
+// -------------------------
+// Reserve reconciliation (vault ETH / BKD supply / events / LendingPool)
+// -------------------------
+
+// Latest finished run + recent history
+api.get(
+  "/admin/reconciliation",
+  {
+    id: "getReconciliation",
+    tag: "Reconciliation",
+    summary: "Latest finished run + recent history",
+    responses: { 200: Reconciliation },
+  },
+  (req, res) => {
+    const latest = db
+      .prepare(`SELECT id FROM recon_runs WHERE status <> 'RUNNING' ORDER BY id DESC LIMIT 1`)
+      .get();
+    res.json({ latest: latest ? getRun(db, latest.id) : null, history: listRuns(db, { limit: 20 }) });
+  }
+);
+
+api.get(
+  "/admin/reconciliation/runs",
+  {
+    id: "listReconciliationRuns",
+    tag: "Reconciliation",
+    summary: "Reconciliation runs",
+    query: z
+      .object({ status: caseInsensitiveEnum(ReconRunSummary.shape.status.options).optional(), limit: Limit })
+      .strict(),
+    responses: { 200: z.object({ runs: z.array(ReconRunSummary) }) },
+  },
+  (req, res) => {
+    const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 500);
+    const status = req.query.status ? String(req.query.status).toUpperCase() : null;
+    res.json({ runs: listRuns(db, { limit, status }) });
+  }
+);
+
+api.get(
+  "/admin/reconciliation/runs/:id",
+  {
+    id: "getReconciliationRun",
+    tag: "Reconciliation",
+    summary: "One run with its breaks",
+    params: IdParam,
+    responses: { 200: ReconRun },
+  },
+  (req, res) => {
+    const run = getRun(db, Number(req.params.id));
+    if (!run) return res.status(404).json({ message: "Run not found" });
+    res.json(run);
+  }
+);
+
+api.post(
+  "/admin/reconciliation/run",
+  {
+    id: "runReconciliation",
+    tag: "Reconciliation",
+    summary: "Run a reconciliation now",
+    responses: { 200: ReconRun },
+  },
+  async (req, res) => {
+    try {
+      const run = await runReconciliation(db, { trigger: `admin:${req.admin.address}` });
+      res.json(run);
+    } catch (e) {
+      res.status(e?.status || 500).json({ message: e?.message || "Reconciliation failed" });
+    }
   }
+);
+
+// -------------------------
+// LendingPool: account / portfolio views (read at one block) + liquidations
+// (candidates from indexed borrowers, health checked on-chain)
+// -------------------------
+
+api.get(
+  "/lending/:user",
+  {
+    id: "getLendingAccount",
+    tag: "Lending",
+    summary: "Collateral, debt, health factor, accrued interest and debt projections",
+    description: "payoffDate adds a repayment schedule (equal installments, default one per 30 days).",
+    params: UserParam,
+    query: z
+      .object({
+        payoffDate: StatementTime.optional(),
+        installments: z.coerce.number().int().min(1).max(MAX_INSTALLMENTS).optional(),
+      })
+      .strict(),
+    responses: { 200: LendingAccount },
+  },
+  async (req, res) => {
+    try {
+      const user = req.params.user;
+      if (!isAddress(user)) return res.status(400).json({ message: "Bad address" });
+
+      const payoffAt = parseStatementTime(req.query.payoffDate);
+      const installments = req.query.installments ? Number(req.query.installments) : null;
+      if (installments !== null && !(Number.isInteger(installments) && installments >= 1)) {
+        return res.status(400).json({ message: "installments must be a positive integer" });
+      }
+      if (installments !== null && payoffAt === null) {
+        return res.status(400).json({ message: "installments needs a payoffDate" });
+      }
+
+      const { lending } = await getContracts();
+      res.json(await getLendingAccount(db, lending, user, { payoffAt, installments }));
+    } catch (e) {
+      res.status(e?.status || 500).json({ message: e?.message || "Failed to load lending account" });
+    }
+  }
+);
+
+api.get(
+  "/admin/lending/accounts",
+  {
+    id: "listLendingAccounts",
+    tag: "Lending",
+    summary: "Indexed borrowers with outstanding debt, riskiest first",
+    query: z.object({ all: z.enum(["0", "1"]).optional().describe("1 = also accounts that repaid in full") }).strict(),
+    responses: { 200: LendingAccounts },
+  },
+  async (req, res) => {
+    try {
+      const { lending } = await getContracts();
+      res.json(await listLendingAccounts(db, lending, { all: String(req.query.all || "") === "1" }));
+    } catch (e) {
+      res.status(e?.status || 500).json({ message: e?.message || "Failed to load lending accounts" });
+    }
+  }
+);
+
+api.get(
+  "/admin/lending/liquidatable",
+  {
+    id: "listLiquidatable",
+    tag: "Lending",
+    summary: "Borrowers below the liquidation threshold",
+    query: z.object({ all: z.enum(["0", "1"]).optional().describe("1 = every indexed borrower") }).strict(),
+    responses: { 200: LiquidationCandidates },
+  },
+  async (req, res) => {
+    try {
+      const { lending } = await getContracts();
+      const result = await findLiquidatable(db, lending);
+      const all = String(req.query.all || "") === "1";
+      res.json({ ...result, accounts: all ? result.accounts : result.accounts.filter((a) => a.liquidatable) });
+    } catch (e) {
+      res.status(e?.status || 500).json({ message: e?.message || "Failed to load liquidation candidates" });
+    }
+  }
+);
+
+// -------------------------
+// AML transaction monitoring (rules in src/aml/rules.json; job: npm run aml)
+// -------------------------
+
+api.get(
+  "/admin/aml/rules",
+  { id: "getAmlRules", tag: "AML", summary: "Loaded AML rules", responses: { 200: AmlRules } },
+  (_req, res) => {
+    try {
+      res.json({ rules: rulesToJson(loadRules()), dispositions: DISPOSITIONS });
+    } catch (e) {
+      res.status(500).json({ message: `Bad AML rules config: ${e.message}` });
+    }
+  }
+);
+
+// Chạy ngay thay vì chờ job (vd. sau khi sửa rules)
+api.post(
+  "/admin/aml/run",
+  {
+    id: "runAml",
+    tag: "AML",
+    summary: "Run the AML rules over newly indexed events now",
+    responses: { 200: AmlRunResult },
+  },
+  (_req, res) => {
+    try {
+      res.json({ ok: true, ...runAmlRules(db) });
+    } catch (e) {
+      res.status(e?.status || 500).json({ message: e?.message || "AML run failed" });
+    }
+  }
+);
+
+api.get(
+  "/admin/aml/alerts",
+  {
+    id: "listAmlAlerts",
+    tag: "AML",
+    summary: "AML alerts",
+    query: z
+      .object({
+        status: caseInsensitiveEnum(AmlAlert.shape.status.options).optional(),
+        subject: Address.optional(),
+        assignee: Address.optional(),
+        ruleId: z.string().optional(),
+        limit: Limit,
+      })
+      .strict(),
+    responses: { 200: z.object({ alerts: z.array(AmlAlert) }) },
+  },
+  (req, res) => {
+    const status = req.query.status ? String(req.query.status).toUpperCase() : null;
+    const subject = req.query.subject ? String(req.query.subject).toLowerCase() : null;
+    const assignee = req.query.assignee ? String(req.query.assignee).toLowerCase() : null;
+    const ruleId = req.query.ruleId ? String(req.query.ruleId) : null;
+    const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 500);
+    res.json({ alerts: listAlerts(db, { status, ruleId, subject, assignee, limit }) });
+  }
+);
+
+api.get(
+  "/admin/aml/alerts/:id",
+  {
+    id: "getAmlAlert",
+    tag: "AML",
+    summary: "Alert with its events and notes",
+    params: IdParam,
+    responses: { 200: z.object({ alert: AmlAlertDetail }) },
+  },
+  (req, res) => {
+    const alert = getAlert(db, Number(req.params.id));
+    if (!alert) return res.status(404).json({ message: "Alert not found" });
+    res.json({ alert });
+  }
+);
+
+const assignAlertSchema = z.object({
+  // mặc định: tự nhận alert
+  assignee: z.string().optional(),
+});
+
+api.post(
+  "/admin/aml/alerts/:id/assign",
+  {
+    id: "assignAmlAlert",
+    tag: "AML",
+    summary: "Assign an alert (default: to yourself)",
+    params: IdParam,
+    body: assignAlertSchema,
+    responses: { 200: AmlAlertResult },
+  },
+  (req, res) => {
+    try {
+      const { assignee } = assignAlertSchema.parse(req.body || {});
+      if (assignee && !isAddress(assignee)) throw httpError(400, "Bad assignee address");
+      const alert = assignAlert(db, {
+        id: Number(req.params.id),
+        assignee: (assignee || req.admin.address).toLowerCase(),
+        actor: req.admin.address,
+      });
+      res.json({ ok: true, alert });
+    } catch (e) {
+      res.status(e?.status || 400).json({ message: e?.message || "Bad request" });
+    }
+  }
+);
+
+const commentAlertSchema = z.object({
+  body: z.string().trim().min(1),
+});
+
+api.post(
+  "/admin/aml/alerts/:id/comments",
+  {
+    id: "commentAmlAlert",
+    tag: "AML",
+    summary: "Add a case note",
+    params: IdParam,
+    body: commentAlertSchema,
+    responses: { 200: AmlAlertResult },
+  },
+  (req, res) => {
+    try {
+      const { body } = commentAlertSchema.parse(req.body);
+      const alert = commentAlert(db, { id: Number(req.params.id), body, actor: req.admin.address });
+      res.json({ ok: true, alert });
+    } catch (e) {
+      res.status(e?.status || 400).json({ message: e?.message || "Bad request" });
+    }
+  }
+);
+
+const closeAlertSchema = z.object({
+  disposition: z.enum(DISPOSITIONS),
+  comment: z.string().trim().min(10),
 });
 
+api.post(
+  "/admin/aml/alerts/:id/close",
+  {
+    id: "closeAmlAlert",
+    tag: "AML",
+    summary: "Close an alert with a disposition",
+    params: IdParam,
+    body: closeAlertSchema,
+    responses: { 200: AmlAlertResult },
+  },
+  (req, res) => {
+    try {
+      const { disposition, comment } = closeAlertSchema.parse(req.body);
+      const alert = closeAlert(db, { id: Number(req.params.id), disposition, comment, actor: req.admin.address });
+      res.json({ ok: true, alert });
+    } catch (e) {
+      res.status(e?.status || 400).json({ message: e?.message || "Bad request" });
+    }
+  }
+);
+
 // -------------------------
 // Backwards-compatible Admin endpoints (frontend cũ vẫn gọi được)
-// - /admin/kyc/approve { user } sẽ cố tìm request pending gần nhất của user và approve.
-// - /admin/kyc/revoke  { user } revoke on-chain và update DB nếu có.
+// - /admin/kyc/approve { user } sẽ cố tìm request pending gần nhất của user và đề xuất approve.
+// - /admin/kyc/revoke  { user } đề xuất revoke (chờ officer thứ 2 confirm).
 // -------------------------
 
 const kycSchema = z.object({
@@ -427,94 +1659,304 @@ const kycSchema = z.object({
   notes: z.string().optional(),
 });
 
-app.post("/admin/kyc/approve", async (req, res) => {
-  try {
-    const { user, level = 1, expiresAt = 0, notes } = kycSchema.parse(req.body);
-    if (!isAddress(user)) return res.status(400).json({ message: "Bad address" });
-
-    const wallet = user.toLowerCase();
+api.post(
+  "/admin/kyc/approve",
+  {
+    id: "legacyApproveKyc",
+    tag: "Admin KYC",
+    summary: "Propose approving the latest pending request of a wallet (legacy)",
+    body: kycSchema,
+    bodyName: "LegacyKycDecisionBody",
+    responses: { 202: ProposalCreated },
+  },
+  async (req, res) => {
+    try {
+      const { user, level = 1, expiresAt = 0, notes } = kycSchema.parse(req.body);
+      if (!isAddress(user)) return res.status(400).json({ message: "Bad address" });
+
+      const wallet = user.toLowerCase();
+
+      // tìm request pending gần nhất
+      const row = db
+        .prepare(
+          `SELECT * FROM kyc_requests WHERE wallet = ? AND status='PENDING' ORDER BY id DESC LIMIT 1`
+        )
+        .get(wallet);
+
+      if (!row) {
+        return res.status(400).json({
+          message:
+            "No pending KYC request in DB. User must submit /kyc/request first.",
+        });
+      }
 
-    // tìm request pending gần nhất
-    const row = db
-      .prepare(
-        `SELECT * FROM kyc_requests WHERE wallet = ? AND status='PENDING' ORDER BY id DESC LIMIT 1`
-      )
-      .get(wallet);
+      // gọi approve-request để tái sử dụng logic (đổi url, không thì router lại khớp chính route này)
+      req.url = "/admin/kyc/approve-request";
+      req.body = { requestId: row.id, level, expiresAt, notes };
+      return app._router.handle(req, res, () => {});
+    } catch (e) {
+      res.status(400).json({ message: e?.message || "Bad request" });
+    }
+  }
+);
 
-    if (!row) {
-      return res.status(400).json({
-        message:
-          "No pending KYC request in DB. User must submit /kyc/request first.",
+api.post(
+  "/admin/kyc/revoke",
+  {
+    id: "proposeKycRevocation",
+    tag: "Admin KYC",
+    summary: "Propose revoking a wallet's KYC",
+    body: kycSchema,
+    responses: { 202: ProposalCreated },
+  },
+  (req, res) => {
+    try {
+      const { user, notes } = kycSchema.parse(req.body);
+      if (!isAddress(user)) return res.status(400).json({ message: "Bad address" });
+
+      const proposal = createProposal(db, {
+        action: "REVOKE",
+        wallet: user.toLowerCase(),
+        notes,
+        proposedBy: req.admin.address,
       });
+      res.status(202).json({ ok: true, proposalId: proposal.id, status: proposal.status, proposal });
+    } catch (e) {
+      res.status(e?.status || 400).json({ message: e?.message || "Bad request" });
+    }
+  }
+);
+
+// -------------------------
+// Admin tx queue: approve/revoke/council relay trả về jobId (202), theo dõi ở đây
+// -------------------------
+
+api.get(
+  "/admin/jobs",
+  {
+    id: "listJobs",
+    tag: "Jobs",
+    summary: "Admin transaction queue",
+    query: z.object({ status: caseInsensitiveEnum(JOB_STATUSES).optional(), limit: Limit }).strict(),
+    responses: { 200: z.object({ jobs: z.array(AdminJob) }) },
+  },
+  (req, res) => {
+    const status = req.query.status ? String(req.query.status).toUpperCase() : null;
+    if (status && !JOB_STATUSES.includes(status)) {
+      return res.status(400).json({ message: `status must be one of ${JOB_STATUSES.join(", ")}` });
     }
+    const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 500);
+    res.json({ jobs: listJobs(db, { status, limit }) });
+  }
+);
 
-    // gọi approve-request để tái sử dụng logic
-    req.body = { requestId: row.id, level, expiresAt, notes };
-    return app._router.handle(req, res, () => {});
-  } catch (e) {
-    res.status(400).json({ message: e?.message || "Bad request" });
+api.get(
+  "/admin/jobs/:id",
+  {
+    id: "getJob",
+    tag: "Jobs",
+    summary: "Job with every broadcast tx",
+    params: IdParam,
+    responses: { 200: z.object({ job: AdminJobDetail }) },
+  },
+  (req, res) => {
+    const job = getJob(db, Number(req.params.id), { withTxs: true });
+    if (!job) return res.status(404).json({ message: "Job not found" });
+    res.json({ job });
   }
-});
+);
 
-app.post("/admin/kyc/revoke", async (req, res) => {
-  try {
-    const { user, notes } = kycSchema.parse(req.body);
-    if (!isAddress(user)) return res.status(400).json({ message: "Bad address" });
+// -------------------------
+// Outbound webhooks (core banking / notifications): đăng ký URL, log delivery, replay
+// -------------------------
 
-    const wallet = user.toLowerCase();
-    const { kyc } = await getContracts();
-    const admin = await getAdminSigner();
+const webhookSchema = z.object({
+  url: z.string().min(1),
+  eventTypes: z.array(z.string()).min(1),
+  accounts: z.array(z.string()).nullable().optional(),
+  description: z.string().max(200).nullable().optional(),
+});
+// sửa url / eventTypes / accounts, hoặc { active: false } để tắt (delivery đang chờ giữ nguyên tới khi bật lại)
+const webhookUpdateSchema = webhookSchema.partial().extend({ active: z.boolean().optional() });
+
+api.get(
+  "/admin/webhooks",
+  {
+    id: "listWebhooks",
+    tag: "Webhooks",
+    summary: "Webhook subscriptions + supported event types",
+    responses: { 200: z.object({ webhooks: z.array(Webhook), eventTypes: z.array(z.string()) }) },
+  },
+  (_req, res) => {
+    res.json({ webhooks: listSubscriptions(db), eventTypes: WEBHOOK_EVENT_TYPES });
+  }
+);
 
-    let receiptHash = null;
+// secret chỉ hiện ở response này (và rotate-secret): receiver dùng để verify X-BankChain-Signature
+api.post(
+  "/admin/webhooks",
+  {
+    id: "createWebhook",
+    tag: "Webhooks",
+    summary: "Create a subscription (returns its signing secret)",
+    body: webhookSchema,
+    responses: { 200: z.object({ ok: z.literal(true), webhook: WebhookWithSecret }) },
+  },
+  (req, res) => {
+    try {
+      const body = webhookSchema.parse(req.body);
+      const webhook = createSubscription(db, { ...body, createdBy: req.admin.address });
+      res.json({ ok: true, webhook });
+    } catch (e) {
+      res.status(e?.status || 400).json({ message: e?.message || "Bad request" });
+    }
+  }
+);
 
-    if (hasFn(kyc, "revokeKYC")) {
-      const tx = await kyc.connect(admin).revokeKYC(wallet);
-      const receipt = await tx.wait();
-      receiptHash = receipt.hash;
-    } else {
-      return res.status(500).json({ message: "KYC contract does not support revokeKYC" });
+api.get(
+  "/admin/webhooks/deliveries",
+  {
+    id: "listWebhookDeliveries",
+    tag: "Webhooks",
+    summary: "Delivery log",
+    query: z
+      .object({
+        status: caseInsensitiveEnum(DELIVERY_STATUSES).optional(),
+        webhookId: z.coerce.number().int().positive().optional(),
+        eventType: z.string().optional(),
+        limit: Limit,
+      })
+      .strict(),
+    responses: { 200: z.object({ deliveries: z.array(WebhookDelivery) }) },
+  },
+  (req, res) => {
+    const status = req.query.status ? String(req.query.status).toUpperCase() : null;
+    if (status && !DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({ message: `status must be one of ${DELIVERY_STATUSES.join(", ")}` });
     }
+    const subscriptionId = req.query.webhookId ? Number(req.query.webhookId) : null;
+    const eventType = req.query.eventType ? String(req.query.eventType) : null;
+    const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 500);
+    res.json({ deliveries: listDeliveries(db, { subscriptionId, status, eventType, limit }) });
+  }
+);
 
-    const ts = nowSec();
+api.get(
+  "/admin/webhooks/deliveries/:id",
+  {
+    id: "getWebhookDelivery",
+    tag: "Webhooks",
+    summary: "Delivery with every HTTP attempt",
+    params: IdParam,
+    responses: { 200: z.object({ delivery: WebhookDeliveryDetail }) },
+  },
+  (req, res) => {
+    const delivery = getDelivery(db, Number(req.params.id), { withAttempts: true });
+    if (!delivery) return res.status(404).json({ message: "Delivery not found" });
+    res.json({ delivery });
+  }
+);
 
-    // update latest approved request if exists
-    const latest = db
-      .prepare(
-        `SELECT id FROM kyc_requests WHERE wallet=? AND status='APPROVED' ORDER BY id DESC LIMIT 1`
-      )
-      .get(wallet);
+// dead letter (hoặc receiver mất dữ liệu) => gửi lại, cùng event id
+api.post(
+  "/admin/webhooks/deliveries/:id/replay",
+  {
+    id: "replayWebhookDelivery",
+    tag: "Webhooks",
+    summary: "Send a delivery again (same event id)",
+    params: IdParam,
+    responses: { 202: z.object({ ok: z.literal(true), delivery: WebhookDelivery }) },
+  },
+  (req, res) => {
+    try {
+      res.status(202).json({ ok: true, delivery: replayDelivery(db, Number(req.params.id)) });
+    } catch (e) {
+      res.status(e?.status || 400).json({ message: e?.message || "Bad request" });
+    }
+  }
+);
 
-    if (latest) {
-      db.prepare(
-        `
-        UPDATE kyc_requests
-        SET updatedAt=?, reviewer=?, notes=?, revokeTxHash=?
-        WHERE id=?
-      `
-      ).run(ts, ts, (await admin.getAddress()).toLowerCase(), notes || null, receiptHash, latest.id);
+api.get(
+  "/admin/webhooks/:id",
+  {
+    id: "getWebhook",
+    tag: "Webhooks",
+    summary: "Subscription with delivery counts",
+    params: IdParam,
+    responses: { 200: z.object({ webhook: Webhook }) },
+  },
+  (req, res) => {
+    const webhook = getSubscription(db, Number(req.params.id));
+    if (!webhook) return res.status(404).json({ message: "Webhook not found" });
+    res.json({ webhook });
+  }
+);
+
+api.post(
+  "/admin/webhooks/:id",
+  {
+    id: "updateWebhook",
+    tag: "Webhooks",
+    summary: "Change a subscription or (de)activate it",
+    params: IdParam,
+    body: webhookUpdateSchema,
+    responses: { 200: z.object({ ok: z.literal(true), webhook: Webhook }) },
+  },
+  (req, res) => {
+    try {
+      const body = webhookUpdateSchema.parse(req.body || {});
+      res.json({ ok: true, webhook: updateSubscription(db, Number(req.params.id), body) });
+    } catch (e) {
+      res.status(e?.status || 400).json({ message: e?.message || "Bad request" });
     }
+  }
+);
 
-    db.prepare(
-      `
-      INSERT INTO kyc_actions(requestId, wallet, action, actor, txHash, at, detailsJson)
-      VALUES (?, ?, 'REVOKED', ?, ?, ?, ?)
-    `
-    ).run(
-      latest?.id ?? null,
-      wallet,
-      (await admin.getAddress()).toLowerCase(),
-      receiptHash,
-      ts,
-      JSON.stringify({ notes: notes || "" })
-    );
+api.post(
+  "/admin/webhooks/:id/rotate-secret",
+  {
+    id: "rotateWebhookSecret",
+    tag: "Webhooks",
+    summary: "New signing secret (the old one stops working)",
+    params: IdParam,
+    responses: { 200: z.object({ ok: z.literal(true), webhook: WebhookWithSecret }) },
+  },
+  (req, res) => {
+    try {
+      res.json({ ok: true, webhook: rotateSecret(db, Number(req.params.id)) });
+    } catch (e) {
+      res.status(e?.status || 400).json({ message: e?.message || "Bad request" });
+    }
+  }
+);
 
-    res.json({ ok: true, txHash: receiptHash });
-  } catch (e) {
-    res.status(400).json({ message: e?.message || "Bad request" });
+api.post(
+  "/admin/webhooks/:id/test",
+  {
+    id: "sendWebhookTest",
+    tag: "Webhooks",
+    summary: "Queue a webhook.test delivery",
+    params: IdParam,
+    responses: { 202: z.object({ ok: z.literal(true), delivery: WebhookDelivery }) },
+  },
+  (req, res) => {
+    try {
+      res.status(202).json({ ok: true, delivery: sendTestEvent(db, Number(req.params.id)) });
+    } catch (e) {
+      res.status(e?.status || 400).json({ message: e?.message || "Bad request" });
+    }
   }
-});
+);
 
 // -------------------------
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`Backend listening on http://localhost:${PORT}`);
 });
+
+attachWebSocket(server, streamHub, { path: "/ws", authenticate: (token) => adminSession(db, token) });
+
+// Worker gửi tx admin chạy luôn trong process API, trừ khi chạy riêng (npm run txqueue)
+if (process.env.TXQUEUE_IN_SERVER !== "0") startTxQueue(db);
+
+// Webhook fan-out + gửi cũng chạy trong process API, trừ khi chạy riêng (npm run webhooks)
+if (process.env.WEBHOOKS_IN_SERVER !== "0") startWebhooks(db);
@@ -0,0 +1,228 @@
+import { ethers } from "ethers";
+
+/**
+ * Statement renderers: CSV, printable HTML, ISO 20022 camt.053 (BankToCustomerStatement).
+ */
+
+/**
+ * Same formatting as frontend/src/lib/format.js fmtWei: formatUnits rồi CẮT (không làm tròn)
+ * phần thập phân. CSV còn có cột wei gốc để đối soát chính xác.
+ */
+export function fmtWei(wei, decimals = 18, precision = 6) {
+  try {
+    const s = ethers.formatUnits(wei, decimals);
+    const [a, b = ""] = s.split(".");
+    return b.length ? `${a}.${b.slice(0, precision)}` : a;
+  } catch {
+    return String(wei);
+  }
+}
+
+function isoTime(sec) {
+  return new Date(sec * 1000).toISOString().replace(/\.\d{3}Z$/, "Z");
+}
+
+function isoDate(sec) {
+  return isoTime(sec).slice(0, 10);
+}
+
+// ---- CSV -------------------------------------------------------------------
+
+function csvCell(v) {
+  const s = v === null || v === undefined ? "" : String(v);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function statementToCsv(st) {
+  const header = [
+    "bookedAt",
+    "blockNumber",
+    "txHash",
+    "logIndex",
+    "code",
+    "description",
+    "counterparty",
+    "debit",
+    "credit",
+    "balance",
+    "amountWei",
+    "balanceWei",
+  ];
+
+  const out = [];
+  out.push(`# account,${st.account}`);
+  out.push(`# currency,${st.currency}`);
+  out.push(`# period,${isoTime(st.from)},${isoTime(st.to)}`);
+  out.push(`# openingBalance,${fmtWei(st.openingBalance)},${st.openingBalance}`);
+  out.push(`# closingBalance,${fmtWei(st.closingBalance)},${st.closingBalance}`);
+  out.push(header.join(","));
+
+  for (const l of st.lines) {
+    out.push(
+      [
+        isoTime(l.bookedAt),
+        l.blockNumber,
+        l.txHash,
+        l.logIndex,
+        l.code,
+        l.description,
+        l.counterparty,
+        l.direction === "DEBIT" ? fmtWei(l.amount) : "",
+        l.direction === "CREDIT" ? fmtWei(l.amount) : "",
+        fmtWei(l.balanceAfter),
+        l.direction === "DEBIT" ? `-${l.amount}` : l.amount,
+        l.balanceAfter,
+      ]
+        .map(csvCell)
+        .join(",")
+    );
+  }
+
+  return out.join("\r\n") + "\r\n";
+}
+
+// ---- HTML ------------------------------------------------------------------
+
+function esc(v) {
+  return String(v ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+export function statementToHtml(st) {
+  const rows = st.lines
+    .map(
+      (l) => `
+      <tr>
+        <td>${esc(isoTime(l.bookedAt).replace("T", " ").replace("Z", ""))}</td>
+        <td>${esc(l.description)}</td>
+        <td class="mono">${esc(l.counterparty)}</td>
+        <td class="num">${l.direction === "DEBIT" ? esc(fmtWei(l.amount)) : ""}</td>
+        <td class="num">${l.direction === "CREDIT" ? esc(fmtWei(l.amount)) : ""}</td>
+        <td class="num">${esc(fmtWei(l.balanceAfter))}</td>
+        <td class="mono small">${esc(l.txHash)}<br />block ${esc(l.blockNumber)}</td>
+      </tr>`
+    )
+    .join("");
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<title>BankChain statement ${esc(st.account)} ${esc(isoDate(st.from))} – ${esc(isoDate(st.to))}</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 32px; color: #111; }
+  h1 { font-size: 20px; margin: 0 0 4px; }
+  .meta { font-size: 13px; color: #444; margin-bottom: 16px; }
+  table { width: 100%; border-collapse: collapse; font-size: 12px; }
+  th, td { border-bottom: 1px solid #ddd; padding: 6px 8px; text-align: left; vertical-align: top; }
+  th { background: #f3f4f6; }
+  .num { text-align: right; white-space: nowrap; }
+  .mono { font-family: ui-monospace, monospace; word-break: break-all; }
+  .small { font-size: 10px; color: #555; }
+  .totals td { font-weight: 600; }
+  @media print { body { margin: 12mm; } th { background: none; } tr { page-break-inside: avoid; } }
+</style>
+</head>
+<body>
+<h1>BankChain account statement</h1>
+<div class="meta">
+  Account: <span class="mono">${esc(st.account)}</span><br />
+  Period: ${esc(isoTime(st.from))} – ${esc(isoTime(st.to))} (UTC)<br />
+  Currency: ${esc(st.currency)} · Generated ${esc(isoTime(st.generatedAt))} · Indexed to block ${esc(st.indexedToBlock)}
+</div>
+<table>
+  <thead>
+    <tr><th>Booked (UTC)</th><th>Description</th><th>Counterparty</th><th class="num">Debit</th><th class="num">Credit</th><th class="num">Balance</th><th>Tx</th></tr>
+  </thead>
+  <tbody>
+    <tr class="totals"><td colspan="5">Opening balance</td><td class="num">${esc(fmtWei(st.openingBalance))}</td><td></td></tr>${rows}
+    <tr class="totals">
+      <td colspan="3">Closing balance</td>
+      <td class="num">${esc(fmtWei(st.totalDebit))}</td>
+      <td class="num">${esc(fmtWei(st.totalCredit))}</td>
+      <td class="num">${esc(fmtWei(st.closingBalance))}</td>
+      <td></td>
+    </tr>
+  </tbody>
+</table>
+</body>
+</html>
+`;
+}
+
+// ---- camt.053 --------------------------------------------------------------
+
+/**
+ * camt.053.001.02. ISO 20022 amounts cho phép tối đa 5 chữ số thập phân => fmtWei(.., 18, 5).
+ * XSD giới hạn Id ≤ 34 và ref ≤ 35 ký tự, nên:
+ * - account Othr/Id = address ở base36 (≤ 31 ký tự, scheme "EVM36"), address gốc nằm ở Nm;
+ * - AcctSvcrRef = "block-logIndex", tx hash đầy đủ ở AddtlTxInf.
+ */
+export function statementToCamt053(st) {
+  const amt = (wei) => fmtWei(wei, 18, 5);
+  const ccy = esc(st.currency);
+  const stmtId = `${st.account.slice(2, 10)}-${st.from}-${st.to}`;
+  const acct = (addr) =>
+    `<Id><Othr><Id>${BigInt(addr).toString(36).toUpperCase()}</Id><SchmeNm><Prtry>EVM36</Prtry></SchmeNm></Othr></Id>`;
+
+  const bal = (code, wei, at) => `
+      <Bal>
+        <Tp><CdOrPrtry><Cd>${code}</Cd></CdOrPrtry></Tp>
+        <Amt Ccy="${ccy}">${amt(wei)}</Amt>
+        <CdtDbtInd>CRDT</CdtDbtInd>
+        <Dt><DtTm>${isoTime(at)}</DtTm></Dt>
+      </Bal>`;
+
+  const entries = st.lines
+    .map((l) => {
+      const credit = l.direction === "CREDIT";
+      // mint/burn: phía kia là 0x0, không phải tài khoản => bỏ
+      const other = BigInt(l.counterparty) === 0n ? "" : `${acct(l.counterparty)}<Nm>${esc(l.counterparty)}</Nm>`;
+      const parties = credit
+        ? `${other && `<DbtrAcct>${other}</DbtrAcct>`}<CdtrAcct>${acct(st.account)}</CdtrAcct>`
+        : `<DbtrAcct>${acct(st.account)}</DbtrAcct>${other && `<CdtrAcct>${other}</CdtrAcct>`}`;
+      return `
+      <Ntry>
+        <Amt Ccy="${ccy}">${amt(l.amount)}</Amt>
+        <CdtDbtInd>${credit ? "CRDT" : "DBIT"}</CdtDbtInd>
+        <Sts>BOOK</Sts>
+        <BookgDt><DtTm>${isoTime(l.bookedAt)}</DtTm></BookgDt>
+        <ValDt><DtTm>${isoTime(l.bookedAt)}</DtTm></ValDt>
+        <AcctSvcrRef>${l.blockNumber}-${l.logIndex}</AcctSvcrRef>
+        <BkTxCd><Prtry><Cd>${esc(l.code)}</Cd><Issr>BankChain</Issr></Prtry></BkTxCd>
+        <NtryDtls>
+          <TxDtls>
+            <Refs><AcctSvcrRef>${l.blockNumber}-${l.logIndex}</AcctSvcrRef></Refs>
+            <RltdPties>${parties}</RltdPties>
+            <RmtInf><Ustrd>${esc(l.description)}</Ustrd></RmtInf>
+            <AddtlTxInf>${esc(`tx ${l.txHash} block ${l.blockNumber}`)}</AddtlTxInf>
+          </TxDtls>
+        </NtryDtls>
+      </Ntry>`;
+    })
+    .join("");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<Document xmlns="urn:iso:std:iso:20022:tech:xsd:camt.053.001.02">
+  <BkToCstmrStmt>
+    <GrpHdr>
+      <MsgId>${esc(`BKC${st.generatedAt}-${st.account.slice(2, 10)}`)}</MsgId>
+      <CreDtTm>${isoTime(st.generatedAt)}</CreDtTm>
+    </GrpHdr>
+    <Stmt>
+      <Id>${esc(stmtId)}</Id>
+      <CreDtTm>${isoTime(st.generatedAt)}</CreDtTm>
+      <FrToDt><FrDtTm>${isoTime(st.from)}</FrDtTm><ToDtTm>${isoTime(st.to)}</ToDtTm></FrToDt>
+      <Acct>${acct(st.account)}<Ccy>${ccy}</Ccy><Nm>${esc(st.account)}</Nm></Acct>${bal("OPBD", st.openingBalance, st.from)}${bal("CLBD", st.closingBalance, st.to)}
+      <TxsSummry>
+        <TtlNtries><NbOfNtries>${st.lines.length}</NbOfNtries></TtlNtries>
+      </TxsSummry>${entries}
+    </Stmt>
+  </BkToCstmrStmt>
+</Document>
+`;
+}
@@ -0,0 +1,191 @@
+import { ethers } from "ethers";
+import { httpError } from "../kyc/decisions.js";
+import { ledgerBalanceAt, indexedToBlock } from "../ledger/ledger.js";
+
+/**
+ * Account statement for one wallet over a time window, built from indexed events.
+ *
+ * - Lines = BKD `Transfer` rows in `events` that touch the account (1 movement / line).
+ * - Description + real counterparty come from the business event in the same tx
+ *   (Deposited, Withdrawn, TransferBKD, Borrowed, ...), vì Transfer thô chỉ thấy vault/pool.
+ * - Opening/closing balances come from bkd_ledger (running balance of the same events).
+ *
+ * All amounts are wei strings; formatting is done by the renderers (render.js).
+ */
+
+const ZERO = ethers.ZeroAddress.toLowerCase();
+
+function nowSec() {
+  return Math.floor(Date.now() / 1000);
+}
+
+/**
+ * "YYYY-MM-DD" (UTC) or unix seconds -> unix seconds. `endOfDay` for the inclusive `to` date.
+ */
+export function parseStatementTime(v, { endOfDay = false } = {}) {
+  if (v === undefined || v === "") return null;
+  const s = String(v);
+  if (/^\d+$/.test(s)) return Number(s);
+
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(s);
+  if (!m) throw httpError(400, "Dates must be YYYY-MM-DD or unix seconds");
+  const start = Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3])) / 1000;
+  if (Number.isNaN(start)) throw httpError(400, "Bad date");
+  return endOfDay ? start + 86400 - 1 : start;
+}
+
+// caseRef là bytes32 tuỳ ý (forceTransfer chỉ cấm 0): chuỗi ngắn thì decode, còn lại (vd. hash) giữ hex
+function caseRefText(caseRef) {
+  try {
+    return ethers.decodeBytes32String(caseRef);
+  } catch {
+    return caseRef;
+  }
+}
+
+/**
+ * Statement code + text for one line, from the business event in the same tx (`related`, an events row).
+ */
+export function describeLine(line, related) {
+  const inbound = line.direction === "CREDIT";
+  const other = (a) => (a ? `${a.slice(0, 10)}…` : "");
+
+  switch (related?.eventName) {
+    case "Deposited":
+      return { code: "DEPOSIT", text: "Deposit (ETH → BKD)" };
+    case "Withdrawn":
+      return { code: "WITHDRAWAL", text: "Withdrawal (BKD → ETH)" };
+    case "TransferBKD": {
+      const meta = JSON.parse(related.metaJson || "{}");
+      const party = inbound ? meta.from : meta.to;
+      if (party) line.counterparty = party;
+      return { code: "TRANSFER", text: inbound ? `Transfer from ${other(party)}` : `Transfer to ${other(party)}` };
+    }
+    case "Borrowed":
+      return { code: "LOAN_DISBURSEMENT", text: "Loan disbursement" };
+    case "Repaid":
+      return inbound ? { code: "LOAN_REFUND", text: "Repayment refund" } : { code: "LOAN_REPAYMENT", text: "Loan repayment" };
+    case "CollateralDeposited":
+      return { code: "COLLATERAL_IN", text: "Collateral deposit" };
+    case "CollateralWithdrawn":
+      return { code: "COLLATERAL_OUT", text: "Collateral release" };
+    case "Supplied":
+      return { code: "LENDING_SUPPLY", text: "Supply to lending pool" };
+    case "Redeemed":
+      return { code: "LENDING_REDEEM", text: "Lending pool redemption (principal + interest)" };
+    case "ReservesCollected":
+      return { code: "RESERVE_INCOME", text: "Lending pool reserves" };
+    case "ForcedTransfer": {
+      const meta = JSON.parse(related.metaJson || "{}");
+      const ref = caseRefText(meta.caseRef);
+      return inbound
+        ? { code: "SEIZURE_IN", text: `Court-ordered transfer in (case ${ref})` }
+        : { code: "SEIZURE", text: `Court-ordered seizure (case ${ref})` };
+    }
+    case "Liquidated":
+      // chỉ liquidator có Transfer trong tx này (repay vào pool, nhận collateral + bonus)
+      return inbound
+        ? { code: "LIQUIDATION_PROCEEDS", text: "Liquidation proceeds (collateral + bonus)" }
+        : { code: "LIQUIDATION_REPAYMENT", text: "Liquidation repayment" };
+    default:
+      if (line.counterparty === ZERO) return inbound ? { code: "MINT", text: "Mint" } : { code: "BURN", text: "Burn" };
+      return {
+        code: "TRANSFER",
+        text: inbound ? `Transfer from ${other(line.counterparty)}` : `Transfer to ${other(line.counterparty)}`,
+      };
+  }
+}
+
+/**
+ * @param {object} p
+ * @param {string} p.account lowercase address
+ * @param {string} p.token   DepositToken address (only its Transfer events are movements)
+ * @param {number|null} p.fromTs inclusive unix seconds (null = from the first event)
+ * @param {number|null} p.toTs   inclusive unix seconds (null = now / last indexed event)
+ */
+export function buildStatement(db, { account, token, fromTs = null, toTs = null }) {
+  // Không có `to` => tới event cuối đã index (block timestamp có thể đi trước đồng hồ server).
+  const lastTs = db.prepare(`SELECT MAX(timestamp) AS t FROM events`).get()?.t ?? 0;
+  const from = fromTs ?? 0;
+  const to = toTs ?? Math.max(nowSec(), lastTs);
+  if (from > to) throw httpError(400, "`from` must be before `to`");
+
+  const tokenAddr = token.toLowerCase();
+
+  // Opening = balance after the last movement strictly before the window.
+  const before = db
+    .prepare(`SELECT MAX(blockNumber) AS b FROM bkd_ledger WHERE account = ? AND timestamp < ?`)
+    .get(account, from);
+  const opening = before?.b == null ? "0" : ledgerBalanceAt(db, account, before.b).balance;
+
+  const rows = db
+    .prepare(
+      `
+      SELECT blockNumber, logIndex, txHash, timestamp, fromAddr, toAddr, amount
+      FROM events
+      WHERE eventName = 'Transfer' AND contractAddress = @token
+        AND (fromAddr = @account OR toAddr = @account)
+        AND timestamp >= @from AND timestamp <= @to
+      ORDER BY blockNumber ASC, logIndex ASC
+    `
+    )
+    .all({ token: tokenAddr, account, from, to });
+
+  const relatedStmt = db.prepare(
+    `
+    SELECT eventName, metaJson FROM events
+    WHERE txHash = ? AND eventName <> 'Transfer'
+    ORDER BY logIndex ASC
+    LIMIT 1
+  `
+  );
+
+  let balance = BigInt(opening);
+  let totalCredit = 0n;
+  let totalDebit = 0n;
+  const lines = [];
+
+  for (const r of rows) {
+    // Self-transfer: 1 Transfer, net 0 => 2 dòng (debit + credit) cho khớp ledger.
+    const sides = [];
+    if (r.fromAddr === account) sides.push({ direction: "DEBIT", counterparty: r.toAddr });
+    if (r.toAddr === account) sides.push({ direction: "CREDIT", counterparty: r.fromAddr });
+
+    for (const side of sides) {
+      const amount = BigInt(r.amount || "0");
+      const line = {
+        bookedAt: r.timestamp,
+        blockNumber: r.blockNumber,
+        logIndex: r.logIndex,
+        txHash: r.txHash,
+        direction: side.direction,
+        counterparty: side.counterparty,
+        amount: amount.toString(),
+      };
+      const d = describeLine(line, relatedStmt.get(r.txHash));
+
+      if (side.direction === "CREDIT") {
+        balance += amount;
+        totalCredit += amount;
+      } else {
+        balance -= amount;
+        totalDebit += amount;
+      }
+      lines.push({ ...line, code: d.code, description: d.text, balanceAfter: balance.toString() });
+    }
+  }
+
+  return {
+    account,
+    currency: "BKD",
+    from,
+    to,
+    generatedAt: nowSec(),
+    indexedToBlock: indexedToBlock(db),
+    openingBalance: opening,
+    closingBalance: balance.toString(),
+    totalCredit: totalCredit.toString(),
+    totalDebit: totalDebit.toString(),
+    lines,
+  };
+}
@@ -0,0 +1,225 @@
+/**
+ * Live updates for clients (SSE on /stream, WebSocket on /ws).
+ *
+ * The indexer and the API only write to SQLite, so the hub polls the append-only tables every
+ * STREAM_POLL_MS and pushes what is new:
+ * - topic "events": newly indexed chain events (same fields as /tx/:user), keyed by fromAddr / toAddr
+ * - topic "kyc":    KYC status changes of a wallet (submitted, published, approved, rejected, revoked)
+ * - topic "inbox":  admin inbox changes (every kyc_actions row + pending counts), admins only
+ *
+ * Message id = "<last events.id>:<last kyc_actions.id>" at that message. A client that reconnects with
+ * it (SSE Last-Event-ID / ?lastEventId=, or `lastEventId` in a WebSocket subscribe) gets what it missed,
+ * up to REPLAY_LIMIT messages per table.
+ *
+ * Subscriptions: { topics, accounts, admin }. Without an admin session, "events" / "kyc" need
+ * accounts (như /tx/:user: ai cũng xem được một địa chỉ, toàn bộ thì chỉ admin).
+ */
+
+export const STREAM_TOPICS = ["events", "kyc", "inbox"];
+
+const POLL_MS = Number(process.env.STREAM_POLL_MS || 1000);
+const REPLAY_LIMIT = 500;
+const MAX_ACCOUNTS = 50;
+
+// kyc_actions làm đổi trạng thái KYC mà chính user được thấy
+const KYC_STATUS_ACTIONS = ["SUBMITTED", "PUBLISHED", "APPROVED", "REJECTED", "REVOKED"];
+
+const EVENT_COLUMNS =
+  "id, blockNumber, logIndex, txHash, contractAddress, eventName, fromAddr, toAddr, amount, timestamp";
+
+function httpError(status, message) {
+  const e = new Error(message);
+  e.status = status;
+  return e;
+}
+
+export function parseStreamId(s) {
+  const m = /^(\d+):(\d+)$/.exec(String(s || "").trim());
+  return m ? { events: Number(m[1]), actions: Number(m[2]) } : null;
+}
+
+/**
+ * Validate a subscription from query params / a WebSocket message.
+ * topics / accounts: arrays or comma-separated strings. admin = session address or null.
+ */
+export function parseSubscription({ topics, accounts, lastEventId } = {}, admin = null) {
+  const list = (v) =>
+    (Array.isArray(v) ? v : String(v || "").split(","))
+      .map((x) => String(x).trim().toLowerCase())
+      .filter(Boolean);
+
+  const t = topics ? list(topics) : admin ? [...STREAM_TOPICS] : ["events", "kyc"];
+  const bad = t.find((x) => !STREAM_TOPICS.includes(x));
+  if (bad) throw httpError(400, `Unknown topic ${bad} (use ${STREAM_TOPICS.join(", ")})`);
+  if (t.includes("inbox") && !admin) throw httpError(401, "Topic inbox needs an admin session token");
+
+  const a = list(accounts);
+  if (a.length > MAX_ACCOUNTS) throw httpError(400, `At most ${MAX_ACCOUNTS} accounts per subscription`);
+  if (a.some((x) => !/^0x[0-9a-f]{40}$/.test(x))) throw httpError(400, "Bad account address");
+  if (!a.length && !admin && t.some((x) => x !== "inbox")) {
+    throw httpError(400, "accounts is required (all accounts need an admin session)");
+  }
+
+  let since = null;
+  if (lastEventId !== undefined && lastEventId !== null && lastEventId !== "") {
+    since = parseStreamId(lastEventId);
+    if (!since) throw httpError(400, "Bad lastEventId (expected <eventId>:<actionId>)");
+  }
+
+  return { topics: new Set(t), accounts: a.length ? new Set(a) : null, admin, since };
+}
+
+function matches(sub, msg) {
+  if (!sub.topics.has(msg.topic)) return false;
+  if (msg.topic === "inbox") return !!sub.admin;
+  return !sub.accounts || msg.accounts.some((x) => sub.accounts.has(x));
+}
+
+function pendingCounts(db) {
+  return {
+    pendingRequests: db.prepare(`SELECT COUNT(*) AS n FROM kyc_requests WHERE status = 'PENDING'`).get().n,
+    pendingProposals: db.prepare(`SELECT COUNT(*) AS n FROM kyc_proposals WHERE status = 'PENDING'`).get().n,
+  };
+}
+
+function eventMessages(rows) {
+  return rows.map((r) => ({
+    table: "events",
+    rowId: r.id,
+    topic: "events",
+    type: "event",
+    accounts: [r.fromAddr, r.toAddr].filter(Boolean),
+    data: r,
+  }));
+}
+
+function actionMessages(db, rows) {
+  if (!rows.length) return [];
+  const status = db.prepare(`SELECT status FROM kyc_requests WHERE id = ?`);
+  const counts = pendingCounts(db);
+  const out = [];
+  for (const r of rows) {
+    if (KYC_STATUS_ACTIONS.includes(r.action)) {
+      out.push({
+        table: "actions",
+        rowId: r.id,
+        topic: "kyc",
+        type: "kyc",
+        accounts: [r.wallet],
+        data: {
+          wallet: r.wallet,
+          requestId: r.requestId,
+          action: r.action,
+          status: r.requestId ? status.get(r.requestId)?.status ?? null : null,
+          txHash: r.txHash,
+          at: r.at,
+        },
+      });
+    }
+    out.push({
+      table: "actions",
+      rowId: r.id,
+      topic: "inbox",
+      type: "inbox",
+      accounts: [r.wallet],
+      data: {
+        actionId: r.id,
+        requestId: r.requestId,
+        wallet: r.wallet,
+        action: r.action,
+        actor: r.actor,
+        txHash: r.txHash,
+        at: r.at,
+        details: r.detailsJson ? JSON.parse(r.detailsJson) : {},
+        ...counts,
+      },
+    });
+  }
+  return out;
+}
+
+function readEvents(db, afterId, limit) {
+  return db.prepare(`SELECT ${EVENT_COLUMNS} FROM events WHERE id > ? ORDER BY id LIMIT ?`).all(afterId, limit);
+}
+
+function readActions(db, afterId, limit) {
+  return db
+    .prepare(
+      `SELECT id, requestId, wallet, action, actor, txHash, at, detailsJson FROM kyc_actions WHERE id > ? ORDER BY id LIMIT ?`
+    )
+    .all(afterId, limit);
+}
+
+/**
+ * Stamp ids: events first, then kyc_actions; each id carries the position in both tables.
+ */
+function stamp(messages, from) {
+  const pos = { ...from };
+  return messages.map(({ table, rowId, ...m }) => {
+    pos[table] = Math.max(pos[table], rowId);
+    return { ...m, id: `${pos.events}:${pos.actions}` };
+  });
+}
+
+export function createStreamHub(db) {
+  const clients = new Set();
+  const top = () => ({
+    events: db.prepare(`SELECT COALESCE(MAX(id), 0) AS n FROM events`).get().n,
+    actions: db.prepare(`SELECT COALESCE(MAX(id), 0) AS n FROM kyc_actions`).get().n,
+  });
+  let cursor = top();
+  let timer = null;
+
+  function poll() {
+    try {
+      // re-index sau reorg / DB mới: id có thể nhỏ lại
+      const now = top();
+      if (now.events < cursor.events || now.actions < cursor.actions) cursor = now;
+
+      const events = readEvents(db, cursor.events, 1000);
+      const actions = readActions(db, cursor.actions, 1000);
+      if (events.length || actions.length) {
+        const msgs = stamp([...eventMessages(events), ...actionMessages(db, actions)], cursor);
+        if (events.length) cursor.events = events[events.length - 1].id;
+        if (actions.length) cursor.actions = actions[actions.length - 1].id;
+        for (const c of clients) {
+          for (const m of msgs) if (matches(c.sub, m)) c.send(m);
+        }
+      }
+    } catch (e) {
+      console.error("stream poll error:", e.message);
+    }
+    timer = setTimeout(poll, POLL_MS);
+  }
+
+  return {
+    /**
+     * client = { sub, send(msg) }. Replays what it missed (sub.since), then gets live messages.
+     * Returns the id to resume from if nothing new arrives.
+     */
+    add(client) {
+      if (client.sub.since) {
+        const { since } = client.sub;
+        const missed = stamp(
+          [
+            ...eventMessages(readEvents(db, since.events, REPLAY_LIMIT).filter((r) => r.id <= cursor.events)),
+            ...actionMessages(db, readActions(db, since.actions, REPLAY_LIMIT).filter((r) => r.id <= cursor.actions)),
+          ],
+          since
+        );
+        for (const m of missed) if (matches(client.sub, m)) client.send(m);
+      }
+      clients.add(client);
+      if (!timer) timer = setTimeout(poll, POLL_MS);
+      return `${cursor.events}:${cursor.actions}`;
+    },
+
+    remove(client) {
+      clients.delete(client);
+    },
+
+    size() {
+      return clients.size;
+    },
+  };
+}
@@ -0,0 +1,93 @@
+import { WebSocketServer } from "ws";
+import { parseSubscription } from "./hub.js";
+
+/**
+ * WebSocket transport for the stream hub, on `path` of the API's HTTP server.
+ *
+ *   ws://host/ws?topics=events,kyc&accounts=0x..&lastEventId=12:3[&token=<admin token>]
+ *
+ * Client -> server (JSON text frames):
+ *   { type: "subscribe", topics, accounts, lastEventId?, token? }  replaces the subscription
+ *   { type: "ping" }
+ * Server -> client:
+ *   { type: "subscribed", topics, accounts, lastEventId }
+ *   { type: "event" | "kyc" | "inbox", topic, id, data }
+ *   { type: "error", message }  (the subscription stays as it was)
+ *   { type: "pong" }
+ *
+ * authenticate(token) -> { address, expiresAt } or throws (same check as /admin). Admin subscriptions are
+ * re-checked every `sessionCheckMs` and closed with 4401 once the session is logged out or loses its role.
+ */
+export function attachWebSocket(server, hub, { path = "/ws", authenticate, sessionCheckMs = 25000 }) {
+  const wss = new WebSocketServer({ server, path });
+
+  wss.on("connection", (socket, req) => {
+    const url = new URL(req.url, "http://localhost");
+    let client = null;
+    let expiry = null;
+    let recheck = null;
+
+    const send = (obj) => {
+      if (socket.readyState === socket.OPEN) socket.send(JSON.stringify(obj));
+    };
+
+    async function subscribe(params) {
+      const session = params.token ? await authenticate(params.token) : null;
+      const sub = parseSubscription(params, session?.address ?? null);
+
+      if (client) hub.remove(client);
+      clearTimeout(expiry);
+      clearInterval(recheck);
+      client = {
+        sub,
+        send: (m) => send({ type: m.type, topic: m.topic, id: m.id, data: m.data }),
+      };
+      const lastEventId = hub.add(client);
+      // session hết hạn => đóng, client đăng nhập lại rồi subscribe với lastEventId
+      if (session) {
+        const ms = Math.min(session.expiresAt * 1000 - Date.now(), 2 ** 31 - 1);
+        expiry = setTimeout(() => socket.close(4401, "Admin session expired"), ms);
+        // lỗi RPC khi check role thì bỏ qua, lần sau check lại
+        recheck = setInterval(() => {
+          authenticate(params.token).catch((e) => {
+            if (e?.status === 401 || e?.status === 403) socket.close(4401, e.message.slice(0, 120));
+          });
+        }, sessionCheckMs);
+      }
+      send({ type: "subscribed", topics: [...sub.topics], accounts: sub.accounts ? [...sub.accounts] : null, lastEventId });
+    }
+
+    socket.on("message", async (raw) => {
+      let msg;
+      try {
+        msg = JSON.parse(String(raw));
+      } catch {
+        return send({ type: "error", message: "Messages must be JSON" });
+      }
+      if (msg?.type === "ping") return send({ type: "pong" });
+      if (msg?.type !== "subscribe") return send({ type: "error", message: "Unknown message type" });
+      try {
+        await subscribe(msg);
+      } catch (e) {
+        send({ type: "error", message: e.message });
+      }
+    });
+
+    socket.on("close", () => {
+      if (client) hub.remove(client);
+      clearTimeout(expiry);
+      clearInterval(recheck);
+    });
+
+    // subscription in the URL is optional: a client may connect first and send { type: "subscribe" }
+    const q = Object.fromEntries(url.searchParams);
+    if (q.topics || q.accounts || q.token) {
+      subscribe(q).catch((e) => {
+        send({ type: "error", message: e.message });
+        socket.close(e.status === 401 || e.status === 403 ? 4401 : 4400, e.message.slice(0, 120));
+      });
+    }
+  });
+
+  return wss;
+}
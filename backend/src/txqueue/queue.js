@@ -0,0 +1,418 @@
+import crypto from "crypto";
+import { ethers } from "ethers";
+import { getAbi, getAdminSigner } from "../web3/web3.js";
+
+/**
+ * Outbound admin transaction queue (SQLite).
+ *
+ * Admin endpoints never send with the hot wallet themselves: they enqueue a job (enqueueAdminTx) and
+ * return its id. The worker (processTxQueue, run by server.js or `npm --workspace backend run txqueue`):
+ * - sends QUEUED jobs in id order with a locally managed nonce (max(local, chain pending)), after an
+ *   estimateGas preflight: a revert there fails the job for good, anything else is retried with backoff
+ * - watches SENT jobs: re-broadcasts dropped txs and replaces stuck ones with the same nonce and bumped
+ *   fees; every broadcast and its receipt is a row in admin_txs
+ * - once a receipt has TXQUEUE_CONFIRMATIONS confirmations, runs the job's handlers (the DB side effect,
+ *   e.g. kyc_requests -> APPROVED) in the same transaction that marks the job CONFIRMED
+ *
+ * Only one worker sends per hot wallet at a time (lease in admin_signers), so several processes are safe.
+ *
+ * Handlers (registerJobHandler) are sync and run inside a DB transaction:
+ * - onConfirmed(db, job, receipt, result) -> result (merged into admin_jobs.resultJson)
+ * - onFailed(db, job, error)
+ */
+
+export const JOB_STATUSES = ["QUEUED", "SENT", "CONFIRMED", "FAILED"];
+
+const CONFIRMATIONS = Number(process.env.TXQUEUE_CONFIRMATIONS || 1);
+const STUCK_AFTER_SEC = Number(process.env.TXQUEUE_STUCK_AFTER_SEC || 60);
+const MAX_ATTEMPTS = Number(process.env.TXQUEUE_MAX_ATTEMPTS || 6);
+const MAX_REPLACEMENTS = Number(process.env.TXQUEUE_MAX_REPLACEMENTS || 5);
+const BACKOFF_BASE_SEC = 5;
+const BACKOFF_MAX_SEC = 300;
+const LEASE_SEC = 30;
+
+// replacement phải trả phí cao hơn ít nhất 10% (geth / hardhat), bump 12.5% cho chắc
+const BUMP_NUM = 1125n;
+const BUMP_DEN = 1000n;
+
+const WORKER_ID = `${process.pid}-${crypto.randomBytes(4).toString("hex")}`;
+
+const handlers = new Map();
+
+function nowSec() {
+  return Math.floor(Date.now() / 1000);
+}
+
+export function registerJobHandler(kind, handler) {
+  if (!handlers.has(kind)) handlers.set(kind, []);
+  handlers.get(kind).push(handler);
+}
+
+function toJson(v) {
+  return JSON.stringify(v, (_k, x) => (typeof x === "bigint" ? x.toString() : x));
+}
+
+function hydrate(row) {
+  if (!row) return null;
+  const { argsJson, contextJson, resultJson, ...job } = row;
+  return {
+    ...job,
+    args: JSON.parse(argsJson),
+    context: JSON.parse(contextJson || "{}"),
+    result: resultJson ? JSON.parse(resultJson) : null,
+  };
+}
+
+/**
+ * Queue `contract.method(...args)` to be sent by the admin hot wallet.
+ * context = whatever the handlers of `kind` need to record the outcome.
+ */
+export function enqueueAdminTx(db, { kind, contractName, contract, method, args, context = {}, createdBy = null }) {
+  // fail fast on a typo rather than in the worker
+  contract.interface.getFunction(method);
+
+  const ts = nowSec();
+  const info = db
+    .prepare(
+      `
+      INSERT INTO admin_jobs(kind, contractName, contractAddress, method, argsJson, contextJson, status,
+                             nextAttemptAt, createdBy, createdAt, updatedAt)
+      VALUES (?, ?, ?, ?, ?, ?, 'QUEUED', ?, ?, ?, ?)
+    `
+    )
+    .run(kind, contractName, String(contract.target).toLowerCase(), method, toJson(args), toJson(context), ts, createdBy, ts, ts);
+
+  return getJob(db, Number(info.lastInsertRowid));
+}
+
+export function getJob(db, id, { withTxs = false } = {}) {
+  const job = hydrate(db.prepare(`SELECT * FROM admin_jobs WHERE id = ?`).get(id));
+  if (!job || !withTxs) return job;
+  job.txs = db.prepare(`SELECT * FROM admin_txs WHERE jobId = ? ORDER BY id`).all(id);
+  return job;
+}
+
+export function listJobs(db, { status = null, limit = 50 } = {}) {
+  const rows = status
+    ? db.prepare(`SELECT * FROM admin_jobs WHERE status = ? ORDER BY id DESC LIMIT ?`).all(status, limit)
+    : db.prepare(`SELECT * FROM admin_jobs ORDER BY id DESC LIMIT ?`).all(limit);
+  return rows.map(hydrate);
+}
+
+// ---- lease + nonce -----------------------------------------------------------
+
+function acquireLease(db, signer, owner) {
+  const ts = nowSec();
+  return db
+    .transaction(() => {
+      const row = db.prepare(`SELECT * FROM admin_signers WHERE address = ?`).get(signer);
+      if (row && row.leaseOwner && row.leaseOwner !== owner && row.leaseUntil > ts) return false;
+      db.prepare(
+        `
+        INSERT INTO admin_signers(address, nextNonce, leaseOwner, leaseUntil) VALUES (?, 0, ?, ?)
+        ON CONFLICT(address) DO UPDATE SET leaseOwner = excluded.leaseOwner, leaseUntil = excluded.leaseUntil
+      `
+      ).run(signer, owner, ts + LEASE_SEC);
+      return true;
+    })
+    .immediate();
+}
+
+function releaseLease(db, signer, owner) {
+  db.prepare(`UPDATE admin_signers SET leaseUntil = NULL WHERE address = ? AND leaseOwner = ?`).run(signer, owner);
+}
+
+/**
+ * Next nonce: the local counter only moves forward when a broadcast succeeds, so a failed send
+ * reuses its nonce; the chain's pending count wins if the key was also used elsewhere.
+ */
+async function nextNonce(db, wallet, signer) {
+  const local = db.prepare(`SELECT nextNonce FROM admin_signers WHERE address = ?`).get(signer)?.nextNonce ?? 0;
+  const chain = await wallet.provider.getTransactionCount(signer, "pending");
+  return Math.max(local, chain);
+}
+
+// ---- outcome -------------------------------------------------------------------
+
+function isRevert(e) {
+  return e?.code === "CALL_EXCEPTION";
+}
+
+function reason(e, iface) {
+  if (e?.revert?.name) return `${e.revert.name}(${e.revert.args.join(", ")})`;
+  if (e?.data && iface) {
+    try {
+      const parsed = iface.parseError(e.data);
+      if (parsed) return `${parsed.name}(${parsed.args.join(", ")})`;
+    } catch {
+      // không decode được => dùng message
+    }
+  }
+  return e?.reason || e?.shortMessage || e?.message || String(e);
+}
+
+function runHandlers(kind, fn) {
+  for (const h of handlers.get(kind) || []) fn(h);
+}
+
+function failJob(db, job, error) {
+  const ts = nowSec();
+  db.transaction(() => {
+    db.prepare(`UPDATE admin_jobs SET status = 'FAILED', lastError = ?, updatedAt = ? WHERE id = ?`).run(error, ts, job.id);
+    runHandlers(job.kind, (h) => h.onFailed?.(db, job, error));
+  })();
+}
+
+function retryLater(db, job, error) {
+  const attempts = job.attempts + 1;
+  if (attempts >= MAX_ATTEMPTS) return failJob(db, job, `Gave up after ${attempts} attempts: ${error}`);
+  const delay = Math.min(BACKOFF_BASE_SEC * 2 ** (attempts - 1), BACKOFF_MAX_SEC);
+  db.prepare(`UPDATE admin_jobs SET attempts = ?, nextAttemptAt = ?, lastError = ?, updatedAt = ? WHERE id = ?`).run(
+    attempts,
+    nowSec() + delay,
+    error,
+    nowSec(),
+    job.id
+  );
+}
+
+function confirmJob(db, job, receipt) {
+  const ts = nowSec();
+  db.transaction(() => {
+    let result = {};
+    let lastError = null;
+    try {
+      // savepoint: a handler that throws must not leave half of its writes behind
+      db.transaction(() => runHandlers(job.kind, (h) => (result = { ...result, ...(h.onConfirmed?.(db, job, receipt, result) || {}) })))();
+    } catch (e) {
+      // tx đã lên chain rồi => job vẫn CONFIRMED, lỗi ghi lại cho admin xem (indexer sẽ sync phần còn lại)
+      lastError = `Confirmed on-chain but recording failed: ${e.message}`;
+      console.error(`txqueue job #${job.id}:`, lastError);
+    }
+    db.prepare(
+      `
+      UPDATE admin_jobs
+      SET status = 'CONFIRMED', txHash = ?, blockNumber = ?, confirmedAt = ?, resultJson = ?, lastError = ?, updatedAt = ?
+      WHERE id = ?
+    `
+    ).run(receipt.hash, receipt.blockNumber, ts, toJson(result), lastError, ts, job.id);
+  })();
+}
+
+// ---- sending -------------------------------------------------------------------
+
+async function broadcast(db, wallet, job, { nonce, gasLimit, maxFeePerGas, maxPriorityFeePerGas, data }) {
+  const tx = await wallet.sendTransaction({
+    to: job.contractAddress,
+    data,
+    nonce,
+    gasLimit,
+    maxFeePerGas,
+    maxPriorityFeePerGas,
+  });
+  const ts = nowSec();
+  const signer = wallet.address.toLowerCase();
+
+  db.transaction(() => {
+    db.prepare(
+      `
+      INSERT INTO admin_txs(jobId, txHash, signer, nonce, gasLimit, maxFeePerGas, maxPriorityFeePerGas, sentAt)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `
+    ).run(job.id, tx.hash, signer, nonce, gasLimit.toString(), maxFeePerGas.toString(), maxPriorityFeePerGas.toString(), ts);
+    db.prepare(
+      `
+      UPDATE admin_jobs
+      SET status = 'SENT', signer = ?, nonce = ?, txHash = ?, sentAt = COALESCE(sentAt, ?), lastError = NULL, updatedAt = ?
+      WHERE id = ?
+    `
+    ).run(signer, nonce, tx.hash, ts, ts, job.id);
+    db.prepare(`UPDATE admin_signers SET nextNonce = MAX(nextNonce, ?) WHERE address = ?`).run(nonce + 1, signer);
+  })();
+
+  return tx.hash;
+}
+
+async function sendJob(db, wallet, job) {
+  const iface = new ethers.Interface(getAbi(job.contractName));
+  const data = iface.encodeFunctionData(job.method, job.args);
+  const provider = wallet.provider;
+
+  let gasLimit;
+  try {
+    const estimate = await provider.estimateGas({ from: wallet.address, to: job.contractAddress, data });
+    gasLimit = (estimate * 120n) / 100n;
+  } catch (e) {
+    if (isRevert(e)) return failJob(db, job, `Reverted in preflight: ${reason(e, iface)}`);
+    return retryLater(db, job, reason(e, iface));
+  }
+
+  try {
+    const fee = await provider.getFeeData();
+    const nonce = await nextNonce(db, wallet, wallet.address.toLowerCase());
+    await broadcast(db, wallet, job, {
+      nonce,
+      gasLimit,
+      maxFeePerGas: fee.maxFeePerGas ?? fee.gasPrice,
+      maxPriorityFeePerGas: fee.maxPriorityFeePerGas ?? fee.gasPrice,
+      data,
+    });
+    return true;
+  } catch (e) {
+    retryLater(db, job, reason(e, iface));
+    return false;
+  }
+}
+
+/**
+ * Same nonce, same calldata, fees bumped (and at least the current network fee).
+ */
+async function replaceTx(db, wallet, job, last) {
+  const iface = new ethers.Interface(getAbi(job.contractName));
+  const fee = await wallet.provider.getFeeData();
+  const bump = (old, now) => {
+    const bumped = (BigInt(old) * BUMP_NUM) / BUMP_DEN + 1n;
+    return now && now > bumped ? now : bumped;
+  };
+  await broadcast(db, wallet, job, {
+    nonce: job.nonce,
+    gasLimit: BigInt(last.gasLimit),
+    maxFeePerGas: bump(last.maxFeePerGas, fee.maxFeePerGas),
+    maxPriorityFeePerGas: bump(last.maxPriorityFeePerGas, fee.maxPriorityFeePerGas),
+    data: iface.encodeFunctionData(job.method, job.args),
+  });
+}
+
+// ---- tracking ------------------------------------------------------------------
+
+async function findReceipt(provider, txs) {
+  for (const t of txs) {
+    const receipt = await provider.getTransactionReceipt(t.txHash);
+    if (receipt) return { tx: t, receipt };
+  }
+  return null;
+}
+
+async function trackJob(db, wallet, job, head) {
+  const provider = wallet.provider;
+  // Mọi hash đã broadcast cho nonce này, kể cả DROPPED: tx "biến khỏi mempool" vẫn có thể được mined sau đó.
+  const txs = db.prepare(`SELECT * FROM admin_txs WHERE jobId = ? ORDER BY id DESC`).all(job.id);
+
+  let found = await findReceipt(provider, txs);
+
+  if (!found) {
+    // reorg có thể đã bỏ block chứa tx => quay lại PENDING
+    db.prepare(`UPDATE admin_txs SET status = 'PENDING', blockNumber = NULL, blockHash = NULL, minedAt = NULL WHERE jobId = ? AND status = 'MINED'`).run(job.id);
+
+    const mined = await provider.getTransactionCount(job.signer, "latest");
+    if (mined > job.nonce) {
+      // nonce đã dùng: kiểm tra lại receipt (có thể vừa mined giữa 2 lần gọi) trước khi kết luận
+      found = await findReceipt(provider, txs);
+      if (!found) {
+        db.prepare(`UPDATE admin_txs SET status = 'DROPPED' WHERE jobId = ? AND status = 'PENDING'`).run(job.id);
+        return failJob(db, job, `Nonce ${job.nonce} was used by a transaction outside the queue`);
+      }
+    } else {
+      const last = txs[0];
+      const dropped = !(await provider.getTransaction(last.txHash));
+      const stuck = nowSec() - last.sentAt >= STUCK_AFTER_SEC;
+      if (!dropped && !stuck) return "pending";
+
+      const sends = db.prepare(`SELECT COUNT(*) AS n FROM admin_txs WHERE jobId = ?`).get(job.id).n;
+      if (sends > MAX_REPLACEMENTS) {
+        db.prepare(`UPDATE admin_jobs SET lastError = ?, updatedAt = ? WHERE id = ?`).run(
+          `Still unmined after ${sends} broadcasts (nonce ${job.nonce})`,
+          nowSec(),
+          job.id
+        );
+        return "pending";
+      }
+      try {
+        if (dropped) db.prepare(`UPDATE admin_txs SET status = 'DROPPED' WHERE id = ?`).run(last.id);
+        await replaceTx(db, wallet, job, last);
+      } catch (e) {
+        db.prepare(`UPDATE admin_jobs SET lastError = ?, updatedAt = ? WHERE id = ?`).run(reason(e), nowSec(), job.id);
+      }
+      return "replaced";
+    }
+  }
+
+  const { tx, receipt } = found;
+  db.prepare(
+    `
+    UPDATE admin_txs
+    SET status = 'MINED', blockNumber = ?, blockHash = ?, receiptStatus = ?, gasUsed = ?, effectiveGasPrice = ?,
+        minedAt = COALESCE(minedAt, ?)
+    WHERE id = ?
+  `
+  ).run(
+    receipt.blockNumber,
+    receipt.blockHash,
+    receipt.status,
+    receipt.gasUsed.toString(),
+    (receipt.gasPrice ?? 0n).toString(),
+    nowSec(),
+    tx.id
+  );
+
+  if (head - receipt.blockNumber + 1 < CONFIRMATIONS) return "mined";
+
+  db.prepare(`UPDATE admin_txs SET status = 'REPLACED' WHERE jobId = ? AND id <> ? AND status <> 'DROPPED'`).run(job.id, tx.id);
+  if (receipt.status === 1) {
+    confirmJob(db, job, receipt);
+    return "confirmed";
+  }
+  db.prepare(`UPDATE admin_jobs SET txHash = ?, blockNumber = ? WHERE id = ?`).run(receipt.hash, receipt.blockNumber, job.id);
+  failJob(db, job, `Reverted on-chain in block ${receipt.blockNumber}`);
+  return "failed";
+}
+
+/**
+ * One pass of the worker: track what is in flight, then send what is due.
+ */
+export async function processTxQueue(db, { owner = WORKER_ID } = {}) {
+  const wallet = await getAdminSigner();
+  const signer = wallet.address.toLowerCase();
+  if (!acquireLease(db, signer, owner)) return { skipped: "another worker holds the lease" };
+
+  const stats = { sent: 0, confirmed: 0, failed: 0, replaced: 0, pending: 0 };
+  try {
+    const head = await wallet.provider.getBlockNumber();
+    const inFlight = db.prepare(`SELECT * FROM admin_jobs WHERE status = 'SENT' AND signer = ? ORDER BY nonce`).all(signer);
+    for (const row of inFlight) {
+      const outcome = await trackJob(db, wallet, hydrate(row), head);
+      if (outcome === "confirmed") stats.confirmed++;
+      else if (outcome === "replaced") stats.replaced++;
+      else if (outcome === "pending" || outcome === "mined") stats.pending++;
+      else stats.failed++;
+    }
+
+    const due = db
+      .prepare(`SELECT * FROM admin_jobs WHERE status = 'QUEUED' AND nextAttemptAt <= ? ORDER BY id`)
+      .all(nowSec());
+    for (const row of due) {
+      const job = hydrate(row);
+      if (await sendJob(db, wallet, job)) stats.sent++;
+      else if (getJob(db, job.id).status === "FAILED") stats.failed++;
+    }
+  } finally {
+    releaseLease(db, signer, owner);
+  }
+  return stats;
+}
+
+/**
+ * Run processTxQueue every `intervalMs` (setTimeout loop, like the other jobs).
+ */
+export function startTxQueue(db, { intervalMs = Number(process.env.TXQUEUE_INTERVAL_MS || 2000) } = {}) {
+  const loop = async () => {
+    try {
+      const stats = await processTxQueue(db);
+      if (stats.sent || stats.confirmed || stats.failed || stats.replaced) console.log("txqueue:", stats);
+    } catch (e) {
+      console.error("txqueue error:", e.message);
+    }
+    setTimeout(loop, intervalMs);
+  };
+  setTimeout(loop, intervalMs);
+}
@@ -0,0 +1,30 @@
+import dotenv from "dotenv";
+import { initDb } from "../db/db.js";
+import { processTxQueue, startTxQueue } from "./queue.js";
+// handlers ghi kết quả vào DB khi tx confirmed (KYC approve/revoke, council relay)
+import "../kyc/proposals.js";
+
+/**
+ * Admin transaction queue worker, for running it outside the API process (TXQUEUE_IN_SERVER=0).
+ *   node src/txqueue/worker.js          -> xử lý mỗi TXQUEUE_INTERVAL_MS
+ *   node src/txqueue/worker.js --once   -> 1 lượt (gửi job đến hạn, theo dõi tx đang chờ) rồi thoát
+ */
+
+dotenv.config();
+
+const once = process.argv.includes("--once");
+const db = initDb();
+
+async function main() {
+  if (once) {
+    console.log("txqueue:", await processTxQueue(db));
+    process.exit(0);
+  }
+  console.log("Admin tx queue worker running ...");
+  startTxQueue(db);
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -92,7 +92,22 @@ export async function getContracts() {
   const token = new ethers.Contract(cfg.contracts.DepositToken, tokenAbi, provider);
   const vault = new ethers.Contract(cfg.contracts.BankVault, vaultAbi, provider);
   const lending = new ethers.Contract(cfg.contracts.LendingPool, lendingAbi, provider);
-
-  return { cfg, kyc, token, vault, lending };
+  // Optional: deployments from before LimitsPolicy don't have it
+  const limits = cfg.contracts.LimitsPolicy
+    ? new ethers.Contract(cfg.contracts.LimitsPolicy, loadAbi("LimitsPolicy"), provider)
+    : null;
+  const sanctions = cfg.contracts.SanctionsRegistry
+    ? new ethers.Contract(cfg.contracts.SanctionsRegistry, loadAbi("SanctionsRegistry"), provider)
+    : null;
+
+  const timelock = cfg.contracts.BankTimelock
+    ? new ethers.Contract(cfg.contracts.BankTimelock, loadAbi("BankTimelock"), provider)
+    : null;
+
+  const council = cfg.contracts.ComplianceCouncil
+    ? new ethers.Contract(cfg.contracts.ComplianceCouncil, loadAbi("ComplianceCouncil"), provider)
+    : null;
+
+  return { cfg, kyc, token, vault, lending, limits, sanctions, timelock, council };
 }
 
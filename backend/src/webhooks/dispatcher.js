@@ -0,0 +1,268 @@
+import crypto from "crypto";
+import { getProvider } from "../web3/web3.js";
+import {
+  CHAIN_EVENT_TYPES,
+  KYC_EVENT_TYPES,
+  activeSubscriptions,
+  enqueueDelivery,
+  typeMatches,
+} from "./webhooks.js";
+
+/**
+ * Webhook delivery (run by server.js or `npm --workspace backend run webhooks`).
+ *
+ * 1. fan-out: new rows of `events` (indexer) and `kyc_actions` (API / txqueue / chain sync) past the
+ *    webhook_state cursor become one webhook_deliveries row per matching active subscription,
+ *    in the same transaction that moves the cursor. Rows from a block newer than head - WEBHOOK_CONFIRMATIONS
+ *    (events, chain-derived KYC actions) wait, and so does everything after them: the cursor stays in order.
+ * 2. send: due PENDING deliveries are POSTed as JSON; 2xx = DELIVERED, anything else is retried with
+ *    exponential backoff and becomes DEAD (dead letter, replayable) after WEBHOOK_MAX_ATTEMPTS
+ *
+ * Request headers:
+ *   X-BankChain-Event: <type>   X-BankChain-Delivery: <delivery id>   X-BankChain-Event-Id: <payload id>
+ *   X-BankChain-Signature: t=<unix sec>,v1=<hex HMAC-SHA256(secret, "<t>.<raw body>")>
+ * Receivers should check the signature, reject old `t` and de-duplicate on the event id (replays and
+ * retries re-send the same id).
+ *
+ * WEBHOOK_CONFIRMATIONS mặc định = INDEXER_REORG_WINDOW (128): event đã gửi thì indexer không còn rollback nữa.
+ * Đặt nhỏ hơn (vd. 0 cho Hardhat automine) thì một event bị reorg có thể đã được gửi đi, và không có
+ * delivery bù trừ nào cho nó.
+ */
+
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 8);
+const REORG_WINDOW = Number(process.env.INDEXER_REORG_WINDOW || 128);
+const CONFIRMATIONS = Number(process.env.WEBHOOK_CONFIRMATIONS || REORG_WINDOW);
+const TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS || 10000);
+const BACKOFF_BASE_SEC = 10;
+const BACKOFF_MAX_SEC = 3600;
+const BATCH = 500;
+const SEND_BATCH = 100;
+// delivery đang gửi: đẩy nextAttemptAt lên để process khác không gửi trùng
+const CLAIM_SEC = Math.ceil(TIMEOUT_MS / 1000) + 30;
+
+function nowSec() {
+  return Math.floor(Date.now() / 1000);
+}
+
+export function signPayload(secret, timestamp, body) {
+  return crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+function chainPayload(ev, type) {
+  return {
+    id: `${ev.txHash}:${ev.logIndex}`,
+    type,
+    createdAt: ev.timestamp,
+    data: {
+      eventName: ev.eventName,
+      account: ev.fromAddr || null,
+      counterparty: ev.toAddr || null,
+      amount: ev.amount || null,
+      contractAddress: ev.contractAddress,
+      txHash: ev.txHash,
+      logIndex: ev.logIndex,
+      blockNumber: ev.blockNumber,
+      timestamp: ev.timestamp,
+      args: ev.metaJson ? JSON.parse(ev.metaJson) : {},
+    },
+  };
+}
+
+function kycPayload(db, a, type) {
+  const details = a.detailsJson ? JSON.parse(a.detailsJson) : {};
+  const request = a.requestId ? db.prepare(`SELECT status FROM kyc_requests WHERE id = ?`).get(a.requestId) : null;
+  return {
+    // decision txs: backend và indexer có thể cùng ghi (logDecision thay dòng của indexer) => key theo tx
+    id: a.txHash ? `kyc:${a.action}:${a.txHash}` : `kyc:${a.id}`,
+    type,
+    createdAt: a.at,
+    data: {
+      wallet: a.wallet,
+      requestId: a.requestId,
+      action: a.action,
+      status: request?.status ?? null,
+      // notes / dossier fields stay internal
+      level: details.level ?? null,
+      expiresAt: details.expiresAt ?? null,
+      txHash: a.txHash ?? null,
+      at: a.at,
+    },
+  };
+}
+
+function wants(sub, type, accounts) {
+  if (!typeMatches(sub.eventTypes, type)) return false;
+  return !sub.accounts || accounts.some((a) => a && sub.accounts.has(a));
+}
+
+// Rows up to the first one from a block above maxBlock (rows without a block, e.g. API actions, pass).
+function confirmedPrefix(rows, maxBlock) {
+  const i = rows.findIndex((r) => r.blockNumber != null && r.blockNumber > maxBlock);
+  return i < 0 ? rows : rows.slice(0, i);
+}
+
+/**
+ * Step 1: turn new events / KYC actions from blocks <= head - WEBHOOK_CONFIRMATIONS into deliveries.
+ * Sync (better-sqlite3), safe to call often.
+ */
+export function fanOutWebhooks(db, { head }) {
+  const maxBlock = head - CONFIRMATIONS;
+  const nextEvents = db.prepare(`SELECT * FROM events WHERE id > ? ORDER BY id LIMIT ${BATCH}`);
+  const nextActions = db.prepare(`
+    SELECT *, json_extract(detailsJson, '$.blockNumber') AS blockNumber FROM kyc_actions
+    WHERE id > ? ORDER BY id LIMIT ${BATCH}
+  `);
+  const moveCursor = db.prepare(`UPDATE webhook_state SET lastEventId = ?, lastActionId = ? WHERE id = 1`);
+
+  let queued = 0;
+  for (;;) {
+    const state = db.prepare(`SELECT lastEventId, lastActionId FROM webhook_state WHERE id = 1`).get();
+    const events = confirmedPrefix(nextEvents.all(state.lastEventId), maxBlock);
+    const actions = confirmedPrefix(nextActions.all(state.lastActionId), maxBlock);
+    if (!events.length && !actions.length) break;
+
+    const subs = activeSubscriptions(db);
+    db.transaction(() => {
+      for (const ev of events) {
+        const type = CHAIN_EVENT_TYPES[ev.eventName];
+        if (!type) continue;
+        const payload = chainPayload(ev, type);
+        for (const sub of subs) {
+          if (ev.id <= sub.fromEventId || !wants(sub, type, [ev.fromAddr, ev.toAddr])) continue;
+          if (enqueueDelivery(db, { subscriptionId: sub.id, eventKey: payload.id, eventType: type, payload })) queued++;
+        }
+      }
+      for (const a of actions) {
+        const type = KYC_EVENT_TYPES[a.action];
+        if (!type) continue;
+        const payload = kycPayload(db, a, type);
+        for (const sub of subs) {
+          if (a.id <= sub.fromActionId || !wants(sub, type, [a.wallet])) continue;
+          if (enqueueDelivery(db, { subscriptionId: sub.id, eventKey: payload.id, eventType: type, payload })) queued++;
+        }
+      }
+      moveCursor.run(
+        events.length ? events[events.length - 1].id : state.lastEventId,
+        actions.length ? actions[actions.length - 1].id : state.lastActionId
+      );
+    })();
+  }
+  return queued;
+}
+
+async function post(sub, delivery) {
+  const body = delivery.payloadJson;
+  const t = nowSec();
+  try {
+    const res = await fetch(sub.url, {
+      method: "POST",
+      redirect: "manual",
+      signal: AbortSignal.timeout(TIMEOUT_MS),
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "BankChain-Webhooks/1",
+        "X-BankChain-Event": delivery.eventType,
+        "X-BankChain-Delivery": String(delivery.id),
+        "X-BankChain-Event-Id": delivery.eventKey,
+        "X-BankChain-Signature": `t=${t},v1=${signPayload(sub.secret, t, body)}`,
+      },
+      body,
+    });
+    const text = (await res.text().catch(() => "")).slice(0, 500);
+    return { ok: res.status >= 200 && res.status < 300, statusCode: res.status, error: null, text };
+  } catch (e) {
+    const error = e?.name === "TimeoutError" ? `Timed out after ${TIMEOUT_MS}ms` : e?.cause?.code || e?.message || String(e);
+    return { ok: false, statusCode: null, error, text: null };
+  }
+}
+
+function recordAttempt(db, delivery, r, durationMs) {
+  const ts = nowSec();
+  const attempts = delivery.attempts + 1;
+  const error = r.ok ? null : r.error || `HTTP ${r.statusCode}`;
+
+  db.transaction(() => {
+    db.prepare(
+      `INSERT INTO webhook_attempts(deliveryId, attempt, at, statusCode, error, durationMs, responseBody) VALUES (?, ?, ?, ?, ?, ?, ?)`
+    ).run(delivery.id, attempts, ts, r.statusCode, error, durationMs, r.text || null);
+
+    if (r.ok) {
+      db.prepare(
+        `UPDATE webhook_deliveries SET status = 'DELIVERED', attempts = ?, lastStatusCode = ?, lastError = NULL,
+                deliveredAt = ?, updatedAt = ? WHERE id = ?`
+      ).run(attempts, r.statusCode, ts, ts, delivery.id);
+    } else if (attempts >= MAX_ATTEMPTS) {
+      db.prepare(
+        `UPDATE webhook_deliveries SET status = 'DEAD', attempts = ?, lastStatusCode = ?, lastError = ?, updatedAt = ? WHERE id = ?`
+      ).run(attempts, r.statusCode, `Gave up after ${attempts} attempts: ${error}`, ts, delivery.id);
+    } else {
+      const delay = Math.min(BACKOFF_BASE_SEC * 2 ** (attempts - 1), BACKOFF_MAX_SEC);
+      db.prepare(
+        `UPDATE webhook_deliveries SET attempts = ?, lastStatusCode = ?, lastError = ?, nextAttemptAt = ?, updatedAt = ? WHERE id = ?`
+      ).run(attempts, r.statusCode, error, ts + delay, ts, delivery.id);
+    }
+  })();
+
+  return r.ok ? "delivered" : attempts >= MAX_ATTEMPTS ? "dead" : "retry";
+}
+
+/**
+ * Step 2: send what is due. Subscriptions are sent to in parallel, each one's deliveries in order.
+ */
+export async function sendDueWebhooks(db) {
+  const ts = nowSec();
+  const due = db
+    .prepare(
+      `
+      SELECT d.*, s.url, s.secret FROM webhook_deliveries d
+      JOIN webhook_subscriptions s ON s.id = d.subscriptionId
+      WHERE d.status = 'PENDING' AND d.nextAttemptAt <= ? AND s.active = 1
+      ORDER BY d.id
+      LIMIT ${SEND_BATCH}
+    `
+    )
+    .all(ts);
+  const claim = db.prepare(
+    `UPDATE webhook_deliveries SET nextAttemptAt = ? WHERE id = ? AND status = 'PENDING' AND nextAttemptAt <= ?`
+  );
+
+  const bySub = new Map();
+  for (const d of due) {
+    if (!claim.run(ts + CLAIM_SEC, d.id, ts).changes) continue;
+    if (!bySub.has(d.subscriptionId)) bySub.set(d.subscriptionId, []);
+    bySub.get(d.subscriptionId).push(d);
+  }
+
+  const stats = { delivered: 0, retry: 0, dead: 0 };
+  await Promise.all(
+    [...bySub.values()].map(async (list) => {
+      for (const d of list) {
+        const started = Date.now();
+        const r = await post({ url: d.url, secret: d.secret }, d);
+        stats[recordAttempt(db, d, r, Date.now() - started)]++;
+      }
+    })
+  );
+  return stats;
+}
+
+export async function processWebhooks(db) {
+  const queued = fanOutWebhooks(db, { head: await getProvider().getBlockNumber() });
+  return { queued, ...(await sendDueWebhooks(db)) };
+}
+
+/**
+ * Run processWebhooks every `intervalMs` (setTimeout loop, like the other jobs).
+ */
+export function startWebhooks(db, { intervalMs = Number(process.env.WEBHOOK_INTERVAL_MS || 2000) } = {}) {
+  const loop = async () => {
+    try {
+      const stats = await processWebhooks(db);
+      if (stats.queued || stats.delivered || stats.retry || stats.dead) console.log("webhooks:", stats);
+    } catch (e) {
+      console.error("webhooks error:", e.message);
+    }
+    setTimeout(loop, intervalMs);
+  };
+  setTimeout(loop, intervalMs);
+}
@@ -0,0 +1,259 @@
+import crypto from "crypto";
+import { httpError } from "../kyc/decisions.js";
+
+/**
+ * Outbound webhook subscriptions + delivery log (sending: dispatcher.js).
+ *
+ * Event types (public names, independent of contract event names):
+ * - chain events from the indexer (`events`): deposit, withdrawal, transfer, loan.*
+ * - KYC decisions from kyc_actions: kyc.submitted, kyc.approved, kyc.rejected, kyc.revoked
+ * A subscription lists exact types, "loan.*" / "kyc.*" style prefixes or "*".
+ *
+ * accounts: only events where one of them is the from / to (chain) or the wallet (KYC); null = all.
+ */
+
+export const CHAIN_EVENT_TYPES = {
+  Deposited: "deposit",
+  Withdrawn: "withdrawal",
+  TransferBKD: "transfer",
+  CollateralDeposited: "loan.collateral_deposited",
+  CollateralWithdrawn: "loan.collateral_withdrawn",
+  Borrowed: "loan.borrowed",
+  Repaid: "loan.repaid",
+  Liquidated: "loan.liquidated",
+  BadDebtWrittenOff: "loan.written_off",
+};
+
+export const KYC_EVENT_TYPES = {
+  SUBMITTED: "kyc.submitted",
+  APPROVED: "kyc.approved",
+  REJECTED: "kyc.rejected",
+  REVOKED: "kyc.revoked",
+};
+
+export const WEBHOOK_EVENT_TYPES = [...Object.values(CHAIN_EVENT_TYPES), ...Object.values(KYC_EVENT_TYPES)];
+
+export const DELIVERY_STATUSES = ["PENDING", "DELIVERED", "DEAD"];
+
+const MAX_ACCOUNTS = 500;
+
+function nowSec() {
+  return Math.floor(Date.now() / 1000);
+}
+
+function newSecret() {
+  return `whsec_${crypto.randomBytes(32).toString("hex")}`;
+}
+
+export function typeMatches(patterns, type) {
+  return patterns.some((p) => p === "*" || p === type || (p.endsWith(".*") && type.startsWith(p.slice(0, -1))));
+}
+
+function checkEventTypes(list) {
+  const types = [...new Set(list.map((t) => String(t).trim()).filter(Boolean))];
+  if (!types.length) throw httpError(400, "eventTypes must not be empty");
+  const bad = types.find((t) => !WEBHOOK_EVENT_TYPES.some((x) => typeMatches([t], x)));
+  if (bad) throw httpError(400, `Unknown event type ${bad} (use ${WEBHOOK_EVENT_TYPES.join(", ")}, a prefix like kyc.* or *)`);
+  return types;
+}
+
+function checkAccounts(list) {
+  if (list === null || list === undefined) return null;
+  const accounts = [...new Set(list.map((a) => String(a).trim().toLowerCase()))];
+  if (!accounts.length) return null;
+  if (accounts.length > MAX_ACCOUNTS) throw httpError(400, `At most ${MAX_ACCOUNTS} accounts per webhook`);
+  if (accounts.some((a) => !/^0x[0-9a-f]{40}$/.test(a))) throw httpError(400, "Bad account address");
+  return accounts;
+}
+
+function accountsJson(list) {
+  const accounts = checkAccounts(list);
+  return accounts ? JSON.stringify(accounts) : null;
+}
+
+function checkUrl(url) {
+  let u;
+  try {
+    u = new URL(url);
+  } catch {
+    throw httpError(400, "Bad webhook url");
+  }
+  if (u.protocol !== "https:" && u.protocol !== "http:") throw httpError(400, "Webhook url must be http(s)");
+  return u.toString();
+}
+
+// secret chỉ trả về lúc tạo / rotate
+function subscriptionFromRow(r, { withSecret = false } = {}) {
+  if (!r) return null;
+  const { eventTypesJson, accountsJson, secret, ...w } = r;
+  return {
+    ...w,
+    active: !!r.active,
+    eventTypes: JSON.parse(eventTypesJson),
+    accounts: accountsJson ? JSON.parse(accountsJson) : null,
+    ...(withSecret ? { secret } : {}),
+  };
+}
+
+function openSubscription(db, id) {
+  const r = db.prepare(`SELECT * FROM webhook_subscriptions WHERE id = ?`).get(id);
+  if (!r) throw httpError(404, "Webhook not found");
+  return r;
+}
+
+export function createSubscription(db, { url, eventTypes, accounts = null, description = null, createdBy = null }) {
+  const ts = nowSec();
+  const info = db
+    .prepare(
+      `
+      INSERT INTO webhook_subscriptions(url, description, eventTypesJson, accountsJson, secret, active,
+                                        fromEventId, fromActionId, createdBy, createdAt, updatedAt)
+      VALUES (?, ?, ?, ?, ?, 1,
+              (SELECT COALESCE(MAX(id), 0) FROM events), (SELECT COALESCE(MAX(id), 0) FROM kyc_actions), ?, ?, ?)
+    `
+    )
+    .run(
+      checkUrl(url),
+      description,
+      JSON.stringify(checkEventTypes(eventTypes)),
+      accountsJson(accounts),
+      newSecret(),
+      createdBy,
+      ts,
+      ts
+    );
+  return subscriptionFromRow(openSubscription(db, Number(info.lastInsertRowid)), { withSecret: true });
+}
+
+export function updateSubscription(db, id, { url, eventTypes, accounts, description, active }) {
+  const r = openSubscription(db, id);
+  db.prepare(
+    `
+    UPDATE webhook_subscriptions
+    SET url = ?, eventTypesJson = ?, accountsJson = ?, description = ?, active = ?, updatedAt = ?
+    WHERE id = ?
+  `
+  ).run(
+    url !== undefined ? checkUrl(url) : r.url,
+    eventTypes !== undefined ? JSON.stringify(checkEventTypes(eventTypes)) : r.eventTypesJson,
+    accounts !== undefined ? accountsJson(accounts) : r.accountsJson,
+    description !== undefined ? description : r.description,
+    active !== undefined ? (active ? 1 : 0) : r.active,
+    nowSec(),
+    id
+  );
+  return getSubscription(db, id);
+}
+
+export function rotateSecret(db, id) {
+  openSubscription(db, id);
+  db.prepare(`UPDATE webhook_subscriptions SET secret = ?, updatedAt = ? WHERE id = ?`).run(newSecret(), nowSec(), id);
+  return subscriptionFromRow(openSubscription(db, id), { withSecret: true });
+}
+
+export function getSubscription(db, id) {
+  const w = subscriptionFromRow(db.prepare(`SELECT * FROM webhook_subscriptions WHERE id = ?`).get(id));
+  if (!w) return null;
+  const counts = db
+    .prepare(`SELECT status, COUNT(*) AS n FROM webhook_deliveries WHERE subscriptionId = ? GROUP BY status`)
+    .all(id);
+  w.deliveries = Object.fromEntries(DELIVERY_STATUSES.map((s) => [s, counts.find((c) => c.status === s)?.n ?? 0]));
+  return w;
+}
+
+export function listSubscriptions(db) {
+  return db
+    .prepare(`SELECT * FROM webhook_subscriptions ORDER BY id`)
+    .all()
+    .map((r) => subscriptionFromRow(r));
+}
+
+export function activeSubscriptions(db) {
+  return db
+    .prepare(`SELECT * FROM webhook_subscriptions WHERE active = 1 ORDER BY id`)
+    .all()
+    .map((r) => ({ ...subscriptionFromRow(r), accounts: r.accountsJson ? new Set(JSON.parse(r.accountsJson)) : null }));
+}
+
+// ---- deliveries ---------------------------------------------------------------
+
+function deliveryFromRow(r) {
+  if (!r) return null;
+  const { payloadJson, ...d } = r;
+  return { ...d, payload: JSON.parse(payloadJson) };
+}
+
+/**
+ * Queue one delivery. Returns null when (subscription, eventKey) was already queued (not for replays).
+ */
+export function enqueueDelivery(db, { subscriptionId, eventKey, eventType, payload, replayOf = null }) {
+  const ts = nowSec();
+  const info = db
+    .prepare(
+      `
+      INSERT OR IGNORE INTO webhook_deliveries(subscriptionId, eventKey, eventType, payloadJson, status,
+                                               nextAttemptAt, replayOf, createdAt, updatedAt)
+      VALUES (?, ?, ?, ?, 'PENDING', ?, ?, ?, ?)
+    `
+    )
+    .run(subscriptionId, eventKey, eventType, JSON.stringify(payload), ts, replayOf, ts, ts);
+  return info.changes ? Number(info.lastInsertRowid) : null;
+}
+
+export function getDelivery(db, id, { withAttempts = false } = {}) {
+  const d = deliveryFromRow(db.prepare(`SELECT * FROM webhook_deliveries WHERE id = ?`).get(id));
+  if (!d || !withAttempts) return d;
+  d.attemptLog = db.prepare(`SELECT * FROM webhook_attempts WHERE deliveryId = ? ORDER BY id`).all(id);
+  return d;
+}
+
+export function listDeliveries(db, { subscriptionId = null, status = null, eventType = null, limit = 100 } = {}) {
+  return db
+    .prepare(
+      `
+      SELECT * FROM webhook_deliveries
+      WHERE (@subscriptionId IS NULL OR subscriptionId = @subscriptionId)
+        AND (@status IS NULL OR status = @status)
+        AND (@eventType IS NULL OR eventType = @eventType)
+      ORDER BY id DESC
+      LIMIT @limit
+    `
+    )
+    .all({ subscriptionId, status, eventType, limit })
+    .map(deliveryFromRow);
+}
+
+/**
+ * Send a delivery again (dead letter, or a receiver that lost it): a new PENDING row with the same
+ * payload, so the receiver sees the same event id and can de-duplicate.
+ */
+export function replayDelivery(db, id) {
+  const d = getDelivery(db, id);
+  if (!d) throw httpError(404, "Delivery not found");
+  const sub = openSubscription(db, d.subscriptionId);
+  if (!sub.active) throw httpError(400, "Webhook is disabled");
+  const newId = enqueueDelivery(db, {
+    subscriptionId: d.subscriptionId,
+    eventKey: d.eventKey,
+    eventType: d.eventType,
+    payload: d.payload,
+    replayOf: d.replayOf ?? d.id,
+  });
+  return getDelivery(db, newId);
+}
+
+/**
+ * "webhook.test" event to check a receiver (URL, signature check) without waiting for real traffic.
+ */
+export function sendTestEvent(db, id) {
+  const sub = openSubscription(db, id);
+  if (!sub.active) throw httpError(400, "Webhook is disabled");
+  const eventKey = `test:${crypto.randomBytes(8).toString("hex")}`;
+  const newId = enqueueDelivery(db, {
+    subscriptionId: id,
+    eventKey,
+    eventType: "webhook.test",
+    payload: { id: eventKey, type: "webhook.test", createdAt: nowSec(), data: { webhookId: id } },
+  });
+  return getDelivery(db, newId);
+}
@@ -0,0 +1,28 @@
+import dotenv from "dotenv";
+import { initDb } from "../db/db.js";
+import { processWebhooks, startWebhooks } from "./dispatcher.js";
+
+/**
+ * Webhook worker, for running it outside the API process (WEBHOOKS_IN_SERVER=0).
+ *   node src/webhooks/worker.js          -> fan-out + gửi mỗi WEBHOOK_INTERVAL_MS
+ *   node src/webhooks/worker.js --once   -> 1 lượt rồi thoát
+ */
+
+dotenv.config();
+
+const once = process.argv.includes("--once");
+const db = initDb();
+
+async function main() {
+  if (once) {
+    console.log("webhooks:", await processWebhooks(db));
+    process.exit(0);
+  }
+  console.log("Webhook worker running ...");
+  startWebhooks(db);
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
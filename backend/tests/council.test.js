@@ -0,0 +1,109 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { tempEnv, useEnv, migrate, runScript, startServer, submitKyc, adminLogin, request } from "./helpers/backend.js";
+import { startChain, deployBankchain } from "./helpers/chain.js";
+
+test("council approval: officer signatures relayed through the tx queue, then synced by the indexer", async (t) => {
+  const chain = await startChain();
+  t.after(chain.stop);
+  const { admin, officer2, dave } = chain.accounts;
+  const { env, cleanup } = tempEnv({ RPC_URL: chain.rpcUrl, ADMIN_PRIVATE_KEY: admin.privateKey });
+  t.after(cleanup);
+  migrate(env);
+  const { kyc } = await deployBankchain(chain, env.CONTRACTS_JSON);
+
+  const server = await startServer(env);
+  t.after(server.stop);
+  const { requestId, kycHash } = await submitKyc(server.url, dave);
+  await (await kyc.connect(dave).requestKYC(kycHash)).wait();
+
+  const tokens = { admin: await adminLogin(server.url, admin), officer2: await adminLogin(server.url, officer2) };
+  const sign = async (who, wallet, proposalId, op) => {
+    const typed = await request(server.url, "GET", `/admin/kyc/proposals/${proposalId}/council${op ? `?op=${op}` : ""}`, {
+      token: tokens[who],
+    });
+    if (typed.status !== 200) return typed;
+    const signature = await wallet.signTypedData(typed.body.domain, typed.body.types, typed.body.message);
+    return request(server.url, "POST", `/admin/kyc/proposals/${proposalId}/confirm`, { token: tokens[who], body: { signature } });
+  };
+  // send, then pick up the receipt (TXQUEUE_CONFIRMATIONS=1)
+  const relay = () => {
+    runScript("src/txqueue/worker.js", env, ["--once"]);
+    runScript("src/txqueue/worker.js", env, ["--once"]);
+  };
+
+  const proposed = await request(server.url, "POST", "/admin/kyc/approve-request", {
+    token: tokens.admin,
+    body: { requestId, level: 2 },
+  });
+  assert.equal(proposed.status, 202);
+  const { proposalId } = proposed.body;
+
+  // maker signs too: that only proposes on-chain, 1 of 2
+  const first = await sign("admin", admin, proposalId);
+  assert.equal(first.status, 202);
+  assert.equal(first.body.op, "propose");
+  relay();
+
+  useEnv(env);
+  const { initDb } = await import("../src/db/db.js");
+  const db = initDb();
+  t.after(() => db.close());
+  const proposal = () => db.prepare(`SELECT * FROM kyc_proposals WHERE id = ?`).get(proposalId);
+  const kycRequest = () => db.prepare(`SELECT status, approveTxHash FROM kyc_requests WHERE id = ?`).get(requestId);
+
+  assert.equal(proposal().status, "PENDING");
+  assert.equal(proposal().councilConfirmations, 1);
+  assert.ok(proposal().councilId);
+  assert.equal(kycRequest().status, "PENDING");
+  assert.equal(await kyc.isKYCApproved(dave.address), false);
+
+  // the same officer can't count twice
+  const again = await sign("admin", admin, proposalId, "confirm");
+  assert.equal(again.status, 409);
+
+  const second = await sign("officer2", officer2, proposalId);
+  assert.equal(second.status, 202);
+  assert.equal(second.body.op, "confirm");
+  relay();
+
+  const executed = proposal();
+  assert.equal(executed.status, "EXECUTED");
+  assert.equal(executed.councilConfirmations, 2);
+  assert.deepEqual(kycRequest(), { status: "APPROVED", approveTxHash: executed.txHash });
+  assert.deepEqual((await kyc.getKYC(dave.address)).toArray(), [true, 2n, 0n]);
+
+  // the indexer sees the council's KYCApproved and matches it to the decision already recorded
+  runScript("src/indexer/indexer.js", env, ["--once"]);
+  const account = dave.address.toLowerCase();
+  assert.equal(db.prepare(`SELECT COUNT(*) AS n FROM kyc_discrepancies WHERE wallet = ?`).get(account).n, 0);
+  assert.deepEqual(kycRequest(), { status: "APPROVED", approveTxHash: executed.txHash });
+  assert.deepEqual(
+    db.prepare(`SELECT txHash FROM kyc_actions WHERE wallet = ? AND action = 'APPROVED'`).all(account),
+    [{ txHash: executed.txHash }]
+  );
+});
+
+test("without a council the checker must differ from the maker", async (t) => {
+  const chain = await startChain();
+  t.after(chain.stop);
+  const { admin, dave } = chain.accounts;
+  const { env, cleanup } = tempEnv({ RPC_URL: chain.rpcUrl, ADMIN_PRIVATE_KEY: admin.privateKey });
+  t.after(cleanup);
+  migrate(env);
+  await deployBankchain(chain, env.CONTRACTS_JSON, { council: false });
+
+  const server = await startServer(env);
+  t.after(server.stop);
+  const { requestId } = await submitKyc(server.url, dave);
+  const token = await adminLogin(server.url, admin);
+
+  const proposed = await request(server.url, "POST", "/admin/kyc/reject-request", { token, body: { requestId } });
+  assert.equal(proposed.status, 202);
+  const confirmed = await request(server.url, "POST", `/admin/kyc/proposals/${proposed.body.proposalId}/confirm`, {
+    token,
+    body: {},
+  });
+  assert.equal(confirmed.status, 403);
+  assert.match(confirmed.body.message, /Four-eyes/);
+});
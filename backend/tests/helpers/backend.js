@@ -0,0 +1,155 @@
+import { spawn, execFileSync } from "child_process";
+import fs from "fs";
+import net from "net";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+
+/**
+ * Test harness for the backend: a throwaway DB / key file per test and the real scripts
+ * (migrate, server, indexer) run as child processes against it.
+ *
+ * Modules that read env at load time (db.js, dispatcher.js, queue.js, ...) must be imported with
+ * `await import()` after useEnv(), never statically.
+ */
+
+export const BACKEND_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..", "..");
+
+/**
+ * Temp dir with DB_FILE / CONTRACTS_JSON / KYC_MASTER_KEY_FILE pointing into it.
+ * Workers stay out of the API process and response validation is on, whatever NODE_ENV says.
+ */
+export function tempEnv(extra = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "bankchain-test-"));
+  const env = {
+    ...process.env,
+    NODE_ENV: "test",
+    OPENAPI_VALIDATE: "1",
+    DB_FILE: path.join(dir, "bankchain.sqlite"),
+    CONTRACTS_JSON: path.join(dir, "contracts.json"),
+    KYC_MASTER_KEY_FILE: path.join(dir, "kyc-master.key"),
+    TXQUEUE_IN_SERVER: "0",
+    WEBHOOKS_IN_SERVER: "0",
+    ...extra,
+  };
+  return { dir, env, cleanup: () => fs.rmSync(dir, { recursive: true, force: true }) };
+}
+
+/** Copy `env` into process.env (for modules imported by the test itself). */
+export function useEnv(env) {
+  Object.assign(process.env, env);
+}
+
+export function runScript(script, env, args = []) {
+  return execFileSync(process.execPath, [script, ...args], { cwd: BACKEND_ROOT, env, encoding: "utf8", stdio: "pipe" });
+}
+
+export function migrate(env) {
+  runScript("src/db/migrate.js", env);
+  runScript("src/kyc/keytool.js", env, ["init"]);
+}
+
+export function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = net.createServer();
+    srv.once("error", reject);
+    srv.listen(0, "127.0.0.1", () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Spawn `args` and wait until a stdout/stderr line matches `ready`.
+ * stop() kills that process (by pid) and resolves once it has exited.
+ */
+export function startProcess(command, args, { cwd = BACKEND_ROOT, env, ready, timeoutMs = 60_000 }) {
+  const child = spawn(command, args, { cwd, env, stdio: ["ignore", "pipe", "pipe"] });
+  let output = "";
+  const exited = new Promise((resolve) => child.once("exit", resolve));
+  const stop = async () => {
+    if (child.exitCode === null && child.signalCode === null) child.kill("SIGTERM");
+    await exited;
+  };
+
+  const started = new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      stop();
+      reject(new Error(`${args.join(" ")} not ready after ${timeoutMs}ms:\n${output}`));
+    }, timeoutMs);
+    const onData = (chunk) => {
+      output += chunk;
+      if (ready.test(output)) {
+        clearTimeout(timer);
+        resolve();
+      }
+    };
+    child.stdout.on("data", onData);
+    child.stderr.on("data", onData);
+    child.once("exit", (code) => {
+      clearTimeout(timer);
+      reject(new Error(`${args.join(" ")} exited (${code}) before it was ready:\n${output}`));
+    });
+  });
+
+  return started.then(() => ({ child, stop, output: () => output }));
+}
+
+/** The API (src/server.js) on a free port. */
+export async function startServer(env) {
+  const port = await freePort();
+  const proc = await startProcess(process.execPath, ["src/server.js"], {
+    env: { ...env, PORT: String(port) },
+    ready: /Backend listening/,
+  });
+  return { ...proc, url: `http://127.0.0.1:${port}` };
+}
+
+/** JSON request against the API; returns { status, body, text, headers } without throwing on HTTP errors. */
+export async function request(url, method, route, { body, token } = {}) {
+  const res = await fetch(`${url}${route}`, {
+    method,
+    headers: {
+      ...(body !== undefined ? { "Content-Type": "application/json" } : {}),
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+    },
+    body: body !== undefined ? JSON.stringify(body) : undefined,
+  });
+  const text = await res.text();
+  let json = null;
+  try {
+    json = JSON.parse(text);
+  } catch {
+    // text/csv, html, ...
+  }
+  return { status: res.status, body: json, text, headers: res.headers };
+}
+
+/** Submit a KYC dossier for `wallet` the way the frontend does (server nonce + EIP-712). */
+export async function submitKyc(url, wallet, { fullName = "Test Customer" } = {}) {
+  const challenge = await request(url, "GET", `/kyc/nonce/${wallet.address}`);
+  const payload = {
+    wallet: wallet.address.toLowerCase(),
+    fullName,
+    dob: "1990-01-01",
+    nationalId: "ID-123456",
+    addressText: "1 Test Street",
+    docRef: "",
+    nonce: challenge.body.nonce,
+  };
+  const { domain, types } = challenge.body.typedData;
+  const signature = await wallet.signTypedData(domain, types, payload);
+  const res = await request(url, "POST", "/kyc/request", { body: { ...payload, signature } });
+  if (res.status !== 200) throw new Error(`POST /kyc/request: ${res.status} ${res.text}`);
+  return res.body;
+}
+
+/** Admin session token for `wallet` (needs COMPLIANCE_ROLE or council OFFICER_ROLE). */
+export async function adminLogin(url, wallet) {
+  const challenge = await request(url, "POST", "/auth/challenge", { body: { address: wallet.address } });
+  const signature = await wallet.signMessage(challenge.body.message);
+  const res = await request(url, "POST", "/auth/verify", { body: { nonce: challenge.body.nonce, signature } });
+  if (res.status !== 200) throw new Error(`POST /auth/verify: ${res.status} ${res.text}`);
+  return res.body.token;
+}
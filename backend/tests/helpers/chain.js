@@ -0,0 +1,143 @@
+import fs from "fs";
+import path from "path";
+import { createRequire } from "module";
+import { ethers } from "ethers";
+import { BACKEND_ROOT, freePort, startProcess } from "./backend.js";
+
+/**
+ * Local chain for backend tests: a `hardhat node` of the contracts workspace (compiled artifacts
+ * required, `npm test` compiles them first) and a deployment laid out like contracts/scripts/deploy.ts.
+ */
+
+const CONTRACTS_ROOT = path.resolve(BACKEND_ROOT, "..", "contracts");
+const ARTIFACTS_ROOT = path.join(CONTRACTS_ROOT, "artifacts", "contracts");
+
+// hardhat node's default accounts
+const MNEMONIC = "test test test test test test test test test test test junk";
+
+export const ROLES = {
+  COMPLIANCE_ROLE: ethers.id("COMPLIANCE_ROLE"),
+  MINTER_ROLE: ethers.id("MINTER_ROLE"),
+  ENFORCER_ROLE: ethers.id("ENFORCER_ROLE"),
+  SEIZURE_ROLE: ethers.id("SEIZURE_ROLE"),
+};
+
+export async function startChain() {
+  const port = await freePort();
+  const cli = createRequire(path.join(CONTRACTS_ROOT, "package.json")).resolve("hardhat/internal/cli/bootstrap.js");
+  const node = await startProcess(process.execPath, [cli, "node", "--hostname", "127.0.0.1", "--port", String(port)], {
+    cwd: CONTRACTS_ROOT,
+    env: { ...process.env },
+    ready: /Started HTTP/,
+  });
+
+  const rpcUrl = `http://127.0.0.1:${port}`;
+  // cacheTimeout -1: ethers caches identical reads for 250ms, so back-to-back sends would reuse a stale pending nonce
+  const provider = new ethers.JsonRpcProvider(rpcUrl, 31337, { staticNetwork: true, pollingInterval: 100, cacheTimeout: -1 });
+  const wallet = (i) => ethers.HDNodeWallet.fromPhrase(MNEMONIC, undefined, `m/44'/60'/0'/0/${i}`).connect(provider);
+  const [admin, alice, bob, officer2, dave, erin, frank] = [0, 1, 2, 3, 4, 5, 6].map(wallet);
+
+  return {
+    rpcUrl,
+    provider,
+    accounts: { admin, alice, bob, officer2, dave, erin, frank },
+    send: (method, params = []) => provider.send(method, params),
+    stop: async () => {
+      provider.destroy();
+      await node.stop();
+    },
+  };
+}
+
+function factory(name, signer) {
+  const { abi, bytecode } = JSON.parse(fs.readFileSync(path.join(ARTIFACTS_ROOT, `${name}.sol`, `${name}.json`), "utf8"));
+  return new ethers.ContractFactory(abi, bytecode, signer);
+}
+
+async function deploy(name, signer, ...args) {
+  const c = await factory(name, signer).deploy(...args);
+  await c.waitForDeployment();
+  return c;
+}
+
+const send = async (txPromise) => (await txPromise).wait();
+
+/**
+ * Deploy the contracts and write contracts.json to `file`.
+ * - council: ComplianceCouncil (admin + officer2, 2-of-2) takes COMPLIANCE_ROLE on KYCRegistry, as in deploy.ts;
+ *   otherwise the admin keeps it and approves KYC directly.
+ * - seed: alice + bob KYC-approved on-chain (no dossier in the DB), deposits, a transfer, supply and a loan.
+ * The admin keeps DEFAULT_ADMIN_ROLE everywhere (no timelock hand-over).
+ */
+export async function deployBankchain(chain, file, { council: withCouncil = true, seed = false } = {}) {
+  const { admin, alice, bob, officer2 } = chain.accounts;
+
+  const kyc = await deploy("KYCRegistry", admin, admin.address);
+  const token = await deploy("DepositToken", admin, admin.address, kyc.target);
+  const vault = await deploy("BankVault", admin, admin.address, token.target, kyc.target);
+  const lending = await deploy("LendingPool", admin, admin.address, token.target, kyc.target);
+  const limits = await deploy("LimitsPolicy", admin, admin.address, kyc.target);
+  const sanctions = await deploy("SanctionsRegistry", admin, admin.address);
+
+  await send(limits.grantRole(ROLES.ENFORCER_ROLE, vault.target));
+  await send(limits.grantRole(ROLES.ENFORCER_ROLE, lending.target));
+  await send(vault.setLimitsPolicy(limits.target));
+  await send(lending.setLimitsPolicy(limits.target));
+  await send(token.setSanctionsRegistry(sanctions.target));
+  await send(token.grantRole(ROLES.SEIZURE_ROLE, admin.address));
+  await send(token.grantRole(ROLES.MINTER_ROLE, vault.target));
+  await send(token.setSystemAddress(vault.target, true));
+  await send(token.setSystemAddress(lending.target, true));
+
+  if (seed) {
+    const one = ethers.parseEther("1");
+    await send(kyc.connect(alice).requestKYC(ethers.id("seed:alice:kyc")));
+    await send(kyc.connect(bob).requestKYC(ethers.id("seed:bob:kyc")));
+    await send(kyc.approveFromRequest(alice.address, 1, 0));
+    await send(kyc.approveFromRequest(bob.address, 1, 0));
+    await send(vault.connect(alice).deposit({ value: one }));
+    await send(vault.connect(bob).deposit({ value: one / 2n }));
+    for (const user of [alice, bob]) {
+      await send(token.connect(user).approve(vault.target, ethers.MaxUint256));
+      await send(token.connect(user).approve(lending.target, ethers.MaxUint256));
+    }
+    await send(vault.connect(alice).transferBKD(bob.address, one / 10n));
+    await send(lending.connect(bob).supply((one * 3n) / 10n));
+    await send(lending.connect(alice).depositCollateral((one * 3n) / 10n));
+    await send(lending.connect(alice).borrow(one / 10n));
+  }
+
+  let councilContract = null;
+  if (withCouncil) {
+    councilContract = await deploy("ComplianceCouncil", admin, admin.address, kyc.target, [admin.address, officer2.address], 2, 86400);
+    await send(kyc.grantRole(ROLES.COMPLIANCE_ROLE, councilContract.target));
+    await send(kyc.approveFromRequest(councilContract.target, 1, 0));
+    await send(kyc.renounceRole(ROLES.COMPLIANCE_ROLE, admin.address));
+  }
+
+  const timelock = await deploy("BankTimelock", admin, 300, [admin.address], [officer2.address]);
+
+  const contracts = { kyc, token, vault, lending, limits, sanctions, council: councilContract, timelock };
+  fs.writeFileSync(
+    file,
+    JSON.stringify(
+      {
+        chainId: 31337,
+        rpcUrl: chain.rpcUrl,
+        contracts: {
+          KYCRegistry: kyc.target,
+          DepositToken: token.target,
+          BankVault: vault.target,
+          LendingPool: lending.target,
+          LimitsPolicy: limits.target,
+          SanctionsRegistry: sanctions.target,
+          BankTimelock: timelock.target,
+          ...(councilContract ? { ComplianceCouncil: councilContract.target } : {}),
+        },
+      },
+      null,
+      2
+    )
+  );
+  return contracts;
+}
@@ -0,0 +1,70 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ethers } from "ethers";
+import { tempEnv, useEnv, migrate, runScript, startServer, submitKyc } from "./helpers/backend.js";
+import { startChain, deployBankchain } from "./helpers/chain.js";
+
+test("indexer rolls back events, ledger and KYC sync after a reorg", async (t) => {
+  const chain = await startChain();
+  t.after(chain.stop);
+  const { env, cleanup } = tempEnv({ RPC_URL: chain.rpcUrl });
+  t.after(cleanup);
+  migrate(env);
+  const { kyc, vault } = await deployBankchain(chain, env.CONTRACTS_JSON, { council: false });
+  const { admin, dave } = chain.accounts;
+
+  const server = await startServer(env);
+  t.after(server.stop);
+  const { requestId, kycHash } = await submitKyc(server.url, dave);
+  runScript("src/indexer/indexer.js", env, ["--once"]);
+
+  const fork = await chain.provider.getBlockNumber();
+  const snapshot = await chain.send("evm_snapshot");
+
+  // on the branch that gets reorged away: dave publishes, is approved and deposits
+  await (await kyc.connect(dave).requestKYC(kycHash)).wait();
+  const approveTx = await (await kyc.connect(admin).approveFromRequest(dave.address, 1, 0)).wait();
+  await (await vault.connect(dave).deposit({ value: ethers.parseEther("1") })).wait();
+  runScript("src/indexer/indexer.js", env, ["--once"]);
+
+  useEnv(env);
+  const { initDb } = await import("../src/db/db.js");
+  const db = initDb();
+  t.after(() => db.close());
+  const account = dave.address.toLowerCase();
+  const count = (sql, ...args) => db.prepare(sql).get(...args).n;
+
+  assert.deepEqual(
+    db.prepare(`SELECT eventName FROM events WHERE blockNumber > ? AND eventName LIKE 'KYC%' ORDER BY id`).all(fork).map((r) => r.eventName),
+    ["KYCRequested", "KYCApproved"]
+  );
+  assert.equal(db.prepare(`SELECT balanceAfter FROM bkd_ledger WHERE account = ?`).get(account).balanceAfter, ethers.parseEther("1").toString());
+  const synced = db.prepare(`SELECT status, approveTxHash, requestTxHash FROM kyc_requests WHERE id = ?`).get(requestId);
+  assert.equal(synced.status, "APPROVED");
+  assert.equal(synced.approveTxHash, approveTx.hash);
+  assert.equal(count(`SELECT COUNT(*) AS n FROM kyc_chain_sync WHERE requestId = ?`, requestId), 2);
+  assert.equal(count(`SELECT COUNT(*) AS n FROM kyc_actions WHERE json_extract(detailsJson, '$.source') = 'chain'`), 2);
+
+  // reorg: back to the fork point, then a longer branch without those transactions
+  await chain.send("evm_revert", [snapshot]);
+  await chain.send("hardhat_mine", ["0x5"]);
+  const out = runScript("src/indexer/indexer.js", env, ["--once"]);
+  assert.match(out, /reorg: \{ from: \d+/);
+
+  assert.equal(count(`SELECT COUNT(*) AS n FROM events WHERE blockNumber > ?`, fork), 0);
+  assert.equal(count(`SELECT COUNT(*) AS n FROM bkd_ledger WHERE account = ?`, account), 0);
+  assert.deepEqual(db.prepare(`SELECT status, approveTxHash, requestTxHash, reviewedAt FROM kyc_requests WHERE id = ?`).get(requestId), {
+    status: "PENDING",
+    approveTxHash: null,
+    requestTxHash: null,
+    reviewedAt: null,
+  });
+  assert.equal(count(`SELECT COUNT(*) AS n FROM kyc_chain_sync`), 0);
+  assert.equal(count(`SELECT COUNT(*) AS n FROM kyc_actions WHERE json_extract(detailsJson, '$.source') = 'chain'`), 0);
+
+  const head = await chain.provider.getBlock("latest");
+  assert.deepEqual(db.prepare(`SELECT lastIndexedBlock, lastIndexedHash FROM indexer_state WHERE id = 1`).get(), {
+    lastIndexedBlock: head.number,
+    lastIndexedHash: head.hash,
+  });
+});
@@ -0,0 +1,48 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ethers } from "ethers";
+import { tempEnv, useEnv, migrate, startServer } from "./helpers/backend.js";
+
+const ZERO = ethers.ZeroAddress.toLowerCase();
+
+test("GET /balance/:user/history returns debits (negative delta) through response validation", async (t) => {
+  const { env, cleanup } = tempEnv();
+  t.after(cleanup);
+  migrate(env);
+  useEnv(env);
+
+  const { initDb } = await import("../src/db/db.js");
+  const { applyTransfer } = await import("../src/ledger/ledger.js");
+
+  const alice = ethers.Wallet.createRandom().address;
+  const bob = ethers.Wallet.createRandom().address;
+  const ev = (blockNumber, fromAddr, toAddr, amount) => ({
+    blockNumber,
+    logIndex: 0,
+    txHash: ethers.id(`tx:${blockNumber}`),
+    timestamp: 1_700_000_000 + blockNumber,
+    fromAddr: fromAddr.toLowerCase(),
+    toAddr: toAddr.toLowerCase(),
+    amount,
+  });
+
+  const db = initDb();
+  applyTransfer(db, ev(1, ZERO, alice, "1000"));
+  applyTransfer(db, ev(2, alice, bob, "300"));
+  db.close();
+
+  const server = await startServer(env);
+  t.after(server.stop);
+
+  const res = await fetch(`${server.url}/balance/${alice}/history`);
+  const body = await res.json();
+  assert.equal(res.status, 200, JSON.stringify(body));
+  assert.equal(body.balance, "700");
+  assert.deepEqual(
+    body.history.map((h) => [h.direction, h.delta, h.balanceAfter]),
+    [
+      ["DEBIT", "-300", "700"],
+      ["CREDIT", "1000", "1000"],
+    ]
+  );
+});
@@ -0,0 +1,215 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { ethers } from "ethers";
+import { tempEnv, migrate, runScript, startServer, submitKyc, adminLogin, request } from "./helpers/backend.js";
+import { startChain, deployBankchain } from "./helpers/chain.js";
+
+/**
+ * Dev-mode response validation (OPENAPI_VALIDATE=1): every operation in /openapi.json is called once with a
+ * request that succeeds, so a response that drifted from its schema shows up as a 500 here.
+ */
+test("every documented route answers with a response that matches the spec", async (t) => {
+  const chain = await startChain();
+  t.after(chain.stop);
+  const { admin, alice, officer2, dave, erin, frank } = chain.accounts;
+
+  const { dir, env: baseEnv, cleanup } = tempEnv();
+  t.after(cleanup);
+  // LARGE_TRANSFER at 0.5 BKD: the seed's 1 ETH deposit raises an alert
+  const amlRules = path.join(dir, "aml-rules.json");
+  fs.writeFileSync(
+    amlRules,
+    JSON.stringify({
+      rules: [{ id: "LARGE_TRANSFER", type: "largeTransfer", enabled: true, severity: "HIGH", events: ["Deposited"], minAmount: "0.5" }],
+    })
+  );
+  const watchlist = path.join(dir, "watchlist.csv");
+  fs.writeFileSync(watchlist, "name,aliases,dob,nationalId,reference,program\nErin Blacklisted,,1990-01-01,,INT-1,TEST\n");
+  const env = {
+    ...baseEnv,
+    RPC_URL: chain.rpcUrl,
+    ADMIN_PRIVATE_KEY: admin.privateKey,
+    AML_RULES_FILE: amlRules,
+    WEBHOOK_TIMEOUT_MS: "2000",
+  };
+
+  migrate(env);
+  const { kyc } = await deployBankchain(chain, env.CONTRACTS_JSON, { seed: true });
+  runScript("src/screening/import.js", env, ["INTERNAL_CSV", watchlist]);
+  // seed events, ledger, and discrepancies for the approvals made without a dossier
+  runScript("src/indexer/indexer.js", env, ["--once"]);
+
+  const server = await startServer(env);
+  t.after(server.stop);
+
+  const spec = (await request(server.url, "GET", "/openapi.json")).body;
+  const ops = new Map();
+  for (const [route, methods] of Object.entries(spec.paths)) {
+    for (const [method, op] of Object.entries(methods)) {
+      ops.set(op.operationId, { method: method.toUpperCase(), route, ok: Object.keys(op.responses).filter((s) => /^2/.test(s)) });
+    }
+  }
+
+  const tokens = {};
+  const called = new Set();
+  const call = async (id, { params = {}, query, body, token } = {}) => {
+    const op = ops.get(id);
+    assert.ok(op, `${id} is not in the spec`);
+    const route =
+      op.route.replace(/\{(\w+)\}/g, (_, name) => encodeURIComponent(params[name])) +
+      (query ? `?${new URLSearchParams(query)}` : "");
+    token ??= op.route.startsWith("/admin/") ? tokens.admin : undefined;
+    const res = await request(server.url, op.method, route, { body, token });
+    assert.ok(op.ok.includes(String(res.status)), `${id} ${op.method} ${route}: ${res.status} ${res.text}`);
+    called.add(id);
+    return res.body;
+  };
+  const relay = () => {
+    runScript("src/txqueue/worker.js", env, ["--once"]);
+    runScript("src/txqueue/worker.js", env, ["--once"]);
+  };
+
+  // ---- public
+  await call("health");
+  await call("getPauseStatus");
+  await call("listGovernanceOperations");
+  await call("getContractsMeta");
+  await call("getAbi", { params: { name: "KYCRegistry" } });
+  await call("getKycStatus", { params: { user: alice.address } });
+  const history = await call("getBalanceHistory", { params: { user: alice.address } });
+  assert.ok(history.history.length > 0);
+  await call("getBalance", { params: { user: alice.address } });
+  await call("getBalance", { params: { user: alice.address }, query: { block: history.indexedTo } });
+  await call("getLimits", { params: { user: alice.address } });
+  await call("listAccountEvents", { params: { user: alice.address } });
+  await call("getStatement", { params: { user: alice.address } });
+  const payoffDate = String(Math.floor(Date.now() / 1000) + 90 * 24 * 60 * 60);
+  await call("getLendingAccount", { params: { user: alice.address }, query: { payoffDate, installments: 3 } });
+
+  // ---- auth
+  const challenge = await call("createAuthChallenge", { body: { address: admin.address } });
+  const session = await call("verifyAuthChallenge", {
+    body: { nonce: challenge.nonce, signature: await admin.signMessage(challenge.message) },
+  });
+  tokens.admin = session.token;
+  tokens.officer2 = await adminLogin(server.url, officer2);
+  await call("getAdminSession");
+
+  // ---- KYC submissions
+  const nonce = await call("getKycNonce", { params: { wallet: dave.address } });
+  const payload = {
+    wallet: dave.address.toLowerCase(),
+    fullName: "Dave Customer",
+    dob: "1990-01-01",
+    nationalId: "ID-654321",
+    addressText: "2 Test Street",
+    docRef: "",
+    nonce: nonce.nonce,
+  };
+  const daveKyc = await call("submitKycRequest", {
+    body: { ...payload, signature: await dave.signTypedData(nonce.typedData.domain, nonce.typedData.types, payload) },
+  });
+  await (await kyc.connect(dave).requestKYC(daveKyc.kycHash)).wait();
+  const erinKyc = await submitKyc(server.url, erin, { fullName: "Erin Blacklisted" });
+  const frankKyc = await submitKyc(server.url, frank);
+  const walkIn = ethers.Wallet.createRandom();
+  await submitKyc(server.url, walkIn);
+  const cancelled = await submitKyc(server.url, ethers.Wallet.createRandom());
+
+  // ---- admin KYC + screening
+  await call("listKycRequests");
+  const erinRequest = await call("getKycRequest", { params: { id: erinKyc.requestId } });
+  assert.equal(erinRequest.hits.length, 1);
+  await call("listWatchlists");
+  await call("rescreenAll");
+  await call("clearScreeningHit", {
+    params: { id: erinRequest.hits[0].id },
+    body: { justification: "Different person, date of birth checked" },
+  });
+
+  // ---- maker-checker: council (202 + job), four-eyes reject (200), cancel, legacy approve, revoke
+  const approval = await call("proposeKycApproval", { body: { requestId: daveKyc.requestId } });
+  const sign = async (typed) => admin.signTypedData(typed.domain, typed.types, typed.message);
+  const proposeTyped = await call("getCouncilTypedData", { params: { id: approval.proposalId } });
+  const confirmed = await call("confirmKycProposal", {
+    params: { id: approval.proposalId },
+    body: { signature: await sign(proposeTyped) },
+  });
+  relay();
+  await call("listKycProposals");
+  const revokeTyped = await call("getCouncilTypedData", { params: { id: approval.proposalId }, query: { op: "revoke" } });
+  await call("revokeCouncilConfirmation", {
+    params: { id: approval.proposalId },
+    body: { signature: await sign(revokeTyped) },
+  });
+  relay();
+
+  const rejection = await call("proposeKycRejection", { body: { requestId: frankKyc.requestId } });
+  await call("confirmKycProposal", { params: { id: rejection.proposalId }, body: {}, token: tokens.officer2 });
+  const toCancel = await call("proposeKycRejection", { body: { requestId: cancelled.requestId } });
+  await call("cancelKycProposal", { params: { id: toCancel.proposalId } });
+  await call("legacyApproveKyc", { body: { user: walkIn.address } });
+  await call("proposeKycRevocation", { body: { user: alice.address } });
+
+  await call("listJobs");
+  await call("getJob", { params: { id: confirmed.jobId } });
+
+  // ---- discrepancies, audit, ledger, reconciliation
+  const { discrepancies } = await call("listKycDiscrepancies");
+  assert.ok(discrepancies.length > 0);
+  await call("resolveKycDiscrepancy", { params: { id: discrepancies[0].id }, body: { resolution: "Seeded by deploy" } });
+  await call("listEvents");
+  await call("verifyLedger");
+  const run = await call("runReconciliation");
+  await call("getReconciliation");
+  await call("listReconciliationRuns");
+  await call("getReconciliationRun", { params: { id: run.id } });
+
+  // ---- lending
+  await call("listLendingAccounts");
+  await call("listLiquidatable", { query: { all: "1" } });
+
+  // ---- AML
+  await call("getAmlRules");
+  await call("runAml");
+  const { alerts } = await call("listAmlAlerts");
+  assert.ok(alerts.length > 0);
+  const alertId = alerts[0].id;
+  await call("getAmlAlert", { params: { id: alertId } });
+  await call("assignAmlAlert", { params: { id: alertId }, body: {} });
+  await call("commentAmlAlert", { params: { id: alertId }, body: { body: "Looking into it" } });
+  await call("closeAmlAlert", {
+    params: { id: alertId },
+    body: { disposition: "EXPLAINED", comment: "Salary deposit, documented" },
+  });
+
+  // ---- webhooks (the receiver is this API: POST /health is a 404, so attempts are logged as failures)
+  const created = await call("createWebhook", { body: { url: `${server.url}/health`, eventTypes: ["*"] } });
+  const webhookId = created.webhook.id;
+  await call("listWebhooks");
+  await call("getWebhook", { params: { id: webhookId } });
+  await call("updateWebhook", { params: { id: webhookId }, body: { description: "spec test" } });
+  await call("rotateWebhookSecret", { params: { id: webhookId } });
+  const testDelivery = await call("sendWebhookTest", { params: { id: webhookId } });
+  runScript("src/webhooks/worker.js", env, ["--once"]);
+  await call("listWebhookDeliveries", { query: { webhookId } });
+  const delivery = await call("getWebhookDelivery", { params: { id: testDelivery.delivery.id } });
+  assert.equal(delivery.delivery.attemptLog.length, 1);
+  await call("replayWebhookDelivery", { params: { id: testDelivery.delivery.id } });
+
+  // ---- SSE: status + content type, then hang up
+  const abort = new AbortController();
+  const streamUrl = `${server.url}${ops.get("openStream").route}?topics=events&accounts=${alice.address}`;
+  const stream = await fetch(streamUrl, { signal: abort.signal });
+  assert.equal(stream.status, 200);
+  assert.match(stream.headers.get("content-type"), /^text\/event-stream/);
+  abort.abort();
+  called.add("openStream");
+
+  await call("logout", { token: tokens.admin });
+
+  assert.deepEqual([...ops.keys()].filter((id) => !called.has(id)), []);
+  assert.doesNotMatch(server.output(), /does not match the API spec|response \d+ mismatch/);
+});
@@ -0,0 +1,77 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ethers } from "ethers";
+import { tempEnv, useEnv, migrate } from "./helpers/backend.js";
+import { startChain, deployBankchain } from "./helpers/chain.js";
+
+test("txqueue: consecutive nonces, fee-bumped replacements, chain nonce wins over the local one", async (t) => {
+  const chain = await startChain();
+  t.after(chain.stop);
+  const { admin, bob, erin, frank } = chain.accounts;
+  // every unmined tx counts as stuck on the next pass
+  const { env, cleanup } = tempEnv({ RPC_URL: chain.rpcUrl, ADMIN_PRIVATE_KEY: admin.privateKey, TXQUEUE_STUCK_AFTER_SEC: "0" });
+  t.after(cleanup);
+  migrate(env);
+  const { sanctions } = await deployBankchain(chain, env.CONTRACTS_JSON, { council: false });
+
+  useEnv(env);
+  const { initDb } = await import("../src/db/db.js");
+  const { enqueueAdminTx, processTxQueue, getJob } = await import("../src/txqueue/queue.js");
+  const db = initDb();
+  t.after(() => db.close());
+
+  const signer = admin.address.toLowerCase();
+  const freeze = (account) =>
+    enqueueAdminTx(db, {
+      kind: "TEST",
+      contractName: "SanctionsRegistry",
+      contract: sanctions,
+      method: "freeze",
+      args: [account.address, ethers.encodeBytes32String("test")],
+    }).id;
+  const txsOf = (jobId) => db.prepare(`SELECT * FROM admin_txs WHERE jobId = ? ORDER BY id`).all(jobId);
+
+  await chain.send("evm_setAutomine", [false]);
+  const base = await chain.provider.getTransactionCount(admin.address, "pending");
+  const jobs = [bob, erin, frank].map(freeze);
+
+  assert.deepEqual(await processTxQueue(db), { sent: 3, confirmed: 0, failed: 0, replaced: 0, pending: 0 });
+  assert.deepEqual(jobs.map((id) => getJob(db, id).nonce), [base, base + 1, base + 2]);
+  assert.equal(db.prepare(`SELECT nextNonce FROM admin_signers WHERE address = ?`).get(signer).nextNonce, base + 3);
+
+  // nothing mined: each job is re-sent with the same nonce and fees bumped by at least 12.5%
+  assert.deepEqual(await processTxQueue(db), { sent: 0, confirmed: 0, failed: 0, replaced: 3, pending: 0 });
+  for (const [i, id] of jobs.entries()) {
+    const [first, second] = txsOf(id);
+    assert.equal(first.nonce, base + i);
+    assert.equal(second.nonce, base + i);
+    assert.notEqual(second.txHash, first.txHash);
+    for (const fee of ["maxFeePerGas", "maxPriorityFeePerGas"]) {
+      assert.ok(BigInt(second[fee]) >= (BigInt(first[fee]) * 1125n) / 1000n + 1n, `${fee} bumped`);
+    }
+    assert.equal(getJob(db, id).txHash, second.txHash);
+  }
+
+  await chain.send("evm_mine");
+  assert.deepEqual(await processTxQueue(db), { sent: 0, confirmed: 3, failed: 0, replaced: 0, pending: 0 });
+  for (const id of jobs) {
+    const [first, second] = txsOf(id);
+    assert.equal(getJob(db, id).status, "CONFIRMED");
+    assert.equal(await chain.provider.getTransactionReceipt(first.txHash), null);
+    assert.deepEqual([first.status, second.status], ["REPLACED", "MINED"]);
+  }
+  for (const account of [bob, erin, frank]) assert.equal(await sanctions.isFrozen(account.address), true);
+
+  // the hot wallet used outside the queue: the next job takes the chain's nonce, not the stale local one
+  await chain.send("evm_setAutomine", [true]);
+  await (await admin.sendTransaction({ to: bob.address, value: 1n })).wait();
+  const next = enqueueAdminTx(db, {
+    kind: "TEST",
+    contractName: "SanctionsRegistry",
+    contract: sanctions,
+    method: "unfreeze",
+    args: [bob.address, ethers.encodeBytes32String("test")],
+  }).id;
+  assert.equal((await processTxQueue(db)).sent, 1);
+  assert.equal(getJob(db, next).nonce, base + 4);
+});
@@ -0,0 +1,29 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { tempEnv, useEnv, migrate } from "./helpers/backend.js";
+
+// own file: dispatcher.js reads WEBHOOK_CONFIRMATIONS once, at import
+test("webhooks: without WEBHOOK_CONFIRMATIONS, events wait for the indexer reorg window", async (t) => {
+  const { env, cleanup } = tempEnv({ WEBHOOK_CONFIRMATIONS: "", INDEXER_REORG_WINDOW: "5" });
+  t.after(cleanup);
+  migrate(env);
+  useEnv(env);
+  const { initDb } = await import("../src/db/db.js");
+  const { createSubscription } = await import("../src/webhooks/webhooks.js");
+  const { fanOutWebhooks } = await import("../src/webhooks/dispatcher.js");
+  const db = initDb();
+  t.after(() => db.close());
+
+  createSubscription(db, { url: "http://127.0.0.1:9/hook", eventTypes: ["*"] });
+  db.prepare(
+    `
+    INSERT INTO events(blockNumber, txHash, logIndex, contractAddress, eventName, fromAddr, toAddr, amount, timestamp, metaJson)
+    VALUES (10, ?, 0, '0x0000000000000000000000000000000000000001', 'Deposited',
+            '0x70997970c51812dc3a010c7d01b50e0d17dc79c8', NULL, '1000', 1700000000, '{}')
+  `
+  ).run(`0x${"0a".padStart(64, "0")}`);
+
+  // still inside the last 5 blocks: the indexer could roll it back
+  assert.equal(fanOutWebhooks(db, { head: 14 }), 0);
+  assert.equal(fanOutWebhooks(db, { head: 15 }), 1);
+});
@@ -0,0 +1,71 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import http from "http";
+import { tempEnv, useEnv, migrate } from "./helpers/backend.js";
+
+const ALICE = "0x70997970c51812dc3a010c7d01b50e0d17dc79c8";
+
+test("webhooks: fan-out waits WEBHOOK_CONFIRMATIONS blocks, deliveries are signed", async (t) => {
+  const { env, cleanup } = tempEnv({ WEBHOOK_CONFIRMATIONS: "3" });
+  t.after(cleanup);
+  migrate(env);
+  useEnv(env);
+  const { initDb } = await import("../src/db/db.js");
+  const { createSubscription } = await import("../src/webhooks/webhooks.js");
+  const { fanOutWebhooks, sendDueWebhooks } = await import("../src/webhooks/dispatcher.js");
+  const db = initDb();
+  t.after(() => db.close());
+
+  const received = [];
+  const receiver = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      received.push({ headers: req.headers, body });
+      res.writeHead(204).end();
+    });
+  });
+  await new Promise((resolve) => receiver.listen(0, "127.0.0.1", resolve));
+  t.after(() => new Promise((resolve) => receiver.close(resolve)));
+
+  const sub = createSubscription(db, { url: `http://127.0.0.1:${receiver.address().port}/hook`, eventTypes: ["*"] });
+
+  const insert = db.prepare(`
+    INSERT INTO events(blockNumber, txHash, logIndex, contractAddress, eventName, fromAddr, toAddr, amount, timestamp, metaJson)
+    VALUES (?, ?, 0, '0x0000000000000000000000000000000000000001', 'Deposited', ?, NULL, '1000', ?, '{}')
+  `);
+  for (const block of [10, 11, 12, 13]) insert.run(block, `0x${String(block).padStart(64, "0")}`, ALICE, 1_700_000_000 + block);
+  const queuedBlocks = () =>
+    db
+      .prepare(`SELECT payloadJson FROM webhook_deliveries ORDER BY id`)
+      .all()
+      .map((d) => JSON.parse(d.payloadJson).data.blockNumber);
+
+  // head 13, depth 3: only block 10 is deep enough
+  assert.equal(fanOutWebhooks(db, { head: 13 }), 1);
+  assert.deepEqual(queuedBlocks(), [10]);
+  assert.equal(fanOutWebhooks(db, { head: 13 }), 0);
+  assert.equal(fanOutWebhooks(db, { head: 15 }), 2);
+  assert.deepEqual(queuedBlocks(), [10, 11, 12]);
+
+  assert.deepEqual(await sendDueWebhooks(db), { delivered: 3, retry: 0, dead: 0 });
+  assert.equal(received.length, 3);
+
+  const deliveries = db.prepare(`SELECT * FROM webhook_deliveries ORDER BY id`).all();
+  for (const [i, { headers, body }] of received.entries()) {
+    const delivery = deliveries[i];
+    assert.equal(delivery.status, "DELIVERED");
+    assert.equal(headers["content-type"], "application/json");
+    assert.equal(headers["x-bankchain-event"], "deposit");
+    assert.equal(headers["x-bankchain-delivery"], String(delivery.id));
+    assert.equal(headers["x-bankchain-event-id"], `${JSON.parse(body).data.txHash}:0`);
+    assert.equal(body, delivery.payloadJson);
+
+    // what a receiver does: t=<unix sec>,v1=<hex HMAC-SHA256(secret, "<t>.<raw body>")>
+    const [, ts, v1] = headers["x-bankchain-signature"].match(/^t=(\d+),v1=([0-9a-f]{64})$/);
+    assert.ok(Math.abs(Number(ts) - Date.now() / 1000) < 60);
+    const expected = crypto.createHmac("sha256", sub.secret).update(`${ts}.${body}`).digest("hex");
+    assert.equal(v1, expected);
+  }
+});
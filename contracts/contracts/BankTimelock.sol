@@ -0,0 +1,23 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import {TimelockController} from "@openzeppelin/contracts/governance/TimelockController.sol";
+
+/**
+ * @title BankTimelock
+ * @notice Holds the admin roles of the bank contracts, so risk parameters (LendingPool.setParams, limits),
+ *         system addresses, treasury withdrawals and every grantRole/revokeRole only take effect after a delay.
+ *
+ * - PROPOSER_ROLE queues (`schedule` / `scheduleBatch`) and can cancel while the operation is pending.
+ * - EXECUTOR_ROLE runs it once `minDelay` has passed (a different key than the proposer).
+ * - The timelock administers itself: changing the delay or the proposer/executor set is a timelocked
+ *   operation too.
+ * - Every step emits CallScheduled / CallExecuted / Cancelled (indexed by the backend).
+ *
+ * Emergency pause stays with GUARDIAN_ROLE outside the timelock; unpausing (DEFAULT_ADMIN_ROLE) goes through it.
+ */
+contract BankTimelock is TimelockController {
+    constructor(uint256 minDelay, address[] memory proposers, address[] memory executors)
+        TimelockController(minDelay, proposers, executors, address(0))
+    {}
+}
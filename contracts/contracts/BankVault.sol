@@ -1,10 +1,11 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.24;
 
-import {AccessControl} from "@openzeppelin/contracts/access/AccessControl.sol";
 import {ReentrancyGuard} from "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import {DepositToken} from "./DepositToken.sol";
 import {KYCRegistry} from "./KYCRegistry.sol";
+import {LimitsPolicy} from "./LimitsPolicy.sol";
+import {GranularPausable} from "./GranularPausable.sol";
 
 /**
  * @title BankVault
@@ -14,18 +15,30 @@ import {KYCRegistry} from "./KYCRegistry.sol";
  * IMPORTANT: Using ETH as the deposit asset is a demo simplification.
  * In production you'd use fiat rails + accounting reconciliation,
  * or tokenized cash on a permissioned chain, etc.
+ *
+ * Limits: if a LimitsPolicy is set, deposits (max single amount), withdrawals and transferBKD
+ * (rolling 24h volume) are capped by the user's KYC level.
+ *
+ * Emergency stop: deposits and withdrawals can be paused separately (GranularPausable);
+ * transferBKD follows the token's TRANSFERS pause.
  */
-contract BankVault is AccessControl, ReentrancyGuard {
+contract BankVault is GranularPausable, ReentrancyGuard {
     bytes32 public constant TREASURY_ROLE = keccak256("TREASURY_ROLE");
 
+    bytes32 public constant DEPOSITS = "DEPOSITS";
+    bytes32 public constant WITHDRAWALS = "WITHDRAWALS";
+
     DepositToken public immutable token;
     KYCRegistry public immutable kyc;
+    LimitsPolicy public limits; // address(0) = no limits
 
     event Deposited(address indexed user, uint256 ethAmount, uint256 mintedBKD);
     event Withdrawn(address indexed user, uint256 burnedBKD, uint256 ethReturned);
     event TransferBKD(address indexed from, address indexed to, uint256 amount);
+    event LimitsPolicyUpdated(address limits);
 
     error NotKYCApproved(address user);
+    error LimitExceeded(address user, LimitsPolicy.Limit limit, uint256 requested, uint256 available);
 
     constructor(address admin, DepositToken _token, KYCRegistry _kyc) {
         token = _token;
@@ -33,6 +46,13 @@ contract BankVault is AccessControl, ReentrancyGuard {
 
         _grantRole(DEFAULT_ADMIN_ROLE, admin);
         _grantRole(TREASURY_ROLE, admin);
+        _grantRole(GUARDIAN_ROLE, admin);
+    }
+
+    function _pausableActions() internal pure override returns (bytes32[] memory actions) {
+        actions = new bytes32[](2);
+        actions[0] = DEPOSITS;
+        actions[1] = WITHDRAWALS;
     }
 
     modifier onlyKYC(address user) {
@@ -40,11 +60,23 @@ contract BankVault is AccessControl, ReentrancyGuard {
         _;
     }
 
+    function setLimitsPolicy(LimitsPolicy _limits) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        limits = _limits;
+        emit LimitsPolicyUpdated(address(_limits));
+    }
+
+    function _consumeLimit(address user, LimitsPolicy.Limit kind, uint256 amount) internal {
+        if (address(limits) == address(0)) return;
+        (bool ok, uint256 available) = limits.consume(user, kind, amount);
+        if (!ok) revert LimitExceeded(user, kind, amount, available);
+    }
+
     /**
      * @notice Deposit ETH and mint BKD 1:1 with wei (demo).
      */
-    function deposit() external payable nonReentrant onlyKYC(msg.sender) {
+    function deposit() external payable nonReentrant whenNotPaused(DEPOSITS) onlyKYC(msg.sender) {
         require(msg.value > 0, "Deposit must be > 0");
+        _consumeLimit(msg.sender, LimitsPolicy.Limit.Deposit, msg.value);
         token.mint(msg.sender, msg.value);
         emit Deposited(msg.sender, msg.value, msg.value);
     }
@@ -52,8 +84,9 @@ contract BankVault is AccessControl, ReentrancyGuard {
     /**
      * @notice Burn BKD and withdraw ETH 1:1 with wei (demo).
      */
-    function withdraw(uint256 amount) external nonReentrant onlyKYC(msg.sender) {
+    function withdraw(uint256 amount) external nonReentrant whenNotPaused(WITHDRAWALS) onlyKYC(msg.sender) {
         require(amount > 0, "Amount must be > 0");
+        _consumeLimit(msg.sender, LimitsPolicy.Limit.Withdrawal, amount);
         token.burn(msg.sender, amount);
         (bool ok,) = payable(msg.sender).call{value: amount}("");
         require(ok, "ETH transfer failed");
@@ -71,6 +104,7 @@ contract BankVault is AccessControl, ReentrancyGuard {
         onlyKYC(to)
     {
         require(amount > 0, "Amount must be > 0");
+        _consumeLimit(msg.sender, LimitsPolicy.Limit.Transfer, amount);
         // pull tokens then push to recipient
         require(token.transferFrom(msg.sender, address(this), amount), "transferFrom failed");
         require(token.transfer(to, amount), "transfer failed");
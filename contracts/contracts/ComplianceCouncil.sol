@@ -0,0 +1,243 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import {AccessControlEnumerable} from "@openzeppelin/contracts/access/extensions/AccessControlEnumerable.sol";
+import {EIP712} from "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import {ECDSA} from "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import {Nonces} from "@openzeppelin/contracts/utils/Nonces.sol";
+import {KYCRegistry} from "./KYCRegistry.sol";
+
+/**
+ * @title ComplianceCouncil
+ * @notice M-of-N multisig for KYC decisions: holds COMPLIANCE_ROLE on KYCRegistry instead of any single officer.
+ *
+ * - An officer (OFFICER_ROLE) proposes APPROVE(user, level, expiry) or REVOKE(user); proposing counts as
+ *   their confirmation. Other officers confirm; the confirmation that reaches `threshold` executes the
+ *   registry call in the same transaction.
+ * - Officers can take back their confirmation until execution; proposals expire after `proposalTtl`.
+ * - Only confirmations of accounts that still hold OFFICER_ROLE count: removing an officer withdraws their
+ *   confirmations from every open proposal. The threshold is at least 2 (no single officer decides alone)
+ *   and can't exceed the number of officers.
+ * - Every step also exists as *BySig: the officer signs EIP-712 typed data (with a per-officer nonce) and
+ *   anyone relays it, e.g. the backend, so officers don't need gas or a tx per confirmation.
+ * - Threshold / TTL / officer set are DEFAULT_ADMIN_ROLE (the timelock after deploy).
+ */
+contract ComplianceCouncil is AccessControlEnumerable, EIP712, Nonces {
+    bytes32 public constant OFFICER_ROLE = keccak256("OFFICER_ROLE");
+
+    bytes32 private constant PROPOSE_TYPEHASH =
+        keccak256("Propose(uint8 action,address user,uint8 level,uint64 kycExpiresAt,uint256 nonce)");
+    bytes32 private constant CONFIRM_TYPEHASH = keccak256("Confirm(uint256 proposalId,uint256 nonce)");
+    bytes32 private constant REVOKE_TYPEHASH = keccak256("RevokeConfirmation(uint256 proposalId,uint256 nonce)");
+
+    enum Action {
+        Approve,
+        Revoke
+    }
+
+    struct Proposal {
+        Action action;
+        address user;
+        uint8 level;
+        uint64 kycExpiresAt;
+        uint64 deadline;
+        address proposer;
+        uint16 confirmations; // recorded; confirmationCount() is what counts toward the threshold
+        bool executed;
+    }
+
+    KYCRegistry public immutable kyc;
+    uint16 public threshold;
+    uint64 public proposalTtl;
+    uint256 public proposalCount;
+
+    mapping(uint256 => Proposal) private _proposals;
+    mapping(uint256 => mapping(address => bool)) public hasConfirmed;
+
+    event Proposed(uint256 indexed id, Action action, address indexed user, address indexed proposer, uint64 deadline);
+    event Confirmed(uint256 indexed id, address indexed officer, uint16 confirmations);
+    event ConfirmationRevoked(uint256 indexed id, address indexed officer, uint16 confirmations);
+    event Executed(uint256 indexed id, Action action, address indexed user);
+    event ThresholdChanged(uint16 threshold);
+    event ProposalTtlChanged(uint64 ttl);
+
+    error NotOfficer(address account);
+    error InvalidSignature(address officer);
+    error UnknownProposal(uint256 id);
+    error ProposalExpired(uint256 id);
+    error AlreadyExecuted(uint256 id);
+    error AlreadyConfirmed(uint256 id, address officer);
+    error NotConfirmed(uint256 id, address officer);
+    error BelowThreshold(uint256 id);
+    error BadThreshold();
+    error BadTtl();
+
+    constructor(address admin, KYCRegistry _kyc, address[] memory officers, uint16 _threshold, uint64 _ttl)
+        EIP712("BankChain Compliance Council", "1")
+    {
+        kyc = _kyc;
+        _grantRole(DEFAULT_ADMIN_ROLE, admin);
+        for (uint256 i = 0; i < officers.length; i++) _grantRole(OFFICER_ROLE, officers[i]);
+        _setThreshold(_threshold);
+        _setProposalTtl(_ttl);
+
+        // KYCRegistry only takes decisions from KYC-approved compliance accounts: publish our own
+        // pending request so the council can be approved once at deploy time.
+        _kyc.requestKYC(keccak256("ComplianceCouncil"));
+    }
+
+    // ---- admin -------------------------------------------------------------------
+
+    function setThreshold(uint16 _threshold) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _setThreshold(_threshold);
+    }
+
+    function setProposalTtl(uint64 _ttl) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _setProposalTtl(_ttl);
+    }
+
+    // ---- views -------------------------------------------------------------------
+
+    function getProposal(uint256 id) external view returns (Proposal memory) {
+        if (id == 0 || id > proposalCount) revert UnknownProposal(id);
+        return _proposals[id];
+    }
+
+    /// @notice Confirmations of proposal `id` given by accounts that are officers right now.
+    function confirmationCount(uint256 id) public view returns (uint16 n) {
+        uint256 officers = getRoleMemberCount(OFFICER_ROLE);
+        for (uint256 i = 0; i < officers; i++) {
+            if (hasConfirmed[id][getRoleMember(OFFICER_ROLE, i)]) n++;
+        }
+    }
+
+    // ---- officer actions (direct) ------------------------------------------------
+
+    function propose(Action action, address user, uint8 level, uint64 kycExpiresAt) external returns (uint256) {
+        _requireOfficer(msg.sender);
+        return _propose(msg.sender, action, user, level, kycExpiresAt);
+    }
+
+    function confirm(uint256 id) external {
+        _requireOfficer(msg.sender);
+        _confirm(id, msg.sender);
+    }
+
+    function revokeConfirmation(uint256 id) external {
+        _requireOfficer(msg.sender);
+        _revokeConfirmation(id, msg.sender);
+    }
+
+    /// @notice Runs a proposal that has enough confirmations (e.g. after the threshold was lowered).
+    function execute(uint256 id) external {
+        Proposal storage p = _live(id);
+        if (confirmationCount(id) < threshold) revert BelowThreshold(id);
+        _execute(id, p);
+    }
+
+    // ---- officer actions (signed, relayed) ---------------------------------------
+
+    function proposeBySig(
+        Action action,
+        address user,
+        uint8 level,
+        uint64 kycExpiresAt,
+        address officer,
+        bytes calldata signature
+    ) external returns (uint256) {
+        bytes32 structHash = keccak256(
+            abi.encode(PROPOSE_TYPEHASH, uint8(action), user, level, kycExpiresAt, _useNonce(officer))
+        );
+        _requireSigned(officer, structHash, signature);
+        return _propose(officer, action, user, level, kycExpiresAt);
+    }
+
+    function confirmBySig(uint256 id, address officer, bytes calldata signature) external {
+        _requireSigned(officer, keccak256(abi.encode(CONFIRM_TYPEHASH, id, _useNonce(officer))), signature);
+        _confirm(id, officer);
+    }
+
+    function revokeConfirmationBySig(uint256 id, address officer, bytes calldata signature) external {
+        _requireSigned(officer, keccak256(abi.encode(REVOKE_TYPEHASH, id, _useNonce(officer))), signature);
+        _revokeConfirmation(id, officer);
+    }
+
+    // ---- internals ---------------------------------------------------------------
+
+    function _requireOfficer(address account) internal view {
+        if (!hasRole(OFFICER_ROLE, account)) revert NotOfficer(account);
+    }
+
+    function _requireSigned(address officer, bytes32 structHash, bytes calldata signature) internal view {
+        (address signer, ECDSA.RecoverError err,) = ECDSA.tryRecover(_hashTypedDataV4(structHash), signature);
+        if (err != ECDSA.RecoverError.NoError || signer != officer) revert InvalidSignature(officer);
+        _requireOfficer(officer);
+    }
+
+    function _live(uint256 id) internal view returns (Proposal storage p) {
+        if (id == 0 || id > proposalCount) revert UnknownProposal(id);
+        p = _proposals[id];
+        if (p.executed) revert AlreadyExecuted(id);
+        if (block.timestamp > p.deadline) revert ProposalExpired(id);
+    }
+
+    function _propose(address officer, Action action, address user, uint8 level, uint64 kycExpiresAt)
+        internal
+        returns (uint256 id)
+    {
+        require(user != address(0), "Bad user");
+        if (action == Action.Approve) require(level >= 1 && level <= 5, "Bad level");
+
+        id = ++proposalCount;
+        uint64 deadline = uint64(block.timestamp) + proposalTtl;
+        _proposals[id] = Proposal({
+            action: action,
+            user: user,
+            level: level,
+            kycExpiresAt: kycExpiresAt,
+            deadline: deadline,
+            proposer: officer,
+            confirmations: 0,
+            executed: false
+        });
+        emit Proposed(id, action, user, officer, deadline);
+        _confirm(id, officer);
+    }
+
+    function _confirm(uint256 id, address officer) internal {
+        Proposal storage p = _live(id);
+        if (hasConfirmed[id][officer]) revert AlreadyConfirmed(id, officer);
+        hasConfirmed[id][officer] = true;
+        p.confirmations += 1;
+        uint16 n = confirmationCount(id);
+        emit Confirmed(id, officer, n);
+        if (n >= threshold) _execute(id, p);
+    }
+
+    function _revokeConfirmation(uint256 id, address officer) internal {
+        Proposal storage p = _live(id);
+        if (!hasConfirmed[id][officer]) revert NotConfirmed(id, officer);
+        hasConfirmed[id][officer] = false;
+        p.confirmations -= 1;
+        emit ConfirmationRevoked(id, officer, confirmationCount(id));
+    }
+
+    function _execute(uint256 id, Proposal storage p) internal {
+        p.executed = true;
+        if (p.action == Action.Approve) kyc.approveFromRequest(p.user, p.level, p.kycExpiresAt);
+        else kyc.revokeKYC(p.user);
+        emit Executed(id, p.action, p.user);
+    }
+
+    function _setThreshold(uint16 _threshold) internal {
+        if (_threshold < 2 || _threshold > getRoleMemberCount(OFFICER_ROLE)) revert BadThreshold();
+        threshold = _threshold;
+        emit ThresholdChanged(_threshold);
+    }
+
+    function _setProposalTtl(uint64 _ttl) internal {
+        if (_ttl == 0) revert BadTtl();
+        proposalTtl = _ttl;
+        emit ProposalTtlChanged(_ttl);
+    }
+}
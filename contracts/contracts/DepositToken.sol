@@ -2,8 +2,9 @@
 pragma solidity ^0.8.24;
 
 import {ERC20} from "@openzeppelin/contracts/token/ERC20/ERC20.sol";
-import {AccessControl} from "@openzeppelin/contracts/access/AccessControl.sol";
 import {KYCRegistry} from "./KYCRegistry.sol";
+import {SanctionsRegistry} from "./SanctionsRegistry.sol";
+import {GranularPausable} from "./GranularPausable.sol";
 
 /**
  * @title DepositToken (BKD)
@@ -12,29 +13,66 @@ import {KYCRegistry} from "./KYCRegistry.sol";
  * Key point (banking reality):
  * - In regulated value systems, transfers must often be restricted to verified parties.
  * - This token enforces **KYC checks on every transfer** (unless a party is marked as a system address).
+ * - Addresses frozen in the SanctionsRegistry can neither send nor receive, even if KYC-approved.
+ * - TRANSFERS pause (GranularPausable): BKD can then only move INTO system addresses, so loans can
+ *   still be repaid to the LendingPool; mint/burn are paused through the vault instead.
  *
  * Roles:
  * - DEFAULT_ADMIN_ROLE: parameter + system address management
  * - MINTER_ROLE: mint/burn (BankVault)
+ * - SEIZURE_ROLE: court-ordered forceTransfer (bypasses KYC + freeze checks, and the pause)
+ * - GUARDIAN_ROLE: pause transfers (only the admin can unpause)
  */
-contract DepositToken is ERC20, AccessControl {
+contract DepositToken is ERC20, GranularPausable {
     bytes32 public constant MINTER_ROLE = keccak256("MINTER_ROLE");
+    bytes32 public constant SEIZURE_ROLE = keccak256("SEIZURE_ROLE");
+
+    bytes32 public constant TRANSFERS = "TRANSFERS";
 
     KYCRegistry public immutable kyc;
+    SanctionsRegistry public sanctions; // address(0) = no freeze checks
 
     mapping(address => bool) public isSystemAddress;
 
+    event SanctionsRegistryUpdated(address sanctions);
+    event ForcedTransfer(address indexed from, address indexed to, uint256 amount, bytes32 indexed caseRef, address by);
+
     error NotKYCApproved(address user);
+    error AccountFrozen(address user);
 
     constructor(address admin, KYCRegistry _kyc) ERC20("BankChain Deposit Token", "BKD") {
         kyc = _kyc;
         _grantRole(DEFAULT_ADMIN_ROLE, admin);
+        _grantRole(GUARDIAN_ROLE, admin);
+    }
+
+    function _pausableActions() internal pure override returns (bytes32[] memory actions) {
+        actions = new bytes32[](1);
+        actions[0] = TRANSFERS;
     }
 
     function setSystemAddress(address who, bool enabled) external onlyRole(DEFAULT_ADMIN_ROLE) {
         isSystemAddress[who] = enabled;
     }
 
+    function setSanctionsRegistry(SanctionsRegistry _sanctions) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        sanctions = _sanctions;
+        emit SanctionsRegistryUpdated(address(_sanctions));
+    }
+
+    /**
+     * @notice Court-order style transfer (seizure / restitution), allowed even from or to a frozen account.
+     * @param caseRef reference of the order (required), also emitted for the audit trail
+     */
+    function forceTransfer(address from, address to, uint256 amount, bytes32 caseRef) external onlyRole(SEIZURE_ROLE) {
+        require(caseRef != bytes32(0), "caseRef required");
+        if (from == address(0)) revert ERC20InvalidSender(address(0));
+        if (to == address(0)) revert ERC20InvalidReceiver(address(0));
+        // ERC20._update directly: skips the KYC / freeze checks below
+        super._update(from, to, amount);
+        emit ForcedTransfer(from, to, amount, caseRef, msg.sender);
+    }
+
     function mint(address to, uint256 amount) external onlyRole(MINTER_ROLE) {
         _mint(to, amount);
     }
@@ -45,27 +83,34 @@ contract DepositToken is ERC20, AccessControl {
 
     /**
      * @dev OpenZeppelin v5 uses _update as the transfer hook.
-     * Enforce KYC checks on transfers/mints/burns, unless an address is a system address.
+     * Enforce freeze + KYC checks on transfers/mints/burns, unless an address is a system address.
      */
     function _update(address from, address to, uint256 value) internal override {
         // Mint
         if (from == address(0)) {
-            if (!isSystemAddress[to] && !kyc.isKYCApproved(to)) revert NotKYCApproved(to);
+            _checkParty(to);
             super._update(from, to, value);
             return;
         }
 
         // Burn
         if (to == address(0)) {
-            if (!isSystemAddress[from] && !kyc.isKYCApproved(from)) revert NotKYCApproved(from);
+            _checkParty(from);
             super._update(from, to, value);
             return;
         }
 
         // Transfer
-        if (!isSystemAddress[from] && !kyc.isKYCApproved(from)) revert NotKYCApproved(from);
-        if (!isSystemAddress[to] && !kyc.isKYCApproved(to)) revert NotKYCApproved(to);
+        if (isPaused(TRANSFERS) && !isSystemAddress[to]) revert EnforcedPause(TRANSFERS);
+        _checkParty(from);
+        _checkParty(to);
 
         super._update(from, to, value);
     }
+
+    function _checkParty(address who) internal view {
+        if (isSystemAddress[who]) return;
+        if (address(sanctions) != address(0) && sanctions.isFrozen(who)) revert AccountFrozen(who);
+        if (!kyc.isKYCApproved(who)) revert NotKYCApproved(who);
+    }
 }
@@ -0,0 +1,72 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import {AccessControl} from "@openzeppelin/contracts/access/AccessControl.sol";
+
+/**
+ * @title GranularPausable
+ * @notice Emergency stop per action instead of one global switch (OpenZeppelin Pausable has a single flag).
+ *
+ * - GUARDIAN_ROLE can pause one action or everything right away (a hot key / monitoring bot is enough).
+ * - Only DEFAULT_ADMIN_ROLE can unpause: resuming is a deliberate decision, not something a leaked
+ *   guardian key can do.
+ * - Actions are bytes32 names ("DEPOSITS", "LENDING", ...) declared by the inheriting contract in
+ *   `_pausableActions()`; unknown names revert so a typo can't look like a successful pause.
+ */
+abstract contract GranularPausable is AccessControl {
+    bytes32 public constant GUARDIAN_ROLE = keccak256("GUARDIAN_ROLE");
+
+    mapping(bytes32 => bool) private _paused;
+
+    event Paused(bytes32 indexed action, address indexed by);
+    event Unpaused(bytes32 indexed action, address indexed by);
+
+    error EnforcedPause(bytes32 action);
+    error UnknownAction(bytes32 action);
+
+    modifier whenNotPaused(bytes32 action) {
+        if (_paused[action]) revert EnforcedPause(action);
+        _;
+    }
+
+    function _pausableActions() internal pure virtual returns (bytes32[] memory);
+
+    function isPaused(bytes32 action) public view returns (bool) {
+        return _paused[action];
+    }
+
+    /// @notice All actions of this contract with their current state (for dashboards / the backend).
+    function pauseState() external view returns (bytes32[] memory actions, bool[] memory paused) {
+        actions = _pausableActions();
+        paused = new bool[](actions.length);
+        for (uint256 i = 0; i < actions.length; i++) paused[i] = _paused[actions[i]];
+    }
+
+    function pause(bytes32 action) external onlyRole(GUARDIAN_ROLE) {
+        _requireAction(action);
+        _setPaused(action, true);
+    }
+
+    function pauseAll() external onlyRole(GUARDIAN_ROLE) {
+        bytes32[] memory actions = _pausableActions();
+        for (uint256 i = 0; i < actions.length; i++) _setPaused(actions[i], true);
+    }
+
+    function unpause(bytes32 action) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _requireAction(action);
+        _setPaused(action, false);
+    }
+
+    function _requireAction(bytes32 action) internal pure {
+        bytes32[] memory actions = _pausableActions();
+        for (uint256 i = 0; i < actions.length; i++) if (actions[i] == action) return;
+        revert UnknownAction(action);
+    }
+
+    function _setPaused(bytes32 action, bool paused) internal {
+        if (_paused[action] == paused) return;
+        _paused[action] = paused;
+        if (paused) emit Paused(action, msg.sender);
+        else emit Unpaused(action, msg.sender);
+    }
+}
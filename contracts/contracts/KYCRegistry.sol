@@ -48,6 +48,16 @@ contract KYCRegistry is AccessControl {
         return block.timestamp <= k.expiresAt;
     }
 
+    // Level (1-5) của user đang KYC-approved; 0 nếu chưa approved / đã hết hạn / bị revoke
+    function kycLevel(address user) external view returns (uint8) {
+        return isKYCApproved(user) ? _kyc[user].level : 0;
+    }
+
+    function getKYC(address user) external view returns (bool approved, uint8 level, uint64 expiresAt) {
+        KYCInfo memory k = _kyc[user];
+        return (k.approved, k.level, k.expiresAt);
+    }
+
     // ✅ User tự publish pending lên chain
     function requestKYC(bytes32 kycHash) external {
         require(kycHash != bytes32(0), "kycHash=0");
@@ -58,6 +68,7 @@ contract KYCRegistry is AccessControl {
     // ✅ Admin duyệt dựa trên pending on-chain (deploy.ts của bạn đang gọi cái này)
     function approveFromRequest(address user, uint8 level, uint64 expiresAt) external onlyComplianceApproved {
         require(pendingKycHash[user] != bytes32(0), "No on-chain pending request");
+        require(level >= 1 && level <= 5, "Bad level");
         _kyc[user] = KYCInfo({ approved: true, level: level, expiresAt: expiresAt });
         pendingKycHash[user] = bytes32(0);
         emit KYCApproved(user, msg.sender, level, expiresAt);
@@ -2,36 +2,91 @@
 pragma solidity ^0.8.24;
 
 import {ReentrancyGuard} from "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
-import {AccessControl} from "@openzeppelin/contracts/access/AccessControl.sol";
+import {Math} from "@openzeppelin/contracts/utils/math/Math.sol";
 import {DepositToken} from "./DepositToken.sol";
 import {KYCRegistry} from "./KYCRegistry.sol";
+import {LimitsPolicy} from "./LimitsPolicy.sol";
+import {GranularPausable} from "./GranularPausable.sol";
 
 /**
  * @title LendingPool
  * @notice Minimal lending product:
+ * - Lenders supply BKD and receive pool shares; shares redeem for principal + earned interest
  * - Users deposit BKD as collateral
- * - Users can borrow BKD up to an LTV (loan-to-value) threshold
- * - Interest accrues linearly per second on outstanding debt
+ * - Users can borrow BKD up to an LTV (loan-to-value) threshold, paid out of supplied liquidity only
+ *   (collateral is never lent out)
+ * - Borrow APR follows a kinked utilization curve (base + slope1 up to optimalUtilBps, + slope2 above it)
+ * - Interest compounds into a global borrowIndex at every interaction; each account stores
+ *   scaledDebt = debt / borrowIndex, so debt = scaledDebt * borrowIndex (no per-account accrual)
+ * - Accounts whose debt exceeds collateral * liquidationThresholdBps can be liquidated:
+ *   a liquidator repays up to closeFactorBps of the debt and seizes that amount + bonus
+ *   from the collateral; debt left once collateral is gone is written off as bad debt
+ *   (absorbed by reserves first, then by lenders through the share price)
+ * - reserveFactorBps of the interest is set aside as reserves, paid out to `treasury`
+ *
+ * If a LimitsPolicy is set, a borrow may not take the account's debt above the KYC level's maxBorrow.
+ *
+ * Emergency stop: the LENDING pause (GranularPausable) halts supply, redeem, collateral moves, borrowing
+ * and liquidations. Repay stays open so borrowers can always reduce their debt.
+ *
+ * Liquidity is tracked internally (totalCash / totalCollateral), not from balanceOf, so BKD sent
+ * to the pool directly cannot move the share price.
  *
  * This is deliberately simple, but maps to real lending concepts:
  * - collateral ratio / LTV
  * - interest rate model
  * - repayment flows
+ * - deposit funding / net interest margin
  */
-contract LendingPool is AccessControl, ReentrancyGuard {
+contract LendingPool is GranularPausable, ReentrancyGuard {
     bytes32 public constant RISK_ROLE = keccak256("RISK_ROLE");
 
+    bytes32 public constant LENDING = "LENDING";
+
     DepositToken public immutable token;
     KYCRegistry public immutable kyc;
+    LimitsPolicy public limits; // address(0) = no limits
+
+    uint256 private constant WAD = 1e18;
 
     // parameters (demo defaults)
     uint256 public maxLTVBps = 5000; // 50% (in basis points)
-    uint256 public annualRateBps = 800; // 8% APR
+
+    // interest rate model (demo defaults): APR at utilization u
+    //   u <= optimal: base + slope1 * u / optimal
+    //   u >  optimal: base + slope1 + slope2 * (u - optimal) / (100% - optimal)
+    uint256 public baseRateBps = 200; // 2% APR at 0% utilization
+    uint256 public slope1Bps = 800; // +8% up to the kink
+    uint256 public slope2Bps = 7500; // +75% from the kink to 100% utilization
+    uint256 public optimalUtilBps = 8000; // kink at 80% utilization
+
+    // global borrow index (WAD), compounded at each accrual with the rate in force since the last one
+    uint256 public borrowIndex = WAD;
+    uint256 public lastAccrualTime;
+    uint256 public totalScaledDebt;
+
+    // lender side
+    uint256 public totalCash; // supplied liquidity not lent out (incl. uncollected reserves)
+    uint256 public totalCollateral;
+    uint256 public totalShares;
+    mapping(address => uint256) public supplyShares;
+
+    // reserves: reserveFactorBps of accrued interest belongs to the treasury
+    uint256 public reserveFactorBps = 1000; // 10%
+    uint256 public totalReserves;
+    address public treasury;
+
+    // liquidation parameters (demo defaults)
+    uint256 public liquidationThresholdBps = 7500; // 75%: must stay above maxLTVBps
+    uint256 public closeFactorBps = 5000; // max 50% of the debt repaid per liquidation
+    uint256 public liquidationBonusBps = 500; // liquidator receives repaid amount + 5% in collateral
+
+    // debt written off because the account ran out of collateral
+    uint256 public totalBadDebt;
 
     struct Account {
         uint256 collateral; // BKD deposited as collateral
-        uint256 debt;       // BKD principal + accrued interest
-        uint256 lastAccrued;
+        uint256 scaledDebt; // debt / borrowIndex (WAD)
     }
 
     mapping(address => Account) public accounts;
@@ -40,20 +95,48 @@ contract LendingPool is AccessControl, ReentrancyGuard {
     event CollateralWithdrawn(address indexed user, uint256 amount);
     event Borrowed(address indexed user, uint256 amount, uint256 newDebt);
     event Repaid(address indexed user, uint256 amount, uint256 remainingDebt);
-    event ParamsUpdated(uint256 maxLTVBps, uint256 annualRateBps);
+    event ParamsUpdated(uint256 maxLTVBps);
+    event RateModelUpdated(uint256 baseRateBps, uint256 slope1Bps, uint256 slope2Bps, uint256 optimalUtilBps);
+    event LiquidationParamsUpdated(uint256 liquidationThresholdBps, uint256 closeFactorBps, uint256 liquidationBonusBps);
+    event Liquidated(
+        address indexed user,
+        address indexed liquidator,
+        uint256 repaid,
+        uint256 seized,
+        uint256 remainingDebt
+    );
+    event BadDebtWrittenOff(address indexed user, uint256 amount);
+    event Supplied(address indexed user, uint256 amount, uint256 shares);
+    event Redeemed(address indexed user, uint256 amount, uint256 shares);
+    event ReservesCollected(address indexed treasury, uint256 amount);
+    event ReserveParamsUpdated(address treasury, uint256 reserveFactorBps);
+    event LimitsPolicyUpdated(address limits);
 
     error NotKYCApproved(address user);
     error InsufficientCollateral();
     error BorrowTooLarge();
     error DebtOutstanding();
     error AmountZero();
+    error NotLiquidatable();
+    error InsufficientLiquidity();
+    error InsufficientShares();
+    error NoLenderAssets();
+    error LimitExceeded(address user, LimitsPolicy.Limit limit, uint256 requested, uint256 available);
 
     constructor(address admin, DepositToken _token, KYCRegistry _kyc) {
         token = _token;
         kyc = _kyc;
+        lastAccrualTime = block.timestamp;
+        treasury = admin;
 
         _grantRole(DEFAULT_ADMIN_ROLE, admin);
         _grantRole(RISK_ROLE, admin);
+        _grantRole(GUARDIAN_ROLE, admin);
+    }
+
+    function _pausableActions() internal pure override returns (bytes32[] memory actions) {
+        actions = new bytes32[](1);
+        actions[0] = LENDING;
     }
 
     modifier onlyKYC(address user) {
@@ -61,43 +144,177 @@ contract LendingPool is AccessControl, ReentrancyGuard {
         _;
     }
 
-    function setParams(uint256 _maxLTVBps, uint256 _annualRateBps) external onlyRole(RISK_ROLE) {
+    function setParams(uint256 _maxLTVBps) external onlyRole(RISK_ROLE) {
         require(_maxLTVBps <= 9000, "LTV too high");
-        require(_annualRateBps <= 5000, "APR too high");
+        require(_maxLTVBps < liquidationThresholdBps, "LTV must be below liquidation threshold");
         maxLTVBps = _maxLTVBps;
-        annualRateBps = _annualRateBps;
-        emit ParamsUpdated(_maxLTVBps, _annualRateBps);
+        emit ParamsUpdated(_maxLTVBps);
     }
 
-    function _accrue(address user) internal {
-        Account storage a = accounts[user];
-        if (a.debt == 0) {
-            a.lastAccrued = block.timestamp;
-            return;
+    function setLimitsPolicy(LimitsPolicy _limits) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        limits = _limits;
+        emit LimitsPolicyUpdated(address(_limits));
+    }
+
+    /**
+     * @notice Update the kinked rate model. Interest up to now is accrued at the old rates first,
+     * so the change only applies going forward.
+     */
+    function setRateModel(uint256 _baseRateBps, uint256 _slope1Bps, uint256 _slope2Bps, uint256 _optimalUtilBps)
+        external
+        onlyRole(RISK_ROLE)
+    {
+        require(_optimalUtilBps > 0 && _optimalUtilBps < 10000, "Bad optimal utilization");
+        require(_baseRateBps + _slope1Bps + _slope2Bps <= 20000, "APR too high");
+        _accrue();
+        baseRateBps = _baseRateBps;
+        slope1Bps = _slope1Bps;
+        slope2Bps = _slope2Bps;
+        optimalUtilBps = _optimalUtilBps;
+        emit RateModelUpdated(_baseRateBps, _slope1Bps, _slope2Bps, _optimalUtilBps);
+    }
+
+    function setLiquidationParams(uint256 _thresholdBps, uint256 _closeFactorBps, uint256 _bonusBps)
+        external
+        onlyRole(RISK_ROLE)
+    {
+        require(_thresholdBps > maxLTVBps && _thresholdBps <= 9500, "Bad liquidation threshold");
+        require(_closeFactorBps > 0 && _closeFactorBps <= 10000, "Bad close factor");
+        require(_bonusBps <= 2000, "Bonus too high");
+        liquidationThresholdBps = _thresholdBps;
+        closeFactorBps = _closeFactorBps;
+        liquidationBonusBps = _bonusBps;
+        emit LiquidationParamsUpdated(_thresholdBps, _closeFactorBps, _bonusBps);
+    }
+
+    /**
+     * @notice Treasury must be KYC-approved or a token system address to receive reserves.
+     */
+    function setReserveParams(address _treasury, uint256 _reserveFactorBps) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(_treasury != address(0), "Bad treasury");
+        require(_reserveFactorBps <= 5000, "Reserve factor too high");
+        _accrue();
+        treasury = _treasury;
+        reserveFactorBps = _reserveFactorBps;
+        emit ReserveParamsUpdated(_treasury, _reserveFactorBps);
+    }
+
+    function _utilizationBps(uint256 cash, uint256 borrows) internal pure returns (uint256) {
+        if (borrows == 0) return 0;
+        return (borrows * 10000) / (cash + borrows);
+    }
+
+    function _borrowRateBps(uint256 utilBps) internal view returns (uint256) {
+        if (utilBps <= optimalUtilBps) {
+            return baseRateBps + (slope1Bps * utilBps) / optimalUtilBps;
         }
-        uint256 dt = block.timestamp - a.lastAccrued;
-        if (dt == 0) return;
+        return baseRateBps + slope1Bps + (slope2Bps * (utilBps - optimalUtilBps)) / (10000 - optimalUtilBps);
+    }
+
+    // Index and reserves compounded up to now, using the rate implied by utilization at the last accrual.
+    function _accrued() internal view returns (uint256 index, uint256 reserves) {
+        index = borrowIndex;
+        reserves = totalReserves;
+        uint256 dt = block.timestamp - lastAccrualTime;
+        if (dt == 0 || totalScaledDebt == 0) return (index, reserves);
+
+        uint256 borrows = (totalScaledDebt * borrowIndex) / WAD;
+        uint256 rate = _borrowRateBps(_utilizationBps(totalCash, borrows));
+        index = borrowIndex + (borrowIndex * rate * dt) / (10000 * 365 days);
+        uint256 interest = (totalScaledDebt * index) / WAD - borrows;
+        reserves += (interest * reserveFactorBps) / 10000;
+    }
+
+    function _accrue() internal {
+        if (block.timestamp == lastAccrualTime) return;
+        (borrowIndex, totalReserves) = _accrued();
+        lastAccrualTime = block.timestamp;
+    }
+
+    // What lenders own: cash + outstanding borrows - reserves.
+    function _lenderAssets(uint256 index, uint256 reserves) internal view returns (uint256) {
+        uint256 gross = totalCash + (totalScaledDebt * index) / WAD;
+        return gross > reserves ? gross - reserves : 0;
+    }
+
+    function _debtOf(Account storage a) internal view returns (uint256) {
+        return (a.scaledDebt * borrowIndex) / WAD;
+    }
 
-        // simple interest: debt += debt * rate * dt / year
-        // rate in bps: annualRateBps / 10000
-        uint256 interest = (a.debt * annualRateBps * dt) / (10000 * 365 days);
-        a.debt += interest;
-        a.lastAccrued = block.timestamp;
+    // Store a new debt for `a` at the current index (rounded up so the pool is never short-changed).
+    function _setDebt(Account storage a, uint256 newDebt) internal {
+        uint256 newScaled = newDebt == 0 ? 0 : Math.mulDiv(newDebt, WAD, borrowIndex, Math.Rounding.Ceil);
+        totalScaledDebt = totalScaledDebt - a.scaledDebt + newScaled;
+        a.scaledDebt = newScaled;
     }
 
-    function depositCollateral(uint256 amount) external nonReentrant onlyKYC(msg.sender) {
+    /**
+     * @notice Reverts with NoLenderAssets while shares are outstanding but worth nothing (write-offs took
+     * every lender asset): any price would hand the new BKD to the old shares. Supply reopens, at 1:1,
+     * once those shares are redeemed (for 0).
+     */
+    function supply(uint256 amount) external nonReentrant whenNotPaused(LENDING) onlyKYC(msg.sender) {
         if (amount == 0) revert AmountZero();
-        _accrue(msg.sender);
+        _accrue();
+
+        uint256 assets = _lenderAssets(borrowIndex, totalReserves);
+        if (totalShares > 0 && assets == 0) revert NoLenderAssets();
+        uint256 shares = totalShares == 0 ? amount : (amount * totalShares) / assets;
+        if (shares == 0) revert AmountZero();
+
+        require(token.transferFrom(msg.sender, address(this), amount), "transferFrom failed");
+        totalCash += amount;
+        totalShares += shares;
+        supplyShares[msg.sender] += shares;
+
+        emit Supplied(msg.sender, amount, shares);
+    }
+
+    function redeem(uint256 shares) external nonReentrant whenNotPaused(LENDING) onlyKYC(msg.sender) {
+        if (shares == 0) revert AmountZero();
+        if (supplyShares[msg.sender] < shares) revert InsufficientShares();
+        _accrue();
+
+        uint256 amount = (shares * _lenderAssets(borrowIndex, totalReserves)) / totalShares;
+        if (amount > totalCash) revert InsufficientLiquidity();
+
+        supplyShares[msg.sender] -= shares;
+        totalShares -= shares;
+        totalCash -= amount;
+        require(token.transfer(msg.sender, amount), "transfer failed");
+
+        emit Redeemed(msg.sender, amount, shares);
+    }
+
+    /**
+     * @notice Pay accrued reserves to the treasury, as far as cash allows (the rest is still lent out).
+     */
+    function collectReserves() external nonReentrant onlyRole(RISK_ROLE) {
+        _accrue();
+        uint256 amount = totalReserves < totalCash ? totalReserves : totalCash;
+        if (amount == 0) revert AmountZero();
+
+        totalReserves -= amount;
+        totalCash -= amount;
+        require(token.transfer(treasury, amount), "transfer failed");
+
+        emit ReservesCollected(treasury, amount);
+    }
+
+    function depositCollateral(uint256 amount) external nonReentrant whenNotPaused(LENDING) onlyKYC(msg.sender) {
+        if (amount == 0) revert AmountZero();
+        _accrue();
 
         require(token.transferFrom(msg.sender, address(this), amount), "transferFrom failed");
         accounts[msg.sender].collateral += amount;
+        totalCollateral += amount;
 
         emit CollateralDeposited(msg.sender, amount);
     }
 
-    function withdrawCollateral(uint256 amount) external nonReentrant onlyKYC(msg.sender) {
+    function withdrawCollateral(uint256 amount) external nonReentrant whenNotPaused(LENDING) onlyKYC(msg.sender) {
         if (amount == 0) revert AmountZero();
-        _accrue(msg.sender);
+        _accrue();
 
         Account storage a = accounts[msg.sender];
         require(a.collateral >= amount, "Not enough collateral");
@@ -105,60 +322,170 @@ contract LendingPool is AccessControl, ReentrancyGuard {
         // after withdrawal, still must satisfy LTV: debt <= collateral * maxLTV
         uint256 newCollateral = a.collateral - amount;
         uint256 maxDebtAllowed = (newCollateral * maxLTVBps) / 10000;
-        if (a.debt > maxDebtAllowed) revert InsufficientCollateral();
+        if (_debtOf(a) > maxDebtAllowed) revert InsufficientCollateral();
 
         a.collateral = newCollateral;
+        totalCollateral -= amount;
         require(token.transfer(msg.sender, amount), "transfer failed");
 
         emit CollateralWithdrawn(msg.sender, amount);
     }
 
-    function borrow(uint256 amount) external nonReentrant onlyKYC(msg.sender) {
+    function borrow(uint256 amount) external nonReentrant whenNotPaused(LENDING) onlyKYC(msg.sender) {
         if (amount == 0) revert AmountZero();
-        _accrue(msg.sender);
+        _accrue();
 
         Account storage a = accounts[msg.sender];
+        uint256 debt = _debtOf(a);
+        uint256 newDebt = debt + amount;
         uint256 maxDebtAllowed = (a.collateral * maxLTVBps) / 10000;
-        if (a.debt + amount > maxDebtAllowed) revert BorrowTooLarge();
+        if (newDebt > maxDebtAllowed) revert BorrowTooLarge();
+        if (amount > totalCash) revert InsufficientLiquidity();
+        if (address(limits) != address(0)) {
+            (bool ok, uint256 maxDebt) = limits.consume(msg.sender, LimitsPolicy.Limit.Borrow, newDebt);
+            if (!ok) {
+                revert LimitExceeded(msg.sender, LimitsPolicy.Limit.Borrow, amount, maxDebt > debt ? maxDebt - debt : 0);
+            }
+        }
 
-        a.debt += amount;
+        _setDebt(a, newDebt);
+        totalCash -= amount;
         require(token.transfer(msg.sender, amount), "transfer failed");
 
-        emit Borrowed(msg.sender, amount, a.debt);
+        emit Borrowed(msg.sender, amount, newDebt);
     }
 
     function repay(uint256 amount) external nonReentrant onlyKYC(msg.sender) {
         if (amount == 0) revert AmountZero();
-        _accrue(msg.sender);
+        _accrue();
 
         Account storage a = accounts[msg.sender];
-        require(a.debt > 0, "No debt");
+        uint256 debt = _debtOf(a);
+        require(debt > 0, "No debt");
+
+        if (amount >= debt) {
+            // only pull what is owed (no refund leg, so repay also works while token transfers are paused)
+            require(token.transferFrom(msg.sender, address(this), debt), "transferFrom failed");
+            _setDebt(a, 0);
+            totalCash += debt;
+            emit Repaid(msg.sender, debt, 0);
+        } else {
+            require(token.transferFrom(msg.sender, address(this), amount), "transferFrom failed");
+            _setDebt(a, debt - amount);
+            totalCash += amount;
+            emit Repaid(msg.sender, amount, debt - amount);
+        }
+    }
 
-        require(token.transferFrom(msg.sender, address(this), amount), "transferFrom failed");
+    /**
+     * @notice Repay part of an unhealthy account's debt and seize collateral + bonus.
+     * @param repayAmount capped at closeFactorBps of the debt, and at what the collateral can pay for.
+     */
+    function liquidate(address user, uint256 repayAmount)
+        external
+        nonReentrant
+        whenNotPaused(LENDING)
+        onlyKYC(msg.sender)
+    {
+        if (repayAmount == 0) revert AmountZero();
+        _accrue();
+
+        Account storage a = accounts[user];
+        uint256 debt = _debtOf(a);
+        if (!_isLiquidatable(a.collateral, debt)) revert NotLiquidatable();
 
-        if (amount >= a.debt) {
-            uint256 over = amount - a.debt;
-            a.debt = 0;
-            a.lastAccrued = block.timestamp;
+        uint256 maxRepay = (debt * closeFactorBps) / 10000;
+        uint256 repay = repayAmount > maxRepay ? maxRepay : repayAmount;
+        uint256 seize = (repay * (10000 + liquidationBonusBps)) / 10000;
 
-            // refund any overpayment
-            if (over > 0) {
-                require(token.transfer(msg.sender, over), "refund failed");
-            }
-            emit Repaid(msg.sender, amount - over, 0);
-        } else {
-            a.debt -= amount;
-            emit Repaid(msg.sender, amount, a.debt);
+        // Not enough collateral for repay + bonus: seize everything, charge the liquidator less.
+        if (seize > a.collateral) {
+            seize = a.collateral;
+            repay = (seize * 10000) / (10000 + liquidationBonusBps);
+        }
+        if (repay == 0) revert AmountZero();
+
+        require(token.transferFrom(msg.sender, address(this), repay), "transferFrom failed");
+        debt -= repay;
+        _setDebt(a, debt);
+        totalCash += repay;
+        a.collateral -= seize;
+        totalCollateral -= seize;
+        require(token.transfer(msg.sender, seize), "transfer failed");
+
+        emit Liquidated(user, msg.sender, repay, seize, debt);
+
+        if (a.collateral == 0 && debt > 0) {
+            totalBadDebt += debt;
+            _setDebt(a, 0);
+            // reserves take the loss first; the rest lowers the share price
+            totalReserves = totalReserves > debt ? totalReserves - debt : 0;
+            emit BadDebtWrittenOff(user, debt);
         }
     }
 
-    function getAccount(address user) external view returns (uint256 collateral, uint256 debt, uint256 lastAccrued) {
+    function _isLiquidatable(uint256 collateral, uint256 debt) internal view returns (bool) {
+        return debt > 0 && debt * 10000 > collateral * liquidationThresholdBps;
+    }
+
+    function isLiquidatable(address user) external view returns (bool) {
+        Account memory a = accounts[user];
+        (uint256 index, ) = _accrued();
+        return _isLiquidatable(a.collateral, (a.scaledDebt * index) / WAD);
+    }
+
+    function getAccount(address user)
+        external
+        view
+        returns (uint256 collateral, uint256 debt, uint256 scaledDebt, uint256 borrowRateBps, uint256 utilizationBps)
+    {
         Account memory a = accounts[user];
+        (uint256 index, ) = _accrued();
+        (, , utilizationBps, borrowRateBps, , , , ) = getPoolState();
+        return (a.collateral, (a.scaledDebt * index) / WAD, a.scaledDebt, borrowRateBps, utilizationBps);
+    }
+
+    /**
+     * @notice Lender position as of now: shares and what they redeem for (principal + interest).
+     */
+    function getSupplyPosition(address user) external view returns (uint256 shares, uint256 value) {
+        shares = supplyShares[user];
+        if (shares == 0) return (0, 0);
+        (uint256 index, uint256 reserves) = _accrued();
+        value = (shares * _lenderAssets(index, reserves)) / totalShares;
+    }
 
-        // View function computes what debt would be if accrued up to now
-        if (a.debt == 0) return (a.collateral, 0, a.lastAccrued);
-        uint256 dt = block.timestamp - a.lastAccrued;
-        uint256 interest = (a.debt * annualRateBps * dt) / (10000 * 365 days);
-        return (a.collateral, a.debt + interest, a.lastAccrued);
+    /**
+     * @notice Pool-wide view as of now (pending interest included).
+     * @return totalBorrows outstanding debt of all accounts
+     * @return cash supplied liquidity not lent out
+     * @return utilizationBps totalBorrows / (cash + totalBorrows)
+     * @return borrowRateBps current borrow APR
+     * @return index borrowIndex compounded up to now (WAD)
+     * @return lastAccrual timestamp of the last stored accrual
+     * @return supplyRateBps current lender APR (borrow APR * utilization * (1 - reserve factor))
+     * @return reserves reserves accrued and not yet collected
+     */
+    function getPoolState()
+        public
+        view
+        returns (
+            uint256 totalBorrows,
+            uint256 cash,
+            uint256 utilizationBps,
+            uint256 borrowRateBps,
+            uint256 index,
+            uint256 lastAccrual,
+            uint256 supplyRateBps,
+            uint256 reserves
+        )
+    {
+        (index, reserves) = _accrued();
+        totalBorrows = (totalScaledDebt * index) / WAD;
+        cash = totalCash;
+        utilizationBps = _utilizationBps(cash, totalBorrows);
+        borrowRateBps = _borrowRateBps(utilizationBps);
+        lastAccrual = lastAccrualTime;
+        supplyRateBps = (borrowRateBps * utilizationBps * (10000 - reserveFactorBps)) / 1e8;
     }
 }
@@ -0,0 +1,140 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import {AccessControl} from "@openzeppelin/contracts/access/AccessControl.sol";
+import {KYCRegistry} from "./KYCRegistry.sol";
+
+/**
+ * @title LimitsPolicy
+ * @notice Per-user transaction limits keyed by KYC level (1-5), like account tiers at a bank:
+ * - Deposit:    max single deposit
+ * - Withdrawal: max withdrawn volume per rolling 24h
+ * - Transfer:   max transferBKD volume per rolling 24h
+ * - Borrow:     max outstanding debt
+ *
+ * Rolling windows are kept in 24 hourly buckets per user and limit (ring buffer): usage older
+ * than 24h drops out hour by hour, with bounded gas.
+ *
+ * Roles:
+ * - RISK_ROLE: set limits per level
+ * - ENFORCER_ROLE: contracts that consume limits (BankVault, LendingPool)
+ */
+contract LimitsPolicy is AccessControl {
+    bytes32 public constant RISK_ROLE = keccak256("RISK_ROLE");
+    bytes32 public constant ENFORCER_ROLE = keccak256("ENFORCER_ROLE");
+
+    uint8 public constant MAX_LEVEL = 5;
+    uint256 private constant BUCKET = 1 hours;
+    uint256 private constant BUCKETS = 24;
+
+    enum Limit {
+        Deposit,
+        Withdrawal,
+        Transfer,
+        Borrow
+    }
+
+    struct Limits {
+        uint256 maxDeposit;
+        uint256 dailyWithdrawal;
+        uint256 dailyTransfer;
+        uint256 maxBorrow;
+    }
+
+    struct Bucket {
+        uint64 hour; // block.timestamp / 1 hours
+        uint192 amount;
+    }
+
+    KYCRegistry public immutable kyc;
+
+    mapping(uint8 => Limits) private _limits;
+    mapping(address => mapping(Limit => Bucket[BUCKETS])) private _usage;
+
+    event LimitsUpdated(uint8 indexed level, uint256 maxDeposit, uint256 dailyWithdrawal, uint256 dailyTransfer, uint256 maxBorrow);
+
+    constructor(address admin, KYCRegistry _kyc) {
+        kyc = _kyc;
+
+        _grantRole(DEFAULT_ADMIN_ROLE, admin);
+        _grantRole(RISK_ROLE, admin);
+
+        // demo defaults (BKD, 18 decimals)
+        _setLimits(1, Limits(2 ether, 2 ether, 1 ether, 1 ether));
+        _setLimits(2, Limits(10 ether, 10 ether, 5 ether, 5 ether));
+        _setLimits(3, Limits(50 ether, 50 ether, 25 ether, 25 ether));
+        _setLimits(4, Limits(250 ether, 250 ether, 100 ether, 100 ether));
+        _setLimits(5, Limits(1000 ether, 1000 ether, 500 ether, 500 ether));
+    }
+
+    function setLimits(uint8 level, Limits calldata l) external onlyRole(RISK_ROLE) {
+        _setLimits(level, l);
+    }
+
+    function _setLimits(uint8 level, Limits memory l) internal {
+        require(level >= 1 && level <= MAX_LEVEL, "Bad level");
+        _limits[level] = l;
+        emit LimitsUpdated(level, l.maxDeposit, l.dailyWithdrawal, l.dailyTransfer, l.maxBorrow);
+    }
+
+    function limitsOf(uint8 level) external view returns (Limits memory) {
+        return _limits[level];
+    }
+
+    /// @notice Limit value for the user's current KYC level (0 if not approved).
+    function limitOf(address user, Limit kind) public view returns (uint256) {
+        Limits memory l = _limits[kyc.kycLevel(user)];
+        if (kind == Limit.Deposit) return l.maxDeposit;
+        if (kind == Limit.Withdrawal) return l.dailyWithdrawal;
+        if (kind == Limit.Transfer) return l.dailyTransfer;
+        return l.maxBorrow;
+    }
+
+    /// @notice Volume used in the last 24h (only Withdrawal / Transfer are windowed).
+    function usedInWindow(address user, Limit kind) public view returns (uint256 used) {
+        if (!_windowed(kind)) return 0;
+        uint256 nowHour = block.timestamp / BUCKET;
+        Bucket[BUCKETS] storage buckets = _usage[user][kind];
+        for (uint256 i = 0; i < BUCKETS; i++) {
+            Bucket memory b = buckets[i];
+            if (b.hour + BUCKETS > nowHour) used += b.amount;
+        }
+    }
+
+    /// @notice Headroom now: windowed limits minus 24h usage; Deposit / Borrow return the cap itself.
+    function remaining(address user, Limit kind) public view returns (uint256) {
+        uint256 cap = limitOf(user, kind);
+        uint256 used = usedInWindow(user, kind);
+        return cap > used ? cap - used : 0;
+    }
+
+    /**
+     * @notice Check `amount` against the user's limit and record it if it fits.
+     * For Borrow, `amount` is the debt after the borrow (nothing is recorded).
+     * @return ok whether the amount fits
+     * @return headroom what was available before this call
+     */
+    function consume(address user, Limit kind, uint256 amount)
+        external
+        onlyRole(ENFORCER_ROLE)
+        returns (bool ok, uint256 headroom)
+    {
+        headroom = remaining(user, kind);
+        if (amount > headroom) return (false, headroom);
+
+        if (_windowed(kind)) {
+            uint256 nowHour = block.timestamp / BUCKET;
+            Bucket storage b = _usage[user][kind][nowHour % BUCKETS];
+            if (b.hour != nowHour) {
+                b.hour = uint64(nowHour);
+                b.amount = 0;
+            }
+            b.amount += uint192(amount);
+        }
+        return (true, headroom);
+    }
+
+    function _windowed(Limit kind) internal pure returns (bool) {
+        return kind == Limit.Withdrawal || kind == Limit.Transfer;
+    }
+}
@@ -0,0 +1,77 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import {AccessControl} from "@openzeppelin/contracts/access/AccessControl.sol";
+
+/**
+ * @title SanctionsRegistry
+ * @notice Sanctions denylist / account freeze, checked by DepositToken on every transfer.
+ *
+ * - COMPLIANCE_ROLE freezes / unfreezes one address or a batch, always with a reason code
+ *   (bytes32, e.g. "OFAC_SDN", "EU_CONSOLIDATED", "COURT_ORDER", "FRAUD_INVESTIGATION").
+ * - A frozen address can neither send nor receive BKD, even if it is KYC-approved.
+ * - Every change emits an event (audit trail).
+ */
+contract SanctionsRegistry is AccessControl {
+    bytes32 public constant COMPLIANCE_ROLE = keccak256("COMPLIANCE_ROLE");
+
+    struct Freeze {
+        bool frozen;
+        bytes32 reason;
+        uint64 since;
+    }
+
+    mapping(address => Freeze) private _freezes;
+
+    event AddressFrozen(address indexed account, bytes32 indexed reason, address indexed by);
+    event AddressUnfrozen(address indexed account, bytes32 indexed reason, address indexed by);
+
+    error ReasonRequired();
+    error AlreadyFrozen(address account);
+    error NotFrozen(address account);
+
+    constructor(address admin) {
+        _grantRole(DEFAULT_ADMIN_ROLE, admin);
+        _grantRole(COMPLIANCE_ROLE, admin);
+    }
+
+    function isFrozen(address account) external view returns (bool) {
+        return _freezes[account].frozen;
+    }
+
+    function getFreeze(address account) external view returns (bool frozen, bytes32 reason, uint64 since) {
+        Freeze memory f = _freezes[account];
+        return (f.frozen, f.reason, f.since);
+    }
+
+    function freeze(address account, bytes32 reason) external onlyRole(COMPLIANCE_ROLE) {
+        _freeze(account, reason);
+    }
+
+    function unfreeze(address account, bytes32 reason) external onlyRole(COMPLIANCE_ROLE) {
+        _unfreeze(account, reason);
+    }
+
+    /// @notice Bulk list import: one reason code for the whole batch; already-frozen entries revert.
+    function freezeBatch(address[] calldata accounts, bytes32 reason) external onlyRole(COMPLIANCE_ROLE) {
+        for (uint256 i = 0; i < accounts.length; i++) _freeze(accounts[i], reason);
+    }
+
+    function unfreezeBatch(address[] calldata accounts, bytes32 reason) external onlyRole(COMPLIANCE_ROLE) {
+        for (uint256 i = 0; i < accounts.length; i++) _unfreeze(accounts[i], reason);
+    }
+
+    function _freeze(address account, bytes32 reason) internal {
+        if (reason == bytes32(0)) revert ReasonRequired();
+        if (_freezes[account].frozen) revert AlreadyFrozen(account);
+        _freezes[account] = Freeze({ frozen: true, reason: reason, since: uint64(block.timestamp) });
+        emit AddressFrozen(account, reason, msg.sender);
+    }
+
+    function _unfreeze(address account, bytes32 reason) internal {
+        if (reason == bytes32(0)) revert ReasonRequired();
+        if (!_freezes[account].frozen) revert NotFrozen(account);
+        delete _freezes[account];
+        emit AddressUnfrozen(account, reason, msg.sender);
+    }
+}
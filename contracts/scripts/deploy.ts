@@ -8,13 +8,33 @@ import { ethers } from "hardhat";
  * 4) LendingPool(admin, token, kyc)
  * 5) Mark vault + lending as "system addresses" in the token (they can hold BKD without KYC)
  * 6) Seed demo: approve KYC for a couple accounts; mint some BKD by depositing ETH
+ * 7) ComplianceCouncil(officers = admin + officer2, COUNCIL_THRESHOLD-of-2): takes COMPLIANCE_ROLE on KYCRegistry,
+ *    admin renounces it, so KYC approvals/revocations need M officer confirmations (no single key).
+ *    COUNCIL_THRESHOLD must be at least 2 (four-eyes); the script refuses to deploy otherwise.
+ * 8) LimitsPolicy(admin, kyc): KYC-level limits enforced by the vault + lending pool
+ * 9) SanctionsRegistry(admin): freeze list checked by the token; admin holds SEIZURE_ROLE (demo)
+ * GUARDIAN_ROLE (emergency pause) is granted to admin by the vault, token and lending constructors
+ * 10) BankTimelock(delay, proposer = admin, executor = officer2): takes over DEFAULT_ADMIN_ROLE everywhere plus
+ *     RISK_ROLE / TREASURY_ROLE, and admin renounces them. From here on role grants, risk parameters, system
+ *     addresses and treasury withdrawals are queued + executed through the timelock (TIMELOCK_MIN_DELAY, seconds).
+ *     Admin keeps the operational roles: OFFICER_ROLE (council), COMPLIANCE_ROLE on SanctionsRegistry,
+ *     SEIZURE_ROLE, GUARDIAN_ROLE.
+ *     The timelock is also the LendingPool treasury (a system address): reserves can only leave it through a
+ *     queued operation, to a recipient that passes the token's KYC / freeze checks. No EOA is exempted.
  */
 async function main() {
-  const [admin, alice, bob] = await ethers.getSigners();
+  // Checked up front so a bad value doesn't leave a half-deployed system behind.
+  const councilThreshold = Number(process.env.COUNCIL_THRESHOLD || 2);
+  if (!Number.isInteger(councilThreshold) || councilThreshold < 2) {
+    throw new Error(`COUNCIL_THRESHOLD must be an integer >= 2 (got ${process.env.COUNCIL_THRESHOLD})`);
+  }
+
+  const [admin, alice, bob, officer2] = await ethers.getSigners();
 
   console.log("Admin:", admin.address);
   console.log("Alice:", alice.address);
   console.log("Bob:", bob.address);
+  console.log("Officer #2:", officer2.address);
 
   const KYCRegistry = await ethers.getContractFactory("KYCRegistry");
   const kyc = await KYCRegistry.deploy(admin.address);
@@ -32,6 +52,23 @@ async function main() {
   const lending = await LendingPool.deploy(admin.address, await token.getAddress(), await kyc.getAddress());
   await lending.waitForDeployment();
 
+  const LimitsPolicy = await ethers.getContractFactory("LimitsPolicy");
+  const limits = await LimitsPolicy.deploy(admin.address, await kyc.getAddress());
+  await limits.waitForDeployment();
+
+  const ENFORCER_ROLE = ethers.keccak256(ethers.toUtf8Bytes("ENFORCER_ROLE"));
+  await (await limits.grantRole(ENFORCER_ROLE, await vault.getAddress())).wait();
+  await (await limits.grantRole(ENFORCER_ROLE, await lending.getAddress())).wait();
+  await (await vault.setLimitsPolicy(await limits.getAddress())).wait();
+  await (await lending.setLimitsPolicy(await limits.getAddress())).wait();
+
+  const SanctionsRegistry = await ethers.getContractFactory("SanctionsRegistry");
+  const sanctions = await SanctionsRegistry.deploy(admin.address);
+  await sanctions.waitForDeployment();
+  await (await token.setSanctionsRegistry(await sanctions.getAddress())).wait();
+  const SEIZURE_ROLE = ethers.keccak256(ethers.toUtf8Bytes("SEIZURE_ROLE"));
+  await (await token.grantRole(SEIZURE_ROLE, admin.address)).wait();
+
   // Grant MINTER_ROLE to the vault so it can mint/burn BKD.
   const MINTER_ROLE = ethers.keccak256(ethers.toUtf8Bytes("MINTER_ROLE"));
   await (await token.grantRole(MINTER_ROLE, await vault.getAddress())).wait();
@@ -66,15 +103,68 @@ await (await kyc.approveFromRequest(bob.address, 1, 0)).wait();
   // Alice transfers 0.1 ETH worth of BKD to Bob via compliance-gated method
   await (await vault.connect(alice).transferBKD(bob.address, ethers.parseEther("0.1"))).wait();
 
+  // Bob supplies 0.3 BKD to the pool (only supplied liquidity is lent out)
+  await (await lending.connect(bob).supply(ethers.parseEther("0.3"))).wait();
+
   // Alice uses 0.3 BKD as collateral and borrows 0.1 BKD
   await (await lending.connect(alice).depositCollateral(ethers.parseEther("0.3"))).wait();
   await (await lending.connect(alice).borrow(ethers.parseEther("0.1"))).wait();
 
+  // KYC decisions go through the compliance council (M-of-N) instead of a single COMPLIANCE_ROLE key.
+  const ComplianceCouncil = await ethers.getContractFactory("ComplianceCouncil");
+  const council = await ComplianceCouncil.deploy(
+    admin.address,
+    await kyc.getAddress(),
+    [admin.address, officer2.address],
+    councilThreshold,
+    Number(process.env.COUNCIL_PROPOSAL_TTL || 24 * 60 * 60)
+  );
+  await council.waitForDeployment();
+  const COMPLIANCE_ROLE = ethers.keccak256(ethers.toUtf8Bytes("COMPLIANCE_ROLE"));
+  await (await kyc.grantRole(COMPLIANCE_ROLE, await council.getAddress())).wait();
+  // the registry only accepts decisions from KYC-approved accounts; the council published its request in the constructor
+  await (await kyc.approveFromRequest(await council.getAddress(), 1, 0)).wait();
+  await (await kyc.renounceRole(COMPLIANCE_ROLE, admin.address)).wait();
+
+  // Hand admin over to the timelock (last: the seed above still needs the admin EOA).
+  const minDelay = Number(process.env.TIMELOCK_MIN_DELAY || 300);
+  const BankTimelock = await ethers.getContractFactory("BankTimelock");
+  const timelock = await BankTimelock.deploy(minDelay, [admin.address], [officer2.address]);
+  await timelock.waitForDeployment();
+
+  // LendingPool reserves go to the timelock (not the admin EOA, which would then bypass KYC / freeze checks).
+  await (await token.setSystemAddress(await timelock.getAddress(), true)).wait();
+  await (await lending.setReserveParams(await timelock.getAddress(), await lending.reserveFactorBps())).wait();
+
+  const DEFAULT_ADMIN_ROLE = ethers.ZeroHash;
+  const RISK_ROLE = ethers.keccak256(ethers.toUtf8Bytes("RISK_ROLE"));
+  const TREASURY_ROLE = ethers.keccak256(ethers.toUtf8Bytes("TREASURY_ROLE"));
+  const handOver = [
+    [kyc, [DEFAULT_ADMIN_ROLE]],
+    [token, [DEFAULT_ADMIN_ROLE]],
+    [vault, [TREASURY_ROLE, DEFAULT_ADMIN_ROLE]],
+    [lending, [RISK_ROLE, DEFAULT_ADMIN_ROLE]],
+    [limits, [RISK_ROLE, DEFAULT_ADMIN_ROLE]],
+    [sanctions, [DEFAULT_ADMIN_ROLE]],
+    [council, [DEFAULT_ADMIN_ROLE]],
+  ] as const;
+  for (const [c, roles] of handOver) {
+    // DEFAULT_ADMIN_ROLE last: it's what allows granting the others
+    for (const role of roles) {
+      await (await c.grantRole(role, await timelock.getAddress())).wait();
+      await (await c.renounceRole(role, admin.address)).wait();
+    }
+  }
+
   console.log("\nDeployed addresses:");
   console.log("KYCRegistry:", await kyc.getAddress());
   console.log("DepositToken:", await token.getAddress());
   console.log("BankVault:", await vault.getAddress());
   console.log("LendingPool:", await lending.getAddress());
+  console.log("LimitsPolicy:", await limits.getAddress());
+  console.log("SanctionsRegistry:", await sanctions.getAddress());
+  console.log("ComplianceCouncil:", await council.getAddress());
+  console.log(`BankTimelock: ${await timelock.getAddress()} (min delay ${minDelay}s)`);
 
   // Write addresses for backend/frontend consumption
   const fs = await import("fs");
@@ -87,6 +177,10 @@ await (await kyc.approveFromRequest(bob.address, 1, 0)).wait();
       DepositToken: await token.getAddress(),
       BankVault: await vault.getAddress(),
       LendingPool: await lending.getAddress(),
+      LimitsPolicy: await limits.getAddress(),
+      SanctionsRegistry: await sanctions.getAddress(),
+      BankTimelock: await timelock.getAddress(),
+      ComplianceCouncil: await council.getAddress(),
     },
   };
   const outPath = path.join(__dirname, "..", "..", "contracts.json");
@@ -22,7 +22,9 @@ describe("BankChain", function () {
     await (await token.setSystemAddress(await vault.getAddress(), true)).wait();
 
     // approve KYC only for alice and bob
+    await (await kyc.connect(alice).requestKYC(ethers.id("kyc:alice"))).wait();
     await (await kyc.approveKYC(alice.address)).wait();
+    await (await kyc.connect(bob).requestKYC(ethers.id("kyc:bob"))).wait();
     await (await kyc.approveKYC(bob.address)).wait();
 
     // Carol cannot deposit (vault-level check)
@@ -62,12 +64,16 @@ describe("BankChain", function () {
     await (await token.setSystemAddress(await vault.getAddress(), true)).wait();
     await (await token.setSystemAddress(await lending.getAddress(), true)).wait();
 
+    await (await kyc.connect(alice).requestKYC(ethers.id("kyc:alice"))).wait();
     await (await kyc.approveKYC(alice.address)).wait();
 
     await (await vault.connect(alice).deposit({ value: ethers.parseEther("1.0") })).wait();
     await (await token.connect(alice).approve(await lending.getAddress(), ethers.MaxUint256)).wait();
 
     await (await lending.connect(alice).depositCollateral(ethers.parseEther("0.5"))).wait();
+    // collateral is not lendable: the pool needs supplied liquidity
+    await expect(lending.connect(alice).borrow(ethers.parseEther("0.2"))).to.be.revertedWithCustomError(lending, "InsufficientLiquidity");
+    await (await lending.connect(alice).supply(ethers.parseEther("0.5"))).wait();
     // max borrow 50% LTV => 0.25
     await expect(lending.connect(alice).borrow(ethers.parseEther("0.3"))).to.be.revertedWithCustomError(lending, "BorrowTooLarge");
     await (await lending.connect(alice).borrow(ethers.parseEther("0.2"))).wait();
@@ -80,4 +86,825 @@ describe("BankChain", function () {
     const debt = acct[1];
     expect(debt).to.be.gt(ethers.parseEther("0.2"));
   });
+
+  it("liquidates unhealthy accounts with close factor + bonus and writes off bad debt", async function () {
+    const [admin, alice, bob] = await ethers.getSigners();
+
+    const KYCRegistry = await ethers.getContractFactory("KYCRegistry");
+    const kyc = await KYCRegistry.deploy(admin.address);
+    await kyc.waitForDeployment();
+
+    const DepositToken = await ethers.getContractFactory("DepositToken");
+    const token = await DepositToken.deploy(admin.address, await kyc.getAddress());
+    await token.waitForDeployment();
+
+    const BankVault = await ethers.getContractFactory("BankVault");
+    const vault = await BankVault.deploy(admin.address, await token.getAddress(), await kyc.getAddress());
+    await vault.waitForDeployment();
+
+    const LendingPool = await ethers.getContractFactory("LendingPool");
+    const lending = await LendingPool.deploy(admin.address, await token.getAddress(), await kyc.getAddress());
+    await lending.waitForDeployment();
+
+    const MINTER_ROLE = ethers.keccak256(ethers.toUtf8Bytes("MINTER_ROLE"));
+    await (await token.grantRole(MINTER_ROLE, await vault.getAddress())).wait();
+    await (await token.setSystemAddress(await vault.getAddress(), true)).wait();
+    await (await token.setSystemAddress(await lending.getAddress(), true)).wait();
+
+    await (await kyc.connect(alice).requestKYC(ethers.id("kyc:alice"))).wait();
+    await (await kyc.approveKYC(alice.address)).wait();
+    await (await kyc.connect(bob).requestKYC(ethers.id("kyc:bob"))).wait();
+    await (await kyc.approveKYC(bob.address)).wait();
+
+    await (await vault.connect(alice).deposit({ value: ethers.parseEther("1.0") })).wait();
+    await (await vault.connect(bob).deposit({ value: ethers.parseEther("2.0") })).wait();
+    await (await token.connect(alice).approve(await lending.getAddress(), ethers.MaxUint256)).wait();
+    await (await token.connect(bob).approve(await lending.getAddress(), ethers.MaxUint256)).wait();
+
+    // bob funds the pool, keeping 2.0 BKD to liquidate with
+    await (await vault.connect(bob).deposit({ value: ethers.parseEther("1.0") })).wait();
+    await (await lending.connect(bob).supply(ethers.parseEther("1.0"))).wait();
+
+    await (await lending.connect(alice).depositCollateral(ethers.parseEther("1.0"))).wait();
+    await (await lending.connect(alice).borrow(ethers.parseEther("0.5"))).wait();
+
+    // healthy (50% < 75% threshold)
+    expect(await lending.isLiquidatable(alice.address)).to.equal(false);
+    await expect(lending.connect(bob).liquidate(alice.address, ethers.parseEther("0.1")))
+      .to.be.revertedWithCustomError(lending, "NotLiquidatable");
+
+    // threshold must stay above max LTV
+    await expect(lending.setLiquidationParams(5000, 5000, 500)).to.be.revertedWith("Bad liquidation threshold");
+
+    // 50% utilization => 7% APR; 8 years => debt > 75% of collateral
+    await ethers.provider.send("evm_increaseTime", [8 * 365 * 24 * 60 * 60]);
+    await ethers.provider.send("evm_mine", []);
+    expect(await lending.isLiquidatable(alice.address)).to.equal(true);
+
+    // repay request above the close factor is capped at 50% of the debt
+    const bobBefore = await token.balanceOf(bob.address);
+    const tx = await lending.connect(bob).liquidate(alice.address, ethers.parseEther("10"));
+    const receipt = await tx.wait();
+    const ev = receipt!.logs
+      .map((l) => lending.interface.parseLog(l))
+      .find((e) => e?.name === "Liquidated")!;
+    const [, liquidator, repaid, seized, remainingDebt] = ev.args;
+
+    expect(liquidator).to.equal(bob.address);
+    expect(seized).to.equal((repaid * 10500n) / 10000n);
+    expect(remainingDebt).to.be.closeTo(repaid, 1n); // debt - debt/2
+    expect(await token.balanceOf(bob.address)).to.equal(bobBefore - repaid + seized);
+
+    const [collateral] = await lending.getAccount(alice.address);
+    expect(collateral).to.equal(ethers.parseEther("1.0") - seized);
+
+    // decades later the debt exceeds the collateral: seize everything, write off the rest
+    await ethers.provider.send("evm_increaseTime", [40 * 365 * 24 * 60 * 60]);
+    await ethers.provider.send("evm_mine", []);
+
+    await expect(lending.connect(bob).liquidate(alice.address, ethers.parseEther("10")))
+      .to.emit(lending, "BadDebtWrittenOff");
+
+    const [collateralAfter, debtAfter] = await lending.getAccount(alice.address);
+    expect(collateralAfter).to.equal(0n);
+    expect(debtAfter).to.equal(0n);
+    expect(await lending.totalBadDebt()).to.be.gt(0n);
+  });
+
+  it("prices borrowing off utilization and applies rate changes only going forward", async function () {
+    const [admin, alice, bob, carol] = await ethers.getSigners();
+
+    const KYCRegistry = await ethers.getContractFactory("KYCRegistry");
+    const kyc = await KYCRegistry.deploy(admin.address);
+    await kyc.waitForDeployment();
+
+    const DepositToken = await ethers.getContractFactory("DepositToken");
+    const token = await DepositToken.deploy(admin.address, await kyc.getAddress());
+    await token.waitForDeployment();
+
+    const BankVault = await ethers.getContractFactory("BankVault");
+    const vault = await BankVault.deploy(admin.address, await token.getAddress(), await kyc.getAddress());
+    await vault.waitForDeployment();
+
+    const LendingPool = await ethers.getContractFactory("LendingPool");
+    const lending = await LendingPool.deploy(admin.address, await token.getAddress(), await kyc.getAddress());
+    await lending.waitForDeployment();
+
+    const MINTER_ROLE = ethers.keccak256(ethers.toUtf8Bytes("MINTER_ROLE"));
+    await (await token.grantRole(MINTER_ROLE, await vault.getAddress())).wait();
+    await (await token.setSystemAddress(await vault.getAddress(), true)).wait();
+    await (await token.setSystemAddress(await lending.getAddress(), true)).wait();
+
+    for (const [u, tag] of [[alice, "alice"], [bob, "bob"], [carol, "carol"]] as const) {
+      await (await kyc.connect(u).requestKYC(ethers.id(`kyc:${tag}`))).wait();
+      await (await kyc.approveKYC(u.address)).wait();
+      await (await token.connect(u).approve(await lending.getAddress(), ethers.MaxUint256)).wait();
+    }
+    for (const u of [alice, bob]) {
+      await (await vault.connect(u).deposit({ value: ethers.parseEther("1.0") })).wait();
+      await (await lending.connect(u).depositCollateral(ethers.parseEther("1.0"))).wait();
+    }
+    // carol is the lender
+    await (await vault.connect(carol).deposit({ value: ethers.parseEther("2.0") })).wait();
+    await (await lending.connect(carol).supply(ethers.parseEther("2.0"))).wait();
+
+    // empty pool: base rate only
+    let state = await lending.getPoolState();
+    expect(state.utilizationBps).to.equal(0n);
+    expect(state.borrowRateBps).to.equal(200n);
+
+    // 0.5 borrowed out of 2.0 => 25% utilization => 2% + 8% * 25/80 = 4.5%
+    await (await lending.connect(alice).borrow(ethers.parseEther("0.5"))).wait();
+    state = await lending.getPoolState();
+    expect(state.totalBorrows).to.equal(ethers.parseEther("0.5"));
+    expect(state.utilizationBps).to.equal(2500n);
+    expect(state.borrowRateBps).to.equal(450n);
+
+    // past the kink the rate climbs on slope2: lower the kink to 20%
+    await (await lending.setRateModel(200, 800, 7500, 2000)).wait();
+    state = await lending.getPoolState();
+    expect(state.borrowRateBps).to.equal(200n + 800n + (7500n * 500n) / 8000n);
+    await (await lending.setRateModel(200, 800, 7500, 8000)).wait();
+
+    // both accounts share the index: debts grow by the same factor (alice borrowed a few blocks earlier)
+    await (await lending.connect(bob).borrow(ethers.parseEther("0.5"))).wait();
+    await ethers.provider.send("evm_increaseTime", [365 * 24 * 60 * 60]);
+    await ethers.provider.send("evm_mine", []);
+    const [, aliceDebt] = await lending.getAccount(alice.address);
+    const [, bobDebt, , apr, util] = await lending.getAccount(bob.address);
+    expect(aliceDebt).to.be.gte(bobDebt);
+    expect(aliceDebt).to.be.closeTo(bobDebt, ethers.parseEther("0.00001"));
+    expect(apr).to.equal((await lending.getPoolState()).borrowRateBps);
+    expect(util).to.be.gt(0n);
+
+    // a rate change does not reprice interest already accrued
+    const before = (await lending.getPoolState()).totalBorrows;
+    await (await lending.setRateModel(5000, 0, 0, 8000)).wait();
+    const after = (await lending.getPoolState()).totalBorrows;
+    expect(after - before).to.be.lt(ethers.parseEther("0.001")); // 1 block at most
+    expect(await lending.borrowIndex()).to.be.gt(ethers.parseEther("1"));
+
+    // full repay clears the scaled debt exactly
+    await (await vault.connect(alice).deposit({ value: ethers.parseEther("1.0") })).wait();
+    const [, debtNow] = await lending.getAccount(alice.address);
+    await (await lending.connect(alice).repay(debtNow + ethers.parseEther("0.01"))).wait();
+    const [, debtAfter, scaledAfter] = await lending.getAccount(alice.address);
+    expect(debtAfter).to.equal(0n);
+    expect(scaledAfter).to.equal(0n);
+  });
+
+  it("pays lenders interest through pool shares and the reserve factor to the treasury", async function () {
+    const [admin, alice, bob, treasury] = await ethers.getSigners();
+
+    const KYCRegistry = await ethers.getContractFactory("KYCRegistry");
+    const kyc = await KYCRegistry.deploy(admin.address);
+    await kyc.waitForDeployment();
+
+    const DepositToken = await ethers.getContractFactory("DepositToken");
+    const token = await DepositToken.deploy(admin.address, await kyc.getAddress());
+    await token.waitForDeployment();
+
+    const BankVault = await ethers.getContractFactory("BankVault");
+    const vault = await BankVault.deploy(admin.address, await token.getAddress(), await kyc.getAddress());
+    await vault.waitForDeployment();
+
+    const LendingPool = await ethers.getContractFactory("LendingPool");
+    const lending = await LendingPool.deploy(admin.address, await token.getAddress(), await kyc.getAddress());
+    await lending.waitForDeployment();
+
+    const MINTER_ROLE = ethers.keccak256(ethers.toUtf8Bytes("MINTER_ROLE"));
+    await (await token.grantRole(MINTER_ROLE, await vault.getAddress())).wait();
+    await (await token.setSystemAddress(await vault.getAddress(), true)).wait();
+    await (await token.setSystemAddress(await lending.getAddress(), true)).wait();
+    await (await token.setSystemAddress(treasury.address, true)).wait();
+    await (await lending.setReserveParams(treasury.address, 1000)).wait();
+
+    for (const [u, tag] of [[alice, "alice"], [bob, "bob"]] as const) {
+      await (await kyc.connect(u).requestKYC(ethers.id(`kyc:${tag}`))).wait();
+      await (await kyc.approveKYC(u.address)).wait();
+      await (await vault.connect(u).deposit({ value: ethers.parseEther("2.0") })).wait();
+      await (await token.connect(u).approve(await lending.getAddress(), ethers.MaxUint256)).wait();
+    }
+
+    // bob lends 1.0, alice borrows 0.5 against 1.0 collateral
+    await expect(lending.connect(bob).supply(ethers.parseEther("1.0")))
+      .to.emit(lending, "Supplied")
+      .withArgs(bob.address, ethers.parseEther("1.0"), ethers.parseEther("1.0"));
+    await (await lending.connect(alice).depositCollateral(ethers.parseEther("1.0"))).wait();
+    await expect(lending.connect(alice).borrow(ethers.parseEther("1.1"))).to.be.revertedWithCustomError(lending, "BorrowTooLarge");
+    await (await lending.connect(alice).borrow(ethers.parseEther("0.5"))).wait();
+
+    // lent-out funds cannot be redeemed
+    await expect(lending.connect(bob).redeem(ethers.parseEther("1.0"))).to.be.revertedWithCustomError(lending, "InsufficientLiquidity");
+    await expect(lending.connect(alice).redeem(1n)).to.be.revertedWithCustomError(lending, "InsufficientShares");
+
+    await ethers.provider.send("evm_increaseTime", [365 * 24 * 60 * 60]);
+    await ethers.provider.send("evm_mine", []);
+
+    const [, debt] = await lending.getAccount(alice.address);
+    await (await lending.connect(alice).repay(debt + ethers.parseEther("0.01"))).wait();
+
+    const state = await lending.getPoolState();
+    expect(state.totalBorrows).to.equal(0n);
+    const interest = state.cash - ethers.parseEther("1.0");
+    expect(interest).to.be.gt(0n);
+    expect(state.reserves).to.be.closeTo(interest / 10n, 2n);
+
+    // bob redeems everything: principal + 90% of the interest
+    const [shares, value] = await lending.getSupplyPosition(bob.address);
+    const bobBefore = await token.balanceOf(bob.address);
+    await (await lending.connect(bob).redeem(shares)).wait();
+    const received = (await token.balanceOf(bob.address)) - bobBefore;
+    expect(received).to.equal(value);
+    expect(received).to.be.closeTo(ethers.parseEther("1.0") + interest - state.reserves, 2n);
+
+    // the treasury collects the reserves; only collateral is left in the pool
+    await expect(lending.collectReserves()).to.emit(lending, "ReservesCollected");
+    expect(await token.balanceOf(treasury.address)).to.equal(state.reserves);
+    expect(await lending.totalCash()).to.be.lte(2n);
+    expect(await token.balanceOf(await lending.getAddress())).to.equal(
+      (await lending.totalCollateral()) + (await lending.totalCash())
+    );
+  });
+
+  it("refuses supply while pool shares are worth nothing and reopens it once they are redeemed", async function () {
+    const [admin, alice, bob] = await ethers.getSigners();
+
+    const KYCRegistry = await ethers.getContractFactory("KYCRegistry");
+    const kyc = await KYCRegistry.deploy(admin.address);
+    await kyc.waitForDeployment();
+
+    const DepositToken = await ethers.getContractFactory("DepositToken");
+    const token = await DepositToken.deploy(admin.address, await kyc.getAddress());
+    await token.waitForDeployment();
+
+    const BankVault = await ethers.getContractFactory("BankVault");
+    const vault = await BankVault.deploy(admin.address, await token.getAddress(), await kyc.getAddress());
+    await vault.waitForDeployment();
+
+    const LendingPool = await ethers.getContractFactory("LendingPool");
+    const lending = await LendingPool.deploy(admin.address, await token.getAddress(), await kyc.getAddress());
+    await lending.waitForDeployment();
+
+    const MINTER_ROLE = ethers.keccak256(ethers.toUtf8Bytes("MINTER_ROLE"));
+    await (await token.grantRole(MINTER_ROLE, await vault.getAddress())).wait();
+    await (await token.setSystemAddress(await vault.getAddress(), true)).wait();
+    await (await token.setSystemAddress(await lending.getAddress(), true)).wait();
+
+    for (const [u, tag] of [[alice, "alice"], [bob, "bob"]] as const) {
+      await (await kyc.connect(u).requestKYC(ethers.id(`kyc:${tag}`))).wait();
+      await (await kyc.approveKYC(u.address)).wait();
+      await (await vault.connect(u).deposit({ value: ethers.parseEther("1.0") })).wait();
+      await (await token.connect(u).approve(await lending.getAddress(), ethers.MaxUint256)).wait();
+    }
+    await (await lending.connect(alice).supply(ethers.parseEther("0.5"))).wait();
+
+    // write-offs that took every lender asset: forced here by zeroing totalCash in storage
+    const lendingAddr = await lending.getAddress();
+    const cash = ethers.toBeHex(ethers.parseEther("0.5"), 32);
+    for (let slot = 0; slot < 64; slot++) {
+      if ((await ethers.provider.getStorage(lendingAddr, slot)) !== cash) continue;
+      await ethers.provider.send("hardhat_setStorageAt", [lendingAddr, ethers.toBeHex(slot), ethers.ZeroHash]);
+      if ((await lending.totalCash()) === 0n) break;
+      await ethers.provider.send("hardhat_setStorageAt", [lendingAddr, ethers.toBeHex(slot), cash]);
+    }
+    expect(await lending.totalCash()).to.equal(0n);
+    expect(await lending.totalShares()).to.equal(ethers.parseEther("0.5"));
+    expect((await lending.getSupplyPosition(alice.address)).value).to.equal(0n);
+
+    // no division by zero: a named error, and bob's BKD stays with him
+    await expect(lending.connect(bob).supply(ethers.parseEther("0.2"))).to.be.revertedWithCustomError(
+      lending,
+      "NoLenderAssets"
+    );
+
+    // the worthless shares are redeemed for 0; supply then starts over at 1:1
+    await expect(lending.connect(alice).redeem(ethers.parseEther("0.5")))
+      .to.emit(lending, "Redeemed")
+      .withArgs(alice.address, 0n, ethers.parseEther("0.5"));
+    await expect(lending.connect(bob).supply(ethers.parseEther("0.2")))
+      .to.emit(lending, "Supplied")
+      .withArgs(bob.address, ethers.parseEther("0.2"), ethers.parseEther("0.2"));
+  });
+
+  it("enforces KYC-level limits with rolling 24h windows", async function () {
+    const [admin, alice, bob] = await ethers.getSigners();
+
+    const KYCRegistry = await ethers.getContractFactory("KYCRegistry");
+    const kyc = await KYCRegistry.deploy(admin.address);
+    await kyc.waitForDeployment();
+
+    const DepositToken = await ethers.getContractFactory("DepositToken");
+    const token = await DepositToken.deploy(admin.address, await kyc.getAddress());
+    await token.waitForDeployment();
+
+    const BankVault = await ethers.getContractFactory("BankVault");
+    const vault = await BankVault.deploy(admin.address, await token.getAddress(), await kyc.getAddress());
+    await vault.waitForDeployment();
+
+    const LendingPool = await ethers.getContractFactory("LendingPool");
+    const lending = await LendingPool.deploy(admin.address, await token.getAddress(), await kyc.getAddress());
+    await lending.waitForDeployment();
+
+    const LimitsPolicy = await ethers.getContractFactory("LimitsPolicy");
+    const limits = await LimitsPolicy.deploy(admin.address, await kyc.getAddress());
+    await limits.waitForDeployment();
+
+    const MINTER_ROLE = ethers.keccak256(ethers.toUtf8Bytes("MINTER_ROLE"));
+    const ENFORCER_ROLE = ethers.keccak256(ethers.toUtf8Bytes("ENFORCER_ROLE"));
+    await (await token.grantRole(MINTER_ROLE, await vault.getAddress())).wait();
+    await (await token.setSystemAddress(await vault.getAddress(), true)).wait();
+    await (await token.setSystemAddress(await lending.getAddress(), true)).wait();
+    await (await limits.grantRole(ENFORCER_ROLE, await vault.getAddress())).wait();
+    await (await limits.grantRole(ENFORCER_ROLE, await lending.getAddress())).wait();
+    await (await vault.setLimitsPolicy(await limits.getAddress())).wait();
+    await (await lending.setLimitsPolicy(await limits.getAddress())).wait();
+
+    // alice: level 1, bob: level 3
+    await (await kyc.connect(alice).requestKYC(ethers.id("kyc:alice"))).wait();
+    await (await kyc.approveKYC(alice.address)).wait();
+    await (await kyc.connect(bob).requestKYC(ethers.id("kyc:bob"))).wait();
+    await expect(kyc.approveFromRequest(bob.address, 6, 0)).to.be.revertedWith("Bad level");
+    await (await kyc.approveFromRequest(bob.address, 3, 0)).wait();
+    expect(await kyc.kycLevel(alice.address)).to.equal(1);
+    expect(await kyc.kycLevel(bob.address)).to.equal(3);
+
+    const Limit = { Deposit: 0, Withdrawal: 1, Transfer: 2, Borrow: 3 };
+    const e = (v: string) => ethers.parseEther(v);
+
+    // max single deposit: 2 BKD at level 1, 50 at level 3
+    await expect(vault.connect(alice).deposit({ value: e("2.5") }))
+      .to.be.revertedWithCustomError(vault, "LimitExceeded")
+      .withArgs(alice.address, Limit.Deposit, e("2.5"), e("2"));
+    await (await vault.connect(alice).deposit({ value: e("2") })).wait();
+    await (await vault.connect(bob).deposit({ value: e("5") })).wait();
+    await (await token.connect(alice).approve(await vault.getAddress(), ethers.MaxUint256)).wait();
+    await (await token.connect(bob).approve(await vault.getAddress(), ethers.MaxUint256)).wait();
+
+    // daily transfer volume: 1 BKD at level 1
+    await (await vault.connect(alice).transferBKD(bob.address, e("0.6"))).wait();
+    await expect(vault.connect(alice).transferBKD(bob.address, e("0.5")))
+      .to.be.revertedWithCustomError(vault, "LimitExceeded")
+      .withArgs(alice.address, Limit.Transfer, e("0.5"), e("0.4"));
+    expect(await limits.remaining(alice.address, Limit.Transfer)).to.equal(e("0.4"));
+
+    // 12h later the transfer is still in the window; after 24h it has rolled out
+    await ethers.provider.send("evm_increaseTime", [12 * 60 * 60]);
+    await ethers.provider.send("evm_mine", []);
+    expect(await limits.usedInWindow(alice.address, Limit.Transfer)).to.equal(e("0.6"));
+    await ethers.provider.send("evm_increaseTime", [13 * 60 * 60]);
+    await ethers.provider.send("evm_mine", []);
+    expect(await limits.usedInWindow(alice.address, Limit.Transfer)).to.equal(0n);
+    await (await vault.connect(alice).transferBKD(bob.address, e("0.5"))).wait();
+
+    // daily withdrawal volume: 2 BKD at level 1
+    await (await vault.connect(bob).transferBKD(alice.address, e("1"))).wait();
+    await (await vault.connect(alice).withdraw(e("1.5"))).wait();
+    await expect(vault.connect(alice).withdraw(e("0.6")))
+      .to.be.revertedWithCustomError(vault, "LimitExceeded")
+      .withArgs(alice.address, Limit.Withdrawal, e("0.6"), e("0.5"));
+
+    // max borrow: only the risk role can change limits
+    await expect(limits.connect(alice).setLimits(1, [e("2"), e("2"), e("1"), e("0.1")])).to.be.reverted;
+    await (await limits.setLimits(1, [e("2"), e("2"), e("1"), e("0.1")])).wait();
+
+    await (await token.connect(alice).approve(await lending.getAddress(), ethers.MaxUint256)).wait();
+    await (await token.connect(bob).approve(await lending.getAddress(), ethers.MaxUint256)).wait();
+    await (await lending.connect(bob).supply(e("2"))).wait();
+    await (await lending.connect(alice).depositCollateral(e("0.4"))).wait();
+    await (await lending.connect(alice).borrow(e("0.06"))).wait();
+    await expect(lending.connect(alice).borrow(e("0.05")))
+      .to.be.revertedWithCustomError(lending, "LimitExceeded")
+      .withArgs(alice.address, Limit.Borrow, e("0.05"), (v: bigint) => v <= e("0.04") && v > e("0.0399")); // 0.1 - debt
+  });
+
+  it("blocks frozen addresses in the token and lets the seizure role force-transfer", async function () {
+    const [admin, alice, bob, custodian] = await ethers.getSigners();
+
+    const KYCRegistry = await ethers.getContractFactory("KYCRegistry");
+    const kyc = await KYCRegistry.deploy(admin.address);
+    await kyc.waitForDeployment();
+
+    const DepositToken = await ethers.getContractFactory("DepositToken");
+    const token = await DepositToken.deploy(admin.address, await kyc.getAddress());
+    await token.waitForDeployment();
+
+    const BankVault = await ethers.getContractFactory("BankVault");
+    const vault = await BankVault.deploy(admin.address, await token.getAddress(), await kyc.getAddress());
+    await vault.waitForDeployment();
+
+    const SanctionsRegistry = await ethers.getContractFactory("SanctionsRegistry");
+    const sanctions = await SanctionsRegistry.deploy(admin.address);
+    await sanctions.waitForDeployment();
+
+    const MINTER_ROLE = ethers.keccak256(ethers.toUtf8Bytes("MINTER_ROLE"));
+    const SEIZURE_ROLE = ethers.keccak256(ethers.toUtf8Bytes("SEIZURE_ROLE"));
+    await (await token.grantRole(MINTER_ROLE, await vault.getAddress())).wait();
+    await (await token.setSystemAddress(await vault.getAddress(), true)).wait();
+    await (await token.setSystemAddress(custodian.address, true)).wait();
+    await (await token.setSanctionsRegistry(await sanctions.getAddress())).wait();
+
+    for (const [u, tag] of [[alice, "alice"], [bob, "bob"]] as const) {
+      await (await kyc.connect(u).requestKYC(ethers.id(`kyc:${tag}`))).wait();
+      await (await kyc.approveKYC(u.address)).wait();
+      await (await vault.connect(u).deposit({ value: ethers.parseEther("1.0") })).wait();
+    }
+
+    const OFAC = ethers.encodeBytes32String("OFAC_SDN");
+    await expect(sanctions.connect(alice).freeze(bob.address, OFAC)).to.be.reverted;
+    await expect(sanctions.freeze(bob.address, ethers.ZeroHash)).to.be.revertedWithCustomError(sanctions, "ReasonRequired");
+    await expect(sanctions.freeze(bob.address, OFAC))
+      .to.emit(sanctions, "AddressFrozen")
+      .withArgs(bob.address, OFAC, admin.address);
+
+    // KYC-approved but frozen: cannot receive, send, or withdraw
+    await expect(token.connect(alice).transfer(bob.address, 1n))
+      .to.be.revertedWithCustomError(token, "AccountFrozen")
+      .withArgs(bob.address);
+    await expect(token.connect(bob).transfer(alice.address, 1n)).to.be.revertedWithCustomError(token, "AccountFrozen");
+    await expect(vault.connect(bob).withdraw(1n)).to.be.revertedWithCustomError(token, "AccountFrozen");
+    // system addresses are never frozen out
+    await (await sanctions.freeze(custodian.address, OFAC)).wait();
+    await (await token.connect(alice).transfer(custodian.address, 1n)).wait();
+
+    // seizure under a separate role, with a case reference
+    const caseRef = ethers.encodeBytes32String("CASE-2024-001");
+    await expect(token.forceTransfer(bob.address, custodian.address, ethers.parseEther("0.4"), caseRef))
+      .to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount");
+    await (await token.grantRole(SEIZURE_ROLE, admin.address)).wait();
+    await expect(token.forceTransfer(bob.address, custodian.address, ethers.parseEther("0.4"), caseRef))
+      .to.emit(token, "ForcedTransfer")
+      .withArgs(bob.address, custodian.address, ethers.parseEther("0.4"), caseRef, admin.address);
+    expect(await token.balanceOf(bob.address)).to.equal(ethers.parseEther("0.6"));
+
+    // any nonzero bytes32 is a valid caseRef (e.g. a hashed court reference): statements must still render it
+    const hashedRef = ethers.id("CASE-1");
+    const seizeTx = await token.forceTransfer(bob.address, custodian.address, ethers.parseEther("0.1"), hashedRef);
+    const seized = (await seizeTx.wait())!.logs
+      .map((l) => token.interface.parseLog(l))
+      .find((e) => e?.name === "ForcedTransfer")!;
+    expect(() => ethers.decodeBytes32String(seized.args.caseRef)).to.throw();
+
+    // same shape as the indexer's events row (metaJson = named args, lowercase hex)
+    const { describeLine } = require("../../backend/src/statements/statement.js");
+    const related = {
+      eventName: "ForcedTransfer",
+      metaJson: JSON.stringify({
+        from: bob.address.toLowerCase(),
+        to: custodian.address.toLowerCase(),
+        amount: ethers.parseEther("0.1").toString(),
+        caseRef: hashedRef.toLowerCase(),
+        by: admin.address.toLowerCase(),
+      }),
+    };
+    expect(describeLine({ direction: "DEBIT", counterparty: custodian.address.toLowerCase() }, related)).to.deep.equal({
+      code: "SEIZURE",
+      text: `Court-ordered seizure (case ${hashedRef.toLowerCase()})`,
+    });
+    expect(describeLine({ direction: "CREDIT", counterparty: bob.address.toLowerCase() }, related).code).to.equal(
+      "SEIZURE_IN"
+    );
+    const named = { ...related, metaJson: JSON.stringify({ caseRef }) };
+    expect(describeLine({ direction: "DEBIT" }, named).text).to.equal("Court-ordered seizure (case CASE-2024-001)");
+    expect(await token.balanceOf(bob.address)).to.equal(ethers.parseEther("0.5"));
+
+    // bulk list update
+    const FRAUD = ethers.encodeBytes32String("FRAUD_INVESTIGATION");
+    await expect(sanctions.freezeBatch([alice.address, bob.address], FRAUD))
+      .to.be.revertedWithCustomError(sanctions, "AlreadyFrozen")
+      .withArgs(bob.address);
+    await (await sanctions.unfreezeBatch([bob.address, custodian.address], ethers.encodeBytes32String("DELISTED"))).wait();
+    await (await sanctions.freezeBatch([alice.address], FRAUD)).wait();
+    const [frozen, reason] = await sanctions.getFreeze(alice.address);
+    expect(frozen).to.equal(true);
+    expect(reason).to.equal(FRAUD);
+
+    await (await token.connect(bob).transfer(custodian.address, 1n)).wait();
+    await expect(token.connect(alice).transfer(bob.address, 1n)).to.be.revertedWithCustomError(token, "AccountFrozen");
+  });
+
+  it("pauses deposits, withdrawals, transfers and lending separately; repay stays open", async function () {
+    const [admin, alice, bob, guardian] = await ethers.getSigners();
+
+    const KYCRegistry = await ethers.getContractFactory("KYCRegistry");
+    const kyc = await KYCRegistry.deploy(admin.address);
+    await kyc.waitForDeployment();
+
+    const DepositToken = await ethers.getContractFactory("DepositToken");
+    const token = await DepositToken.deploy(admin.address, await kyc.getAddress());
+    await token.waitForDeployment();
+
+    const BankVault = await ethers.getContractFactory("BankVault");
+    const vault = await BankVault.deploy(admin.address, await token.getAddress(), await kyc.getAddress());
+    await vault.waitForDeployment();
+
+    const LendingPool = await ethers.getContractFactory("LendingPool");
+    const lending = await LendingPool.deploy(admin.address, await token.getAddress(), await kyc.getAddress());
+    await lending.waitForDeployment();
+
+    const MINTER_ROLE = ethers.keccak256(ethers.toUtf8Bytes("MINTER_ROLE"));
+    const GUARDIAN_ROLE = await vault.GUARDIAN_ROLE();
+    await (await token.grantRole(MINTER_ROLE, await vault.getAddress())).wait();
+    await (await token.setSystemAddress(await vault.getAddress(), true)).wait();
+    await (await token.setSystemAddress(await lending.getAddress(), true)).wait();
+    for (const c of [vault, token, lending]) await (await c.grantRole(GUARDIAN_ROLE, guardian.address)).wait();
+
+    for (const [u, tag] of [[alice, "alice"], [bob, "bob"]] as const) {
+      await (await kyc.connect(u).requestKYC(ethers.id(`kyc:${tag}`))).wait();
+      await (await kyc.approveKYC(u.address)).wait();
+      await (await vault.connect(u).deposit({ value: ethers.parseEther("1.0") })).wait();
+      await (await token.connect(u).approve(await vault.getAddress(), ethers.MaxUint256)).wait();
+      await (await token.connect(u).approve(await lending.getAddress(), ethers.MaxUint256)).wait();
+    }
+    await (await lending.connect(bob).supply(ethers.parseEther("0.5"))).wait();
+    await (await lending.connect(alice).depositCollateral(ethers.parseEther("0.5"))).wait();
+    await (await lending.connect(alice).borrow(ethers.parseEther("0.1"))).wait();
+
+    const DEPOSITS = ethers.encodeBytes32String("DEPOSITS");
+    const WITHDRAWALS = ethers.encodeBytes32String("WITHDRAWALS");
+    const TRANSFERS = ethers.encodeBytes32String("TRANSFERS");
+    const LENDING = ethers.encodeBytes32String("LENDING");
+
+    // only guardians pause, and only known actions
+    await expect(vault.connect(alice).pause(DEPOSITS)).to.be.revertedWithCustomError(vault, "AccessControlUnauthorizedAccount");
+    await expect(vault.connect(guardian).pause(TRANSFERS)).to.be.revertedWithCustomError(vault, "UnknownAction");
+
+    // deposits paused, withdrawals still fine
+    await expect(vault.connect(guardian).pause(DEPOSITS)).to.emit(vault, "Paused").withArgs(DEPOSITS, guardian.address);
+    await expect(vault.connect(alice).deposit({ value: 1n }))
+      .to.be.revertedWithCustomError(vault, "EnforcedPause")
+      .withArgs(DEPOSITS);
+    await (await vault.connect(alice).withdraw(ethers.parseEther("0.1"))).wait();
+
+    await (await vault.connect(guardian).pause(WITHDRAWALS)).wait();
+    await expect(vault.connect(alice).withdraw(1n)).to.be.revertedWithCustomError(vault, "EnforcedPause");
+    const [actions, paused] = await vault.pauseState();
+    expect(actions).to.deep.equal([DEPOSITS, WITHDRAWALS]);
+    expect(paused).to.deep.equal([true, true]);
+
+    // token transfers paused: user-to-user (direct or via the vault) stops, paying into the pool doesn't
+    await (await token.connect(guardian).pause(TRANSFERS)).wait();
+    await expect(token.connect(alice).transfer(bob.address, 1n))
+      .to.be.revertedWithCustomError(token, "EnforcedPause")
+      .withArgs(TRANSFERS);
+    await expect(vault.connect(alice).transferBKD(bob.address, 1n)).to.be.revertedWithCustomError(token, "EnforcedPause");
+    await expect(lending.connect(alice).borrow(1n)).to.be.revertedWithCustomError(token, "EnforcedPause");
+    await (await lending.connect(alice).repay(ethers.parseEther("0.05"))).wait();
+
+    // lending paused: everything but repay
+    await (await lending.connect(guardian).pauseAll()).wait();
+    await expect(lending.connect(bob).supply(1n)).to.be.revertedWithCustomError(lending, "EnforcedPause").withArgs(LENDING);
+    await expect(lending.connect(bob).redeem(1n)).to.be.revertedWithCustomError(lending, "EnforcedPause");
+    await expect(lending.connect(alice).depositCollateral(1n)).to.be.revertedWithCustomError(lending, "EnforcedPause");
+    await expect(lending.connect(alice).withdrawCollateral(1n)).to.be.revertedWithCustomError(lending, "EnforcedPause");
+    await expect(lending.connect(bob).liquidate(alice.address, 1n)).to.be.revertedWithCustomError(lending, "EnforcedPause");
+    // overpaying only pulls the outstanding debt (no refund transfer that the token pause would block)
+    const before = await token.balanceOf(alice.address);
+    const [, debt] = await lending.getAccount(alice.address);
+    await expect(lending.connect(alice).repay(ethers.parseEther("1"))).to.emit(lending, "Repaid");
+    expect(before - (await token.balanceOf(alice.address))).to.be.closeTo(debt, ethers.parseEther("0.0001"));
+    const [, debtAfter] = await lending.getAccount(alice.address);
+    expect(debtAfter).to.equal(0n);
+
+    // only the admin unpauses
+    await expect(token.connect(guardian).unpause(TRANSFERS)).to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount");
+    await expect(token.unpause(TRANSFERS)).to.emit(token, "Unpaused").withArgs(TRANSFERS, admin.address);
+    await (await vault.unpause(DEPOSITS)).wait();
+    await (await token.connect(alice).transfer(bob.address, 1n)).wait();
+    await (await vault.connect(alice).deposit({ value: 1n })).wait();
+    expect(await vault.isPaused(WITHDRAWALS)).to.equal(true);
+    expect(await lending.isPaused(LENDING)).to.equal(true);
+  });
+
+  it("routes risk parameters, system addresses, treasury withdrawals and role grants through the timelock", async function () {
+    const [admin, alice, proposer, executor] = await ethers.getSigners();
+    const DELAY = 3600;
+
+    const KYCRegistry = await ethers.getContractFactory("KYCRegistry");
+    const kyc = await KYCRegistry.deploy(admin.address);
+    await kyc.waitForDeployment();
+
+    const DepositToken = await ethers.getContractFactory("DepositToken");
+    const token = await DepositToken.deploy(admin.address, await kyc.getAddress());
+    await token.waitForDeployment();
+
+    const BankVault = await ethers.getContractFactory("BankVault");
+    const vault = await BankVault.deploy(admin.address, await token.getAddress(), await kyc.getAddress());
+    await vault.waitForDeployment();
+
+    const LendingPool = await ethers.getContractFactory("LendingPool");
+    const lending = await LendingPool.deploy(admin.address, await token.getAddress(), await kyc.getAddress());
+    await lending.waitForDeployment();
+
+    const BankTimelock = await ethers.getContractFactory("BankTimelock");
+    const timelock = await BankTimelock.deploy(DELAY, [proposer.address], [executor.address]);
+    await timelock.waitForDeployment();
+    const tl = await timelock.getAddress();
+
+    // hand over admin roles, as deploy.ts does (DEFAULT_ADMIN_ROLE last: it's needed to grant the others)
+    const DEFAULT_ADMIN_ROLE = ethers.ZeroHash;
+    const RISK_ROLE = await lending.RISK_ROLE();
+    const TREASURY_ROLE = await vault.TREASURY_ROLE();
+    for (const [c, roles] of [
+      [token, [DEFAULT_ADMIN_ROLE]],
+      [vault, [TREASURY_ROLE, DEFAULT_ADMIN_ROLE]],
+      [lending, [RISK_ROLE, DEFAULT_ADMIN_ROLE]],
+    ] as const) {
+      for (const role of roles) {
+        await (await c.grantRole(role, tl)).wait();
+        await (await c.renounceRole(role, admin.address)).wait();
+      }
+    }
+
+    // the old admin EOA can't act directly anymore
+    await expect(lending.setParams(4000)).to.be.revertedWithCustomError(lending, "AccessControlUnauthorizedAccount");
+    await expect(token.setSystemAddress(alice.address, true)).to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount");
+    await expect(vault.treasuryWithdrawETH(admin.address, 1n)).to.be.revertedWithCustomError(vault, "AccessControlUnauthorizedAccount");
+
+    const setParams = lending.interface.encodeFunctionData("setParams", [4000]);
+    const salt = ethers.id("ltv-40");
+    const id = await timelock.hashOperation(await lending.getAddress(), 0, setParams, ethers.ZeroHash, salt);
+
+    // only the proposer queues, and not below the minimum delay
+    await expect(
+      timelock.connect(executor).schedule(await lending.getAddress(), 0, setParams, ethers.ZeroHash, salt, DELAY)
+    ).to.be.revertedWithCustomError(timelock, "AccessControlUnauthorizedAccount");
+    await expect(
+      timelock.connect(proposer).schedule(await lending.getAddress(), 0, setParams, ethers.ZeroHash, salt, DELAY - 1)
+    ).to.be.revertedWithCustomError(timelock, "TimelockInsufficientDelay");
+
+    await expect(timelock.connect(proposer).schedule(await lending.getAddress(), 0, setParams, ethers.ZeroHash, salt, DELAY))
+      .to.emit(timelock, "CallScheduled")
+      .withArgs(id, 0, await lending.getAddress(), 0, setParams, ethers.ZeroHash, DELAY);
+    expect(await timelock.isOperationPending(id)).to.equal(true);
+
+    // too early
+    await expect(
+      timelock.connect(executor).execute(await lending.getAddress(), 0, setParams, ethers.ZeroHash, salt)
+    ).to.be.revertedWithCustomError(timelock, "TimelockUnexpectedOperationState");
+
+    await ethers.provider.send("evm_increaseTime", [DELAY]);
+    await ethers.provider.send("evm_mine", []);
+
+    // only the executor runs it
+    await expect(
+      timelock.connect(proposer).execute(await lending.getAddress(), 0, setParams, ethers.ZeroHash, salt)
+    ).to.be.revertedWithCustomError(timelock, "AccessControlUnauthorizedAccount");
+    await expect(timelock.connect(executor).execute(await lending.getAddress(), 0, setParams, ethers.ZeroHash, salt))
+      .to.emit(timelock, "CallExecuted")
+      .and.to.emit(lending, "ParamsUpdated")
+      .withArgs(4000);
+    expect(await lending.maxLTVBps()).to.equal(4000n);
+    expect(await timelock.isOperationDone(id)).to.equal(true);
+
+    // a queued role grant can be cancelled before it takes effect
+    const MINTER_ROLE = await token.MINTER_ROLE();
+    const grant = token.interface.encodeFunctionData("grantRole", [MINTER_ROLE, alice.address]);
+    await (await timelock.connect(proposer).schedule(await token.getAddress(), 0, grant, ethers.ZeroHash, ethers.ZeroHash, DELAY)).wait();
+    const grantId = await timelock.hashOperation(await token.getAddress(), 0, grant, ethers.ZeroHash, ethers.ZeroHash);
+    await expect(timelock.connect(proposer).cancel(grantId)).to.emit(timelock, "Cancelled").withArgs(grantId);
+    await ethers.provider.send("evm_increaseTime", [DELAY]);
+    await ethers.provider.send("evm_mine", []);
+    await expect(
+      timelock.connect(executor).execute(await token.getAddress(), 0, grant, ethers.ZeroHash, ethers.ZeroHash)
+    ).to.be.revertedWithCustomError(timelock, "TimelockUnexpectedOperationState");
+    expect(await token.hasRole(MINTER_ROLE, alice.address)).to.equal(false);
+
+    // system address + treasury withdrawal as one batch
+    await (await admin.sendTransaction({ to: await vault.getAddress(), value: ethers.parseEther("1") })).wait();
+    const targets = [await token.getAddress(), await vault.getAddress()];
+    const payloads = [
+      token.interface.encodeFunctionData("setSystemAddress", [alice.address, true]),
+      vault.interface.encodeFunctionData("treasuryWithdrawETH", [alice.address, ethers.parseEther("1")]),
+    ];
+    const batchSalt = ethers.id("batch-1");
+    await (await timelock.connect(proposer).scheduleBatch(targets, [0, 0], payloads, ethers.ZeroHash, batchSalt, DELAY)).wait();
+    await ethers.provider.send("evm_increaseTime", [DELAY]);
+    await ethers.provider.send("evm_mine", []);
+    await expect(
+      timelock.connect(executor).executeBatch(targets, [0, 0], payloads, ethers.ZeroHash, batchSalt)
+    ).to.changeEtherBalance(alice, ethers.parseEther("1"));
+    expect(await token.isSystemAddress(alice.address)).to.equal(true);
+  });
+
+  it("lets a 2-of-3 compliance council approve and revoke KYC, directly or by relayed signatures", async function () {
+    const [admin, alice, o1, o2, o3, relayer] = await ethers.getSigners();
+
+    const KYCRegistry = await ethers.getContractFactory("KYCRegistry");
+    const kyc = await KYCRegistry.deploy(admin.address);
+    await kyc.waitForDeployment();
+
+    const ComplianceCouncil = await ethers.getContractFactory("ComplianceCouncil");
+    const council = await ComplianceCouncil.deploy(
+      admin.address,
+      await kyc.getAddress(),
+      [o1.address, o2.address, o3.address],
+      2,
+      3600
+    );
+    await council.waitForDeployment();
+    const councilAddr = await council.getAddress();
+
+    // the council replaces the single compliance key (deploy.ts does the same)
+    const COMPLIANCE_ROLE = await kyc.COMPLIANCE_ROLE();
+    await (await kyc.grantRole(COMPLIANCE_ROLE, councilAddr)).wait();
+    await (await kyc.approveFromRequest(councilAddr, 1, 0)).wait();
+    await (await kyc.renounceRole(COMPLIANCE_ROLE, admin.address)).wait();
+
+    await (await kyc.connect(alice).requestKYC(ethers.id("kyc:alice"))).wait();
+    await expect(kyc.approveFromRequest(alice.address, 1, 0)).to.be.revertedWith("Not compliance");
+
+    const APPROVE = 0;
+    const REVOKE = 1;
+    await expect(council.connect(alice).propose(APPROVE, alice.address, 2, 0))
+      .to.be.revertedWithCustomError(council, "NotOfficer")
+      .withArgs(alice.address);
+
+    // o1 proposes (= first confirmation), can take it back and give it again
+    await expect(council.connect(o1).propose(APPROVE, alice.address, 2, 0))
+      .to.emit(council, "Proposed")
+      .and.to.emit(council, "Confirmed")
+      .withArgs(1, o1.address, 1);
+    await expect(council.connect(o1).confirm(1)).to.be.revertedWithCustomError(council, "AlreadyConfirmed");
+    await expect(council.connect(o2).revokeConfirmation(1)).to.be.revertedWithCustomError(council, "NotConfirmed");
+    await expect(council.connect(o1).revokeConfirmation(1))
+      .to.emit(council, "ConfirmationRevoked")
+      .withArgs(1, o1.address, 0);
+    await (await council.connect(o1).confirm(1)).wait();
+    expect(await kyc.isKYCApproved(alice.address)).to.equal(false);
+
+    // o2 signs off-chain, a relayer submits; the second confirmation executes
+    const domain = {
+      name: "BankChain Compliance Council",
+      version: "1",
+      chainId: (await ethers.provider.getNetwork()).chainId,
+      verifyingContract: councilAddr,
+    };
+    const CONFIRM = { Confirm: [{ name: "proposalId", type: "uint256" }, { name: "nonce", type: "uint256" }] };
+    const sigO2 = await o2.signTypedData(domain, CONFIRM, { proposalId: 1, nonce: await council.nonces(o2.address) });
+    // signed by someone else than the officer named
+    const sigO3 = await o3.signTypedData(domain, CONFIRM, { proposalId: 1, nonce: await council.nonces(o2.address) });
+    await expect(council.connect(relayer).confirmBySig(1, o2.address, sigO3))
+      .to.be.revertedWithCustomError(council, "InvalidSignature")
+      .withArgs(o2.address);
+
+    await expect(council.connect(relayer).confirmBySig(1, o2.address, sigO2))
+      .to.emit(council, "Executed")
+      .withArgs(1, APPROVE, alice.address)
+      .and.to.emit(kyc, "KYCApproved")
+      .withArgs(alice.address, councilAddr, 2, 0);
+    expect(await kyc.kycLevel(alice.address)).to.equal(2n);
+    expect((await council.getProposal(1)).executed).to.equal(true);
+    await expect(council.connect(o3).confirm(1)).to.be.revertedWithCustomError(council, "AlreadyExecuted");
+    // the used signature can't be replayed (nonce moved on)
+    await expect(council.connect(relayer).confirmBySig(1, o2.address, sigO2)).to.be.reverted;
+
+    // proposals expire
+    const PROPOSE = {
+      Propose: [
+        { name: "action", type: "uint8" },
+        { name: "user", type: "address" },
+        { name: "level", type: "uint8" },
+        { name: "kycExpiresAt", type: "uint64" },
+        { name: "nonce", type: "uint256" },
+      ],
+    };
+    const sigPropose = await o3.signTypedData(domain, PROPOSE, {
+      action: REVOKE,
+      user: alice.address,
+      level: 0,
+      kycExpiresAt: 0,
+      nonce: await council.nonces(o3.address),
+    });
+    await (await council.connect(relayer).proposeBySig(REVOKE, alice.address, 0, 0, o3.address, sigPropose)).wait();
+    await ethers.provider.send("evm_increaseTime", [3601]);
+    await ethers.provider.send("evm_mine", []);
+    await expect(council.connect(o1).confirm(2)).to.be.revertedWithCustomError(council, "ProposalExpired").withArgs(2);
+
+    // a fresh revoke proposal, 2 confirmations => revoked
+    await (await council.connect(o1).propose(REVOKE, alice.address, 0, 0)).wait();
+    await expect(council.connect(o3).confirm(3)).to.emit(kyc, "KYCRevoked").withArgs(alice.address, councilAddr);
+    expect(await kyc.isKYCApproved(alice.address)).to.equal(false);
+
+    // an officer removed mid-proposal: their confirmation stops counting
+    await (await kyc.connect(alice).requestKYC(ethers.id("kyc:alice:2"))).wait();
+    await (await council.connect(o1).propose(APPROVE, alice.address, 1, 0)).wait();
+    await (await council.revokeRole(await council.OFFICER_ROLE(), o1.address)).wait();
+    expect(await council.confirmationCount(4)).to.equal(0n);
+    await expect(council.execute(4)).to.be.revertedWithCustomError(council, "BelowThreshold").withArgs(4);
+    await expect(council.connect(o2).confirm(4)).to.emit(council, "Confirmed").withArgs(4, o2.address, 1);
+    expect((await council.getProposal(4)).executed).to.equal(false);
+    expect(await kyc.isKYCApproved(alice.address)).to.equal(false);
+    await expect(council.connect(o3).confirm(4)).to.emit(council, "Executed").withArgs(4, APPROVE, alice.address);
+
+    // threshold belongs to the admin (timelock), is at least 2 and can't exceed the officers left (2)
+    await expect(council.setThreshold(3)).to.be.revertedWithCustomError(council, "BadThreshold");
+    await expect(council.setThreshold(2)).to.emit(council, "ThresholdChanged").withArgs(2);
+    await expect(council.connect(o1).setThreshold(1)).to.be.revertedWithCustomError(council, "AccessControlUnauthorizedAccount");
+    await expect(council.setThreshold(0)).to.be.revertedWithCustomError(council, "BadThreshold");
+    await expect(council.setThreshold(1)).to.be.revertedWithCustomError(council, "BadThreshold");
+    await expect(
+      ComplianceCouncil.deploy(admin.address, await kyc.getAddress(), [o1.address, o2.address], 1, 3600)
+    ).to.be.revertedWithCustomError(ComplianceCouncil, "BadThreshold");
+  });
 });
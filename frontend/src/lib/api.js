@@ -0,0 +1,1117 @@
+// Generated from the backend OpenAPI spec (GET /openapi.json) by `npm --workspace backend run openapi:client`.
+// Do not edit: change the route spec in backend/src/server.js or backend/src/openapi/schemas.js and regenerate.
+// BankChain API 1.0.0, OpenAPI 3.1.0
+import axios from "axios";
+import { BACKEND_URL } from "./config.js";
+
+/**
+ * @typedef {Object} ErrorResponse
+ * @property {string} message
+ */
+
+/**
+ * @typedef {Object} Health
+ * @property {true} ok
+ * @property {string} service
+ * @property {number} ts Unix time (seconds)
+ */
+
+/**
+ * @typedef {Object} PauseStatus
+ * @property {Array<string>} paused Paused actions (DEPOSITS, WITHDRAWALS, TRANSFERS, LENDING)
+ * @property {Record<string, { supported: boolean, actions: Record<string, { paused: boolean, since: { by: string, at: number, txHash: string } | null }> }>} contracts
+ */
+
+/**
+ * @typedef {Object} TimelockOperation
+ * @property {string} id 32-byte hex (tx hash, kycHash, ...)
+ * @property {string | null} predecessor
+ * @property {number} delay
+ * @property {number} scheduledAt Unix time (seconds)
+ * @property {string} scheduledTx 32-byte hex (tx hash, kycHash, ...)
+ * @property {number} readyAt Unix time (seconds)
+ * @property {number | null} executedAt Unix time (seconds)
+ * @property {string | null} executedTx 32-byte hex (tx hash, kycHash, ...)
+ * @property {number | null} cancelledAt Unix time (seconds)
+ * @property {string | null} cancelledTx 32-byte hex (tx hash, kycHash, ...)
+ * @property {Array<{ index: number, target: string, value: string, data: string, contract: string | null, function: string | null, args: any, summary: string }>} calls
+ * @property {"PENDING" | "READY" | "EXECUTED" | "CANCELLED"} status
+ */
+
+/**
+ * @typedef {Object} GovernanceOperations
+ * @property {string | null} timelock 0x address
+ * @property {number | null} minDelay
+ * @property {number} [chainTime] Unix time (seconds)
+ * @property {Array<TimelockOperation>} operations
+ */
+
+/**
+ * @typedef {Object} ContractsMeta
+ * @property {number} chainId
+ * @property {string} rpcUrl
+ * @property {Record<string, string>} contracts
+ */
+
+/**
+ * @typedef {Object} KycStatus
+ * @property {string} user
+ * @property {boolean} approved
+ * @property {{ id: number, wallet: string, kycHash: string, status: string, createdAt: number, reviewedAt: number | null, reviewer: string | null } | null} latestRequest
+ */
+
+/**
+ * @typedef {Object} LedgerCheck
+ * @property {number} block
+ * @property {string} indexed Integer amount in wei, as a decimal string
+ * @property {string} onchain Integer amount in wei, as a decimal string
+ * @property {boolean} matches
+ */
+
+/**
+ * @typedef {Object} Balance
+ * @property {string} user
+ * @property {number} [block]
+ * @property {string} bkd Integer amount in wei, as a decimal string
+ * @property {LedgerCheck} ledger
+ */
+
+/**
+ * @typedef {Object} UserLimits
+ * @property {string} user
+ * @property {number} kycLevel
+ * @property {boolean} enforced
+ * @property {{ vault: boolean, lending: boolean }} [enforcedBy]
+ * @property {Record<string, { window: string, limit: string, used: string, remaining: string }> | null} limits deposit / withdrawal / transfer / borrow; null without a LimitsPolicy
+ */
+
+/**
+ * @typedef {Object} LedgerEntry
+ * @property {number} blockNumber
+ * @property {number} logIndex
+ * @property {string} txHash 32-byte hex (tx hash, kycHash, ...)
+ * @property {number | null} timestamp Unix time (seconds)
+ * @property {"CREDIT" | "DEBIT"} direction
+ * @property {string} counterparty
+ * @property {string} delta Signed integer amount in wei, as a decimal string (negative for debits)
+ * @property {string} balanceAfter Integer amount in wei, as a decimal string
+ */
+
+/**
+ * @typedef {Object} BalanceHistory
+ * @property {string} user
+ * @property {number} indexedTo
+ * @property {string} balance Integer amount in wei, as a decimal string
+ * @property {Array<LedgerEntry>} history
+ */
+
+/**
+ * @typedef {Object} ChainEvent
+ * @property {number} id
+ * @property {number} blockNumber
+ * @property {number} logIndex
+ * @property {string} txHash 32-byte hex (tx hash, kycHash, ...)
+ * @property {string | null} contractAddress 0x address
+ * @property {string} eventName
+ * @property {string | null} fromAddr 0x address, or empty
+ * @property {string | null} toAddr 0x address, or empty
+ * @property {string | null} amount wei, or empty
+ * @property {number | null} timestamp Unix time (seconds)
+ * @property {string} [metaJson] Decoded event args as JSON (admin only)
+ */
+
+/**
+ * @typedef {Object} EventPage
+ * @property {string} [user]
+ * @property {Array<ChainEvent>} events
+ * @property {string | null} nextCursor
+ */
+
+/**
+ * @typedef {Object} Statement
+ * @property {string} account 0x address
+ * @property {string} currency
+ * @property {number} from Unix time (seconds)
+ * @property {number} to Unix time (seconds)
+ * @property {number} generatedAt Unix time (seconds)
+ * @property {number} indexedToBlock
+ * @property {string} openingBalance Integer amount in wei, as a decimal string
+ * @property {string} closingBalance Integer amount in wei, as a decimal string
+ * @property {string} totalCredit Integer amount in wei, as a decimal string
+ * @property {string} totalDebit Integer amount in wei, as a decimal string
+ * @property {Array<{ bookedAt: number | null, blockNumber: number, logIndex: number, txHash: string, direction: "CREDIT" | "DEBIT", counterparty: string, amount: string, code: string, description: string, balanceAfter: string }>} lines
+ */
+
+/**
+ * @typedef {Object} KycNonce
+ * @property {string} wallet 0x address
+ * @property {string} nonce 32-byte hex (tx hash, kycHash, ...)
+ * @property {number} expiresAt Unix time (seconds)
+ * @property {{ domain: { name: string, version: string, chainId: number, verifyingContract: string }, types: Record<string, Array<{ name: string, type: string }>>, primaryType: "KYCRequest" }} typedData
+ */
+
+/**
+ * @typedef {Object} KycSubmitted
+ * @property {true} ok
+ * @property {number} requestId
+ * @property {string} wallet 0x address
+ * @property {string} kycHash 32-byte hex (tx hash, kycHash, ...)
+ * @property {"eip712-v2" | "personal_sign-v1"} signatureScheme
+ */
+
+/**
+ * @typedef {Object} AuthChallenge
+ * @property {string} nonce
+ * @property {string} message
+ * @property {number} expiresAt Unix time (seconds)
+ */
+
+/**
+ * @typedef {Object} AdminToken
+ * @property {true} ok
+ * @property {string} token
+ * @property {string} address 0x address
+ * @property {number} expiresAt Unix time (seconds)
+ */
+
+/**
+ * @typedef {Object} AdminSession
+ * @property {string} address 0x address
+ * @property {number} expiresAt Unix time (seconds)
+ */
+
+/**
+ * @typedef {Object} KycRequestSummary
+ * @property {number} id
+ * @property {string} wallet 0x address
+ * @property {string} kycHash 32-byte hex (tx hash, kycHash, ...)
+ * @property {string} status
+ * @property {number} createdAt Unix time (seconds)
+ * @property {number | null} screenedAt Unix time (seconds)
+ * @property {number} openHits
+ */
+
+/**
+ * @typedef {Object} ScreeningHit
+ * @property {number} id
+ * @property {number} requestId
+ * @property {string} wallet 0x address
+ * @property {string} source
+ * @property {string} externalId
+ * @property {string} entryName
+ * @property {string} matchedName
+ * @property {number} score
+ * @property {any} reasons
+ * @property {"OPEN" | "CLEARED"} status
+ * @property {number} createdAt Unix time (seconds)
+ * @property {string | null} clearedBy
+ * @property {number | null} clearedAt Unix time (seconds)
+ * @property {string | null} justification
+ */
+
+/**
+ * @typedef {Object} KycRequestDetail
+ * @property {{ id: number, wallet: string, kycHash: string, payloadJson: string, status: string, createdAt: number, reviewedAt: number | null, reviewer: string | null, notes: string | null, approveTxHash: string | null, revokeTxHash: string | null, screenedAt: number | null, encrypted: boolean, hashVerified: boolean }} request
+ * @property {Array<ScreeningHit>} hits
+ */
+
+/**
+ * @typedef {Object} Watchlist
+ * @property {number} id
+ * @property {string} source
+ * @property {string} fileName
+ * @property {string} fileSha256
+ * @property {number} entryCount
+ * @property {number} importedAt Unix time (seconds)
+ * @property {string} importedBy
+ * @property {number} active
+ */
+
+/**
+ * @typedef {Object} RescreenResult
+ * @property {true} ok
+ * @property {number} screened
+ * @property {number} newHits
+ * @property {Array<any>} errors
+ */
+
+/**
+ * @typedef {Object} Proposal
+ * @property {number} id
+ * @property {number | null} requestId
+ * @property {string} wallet 0x address
+ * @property {"APPROVE" | "REJECT" | "REVOKE"} action
+ * @property {number | null} level
+ * @property {number | null} expiresAt Unix time (seconds)
+ * @property {string | null} notes
+ * @property {string} proposedBy
+ * @property {number} proposedAt Unix time (seconds)
+ * @property {number} proposalExpiresAt Unix time (seconds)
+ * @property {"PENDING" | "EXECUTING" | "EXECUTED" | "CANCELLED" | "EXPIRED"} status
+ * @property {string | null} confirmedBy
+ * @property {number | null} confirmedAt Unix time (seconds)
+ * @property {number | null} closedAt Unix time (seconds)
+ * @property {string | null} txHash 32-byte hex (tx hash, kycHash, ...)
+ * @property {number | null} councilId
+ * @property {number | null} councilConfirmations
+ * @property {string | null} councilTxHash 32-byte hex (tx hash, kycHash, ...)
+ * @property {number | null} jobId
+ */
+
+/**
+ * @typedef {Object} ProposalCreated
+ * @property {true} ok
+ * @property {number} proposalId
+ * @property {"PENDING" | "EXECUTING" | "EXECUTED" | "CANCELLED" | "EXPIRED"} status
+ * @property {Proposal} proposal
+ */
+
+/**
+ * @typedef {Object} CouncilInfo
+ * @property {string} address 0x address
+ * @property {number} threshold
+ * @property {number} proposalTtl
+ */
+
+/**
+ * @typedef {Object} ProposalList
+ * @property {Array<Proposal>} proposals
+ * @property {CouncilInfo | null} council
+ */
+
+/**
+ * @typedef {Object} CouncilTypedData
+ * @property {"propose" | "confirm" | "revoke"} op
+ * @property {{ name: string, version: string, chainId: number, verifyingContract: string }} domain
+ * @property {Record<string, Array<{ name: string, type: string }>>} types
+ * @property {Record<string, any>} message
+ */
+
+/**
+ * @typedef {Object} ProposalDecision
+ * @property {true} ok
+ * @property {number} proposalId
+ * @property {"APPROVE" | "REJECT" | "REVOKE"} action
+ * @property {"propose" | "confirm" | "revoke"} [op]
+ * @property {"EXECUTING" | "EXECUTED"} status
+ * @property {number} [jobId] Admin tx queue job (poll /admin/jobs/:id)
+ * @property {string | null} [txHash] 32-byte hex (tx hash, kycHash, ...)
+ */
+
+/**
+ * @typedef {Object} Discrepancy
+ * @property {number} id
+ * @property {string} kind
+ * @property {string} wallet 0x address
+ * @property {string | null} kycHash 32-byte hex (tx hash, kycHash, ...)
+ * @property {number | null} requestId
+ * @property {string} txHash 32-byte hex (tx hash, kycHash, ...)
+ * @property {number} logIndex
+ * @property {number} blockNumber
+ * @property {string | null} detailsJson
+ * @property {number} detectedAt Unix time (seconds)
+ * @property {number | null} resolvedAt Unix time (seconds)
+ * @property {string | null} resolvedBy
+ * @property {string | null} resolution
+ */
+
+/**
+ * @typedef {Object} LedgerVerify
+ * @property {number} block
+ * @property {number} checked
+ * @property {boolean} ok
+ * @property {Array<{ block: number, indexed: string, onchain: string, matches: boolean, account: string }>} mismatches
+ * @property {Array<{ block: number, indexed: string, onchain: string, matches: boolean, account: string }>} accounts
+ */
+
+/**
+ * @typedef {Object} ReconRunSummary
+ * @property {number} id
+ * @property {number} startedAt Unix time (seconds)
+ * @property {number | null} finishedAt Unix time (seconds)
+ * @property {number | null} blockNumber
+ * @property {"RUNNING" | "OK" | "BREAKS" | "ERROR"} status
+ * @property {string} trigger
+ * @property {string | null} error
+ * @property {number} breakCount
+ */
+
+/**
+ * @typedef {Object} ReconRun
+ * @property {number} id
+ * @property {number} startedAt Unix time (seconds)
+ * @property {number | null} finishedAt Unix time (seconds)
+ * @property {number | null} blockNumber
+ * @property {"RUNNING" | "OK" | "BREAKS" | "ERROR"} status
+ * @property {string} trigger
+ * @property {string | null} error
+ * @property {Record<string, any> | null} figures
+ * @property {Array<{ id: number, runId: number, kind: string, description: string | null, expected: string, actual: string, diff: string, appearedAtBlock: number | null, details: Record<string, any> }>} breaks
+ */
+
+/**
+ * @typedef {Object} Reconciliation
+ * @property {ReconRun | null} latest
+ * @property {Array<ReconRunSummary>} history
+ */
+
+/**
+ * @typedef {Object} LiquidationCandidates
+ * @property {{ liquidationThresholdBps: number, closeFactorBps: number, liquidationBonusBps: number }} params
+ * @property {Array<{ user: string, lastDebtEvent: string, lastDebtBlock: number, collateral: string, debt: string, ltvBps: number | null, liquidatable: boolean, maxRepay: string }>} accounts
+ */
+
+/**
+ * Block every on-chain figure of the response was read at
+ * @typedef {Object} BlockRef
+ * @property {number} number
+ * @property {string} hash 32-byte hex (tx hash, kycHash, ...)
+ * @property {number} timestamp Unix time (seconds)
+ */
+
+/**
+ * @typedef {Object} RepaymentSchedule
+ * @property {number} payoffAt Unix time (seconds)
+ * @property {number} installments
+ * @property {number} borrowRateBps APR assumed for the whole schedule
+ * @property {Array<{ installment: number, dueAt: number, payment: string, interest: string, principal: string, balance: string }>} payments
+ * @property {string} totalPaid Integer amount in wei, as a decimal string
+ * @property {string} totalInterest Integer amount in wei, as a decimal string
+ */
+
+/**
+ * @typedef {Object} LendingAccount
+ * @property {BlockRef} block
+ * @property {string} user 0x address
+ * @property {string} collateral Integer amount in wei, as a decimal string
+ * @property {string} debt incl. interest accrued up to the block
+ * @property {number | null} ltvBps
+ * @property {number | null} healthFactor collateral * liquidation threshold / debt; < 1 = liquidatable
+ * @property {boolean} liquidatable
+ * @property {"LIQUIDATABLE" | "AT_RISK" | "HEALTHY" | "CLOSED"} risk AT_RISK = above max LTV
+ * @property {string} availableToBorrow min(max LTV headroom, pool cash)
+ * @property {string} accruedInterest interest accrued since the last debt change
+ * @property {{ event: string, blockNumber: number } | null} accruedSince
+ * @property {{ shares: string, value: string }} supply
+ * @property {{ maxLTVBps: number, liquidationThresholdBps: number, borrowRateBps: number, utilizationBps: number, cash: string }} params
+ * @property {Array<{ days: number, at: number, debt: string }>} projections at the current APR
+ * @property {RepaymentSchedule | null} schedule null unless payoffDate is given
+ */
+
+/**
+ * @typedef {Object} LendingAccounts
+ * @property {BlockRef} block
+ * @property {number} indexedToBlock borrowers are taken from events indexed up to here
+ * @property {{ maxLTVBps: number, liquidationThresholdBps: number, borrowRateBps: number, utilizationBps: number, cash: string }} params
+ * @property {Array<{ user: string, collateral: string, debt: string, ltvBps: number | null, healthFactor: number | null, liquidatable: boolean, risk: "LIQUIDATABLE" | "AT_RISK" | "HEALTHY" | "CLOSED", availableToBorrow: string, totalBorrowed: string, totalRepaid: string, lastDebtEvent: string, lastDebtBlock: number }>} accounts
+ */
+
+/**
+ * @typedef {Object} AmlRules
+ * @property {Array<{ id: string, enabled: boolean, severity: string, type: string }>} rules
+ * @property {Array<string>} dispositions
+ */
+
+/**
+ * @typedef {Object} AmlRunResult
+ * @property {true} ok
+ * @property {number} scanned
+ * @property {number} alerts
+ * @property {Array<number>} proposals
+ */
+
+/**
+ * @typedef {Object} AmlAlert
+ * @property {number} id
+ * @property {string} ruleId
+ * @property {string} ruleType
+ * @property {string} severity
+ * @property {string} subject 0x address
+ * @property {string | null} counterparty
+ * @property {string} dedupKey
+ * @property {string} summary
+ * @property {Record<string, any>} details
+ * @property {"OPEN" | "IN_REVIEW" | "CLOSED"} status
+ * @property {string | null} assignee
+ * @property {string | null} disposition
+ * @property {number | null} proposalId
+ * @property {number} createdAt Unix time (seconds)
+ * @property {number} updatedAt Unix time (seconds)
+ * @property {number | null} closedAt Unix time (seconds)
+ * @property {string | null} closedBy
+ * @property {number} [eventCount]
+ */
+
+/**
+ * @typedef {Object} AmlAlertDetail
+ * @property {number} id
+ * @property {string} ruleId
+ * @property {string} ruleType
+ * @property {string} severity
+ * @property {string} subject 0x address
+ * @property {string | null} counterparty
+ * @property {string} dedupKey
+ * @property {string} summary
+ * @property {Record<string, any>} details
+ * @property {"OPEN" | "IN_REVIEW" | "CLOSED"} status
+ * @property {string | null} assignee
+ * @property {string | null} disposition
+ * @property {number | null} proposalId
+ * @property {number} createdAt Unix time (seconds)
+ * @property {number} updatedAt Unix time (seconds)
+ * @property {number | null} closedAt Unix time (seconds)
+ * @property {string | null} closedBy
+ * @property {number} [eventCount]
+ * @property {Array<{ txHash: string, logIndex: number, blockNumber: number, eventName: string, fromAddr: string | null, toAddr: string | null, amount: string | null, timestamp: number | null }>} events
+ * @property {Array<{ id: number, kind: string, actor: string, body: string | null, at: number }>} notes
+ */
+
+/**
+ * @typedef {Object} AmlAlertResult
+ * @property {true} ok
+ * @property {AmlAlertDetail} alert
+ */
+
+/**
+ * @typedef {Object} AdminJob
+ * @property {number} id
+ * @property {string} kind
+ * @property {string} contractName
+ * @property {string} contractAddress 0x address
+ * @property {string} method
+ * @property {Array<any>} args
+ * @property {Record<string, any>} context
+ * @property {"QUEUED" | "SENT" | "CONFIRMED" | "FAILED"} status
+ * @property {string | null} signer 0x address
+ * @property {number | null} nonce
+ * @property {string | null} txHash 32-byte hex (tx hash, kycHash, ...)
+ * @property {number} attempts
+ * @property {number} nextAttemptAt Unix time (seconds)
+ * @property {string | null} lastError
+ * @property {Record<string, any> | null} result
+ * @property {string | null} createdBy
+ * @property {number} createdAt Unix time (seconds)
+ * @property {number} updatedAt Unix time (seconds)
+ * @property {number | null} sentAt Unix time (seconds)
+ * @property {number | null} confirmedAt Unix time (seconds)
+ * @property {number | null} blockNumber
+ */
+
+/**
+ * @typedef {Object} AdminTx
+ * @property {number} id
+ * @property {number} jobId
+ * @property {string} txHash 32-byte hex (tx hash, kycHash, ...)
+ * @property {string} signer 0x address
+ * @property {number} nonce
+ * @property {string} gasLimit Integer amount in wei, as a decimal string
+ * @property {string} maxFeePerGas Integer amount in wei, as a decimal string
+ * @property {string} maxPriorityFeePerGas Integer amount in wei, as a decimal string
+ * @property {"PENDING" | "MINED" | "REPLACED" | "DROPPED"} status
+ * @property {number} sentAt Unix time (seconds)
+ * @property {number | null} blockNumber
+ * @property {string | null} blockHash 32-byte hex (tx hash, kycHash, ...)
+ * @property {number | null} receiptStatus
+ * @property {string | null} gasUsed Integer amount in wei, as a decimal string
+ * @property {string | null} effectiveGasPrice Integer amount in wei, as a decimal string
+ * @property {number | null} minedAt Unix time (seconds)
+ */
+
+/**
+ * @typedef {Object} AdminJobDetail
+ * @property {number} id
+ * @property {string} kind
+ * @property {string} contractName
+ * @property {string} contractAddress 0x address
+ * @property {string} method
+ * @property {Array<any>} args
+ * @property {Record<string, any>} context
+ * @property {"QUEUED" | "SENT" | "CONFIRMED" | "FAILED"} status
+ * @property {string | null} signer 0x address
+ * @property {number | null} nonce
+ * @property {string | null} txHash 32-byte hex (tx hash, kycHash, ...)
+ * @property {number} attempts
+ * @property {number} nextAttemptAt Unix time (seconds)
+ * @property {string | null} lastError
+ * @property {Record<string, any> | null} result
+ * @property {string | null} createdBy
+ * @property {number} createdAt Unix time (seconds)
+ * @property {number} updatedAt Unix time (seconds)
+ * @property {number | null} sentAt Unix time (seconds)
+ * @property {number | null} confirmedAt Unix time (seconds)
+ * @property {number | null} blockNumber
+ * @property {Array<AdminTx>} txs
+ */
+
+/**
+ * @typedef {Object} Webhook
+ * @property {number} id
+ * @property {string} url
+ * @property {string | null} description
+ * @property {boolean} active
+ * @property {Array<string>} eventTypes
+ * @property {Array<string> | null} accounts
+ * @property {number} fromEventId
+ * @property {number} fromActionId
+ * @property {string | null} createdBy
+ * @property {number} createdAt Unix time (seconds)
+ * @property {number} updatedAt Unix time (seconds)
+ * @property {{ PENDING: number, DELIVERED: number, DEAD: number }} [deliveries]
+ */
+
+/**
+ * @typedef {Object} WebhookWithSecret
+ * @property {number} id
+ * @property {string} url
+ * @property {string | null} description
+ * @property {boolean} active
+ * @property {Array<string>} eventTypes
+ * @property {Array<string> | null} accounts
+ * @property {number} fromEventId
+ * @property {number} fromActionId
+ * @property {string | null} createdBy
+ * @property {number} createdAt Unix time (seconds)
+ * @property {number} updatedAt Unix time (seconds)
+ * @property {{ PENDING: number, DELIVERED: number, DEAD: number }} [deliveries]
+ * @property {string} secret HMAC key for X-BankChain-Signature; only returned on create / rotate
+ */
+
+/**
+ * @typedef {Object} WebhookDelivery
+ * @property {number} id
+ * @property {number} subscriptionId
+ * @property {string} eventKey
+ * @property {string} eventType
+ * @property {{ id: string, type: string, createdAt: number, data: Record<string, any> }} payload
+ * @property {"PENDING" | "DELIVERED" | "DEAD"} status
+ * @property {number} attempts
+ * @property {number} nextAttemptAt Unix time (seconds)
+ * @property {number | null} lastStatusCode
+ * @property {string | null} lastError
+ * @property {number | null} replayOf
+ * @property {number} createdAt Unix time (seconds)
+ * @property {number} updatedAt Unix time (seconds)
+ * @property {number | null} deliveredAt Unix time (seconds)
+ */
+
+/**
+ * @typedef {Object} WebhookAttempt
+ * @property {number} id
+ * @property {number} deliveryId
+ * @property {number} attempt
+ * @property {number} at Unix time (seconds)
+ * @property {number | null} statusCode
+ * @property {string | null} error
+ * @property {number} durationMs
+ * @property {string | null} responseBody
+ */
+
+/**
+ * @typedef {Object} WebhookDeliveryDetail
+ * @property {number} id
+ * @property {number} subscriptionId
+ * @property {string} eventKey
+ * @property {string} eventType
+ * @property {{ id: string, type: string, createdAt: number, data: Record<string, any> }} payload
+ * @property {"PENDING" | "DELIVERED" | "DEAD"} status
+ * @property {number} attempts
+ * @property {number} nextAttemptAt Unix time (seconds)
+ * @property {number | null} lastStatusCode
+ * @property {string | null} lastError
+ * @property {number | null} replayOf
+ * @property {number} createdAt Unix time (seconds)
+ * @property {number} updatedAt Unix time (seconds)
+ * @property {number | null} deliveredAt Unix time (seconds)
+ * @property {Array<WebhookAttempt>} attemptLog
+ */
+
+/**
+ * @typedef {Object} SubmitKycRequestBody
+ * @property {string} wallet
+ * @property {string} fullName
+ * @property {string} dob
+ * @property {string} nationalId
+ * @property {string} addressText
+ * @property {string} [docRef]
+ * @property {string | number} nonce
+ * @property {string} signature
+ */
+
+/**
+ * @typedef {Object} CreateAuthChallengeBody
+ * @property {string} address
+ */
+
+/**
+ * @typedef {Object} VerifyAuthChallengeBody
+ * @property {string} nonce
+ * @property {string} signature
+ */
+
+/**
+ * @typedef {Object} ClearScreeningHitBody
+ * @property {string} justification
+ */
+
+/**
+ * @typedef {Object} ProposeKycApprovalBody
+ * @property {number} requestId
+ * @property {number} [level]
+ * @property {number} [expiresAt]
+ * @property {string} [notes]
+ */
+
+/**
+ * @typedef {Object} ProposeKycRejectionBody
+ * @property {number} requestId
+ * @property {string} [notes]
+ */
+
+/**
+ * @typedef {Object} ConfirmKycProposalBody
+ * @property {string} [signature]
+ */
+
+/**
+ * @typedef {Object} RevokeCouncilConfirmationBody
+ * @property {string} signature
+ */
+
+/**
+ * @typedef {Object} ResolveKycDiscrepancyBody
+ * @property {string} resolution
+ */
+
+/**
+ * @typedef {Object} AssignAmlAlertBody
+ * @property {string} [assignee]
+ */
+
+/**
+ * @typedef {Object} CommentAmlAlertBody
+ * @property {string} body
+ */
+
+/**
+ * @typedef {Object} CloseAmlAlertBody
+ * @property {"FALSE_POSITIVE" | "EXPLAINED" | "SAR_FILED" | "ACCOUNT_REVOKED"} disposition
+ * @property {string} comment
+ */
+
+/**
+ * @typedef {Object} LegacyKycDecisionBody
+ * @property {string} user
+ * @property {number} [level]
+ * @property {number} [expiresAt]
+ * @property {string} [notes]
+ */
+
+/**
+ * @typedef {Object} CreateWebhookBody
+ * @property {string} url
+ * @property {Array<string>} eventTypes
+ * @property {Array<string> | null} [accounts]
+ * @property {string | null} [description]
+ */
+
+/**
+ * @typedef {Object} UpdateWebhookBody
+ * @property {string} [url]
+ * @property {Array<string>} [eventTypes]
+ * @property {Array<string> | null} [accounts]
+ * @property {string | null} [description]
+ * @property {boolean} [active]
+ */
+
+const enc = (v) => encodeURIComponent(String(v));
+
+/**
+ * @param {{ baseUrl?: string, headers?: () => Record<string, string> }} [options]
+ *   headers: called per request, e.g. () => adminHeaders() for /admin routes
+ */
+export function createClient({ baseUrl = BACKEND_URL, headers = () => ({}) } = {}) {
+  async function request(method, path, { body, query } = {}) {
+    const { data } = await axios.request({
+      method,
+      url: `${baseUrl}${path}`,
+      params: query,
+      data: body,
+      headers: headers(),
+    });
+    return data;
+  }
+
+  function urlFor(path, query = {}) {
+    const qs = new URLSearchParams(Object.entries(query).filter(([, v]) => v !== undefined && v !== null && v !== ""));
+    return `${baseUrl}${path}${String(qs) ? `?${qs}` : ""}`;
+  }
+
+  return {
+    /**
+     * Liveness check
+     * @returns {Promise<Health>}
+     */
+    health: () => request("get", `/health`),
+    /**
+     * Paused actions per contract (emergency pause)
+     * @returns {Promise<PauseStatus>}
+     */
+    getPauseStatus: () => request("get", `/status`),
+    /**
+     * Timelocked admin operations and when they become executable
+     * @param {{ status?: "PENDING" | "READY" | "EXECUTED" | "CANCELLED", limit?: number }} [query]
+     * @returns {Promise<GovernanceOperations>}
+     */
+    listGovernanceOperations: (query) => request("get", `/governance/operations`, { query }),
+    /**
+     * Chain id, RPC URL and deployed contract addresses
+     * @returns {Promise<ContractsMeta>}
+     */
+    getContractsMeta: () => request("get", `/contracts`),
+    /**
+     * ABI of a deployed contract
+     * @param {string} name
+     * @returns {Promise<Array<Record<string, any>>>}
+     */
+    getAbi: (name) => request("get", `/abi/${enc(name)}`),
+    /**
+     * On-chain KYC approval + latest off-chain request
+     * @param {string} user
+     * @returns {Promise<KycStatus>}
+     */
+    getKycStatus: (user) => request("get", `/kyc/${enc(user)}`),
+    /**
+     * BKD balance, checked against the indexed ledger
+     * @param {string} user
+     * @param {{ block?: number }} [query]
+     * @returns {Promise<Balance>}
+     */
+    getBalance: (user, query) => request("get", `/balance/${enc(user)}`, { query }),
+    /**
+     * Per-KYC-level limits and remaining headroom
+     * @param {string} user
+     * @returns {Promise<UserLimits>}
+     */
+    getLimits: (user) => request("get", `/limits/${enc(user)}`),
+    /**
+     * BKD ledger entries with running balance
+     * @param {string} user
+     * @param {{ fromBlock?: number, toBlock?: number, limit?: number }} [query]
+     * @returns {Promise<BalanceHistory>}
+     */
+    getBalanceHistory: (user, query) => request("get", `/balance/${enc(user)}/history`, { query }),
+    /**
+     * Indexed events of one account (filters, keyset pagination)
+     * @param {string} user
+     * @param {{ eventName?: string, contract?: string, counterparty?: string, fromBlock?: number, toBlock?: number, fromTime?: number, toTime?: number, minAmount?: string, maxAmount?: string, sort?: "block" | "time" | "amount", order?: "asc" | "desc", limit?: number, cursor?: string }} [query]
+     * @returns {Promise<EventPage>}
+     */
+    listAccountEvents: (user, query) => request("get", `/tx/${enc(user)}`, { query }),
+    /**
+     * Account statement for a period
+     * @param {string} user
+     * @param {{ from?: string, to?: string, format?: "json" | "csv" | "html" | "camt053" }} [query]
+     * @returns {Promise<Statement | string>}
+     */
+    getStatement: Object.assign((user, query) => request("get", `/statements/${enc(user)}`, { query }), {
+      /** URL of the same request (for links / window.open) */
+      url: (user, query) => urlFor(`/statements/${enc(user)}`, query),
+    }),
+    /**
+     * Single-use nonce + EIP-712 spec for signing a KYC request
+     * @param {string} wallet
+     * @returns {Promise<KycNonce>}
+     */
+    getKycNonce: (wallet) => request("get", `/kyc/nonce/${enc(wallet)}`),
+    /**
+     * Submit a signed KYC dossier
+     * @param {SubmitKycRequestBody} body
+     * @returns {Promise<KycSubmitted>}
+     */
+    submitKycRequest: (body) => request("post", `/kyc/request`, { body }),
+    /**
+     * Sign-in message for an admin wallet
+     * @param {CreateAuthChallengeBody} body
+     * @returns {Promise<AuthChallenge>}
+     */
+    createAuthChallenge: (body) => request("post", `/auth/challenge`, { body }),
+    /**
+     * Exchange the signed challenge for an admin session token
+     * @param {VerifyAuthChallengeBody} body
+     * @returns {Promise<AdminToken>}
+     */
+    verifyAuthChallenge: (body) => request("post", `/auth/verify`, { body }),
+    /**
+     * Revoke the bearer session token (if any)
+     * @returns {Promise<{ ok: true }>}
+     */
+    logout: () => request("post", `/auth/logout`),
+    /**
+     * Current admin session
+     * @returns {Promise<AdminSession>}
+     */
+    getAdminSession: () => request("get", `/admin/session`),
+    /**
+     * Pending KYC requests
+     * @returns {Promise<{ requests: Array<KycRequestSummary> }>}
+     */
+    listKycRequests: () => request("get", `/admin/kyc/requests`),
+    /**
+     * Decrypted dossier + screening hits (audited)
+     * @param {number} id
+     * @returns {Promise<KycRequestDetail>}
+     */
+    getKycRequest: (id) => request("get", `/admin/kyc/requests/${enc(id)}`),
+    /**
+     * Imported sanctions lists
+     * @returns {Promise<{ lists: Array<Watchlist> }>}
+     */
+    listWatchlists: () => request("get", `/admin/screening/lists`),
+    /**
+     * Screen every pending request against the active lists
+     * @returns {Promise<RescreenResult>}
+     */
+    rescreenAll: () => request("post", `/admin/screening/rescreen`),
+    /**
+     * Clear a false-positive hit
+     * @param {number} id
+     * @param {ClearScreeningHitBody} body
+     * @returns {Promise<{ ok: true, hit: ScreeningHit }>}
+     */
+    clearScreeningHit: (id, body) => request("post", `/admin/screening/hits/${enc(id)}/clear`, { body }),
+    /**
+     * Propose approving a request (maker step)
+     * @param {ProposeKycApprovalBody} body
+     * @returns {Promise<ProposalCreated>}
+     */
+    proposeKycApproval: (body) => request("post", `/admin/kyc/approve-request`, { body }),
+    /**
+     * Propose rejecting a request (maker step)
+     * @param {ProposeKycRejectionBody} body
+     * @returns {Promise<ProposalCreated>}
+     */
+    proposeKycRejection: (body) => request("post", `/admin/kyc/reject-request`, { body }),
+    /**
+     * Proposals by status + council settings
+     * @param {{ status?: "PENDING" | "EXECUTING" | "EXECUTED" | "CANCELLED" | "EXPIRED" }} [query]
+     * @returns {Promise<ProposalList>}
+     */
+    listKycProposals: (query) => request("get", `/admin/kyc/proposals`, { query }),
+    /**
+     * EIP-712 data the officer signs for the council
+     * @param {number} id
+     * @param {{ op?: "propose" | "confirm" | "revoke" }} [query]
+     * @returns {Promise<CouncilTypedData>}
+     */
+    getCouncilTypedData: (id, query) => request("get", `/admin/kyc/proposals/${enc(id)}/council`, { query }),
+    /**
+     * Confirm a proposal (checker step); council proposals need a signature
+     * @param {number} id
+     * @param {ConfirmKycProposalBody} [body]
+     * @returns {Promise<ProposalDecision>}
+     */
+    confirmKycProposal: (id, body) => request("post", `/admin/kyc/proposals/${enc(id)}/confirm`, { body }),
+    /**
+     * Withdraw this officer's council confirmation
+     * @param {number} id
+     * @param {RevokeCouncilConfirmationBody} body
+     * @returns {Promise<ProposalDecision>}
+     */
+    revokeCouncilConfirmation: (id, body) => request("post", `/admin/kyc/proposals/${enc(id)}/council/revoke`, { body }),
+    /**
+     * Cancel own pending proposal
+     * @param {number} id
+     * @returns {Promise<{ ok: true }>}
+     */
+    cancelKycProposal: (id) => request("post", `/admin/kyc/proposals/${enc(id)}/cancel`),
+    /**
+     * On-chain KYC facts the DB cannot explain
+     * @param {{ status?: "open" | "resolved" | "all", wallet?: string }} [query]
+     * @returns {Promise<{ discrepancies: Array<Discrepancy> }>}
+     */
+    listKycDiscrepancies: (query) => request("get", `/admin/kyc/discrepancies`, { query }),
+    /**
+     * Mark a discrepancy as resolved
+     * @param {number} id
+     * @param {ResolveKycDiscrepancyBody} body
+     * @returns {Promise<{ ok: true }>}
+     */
+    resolveKycDiscrepancy: (id, body) => request("post", `/admin/kyc/discrepancies/${enc(id)}/resolve`, { body }),
+    /**
+     * Indexed events across all accounts
+     * @param {{ eventName?: string, contract?: string, account?: string, counterparty?: string, fromBlock?: number, toBlock?: number, fromTime?: number, toTime?: number, minAmount?: string, maxAmount?: string, sort?: "block" | "time" | "amount", order?: "asc" | "desc", limit?: number, cursor?: string }} [query]
+     * @returns {Promise<EventPage>}
+     */
+    listEvents: (query) => request("get", `/admin/events`, { query }),
+    /**
+     * Every indexed account vs balanceOf at the indexer checkpoint
+     * @returns {Promise<LedgerVerify>}
+     */
+    verifyLedger: () => request("get", `/admin/ledger/verify`),
+    /**
+     * Latest finished run + recent history
+     * @returns {Promise<Reconciliation>}
+     */
+    getReconciliation: () => request("get", `/admin/reconciliation`),
+    /**
+     * Reconciliation runs
+     * @param {{ status?: "RUNNING" | "OK" | "BREAKS" | "ERROR", limit?: number }} [query]
+     * @returns {Promise<{ runs: Array<ReconRunSummary> }>}
+     */
+    listReconciliationRuns: (query) => request("get", `/admin/reconciliation/runs`, { query }),
+    /**
+     * One run with its breaks
+     * @param {number} id
+     * @returns {Promise<ReconRun>}
+     */
+    getReconciliationRun: (id) => request("get", `/admin/reconciliation/runs/${enc(id)}`),
+    /**
+     * Run a reconciliation now
+     * @returns {Promise<ReconRun>}
+     */
+    runReconciliation: () => request("post", `/admin/reconciliation/run`),
+    /**
+     * Collateral, debt, health factor, accrued interest and debt projections
+     * @param {string} user
+     * @param {{ payoffDate?: string, installments?: number }} [query]
+     * @returns {Promise<LendingAccount>}
+     */
+    getLendingAccount: (user, query) => request("get", `/lending/${enc(user)}`, { query }),
+    /**
+     * Indexed borrowers with outstanding debt, riskiest first
+     * @param {{ all?: "0" | "1" }} [query]
+     * @returns {Promise<LendingAccounts>}
+     */
+    listLendingAccounts: (query) => request("get", `/admin/lending/accounts`, { query }),
+    /**
+     * Borrowers below the liquidation threshold
+     * @param {{ all?: "0" | "1" }} [query]
+     * @returns {Promise<LiquidationCandidates>}
+     */
+    listLiquidatable: (query) => request("get", `/admin/lending/liquidatable`, { query }),
+    /**
+     * Loaded AML rules
+     * @returns {Promise<AmlRules>}
+     */
+    getAmlRules: () => request("get", `/admin/aml/rules`),
+    /**
+     * Run the AML rules over newly indexed events now
+     * @returns {Promise<AmlRunResult>}
+     */
+    runAml: () => request("post", `/admin/aml/run`),
+    /**
+     * AML alerts
+     * @param {{ status?: "OPEN" | "IN_REVIEW" | "CLOSED", subject?: string, assignee?: string, ruleId?: string, limit?: number }} [query]
+     * @returns {Promise<{ alerts: Array<AmlAlert> }>}
+     */
+    listAmlAlerts: (query) => request("get", `/admin/aml/alerts`, { query }),
+    /**
+     * Alert with its events and notes
+     * @param {number} id
+     * @returns {Promise<{ alert: AmlAlertDetail }>}
+     */
+    getAmlAlert: (id) => request("get", `/admin/aml/alerts/${enc(id)}`),
+    /**
+     * Assign an alert (default: to yourself)
+     * @param {number} id
+     * @param {AssignAmlAlertBody} [body]
+     * @returns {Promise<AmlAlertResult>}
+     */
+    assignAmlAlert: (id, body) => request("post", `/admin/aml/alerts/${enc(id)}/assign`, { body }),
+    /**
+     * Add a case note
+     * @param {number} id
+     * @param {CommentAmlAlertBody} body
+     * @returns {Promise<AmlAlertResult>}
+     */
+    commentAmlAlert: (id, body) => request("post", `/admin/aml/alerts/${enc(id)}/comments`, { body }),
+    /**
+     * Close an alert with a disposition
+     * @param {number} id
+     * @param {CloseAmlAlertBody} body
+     * @returns {Promise<AmlAlertResult>}
+     */
+    closeAmlAlert: (id, body) => request("post", `/admin/aml/alerts/${enc(id)}/close`, { body }),
+    /**
+     * Propose approving the latest pending request of a wallet (legacy)
+     * @param {LegacyKycDecisionBody} body
+     * @returns {Promise<ProposalCreated>}
+     */
+    legacyApproveKyc: (body) => request("post", `/admin/kyc/approve`, { body }),
+    /**
+     * Propose revoking a wallet's KYC
+     * @param {LegacyKycDecisionBody} body
+     * @returns {Promise<ProposalCreated>}
+     */
+    proposeKycRevocation: (body) => request("post", `/admin/kyc/revoke`, { body }),
+    /**
+     * Admin transaction queue
+     * @param {{ status?: "QUEUED" | "SENT" | "CONFIRMED" | "FAILED", limit?: number }} [query]
+     * @returns {Promise<{ jobs: Array<AdminJob> }>}
+     */
+    listJobs: (query) => request("get", `/admin/jobs`, { query }),
+    /**
+     * Job with every broadcast tx
+     * @param {number} id
+     * @returns {Promise<{ job: AdminJobDetail }>}
+     */
+    getJob: (id) => request("get", `/admin/jobs/${enc(id)}`),
+    /**
+     * Webhook subscriptions + supported event types
+     * @returns {Promise<{ webhooks: Array<Webhook>, eventTypes: Array<string> }>}
+     */
+    listWebhooks: () => request("get", `/admin/webhooks`),
+    /**
+     * Create a subscription (returns its signing secret)
+     * @param {CreateWebhookBody} body
+     * @returns {Promise<{ ok: true, webhook: WebhookWithSecret }>}
+     */
+    createWebhook: (body) => request("post", `/admin/webhooks`, { body }),
+    /**
+     * Delivery log
+     * @param {{ status?: "PENDING" | "DELIVERED" | "DEAD", webhookId?: number, eventType?: string, limit?: number }} [query]
+     * @returns {Promise<{ deliveries: Array<WebhookDelivery> }>}
+     */
+    listWebhookDeliveries: (query) => request("get", `/admin/webhooks/deliveries`, { query }),
+    /**
+     * Delivery with every HTTP attempt
+     * @param {number} id
+     * @returns {Promise<{ delivery: WebhookDeliveryDetail }>}
+     */
+    getWebhookDelivery: (id) => request("get", `/admin/webhooks/deliveries/${enc(id)}`),
+    /**
+     * Send a delivery again (same event id)
+     * @param {number} id
+     * @returns {Promise<{ ok: true, delivery: WebhookDelivery }>}
+     */
+    replayWebhookDelivery: (id) => request("post", `/admin/webhooks/deliveries/${enc(id)}/replay`),
+    /**
+     * Subscription with delivery counts
+     * @param {number} id
+     * @returns {Promise<{ webhook: Webhook }>}
+     */
+    getWebhook: (id) => request("get", `/admin/webhooks/${enc(id)}`),
+    /**
+     * Change a subscription or (de)activate it
+     * @param {number} id
+     * @param {UpdateWebhookBody} [body]
+     * @returns {Promise<{ ok: true, webhook: Webhook }>}
+     */
+    updateWebhook: (id, body) => request("post", `/admin/webhooks/${enc(id)}`, { body }),
+    /**
+     * New signing secret (the old one stops working)
+     * @param {number} id
+     * @returns {Promise<{ ok: true, webhook: WebhookWithSecret }>}
+     */
+    rotateWebhookSecret: (id) => request("post", `/admin/webhooks/${enc(id)}/rotate-secret`),
+    /**
+     * Queue a webhook.test delivery
+     * @param {number} id
+     * @returns {Promise<{ ok: true, delivery: WebhookDelivery }>}
+     */
+    sendWebhookTest: (id) => request("post", `/admin/webhooks/${enc(id)}/test`),
+  };
+}
+
+/** Client for public routes (BACKEND_URL, no auth header) */
+export const api = createClient();
@@ -0,0 +1,46 @@
+import { api, createClient } from "./api.js";
+
+// Admin session (SIWE-style). Token sống ngắn, chỉ giữ trong sessionStorage của tab.
+const STORAGE_KEY = "bankchain.adminSession";
+
+export function loadAdminSession() {
+  try {
+    const s = JSON.parse(sessionStorage.getItem(STORAGE_KEY) || "null");
+    if (!s?.token || s.expiresAt * 1000 <= Date.now()) return null;
+    return s;
+  } catch {
+    return null;
+  }
+}
+
+export function clearAdminSession() {
+  sessionStorage.removeItem(STORAGE_KEY);
+}
+
+export async function signInAdmin(signer) {
+  const address = await signer.getAddress();
+  const challenge = await api.createAuthChallenge({ address });
+
+  // MetaMask hiện nguyên văn message EIP-4361 để admin đọc trước khi ký.
+  const signature = await signer.signMessage(challenge.message);
+
+  const data = await api.verifyAuthChallenge({ nonce: challenge.nonce, signature });
+
+  const session = { token: data.token, address: data.address, expiresAt: data.expiresAt };
+  sessionStorage.setItem(STORAGE_KEY, JSON.stringify(session));
+  return session;
+}
+
+export async function signOutAdmin() {
+  const s = loadAdminSession();
+  clearAdminSession();
+  if (s) {
+    await createClient({ headers: () => adminHeaders(s) })
+      .logout()
+      .catch(() => {});
+  }
+}
+
+export function adminHeaders(session = loadAdminSession()) {
+  return session ? { Authorization: `Bearer ${session.token}` } : {};
+}
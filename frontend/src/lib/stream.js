@@ -0,0 +1,25 @@
+// Live updates từ backend (SSE /stream). EventSource tự reconnect và gửi Last-Event-ID,
+// backend replay những gì bị lỡ => không cần tự quản lý cursor.
+//
+// onChange được gọi (debounce) khi có message thuộc topics; onStatus(true/false) = đang nối / mất kết nối.
+export function openStream(baseUrl, { topics, accounts = [], token = null, onChange, onStatus, debounceMs = 400 }) {
+  const params = new URLSearchParams({ topics: topics.join(",") });
+  if (accounts.length) params.set("accounts", accounts.join(","));
+  if (token) params.set("token", token); // EventSource không gửi được header Authorization
+
+  const es = new EventSource(`${baseUrl}/stream?${params}`);
+  let timer = null;
+  const fire = (e) => {
+    clearTimeout(timer);
+    timer = setTimeout(() => onChange(e.type, JSON.parse(e.data)), debounceMs);
+  };
+
+  for (const t of ["event", "kyc", "inbox"]) es.addEventListener(t, fire);
+  es.addEventListener("subscribed", () => onStatus?.(true));
+  es.onerror = () => onStatus?.(false);
+
+  return () => {
+    clearTimeout(timer);
+    es.close();
+  };
+}
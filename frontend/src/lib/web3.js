@@ -1,6 +1,5 @@
 import { ethers } from "ethers";
-import axios from "axios";
-import { BACKEND_URL } from "./config.js";
+import { api } from "./api.js";
 
 export async function requireMetaMask() {
   if (!window.ethereum) throw new Error("MetaMask not detected");
@@ -11,8 +10,7 @@ export async function requireMetaMask() {
 }
 
 export async function fetchContracts() {
-  const { data } = await axios.get(`${BACKEND_URL}/contracts`);
-  return data;
+  return api.getContractsMeta();
 }
 
 export async function loadContract(abi, address, signerOrProvider) {
@@ -20,6 +18,5 @@ export async function loadContract(abi, address, signerOrProvider) {
 }
 
 export async function fetchAbi(name) {
-  const { data } = await axios.get(`${BACKEND_URL}/abi/${name}`);
-  return data; // mảng ABI
+  return api.getAbi(name); // mảng ABI
 }
\ No newline at end of file
@@ -1,8 +1,7 @@
 import React, { useEffect, useMemo, useState } from "react";
-import axios from "axios";
-
-// Admin mặc định của Hardhat local (account #0)
-const DEFAULT_ADMIN = "0xf39fd6e51aad88f6f4ce6ab8827279cfffb92266";
+import { createClient } from "../lib/api.js";
+import { adminHeaders, loadAdminSession, signInAdmin, signOutAdmin } from "../lib/auth.js";
+import { openStream } from "../lib/stream.js";
 
 function Section({ title, children }) {
   return (
@@ -27,10 +26,14 @@ function short(x, n = 16) {
   return s.length <= n ? s : `${s.slice(0, n)}…`;
 }
 
-export default function AdminInbox({ backendUrl, currentWallet, onAfterAction }) {
+export default function AdminInbox({ backendUrl, currentWallet, signer, onAfterAction }) {
   const [list, setList] = useState([]);
+  const [proposals, setProposals] = useState([]);
+  const [council, setCouncil] = useState(null);
   const [selectedId, setSelectedId] = useState(null);
   const [detail, setDetail] = useState(null);
+  const [hits, setHits] = useState([]);
+  const [justifications, setJustifications] = useState({});
 
   const [notes, setNotes] = useState("");
   const [msg, setMsg] = useState("");
@@ -39,32 +42,88 @@ export default function AdminInbox({ backendUrl, currentWallet, onAfterAction })
   const [loadingDetail, setLoadingDetail] = useState(false);
   const [acting, setActing] = useState(false);
 
+  const [session, setSession] = useState(() => loadAdminSession());
+  const [signingIn, setSigningIn] = useState(false);
+
+  // headers đọc session mỗi request => không cần tạo lại client khi đăng nhập / token đổi
+  const client = useMemo(() => createClient({ baseUrl: backendUrl, headers: adminHeaders }), [backendUrl]);
+
+  // Session phải thuộc đúng ví đang connect (đổi account trong MetaMask => đăng nhập lại)
   const isAdmin = useMemo(() => {
-    if (!currentWallet) return false;
-    return currentWallet.toLowerCase() === DEFAULT_ADMIN;
-  }, [currentWallet]);
+    if (!currentWallet || !session) return false;
+    return currentWallet.toLowerCase() === session.address;
+  }, [currentWallet, session]);
+
+  function handleAuthError(e) {
+    if (e?.response?.status === 401 || e?.response?.status === 403) {
+      signOutAdmin();
+      setSession(null);
+    }
+  }
+
+  async function signIn() {
+    if (!signer) return;
+    setSigningIn(true);
+    setMsg("");
+    try {
+      setSession(await signInAdmin(signer));
+    } catch (e) {
+      setMsg(`❌ Sign-in failed: ${e?.response?.data?.message || e.message}`);
+    } finally {
+      setSigningIn(false);
+    }
+  }
+
+  async function signOut() {
+    await signOutAdmin();
+    setSession(null);
+    setList([]);
+    setProposals([]);
+    setSelectedId(null);
+    setDetail(null);
+    setHits([]);
+  }
 
   async function loadList() {
     setLoadingList(true);
     try {
-      const { data } = await axios.get(`${backendUrl}/admin/kyc/requests`);
+      const data = await client.listKycRequests();
       setList(data.requests || []);
     } catch (e) {
+      handleAuthError(e);
       setMsg(`Load inbox failed: ${e?.response?.data?.message || e.message}`);
     } finally {
       setLoadingList(false);
     }
   }
 
+  async function loadProposals() {
+    try {
+      const data = await client.listKycProposals();
+      setProposals(data.proposals || []);
+      setCouncil(data.council || null);
+    } catch (e) {
+      handleAuthError(e);
+      setMsg(`Load proposals failed: ${e?.response?.data?.message || e.message}`);
+    }
+  }
+
+  async function reloadAll() {
+    await Promise.all([loadList(), loadProposals()]);
+  }
+
   async function openRequest(id) {
     setSelectedId(id);
     setLoadingDetail(true);
     setDetail(null);
+    setHits([]);
     setMsg("");
     try {
-      const { data } = await axios.get(`${backendUrl}/admin/kyc/requests/${id}`);
+      const data = await client.getKycRequest(id);
       setDetail(data.request);
+      setHits(data.hits || []);
     } catch (e) {
+      handleAuthError(e);
       setMsg(`Load request failed: ${e?.response?.data?.message || e.message}`);
     } finally {
       setLoadingDetail(false);
@@ -76,67 +135,183 @@ export default function AdminInbox({ backendUrl, currentWallet, onAfterAction })
     setActing(true);
     setMsg("");
     try {
-      const { data } = await axios.post(`${backendUrl}/admin/kyc/approve-request`, {
+      const data = await client.proposeKycApproval({
         requestId: selectedId,
         level: 1,
         expiresAt: 0,
         notes: notes || undefined,
       });
 
-      setMsg(`✅ Approved request #${selectedId}. tx=${data.txHash}`);
+      setMsg(`📝 Proposed APPROVE for request #${selectedId} (proposal #${data.proposalId}). Chờ officer thứ 2 confirm.`);
+      setNotes("");
+      await reloadAll();
+    } catch (e) {
+      handleAuthError(e);
+      setMsg(`❌ Propose approve failed: ${e?.response?.data?.message || e.message}`);
+    } finally {
+      setActing(false);
+    }
+  }
+
+  async function reject() {
+    if (!selectedId) return;
+    setActing(true);
+    setMsg("");
+    try {
+      const data = await client.proposeKycRejection({ requestId: selectedId, notes: notes || undefined });
+
+      setMsg(`📝 Proposed REJECT for request #${selectedId} (proposal #${data.proposalId}). Chờ officer thứ 2 confirm.`);
       setNotes("");
-      await loadList();
+      await reloadAll();
+    } catch (e) {
+      handleAuthError(e);
+      setMsg(`❌ Propose reject failed: ${e?.response?.data?.message || e.message}`);
+    } finally {
+      setActing(false);
+    }
+  }
+
+  async function clearHit(h) {
+    setActing(true);
+    setMsg("");
+    try {
+      await client.clearScreeningHit(h.id, { justification: justifications[h.id] || "" });
+      setJustifications((j) => ({ ...j, [h.id]: "" }));
+      await Promise.all([openRequest(h.requestId), loadList()]);
+      setMsg(`✅ Cleared screening hit #${h.id} (${h.source} ${h.externalId})`);
+    } catch (e) {
+      handleAuthError(e);
+      setMsg(`❌ Clear hit failed: ${e?.response?.data?.message || e.message}`);
+    } finally {
+      setActing(false);
+    }
+  }
+
+  const openHits = hits.filter((h) => h.status === "OPEN").length;
+
+  // APPROVE / REVOKE đi qua ComplianceCouncil (nếu có): officer ký EIP-712 trong ví, backend relay
+  const onCouncil = (p) => !!council && p.action !== "REJECT";
+
+  async function signCouncil(p, op) {
+    const typed = await client.getCouncilTypedData(p.id, op ? { op } : undefined);
+    return signer.signTypedData(typed.domain, typed.types, typed.message);
+  }
+
+  // Approve/revoke/council relay: backend trả jobId (tx queue) => chờ receipt confirmed rồi mới báo kết quả
+  async function waitForJob(jobId, label) {
+    setMsg(`⏳ ${label}: tx job #${jobId} queued...`);
+    for (let i = 0; i < 120; i++) {
+      const { job } = await client.getJob(jobId);
+      if (job.status === "CONFIRMED" || job.status === "FAILED") return job;
+      if (job.status === "SENT") {
+        setMsg(`⏳ ${label}: tx ${short(job.txHash, 14)} sent (nonce ${job.nonce}), waiting for confirmation...`);
+      } else if (job.lastError) {
+        setMsg(`⏳ ${label}: retrying (${job.lastError})`);
+      }
+      await new Promise((r) => setTimeout(r, 1500));
+    }
+    throw new Error(`job #${jobId} still not confirmed, check /admin/jobs/${jobId}`);
+  }
+
+  async function confirmProposal(p) {
+    setActing(true);
+    setMsg("");
+    try {
+      const body = onCouncil(p) ? { signature: await signCouncil(p) } : undefined;
+      const data = await client.confirmKycProposal(p.id, body);
+
+      let txHash = data.txHash;
+      if (data.jobId) {
+        const job = await waitForJob(data.jobId, `Proposal #${p.id}`);
+        if (job.status === "FAILED") {
+          setMsg(`❌ Proposal #${p.id}: tx failed (${job.lastError}). Proposal mở lại để confirm lần nữa.`);
+          await reloadAll();
+          return;
+        }
+        txHash = job.txHash;
+        if (onCouncil(p) && !job.result?.executed) {
+          setMsg(
+            `✍️ Signed council proposal #${job.result?.councilId} (${job.result?.confirmations}/${council.threshold}). ` +
+              `Chờ thêm officer ký.`
+          );
+          await loadProposals();
+          return;
+        }
+      }
+      setMsg(`✅ Confirmed proposal #${p.id} (${p.action}).${txHash ? ` tx=${txHash}` : ""}`);
+      if (p.requestId === selectedId) {
+        setSelectedId(null);
+        setDetail(null);
+      }
+      await reloadAll();
       if (onAfterAction) await onAfterAction();
     } catch (e) {
+      handleAuthError(e);
       const m = e?.response?.data?.message || e.message;
 
       // case hay gặp nhất với KYC v2:
       // user chưa publish requestKYC(kycHash) lên chain
       if (String(m).includes("pending request not found")) {
         setMsg(
-          `❌ Approve blocked: thiếu pending request trên chain.\n` +
-          `➡️ Yêu cầu user bấm "Publish on-chain (requestKYC)" trước, rồi admin approve lại.\n` +
+          `❌ Confirm blocked: thiếu pending request trên chain.\n` +
+          `➡️ Yêu cầu user bấm "Publish on-chain (requestKYC)" trước, rồi confirm lại.\n` +
           `Chi tiết: ${m}`
         );
       } else {
-        setMsg(`❌ Approve failed: ${m}`);
+        setMsg(`❌ Confirm failed: ${m}`);
       }
     } finally {
       setActing(false);
     }
   }
 
-  async function reject() {
-    if (!selectedId) return;
+  async function withdrawSignature(p) {
     setActing(true);
     setMsg("");
     try {
-      await axios.post(`${backendUrl}/admin/kyc/reject-request`, {
-        requestId: selectedId,
-        notes: notes || undefined,
-      });
+      const signature = await signCouncil(p, "revoke");
+      const data = await client.revokeCouncilConfirmation(p.id, { signature });
+      const job = await waitForJob(data.jobId, `Withdraw signature on proposal #${p.id}`);
+      setMsg(
+        job.status === "CONFIRMED"
+          ? `↩️ Withdrew your signature on council proposal #${job.result?.councilId} (${job.result?.confirmations}/${council.threshold}).`
+          : `❌ Withdraw failed: ${job.lastError}`
+      );
+      await loadProposals();
+    } catch (e) {
+      handleAuthError(e);
+      setMsg(`❌ Withdraw failed: ${e?.response?.data?.message || e.message}`);
+    } finally {
+      setActing(false);
+    }
+  }
 
-      setMsg(`✅ Rejected request #${selectedId}`);
-      setNotes("");
-      setSelectedId(null);
-      setDetail(null);
-      await loadList();
-      if (onAfterAction) await onAfterAction();
+  async function cancelProposal(p) {
+    setActing(true);
+    setMsg("");
+    try {
+      await client.cancelKycProposal(p.id);
+      setMsg(`Cancelled proposal #${p.id}`);
+      await reloadAll();
     } catch (e) {
-      setMsg(`❌ Reject failed: ${e?.response?.data?.message || e.message}`);
+      handleAuthError(e);
+      setMsg(`❌ Cancel failed: ${e?.response?.data?.message || e.message}`);
     } finally {
       setActing(false);
     }
   }
 
-  // Auto refresh inbox (giống “admin nhận được hồ sơ mới”)
+  // Inbox live (giống “admin nhận được hồ sơ mới”): backend push mỗi thay đổi hồ sơ / proposal
   useEffect(() => {
     if (!isAdmin) return;
-    loadList().catch(() => {});
-    const t = setInterval(() => loadList().catch(() => {}), 3000);
-    return () => clearInterval(t);
+    reloadAll().catch(() => {});
+    return openStream(backendUrl, {
+      topics: ["inbox"],
+      token: session.token,
+      onChange: () => reloadAll().catch(() => {}),
+    });
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [isAdmin]);
+  }, [isAdmin, session?.token, backendUrl]);
 
   if (!isAdmin) {
     return (
@@ -144,11 +319,17 @@ export default function AdminInbox({ backendUrl, currentWallet, onAfterAction })
         <div className="text-sm text-slate-400">
           Bạn đang connect ví <span className="font-mono">{currentWallet || "—"}</span>.
           <br />
-          Admin inbox chỉ mở cho account #0 (Hardhat admin):{" "}
-          <span className="font-mono">{DEFAULT_ADMIN}</span>.
-          <br />
-          👉 Hãy chuyển MetaMask sang account #0 để duyệt KYC cho người khác.
+          Admin inbox yêu cầu đăng nhập bằng chữ ký ví (Sign-In with Ethereum) và ví phải có
+          <span className="font-mono"> COMPLIANCE_ROLE</span> trên KYCRegistry.
         </div>
+        <button className="btn2 mt-3" onClick={signIn} disabled={!signer || signingIn}>
+          {signingIn ? "Waiting for signature..." : "Sign in as compliance officer"}
+        </button>
+        {msg && (
+          <div className="text-sm mt-3 whitespace-pre-line text-slate-200">
+            {msg}
+          </div>
+        )}
       </Section>
     );
   }
@@ -159,9 +340,14 @@ export default function AdminInbox({ backendUrl, currentWallet, onAfterAction })
         <div className="text-sm text-slate-300">
           Logged in as Admin: <span className="font-mono">{short(currentWallet, 22)}</span>
         </div>
-        <button className="btn2" onClick={loadList} disabled={loadingList}>
-          {loadingList ? "Loading..." : "Reload"}
-        </button>
+        <div className="flex gap-2">
+          <button className="btn2" onClick={reloadAll} disabled={loadingList}>
+            {loadingList ? "Loading..." : "Reload"}
+          </button>
+          <button className="btn2" onClick={signOut}>
+            Sign out
+          </button>
+        </div>
       </div>
 
       <div className="grid lg:grid-cols-2 gap-4">
@@ -190,6 +376,9 @@ export default function AdminInbox({ backendUrl, currentWallet, onAfterAction })
                 <div className="text-xs text-slate-500 mt-1 font-mono">
                   kycHash: {short(r.kycHash, 22)}
                 </div>
+                {r.openHits > 0 && (
+                  <div className="text-xs text-rose-300 mt-1">⚠ {r.openHits} open screening hit(s)</div>
+                )}
               </button>
             ))}
 
@@ -223,11 +412,61 @@ export default function AdminInbox({ backendUrl, currentWallet, onAfterAction })
               <div className="text-xs text-slate-400 mt-2">kycHash</div>
               <div className="font-mono text-xs break-all">{detail.kycHash}</div>
 
-              <div className="text-xs text-slate-400 mt-2">Submitted payload</div>
+              <div className="text-xs text-slate-400 mt-2">
+                Submitted payload{" "}
+                <span className={detail.hashVerified ? "text-emerald-300" : "text-rose-300"}>
+                  {detail.hashVerified ? "(kycHash verified)" : "(kycHash MISMATCH)"}
+                </span>
+                {detail.encrypted && <span className="text-slate-500"> · encrypted at rest, view logged</span>}
+              </div>
               <pre className="text-xs bg-slate-900/60 border border-slate-800 rounded-xl p-3 max-h-48 overflow-auto">
 {prettyJson(detail.payloadJson)}
               </pre>
 
+              <div className="text-xs text-slate-400 mt-2">
+                Sanctions screening{" "}
+                <span className="text-slate-500">
+                  {detail.screenedAt ? `(screened ${new Date(detail.screenedAt * 1000).toLocaleString()})` : "(not screened yet)"}
+                </span>
+              </div>
+              {!hits.length && <div className="text-xs text-emerald-300">No watchlist hits.</div>}
+              {hits.map((h) => (
+                <div
+                  key={h.id}
+                  className={"p-2 rounded-xl border " + (h.status === "OPEN" ? "border-rose-800" : "border-slate-800")}
+                >
+                  <div className="text-xs font-semibold">
+                    {h.status === "OPEN" ? "⚠" : "✓"} {h.entryName}{" "}
+                    <span className="text-slate-400 font-normal">
+                      {h.source} #{h.externalId} · score {h.score.toFixed(2)}
+                      {h.reasons?.program ? ` · ${h.reasons.program}` : ""}
+                    </span>
+                  </div>
+                  <div className="text-xs text-slate-400">
+                    matched "{h.matchedName}" · name {h.reasons?.nameScore}
+                    {h.reasons?.dobMatch != null ? ` · DOB ${h.reasons.dobMatch ? "match" : "differs"}` : ""}
+                    {h.reasons?.idMatch ? " · national ID match" : ""}
+                  </div>
+                  {h.status === "OPEN" ? (
+                    <div className="flex gap-2 mt-2">
+                      <input
+                        className="input"
+                        value={justifications[h.id] || ""}
+                        onChange={(e) => setJustifications((j) => ({ ...j, [h.id]: e.target.value }))}
+                        placeholder="Justification (VD: DOB + nationality differ, false positive)"
+                      />
+                      <button className="btn2" onClick={() => clearHit(h)} disabled={acting}>
+                        Clear
+                      </button>
+                    </div>
+                  ) : (
+                    <div className="text-xs text-slate-500 mt-1">
+                      Cleared by <span className="font-mono">{short(h.clearedBy, 14)}</span>: {h.justification}
+                    </div>
+                  )}
+                </div>
+              ))}
+
               <div className="text-xs text-slate-400 mt-2">Admin notes</div>
               <input
                 className="input"
@@ -237,16 +476,27 @@ export default function AdminInbox({ backendUrl, currentWallet, onAfterAction })
               />
 
               <div className="flex gap-2 mt-3">
-                <button className="btn2" onClick={approve} disabled={acting}>
-                  {acting ? "Processing..." : "Approve"}
+                <button
+                  className="btn2"
+                  onClick={approve}
+                  disabled={acting || openHits > 0 || !detail.screenedAt}
+                  title={
+                    !detail.screenedAt
+                      ? "Not screened yet: run a rescreen first"
+                      : openHits
+                        ? "Clear every open screening hit first"
+                        : undefined
+                  }
+                >
+                  {acting ? "Processing..." : "Propose approve"}
                 </button>
                 <button className="btn2" onClick={reject} disabled={acting}>
-                  {acting ? "Processing..." : "Reject"}
+                  {acting ? "Processing..." : "Propose reject"}
                 </button>
               </div>
 
               <div className="text-xs text-slate-500 mt-3">
-                Tip: Nếu Approve báo “pending request not found”, nghĩa là user chưa publish
+                Tip: Nếu Confirm báo “pending request not found”, nghĩa là user chưa publish
                 <span className="font-mono"> requestKYC(kycHash)</span> lên chain.
                 Khi đó yêu cầu user bấm “Publish on-chain” trước.
               </div>
@@ -255,6 +505,85 @@ export default function AdminInbox({ backendUrl, currentWallet, onAfterAction })
         </div>
       </div>
 
+      {/* Maker-checker: proposals chờ chữ ký thứ 2 */}
+      <div className="mt-5">
+        <div className="text-sm text-slate-300 mb-2">
+          Waiting for second signature ({proposals.length})
+        </div>
+        {council && (
+          <div className="text-xs text-slate-400 mb-2">
+            Approve / revoke are decided by the compliance council{" "}
+            <span className="font-mono">{short(council.address, 12)}</span>: {council.threshold} officer signatures
+            needed, the proposer signs too.
+          </div>
+        )}
+
+        <div className="space-y-2 max-h-72 overflow-auto">
+          {proposals.map((p) => {
+            const mine = p.proposedBy === currentWallet?.toLowerCase();
+            return (
+              <div key={p.id} className="p-3 rounded-xl border border-slate-800">
+                <div className="text-sm font-semibold">
+                  Proposal #{p.id} — {p.action}
+                  {p.requestId ? ` request #${p.requestId}` : ""}
+                  {p.action === "APPROVE" ? ` (level ${p.level}, expiresAt ${p.expiresAt || "never"})` : ""}
+                </div>
+                <div className="text-xs text-slate-400 font-mono break-all">{p.wallet}</div>
+                <div className="text-xs text-slate-500 mt-1">
+                  Proposed by <span className="font-mono">{short(p.proposedBy, 14)}</span> · expires{" "}
+                  {new Date(p.proposalExpiresAt * 1000).toLocaleString()}
+                </div>
+                {p.notes && <div className="text-xs text-slate-400 mt-1">Notes: {p.notes}</div>}
+                {onCouncil(p) && (
+                  <div className="text-xs text-slate-400 mt-1">
+                    {p.councilId
+                      ? `Council proposal #${p.councilId}: ${p.councilConfirmations}/${council.threshold} signatures`
+                      : "Not on-chain yet: the first signature proposes it to the council."}
+                  </div>
+                )}
+
+                <div className="flex gap-2 mt-2">
+                  {onCouncil(p) ? (
+                    <>
+                      <button className="btn2" onClick={() => confirmProposal(p)} disabled={acting}>
+                        {acting ? "Processing..." : "Sign"}
+                      </button>
+                      {p.councilConfirmations > 0 && (
+                        <button className="btn2" onClick={() => withdrawSignature(p)} disabled={acting}>
+                          Withdraw signature
+                        </button>
+                      )}
+                      {mine && !p.councilConfirmations && (
+                        <button className="btn2" onClick={() => cancelProposal(p)} disabled={acting}>
+                          Cancel
+                        </button>
+                      )}
+                    </>
+                  ) : mine ? (
+                    <button className="btn2" onClick={() => cancelProposal(p)} disabled={acting}>
+                      Cancel
+                    </button>
+                  ) : (
+                    <button className="btn2" onClick={() => confirmProposal(p)} disabled={acting}>
+                      {acting ? "Processing..." : "Confirm"}
+                    </button>
+                  )}
+                </div>
+                {mine && !onCouncil(p) && (
+                  <div className="text-xs text-slate-500 mt-1">
+                    Bạn là người đề xuất — cần một compliance officer khác confirm.
+                  </div>
+                )}
+              </div>
+            );
+          })}
+
+          {!proposals.length && (
+            <div className="text-sm text-slate-400">Không có đề xuất nào chờ confirm.</div>
+          )}
+        </div>
+      </div>
+
       {msg && (
         <div className="text-sm mt-4 whitespace-pre-line text-slate-200">
           {msg}
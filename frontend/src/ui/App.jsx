@@ -1,11 +1,14 @@
-import React, { useEffect, useMemo, useState } from "react";
-import axios from "axios";
+import React, { useEffect, useMemo, useRef, useState } from "react";
 import { ethers } from "ethers";
 
 import { BACKEND_URL } from "../lib/config.js";
+import { api, createClient } from "../lib/api.js";
 import { fmtWei } from "../lib/format.js";
 import { requireMetaMask, fetchContracts, fetchAbi, loadContract } from "../lib/web3.js";
+import { adminHeaders } from "../lib/auth.js";
+import { openStream } from "../lib/stream.js";
 import AdminInbox from "./AdminInbox.jsx";
+import Governance from "./Governance.jsx";
 
 function Section({ title, children }) {
   return (
@@ -16,16 +19,9 @@ function Section({ title, children }) {
   );
 }
 
-// ---- KYC helpers (must match backend) ----
-function stableStringify(obj) {
-  if (obj === null || typeof obj !== "object") return JSON.stringify(obj);
-  if (Array.isArray(obj)) return `[${obj.map(stableStringify).join(",")}]`;
-  const keys = Object.keys(obj).sort();
-  return `{${keys.map((k) => `${JSON.stringify(k)}:${stableStringify(obj[k])}`).join(",")}}`;
-}
-
-function buildKycMessage(canonicalPayload) {
-  return `BankChain KYC Request\n${canonicalPayload}`;
+function PausedNote({ reason }) {
+  if (!reason) return null;
+  return <div className="text-xs text-amber-300 mt-1">{reason}</div>;
 }
 
 function bytesToHex(bytes) {
@@ -44,6 +40,11 @@ function shortHex(x, n = 14) {
   return s.length <= n ? s : `${s.slice(0, n)}…`;
 }
 
+const EVENTS_PAGE_SIZE = 20;
+
+// /admin routes: bearer token của admin session hiện tại
+const adminApi = createClient({ headers: adminHeaders });
+
 export default function App() {
   const [wallet, setWallet] = useState(null);
   const [contractsCfg, setContractsCfg] = useState(null);
@@ -53,6 +54,15 @@ export default function App() {
 
   const [bkdBal, setBkdBal] = useState("0");
   const [events, setEvents] = useState([]);
+  // Audit trail paging: cursor của trang hiện tại + stack cursor các trang trước (để quay lại)
+  const [evEventName, setEvEventName] = useState("");
+  const [evCursor, setEvCursor] = useState(null);
+  const [evNextCursor, setEvNextCursor] = useState(null);
+  const [evPrevCursors, setEvPrevCursors] = useState([]);
+
+  const [stmtFrom, setStmtFrom] = useState("");
+  const [stmtTo, setStmtTo] = useState("");
+  const [stmtFormat, setStmtFormat] = useState("csv");
 
   const [amountEth, setAmountEth] = useState("0.1");
   const [withdrawAmt, setWithdrawAmt] = useState("0.05");
@@ -62,8 +72,12 @@ export default function App() {
   const [collateralAmt, setCollateralAmt] = useState("0.1");
   const [borrowAmt, setBorrowAmt] = useState("0.05");
   const [repayAmt, setRepayAmt] = useState("0.02");
+  const [supplyAmt, setSupplyAmt] = useState("0.1");
 
-  const [lending, setLending] = useState({ collateral: "0", debt: "0" });
+  const [limits, setLimits] = useState(null); // /limits/:user (KYC level headroom)
+  const [paused, setPaused] = useState([]); // /status: actions stopped by the guardian (emergency pause)
+  const [lending, setLending] = useState(null); // /lending/:user (position, health, projections at one block)
+  const [payoffDate, setPayoffDate] = useState(""); // YYYY-MM-DD => repayment schedule
   
   // --- NEW: KYC Application (user submits dossier + signature)
   const [kycForm, setKycForm] = useState({
@@ -86,6 +100,7 @@ export default function App() {
     (async () => {
       const cfg = await fetchContracts();
       setContractsCfg(cfg);
+      await loadPauseStatus();
     })().catch(console.error);
   }, []);
 
@@ -103,7 +118,7 @@ async function publishKycOnChain() {
     if (!wallet?.address) throw new Error("Chưa connect ví.");
 
     // 1) Lấy latest request từ backend để chắc chắn lấy đúng kycHash + status
-    const { data } = await axios.get(`${BACKEND_URL}/kyc/${wallet.address}`);
+    const data = await api.getKycStatus(wallet.address);
     const latest = data?.latestRequest;
 
     const kycHash = latest?.kycHash || kycLatest?.kycHash; // fallback nếu bạn đã có state kycLatest
@@ -158,20 +173,77 @@ async function publishKycOnChain() {
   async function refresh() {
     if (!wallet || !contractsCfg) return;
 
-    const { data: kycRes } = await axios.get(`${BACKEND_URL}/kyc/${wallet.address}`);
+    const kycRes = await api.getKycStatus(wallet.address);
     setKycApproved(kycRes.approved);
     setKycLatest(kycRes.latestRequest || null);
 
-    const { data: balRes } = await axios.get(`${BACKEND_URL}/balance/${wallet.address}`);
+    const balRes = await api.getBalance(wallet.address);
     setBkdBal(balRes.bkd);
 
-    const { data: evRes } = await axios.get(`${BACKEND_URL}/tx/${wallet.address}`);
+    const limRes = await api.getLimits(wallet.address);
+    setLimits(limRes);
+
+    await loadPauseStatus();
+
+    await loadEvents(evCursor);
+
+    // payoffDate đã qua => 400: vẫn hiện position, bỏ schedule
+    await loadLending().catch(() => loadLending(""));
+  }
+
+  // lending view (backend đọc LendingPool tại một block, kèm health factor + dự phóng nợ)
+  async function loadLending(payoff = payoffDate) {
+    setLending(await api.getLendingAccount(wallet.address, payoff ? { payoffDate: payoff } : undefined));
+  }
+
+  async function loadPauseStatus() {
+    const data = await api.getPauseStatus();
+    setPaused(data.paused || []);
+  }
+
+  // Lý do nút bị khoá (null = không bị pause). Borrow/redeem/withdraw collateral trả BKD ra cho user
+  // nên cũng dừng khi token TRANSFERS bị pause; repay không bao giờ bị khoá.
+  function pausedReason(...actions) {
+    const hit = actions.filter((a) => paused.includes(a));
+    return hit.length ? `Paused by the bank (${hit.join(", ")}) — temporarily unavailable.` : null;
+  }
+
+  async function loadEvents(cursor, eventName = evEventName) {
+    if (!wallet) return;
+    const params = { limit: EVENTS_PAGE_SIZE };
+    if (cursor) params.cursor = cursor;
+    if (eventName) params.eventName = eventName;
+
+    const evRes = await api.listAccountEvents(wallet.address, params);
     setEvents(evRes.events);
+    setEvCursor(cursor || null);
+    setEvNextCursor(evRes.nextCursor || null);
+  }
 
-    // lending view
-    const c = await contracts;
-    const acct = await c.lend.getAccount(wallet.address);
-    setLending({ collateral: acct[0].toString(), debt: acct[1].toString() });
+  async function eventsOlder() {
+    if (!evNextCursor) return;
+    setEvPrevCursors((s) => [...s, evCursor]);
+    await loadEvents(evNextCursor);
+  }
+
+  async function eventsNewer() {
+    if (!evPrevCursors.length) return;
+    const prev = evPrevCursors[evPrevCursors.length - 1];
+    setEvPrevCursors((s) => s.slice(0, -1));
+    await loadEvents(prev);
+  }
+
+  function downloadStatement() {
+    if (!wallet) return;
+    const query = { format: stmtFormat, from: stmtFrom, to: stmtTo };
+    // html mở tab mới để in / Save as PDF; csv + camt053 server trả attachment => tải về
+    window.open(api.getStatement.url(wallet.address, query), "_blank", "noopener");
+  }
+
+  async function eventsFilter(eventName) {
+    setEvEventName(eventName);
+    setEvPrevCursors([]);
+    await loadEvents(null, eventName);
   }
 
   useEffect(() => {
@@ -182,6 +254,21 @@ async function publishKycOnChain() {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [connected]);
 
+  // Live: event mới của ví này (audit trail, số dư) hoặc KYC đổi trạng thái => refresh
+  const refreshRef = useRef(refresh);
+  refreshRef.current = refresh;
+  const [live, setLive] = useState(false);
+
+  useEffect(() => {
+    if (!connected) return;
+    return openStream(BACKEND_URL, {
+      topics: ["events", "kyc"],
+      accounts: [wallet.address],
+      onChange: () => refreshRef.current().catch(console.error),
+      onStatus: setLive,
+    });
+  }, [connected, wallet?.address]);
+
   async function ensureApprovals() {
     const c = await contracts;
     // approve vault + lending for token transfers
@@ -232,6 +319,20 @@ async function publishKycOnChain() {
     await refresh();
   }
 
+  async function doSupply() {
+    const c = await contracts;
+    const tx = await c.lend.supply(ethers.parseEther(supplyAmt));
+    await tx.wait();
+    await refresh();
+  }
+
+  async function doRedeemAll() {
+    const c = await contracts;
+    const tx = await c.lend.redeem(BigInt(lending.supply.shares));
+    await tx.wait();
+    await refresh();
+  }
+
   // -------------------------
   // NEW: KYC flow (submit dossier + sign)
   // -------------------------
@@ -264,7 +365,8 @@ async function publishKycOnChain() {
 
     setKycSubmitting(true);
     try {
-      const nonce = Date.now();
+      // 1) Server-issued nonce (single use, expires) + EIP-712 domain (chainId + KYCRegistry)
+      const challenge = await api.getKycNonce(wallet.address);
 
       const payload = {
         wallet: wallet.address.toLowerCase(),
@@ -273,19 +375,17 @@ async function publishKycOnChain() {
         nationalId: kycForm.nationalId.trim(),
         addressText: kycForm.addressText.trim(),
         docRef: kycForm.docRef || "",
-        nonce,
+        nonce: challenge.nonce,
       };
 
-      const canonical = stableStringify(payload);
-      const message = buildKycMessage(canonical);
-
-      // 1) Prove wallet ownership
-      const signature = await wallet.signer.signMessage(message);
+      // 2) Prove wallet ownership (MetaMask hiện từng field của hồ sơ thay vì 1 chuỗi JSON)
+      const { domain, types } = challenge.typedData;
+      const signature = await wallet.signer.signTypedData(domain, types, payload);
 
-      // 2) Send request to backend (creates DB row: PENDING)
-      const { data } = await axios.post(`${BACKEND_URL}/kyc/request`, { ...payload, signature });
+      // 3) Send request to backend (creates DB row: PENDING)
+      const data = await api.submitKycRequest({ ...payload, signature });
 
-      // 3) OPTIONAL: publish request hash on-chain if your KYCRegistry supports requestKYC(bytes32).
+      // 4) OPTIONAL: publish request hash on-chain if your KYCRegistry supports requestKYC(bytes32).
       // If your ABI/contract doesn't have it, this is safely skipped.
       try {
         const c = await contracts;
@@ -315,13 +415,9 @@ async function publishKycOnChain() {
       throw new Error("No pending KYC request to approve. Please submit KYC first.");
     }
 
-    const { data } = await axios.post(
-      `${BACKEND_URL}/admin/kyc/approve-request`,
-      { requestId: reqId, level: 1, expiresAt: 0 },
-      { headers: { "Content-Type": "application/json" } }
-    );
+    const data = await adminApi.proposeKycApproval({ requestId: reqId, level: 1, expiresAt: 0 });
 
-    setAdminMsg(`Approved request #${reqId}. tx=${data.txHash}`);
+    setAdminMsg(`Proposed approval of request #${reqId} (proposal #${data.proposalId}). Waiting for a second officer.`);
     await refresh();
   } catch (e) {
     setAdminMsg(`Error: ${e?.response?.data?.message || e.message}`);
@@ -332,8 +428,8 @@ async function publishKycOnChain() {
   async function adminRevoke() {
     setAdminMsg("");
     try {
-      const { data } = await axios.post(`${BACKEND_URL}/admin/kyc/revoke`, { user: adminTarget });
-      setAdminMsg(`Revoked KYC. tx=${data.txHash}`);
+      const data = await adminApi.proposeKycRevocation({ user: adminTarget });
+      setAdminMsg(`Proposed KYC revoke (proposal #${data.proposalId}). Waiting for a second officer.`);
       await refresh();
     } catch (e) {
       setAdminMsg(`Error: ${e?.response?.data?.message || e.message}`);
@@ -355,7 +451,12 @@ async function publishKycOnChain() {
               <button className="btn" onClick={connect}>Connect MetaMask</button>
             ) : (
               <div className="space-y-1">
-                <div className="text-sm text-slate-300">Connected</div>
+                <div className="text-sm text-slate-300">
+                  Connected{" "}
+                  <span className={"badge " + (live ? "bg-emerald-500/20 text-emerald-200" : "bg-slate-500/20 text-slate-300")}>
+                    {live ? "live" : "offline"}
+                  </span>
+                </div>
                 <div className="font-mono text-xs text-slate-200 break-all">{wallet.address}</div>
                 <button className="btn2 mt-2" onClick={refresh}>Refresh</button>
               </div>
@@ -383,6 +484,28 @@ async function publishKycOnChain() {
               </div>
             )}
 
+            {limits?.limits && (
+              <div className="text-xs text-slate-300 mt-3 space-y-1">
+                <div>
+                  KYC level <span className="font-semibold">{limits.kycLevel || "—"}</span> — remaining headroom
+                  {!limits.enforced && <span className="text-slate-400"> (not enforced)</span>}
+                </div>
+                {[
+                  ["deposit", "Single deposit"],
+                  ["withdrawal", "Withdrawals (24h)"],
+                  ["transfer", "Transfers (24h)"],
+                  ["borrow", "Borrowing"],
+                ].map(([k, label]) => (
+                  <div key={k} className="flex justify-between gap-2">
+                    <span>{label}</span>
+                    <span className="font-mono">
+                      {fmtWei(limits.limits[k].remaining)} / {fmtWei(limits.limits[k].limit)}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            )}
+
             <div className="text-sm text-slate-300 mt-3">
               Why it matters: banks must block unverified or sanctioned participants. Here we gate deposits, transfers, and borrowing on-chain.
             </div>
@@ -397,17 +520,78 @@ async function publishKycOnChain() {
           </Section>
 
           <Section title="Lending Snapshot">
-            <div className="text-sm text-slate-300">Collateral</div>
-            <div className="text-xl font-bold">{fmtWei(lending.collateral)} BKD</div>
-            <div className="text-sm text-slate-300 mt-2">Debt (incl. accrued interest)</div>
-            <div className="text-xl font-bold">{fmtWei(lending.debt)} BKD</div>
+            {!lending ? (
+              <div className="text-sm text-slate-400">Connect a wallet to see your lending position.</div>
+            ) : (
+              <>
+                <div className="text-sm text-slate-300">Collateral</div>
+                <div className="text-xl font-bold">{fmtWei(lending.collateral)} BKD</div>
+                <div className="text-sm text-slate-300 mt-2">Debt (incl. accrued interest)</div>
+                <div className="text-xl font-bold">{fmtWei(lending.debt)} BKD</div>
+                <div className="text-sm text-slate-400 mt-1">
+                  Interest since last borrow/repay {fmtWei(lending.accruedInterest)} BKD · can still borrow {fmtWei(lending.availableToBorrow)} BKD
+                </div>
+                <div className="text-sm text-slate-400 mt-1">
+                  Health factor {lending.healthFactor === null ? "—" : lending.healthFactor.toFixed(2)} ({lending.risk})
+                  {lending.ltvBps !== null && <> · LTV {(lending.ltvBps / 100).toFixed(2)}% (max {lending.params.maxLTVBps / 100}%, liquidation {lending.params.liquidationThresholdBps / 100}%)</>}
+                </div>
+                <div className="text-sm text-slate-400 mt-2">
+                  Borrow APR {(lending.params.borrowRateBps / 100).toFixed(2)}% · pool utilization {(lending.params.utilizationBps / 100).toFixed(2)}%
+                </div>
+                {lending.debt !== "0" && (
+                  <div className="text-sm text-slate-400 mt-1">
+                    Debt if untouched: {lending.projections.map((p) => `${p.days}d ${fmtWei(p.debt)}`).join(" · ")} BKD
+                  </div>
+                )}
+                <div className="text-sm text-slate-300 mt-2">Supplied (incl. earned interest)</div>
+                <div className="text-xl font-bold">{fmtWei(lending.supply.value)} BKD</div>
+
+                <div className="flex gap-2 items-end mt-3">
+                  <div>
+                    <div className="text-sm text-slate-300 mb-1">Pay off by</div>
+                    <input className="input" type="date" value={payoffDate} onChange={(e) => setPayoffDate(e.target.value)} />
+                  </div>
+                  <button className="btn2" onClick={() => loadLending().catch(console.error)} disabled={!payoffDate || lending.debt === "0"}>
+                    Repayment plan
+                  </button>
+                </div>
+                {lending.schedule && lending.schedule.payments.length > 0 && (
+                  <div className="overflow-auto mt-2">
+                    <table className="w-full text-sm">
+                      <thead className="text-left text-slate-300">
+                        <tr>
+                          <th className="py-2 pr-4">Due</th>
+                          <th className="py-2 pr-4">Payment</th>
+                          <th className="py-2 pr-4">Interest</th>
+                          <th className="py-2 pr-4">Balance</th>
+                        </tr>
+                      </thead>
+                      <tbody className="text-slate-200">
+                        {lending.schedule.payments.map((p) => (
+                          <tr key={p.installment} className="border-t border-slate-800">
+                            <td className="py-2 pr-4">{new Date(p.dueAt * 1000).toISOString().slice(0, 10)}</td>
+                            <td className="py-2 pr-4">{fmtWei(p.payment)}</td>
+                            <td className="py-2 pr-4">{fmtWei(p.interest)}</td>
+                            <td className="py-2 pr-4">{fmtWei(p.balance)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                    <div className="text-sm text-slate-400 mt-1">
+                      Total interest {fmtWei(lending.schedule.totalInterest)} BKD at today's APR.
+                    </div>
+                  </div>
+                )}
+                <div className="text-xs text-slate-500 mt-2">As of block #{lending.block.number}</div>
+              </>
+            )}
           </Section>
         </div>
 
         {/* NEW: KYC Application */}
         <Section title="KYC Application (submit dossier + signature)">
           <div className="text-sm text-slate-300 mb-3">
-            Submit personal info + (optional) document hash, then sign a message to prove wallet ownership. This creates a PENDING KYC request in the backend DB.
+            Submit personal info + (optional) document hash, then sign it as EIP-712 typed data to prove wallet ownership. This creates a PENDING KYC request in the backend DB.
             Compliance/admin can approve it.
           </div>
 
@@ -461,18 +645,27 @@ async function publishKycOnChain() {
           {kycSubmitMsg && <div className="text-sm mt-3 text-slate-200">{kycSubmitMsg}</div>}
         </Section>
 
+        {paused.length > 0 && (
+          <div className="card p-4 border border-amber-500/40 bg-amber-500/10 text-amber-100 text-sm">
+            Emergency pause in effect: <span className="font-semibold">{paused.join(", ")}</span>. The affected actions are
+            disabled until the bank lifts the pause. Repaying loans is always possible.
+          </div>
+        )}
+
         <div className="grid lg:grid-cols-2 gap-6">
           <Section title="Deposit / Withdraw">
             <div className="grid md:grid-cols-2 gap-4">
               <div>
                 <div className="text-sm text-slate-300 mb-1">Deposit ETH → mint BKD</div>
                 <input className="input" value={amountEth} onChange={(e) => setAmountEth(e.target.value)} />
-                <button className="btn mt-2" onClick={doDeposit} disabled={!connected}>Deposit</button>
+                <button className="btn mt-2" onClick={doDeposit} disabled={!connected || !!pausedReason("DEPOSITS")}>Deposit</button>
+                <PausedNote reason={pausedReason("DEPOSITS")} />
               </div>
               <div>
                 <div className="text-sm text-slate-300 mb-1">Withdraw BKD → receive ETH</div>
                 <input className="input" value={withdrawAmt} onChange={(e) => setWithdrawAmt(e.target.value)} />
-                <button className="btn mt-2" onClick={doWithdraw} disabled={!connected}>Withdraw</button>
+                <button className="btn mt-2" onClick={doWithdraw} disabled={!connected || !!pausedReason("WITHDRAWALS")}>Withdraw</button>
+                <PausedNote reason={pausedReason("WITHDRAWALS")} />
               </div>
             </div>
           </Section>
@@ -482,7 +675,8 @@ async function publishKycOnChain() {
             <input className="input font-mono" placeholder="0x..." value={toAddr} onChange={(e) => setToAddr(e.target.value)} />
             <div className="text-sm text-slate-300 mb-1 mt-3">Amount (BKD)</div>
             <input className="input" value={transferAmt} onChange={(e) => setTransferAmt(e.target.value)} />
-            <button className="btn mt-2" onClick={doTransfer} disabled={!connected}>Transfer</button>
+            <button className="btn mt-2" onClick={doTransfer} disabled={!connected || !!pausedReason("TRANSFERS")}>Transfer</button>
+            <PausedNote reason={pausedReason("TRANSFERS")} />
             <div className="text-sm text-slate-400 mt-2">
               Why it matters: KYC gating prevents transferring value to unknown parties (compliance + risk controls).
             </div>
@@ -495,12 +689,14 @@ async function publishKycOnChain() {
               <div>
                 <div className="text-sm text-slate-300 mb-1">Deposit collateral (BKD)</div>
                 <input className="input" value={collateralAmt} onChange={(e) => setCollateralAmt(e.target.value)} />
-                <button className="btn mt-2" onClick={doDepositCollateral} disabled={!connected}>Deposit Collateral</button>
+                <button className="btn mt-2" onClick={doDepositCollateral} disabled={!connected || !!pausedReason("LENDING")}>Deposit Collateral</button>
+                <PausedNote reason={pausedReason("LENDING")} />
               </div>
               <div>
                 <div className="text-sm text-slate-300 mb-1">Borrow (BKD)</div>
                 <input className="input" value={borrowAmt} onChange={(e) => setBorrowAmt(e.target.value)} />
-                <button className="btn mt-2" onClick={doBorrow} disabled={!connected}>Borrow</button>
+                <button className="btn mt-2" onClick={doBorrow} disabled={!connected || !!pausedReason("LENDING", "TRANSFERS")}>Borrow</button>
+                <PausedNote reason={pausedReason("LENDING", "TRANSFERS")} />
               </div>
               <div>
                 <div className="text-sm text-slate-300 mb-1">Repay (BKD)</div>
@@ -508,22 +704,87 @@ async function publishKycOnChain() {
                 <button className="btn mt-2" onClick={doRepay} disabled={!connected}>Repay</button>
               </div>
             </div>
+            <div className="grid md:grid-cols-3 gap-4 mt-4">
+              <div>
+                <div className="text-sm text-slate-300 mb-1">Supply to pool (BKD)</div>
+                <input className="input" value={supplyAmt} onChange={(e) => setSupplyAmt(e.target.value)} />
+                <button className="btn mt-2" onClick={doSupply} disabled={!connected || !!pausedReason("LENDING")}>Supply</button>
+                <PausedNote reason={pausedReason("LENDING")} />
+              </div>
+              <div>
+                <div className="text-sm text-slate-300 mb-1">Redeem shares</div>
+                <button
+                  className="btn2 mt-2"
+                  onClick={doRedeemAll}
+                  disabled={!connected || !lending || lending.supply.shares === "0" || !!pausedReason("LENDING", "TRANSFERS")}
+                >
+                  Redeem all
+                </button>
+                <PausedNote reason={pausedReason("LENDING", "TRANSFERS")} />
+              </div>
+            </div>
             <div className="text-sm text-slate-400 mt-3">
-              Example: with 0.5 BKD collateral and 50% max LTV, you can borrow up to 0.25 BKD. Interest accrues over time.
+              Example: with 0.5 BKD collateral and 50% max LTV, you can borrow up to 0.25 BKD, paid out of what lenders supplied.
+              Interest accrues over time; lenders earn it minus the reserve factor.
             </div>
           </Section>
 
           <AdminInbox
     backendUrl={BACKEND_URL}
     currentWallet={wallet?.address}
+    signer={wallet?.signer}
     onAfterAction={refresh}
   />
         </div>
 
+        <Governance backendUrl={BACKEND_URL} />
+
         <Section title="Audit Trail (indexed from on-chain events)">
           <div className="text-sm text-slate-400 mb-3">
             Why it matters: auditors and risk teams need queryable history. We index events into SQLite for fast reporting.
           </div>
+          <div className="flex flex-wrap items-center gap-2 mb-3">
+            <select
+              className="input max-w-xs"
+              value={evEventName}
+              onChange={(e) => eventsFilter(e.target.value).catch(console.error)}
+              disabled={!connected}
+            >
+              <option value="">All events</option>
+              <option value="Transfer">Transfer (BKD)</option>
+              <option value="Deposited,Withdrawn">Deposit / Withdraw</option>
+              <option value="TransferBKD">TransferBKD</option>
+              <option value="CollateralDeposited,CollateralWithdrawn,Borrowed,Repaid,Liquidated">Lending</option>
+              <option value="Supplied,Redeemed">Supply / Redeem</option>
+              <option value="KYCRequested,KYCApproved,KYCRevoked">KYC</option>
+              <option value="AddressFrozen,AddressUnfrozen,ForcedTransfer">Sanctions / seizures</option>
+            </select>
+            <button className="btn2" onClick={() => eventsNewer().catch(console.error)} disabled={!evPrevCursors.length}>
+              ← Newer
+            </button>
+            <button className="btn2" onClick={() => eventsOlder().catch(console.error)} disabled={!evNextCursor}>
+              Older →
+            </button>
+            <span className="text-xs text-slate-500">Page {evPrevCursors.length + 1}</span>
+          </div>
+          <div className="flex flex-wrap items-end gap-2 mb-3">
+            <div>
+              <div className="text-sm text-slate-300 mb-1">Statement from</div>
+              <input className="input" type="date" value={stmtFrom} onChange={(e) => setStmtFrom(e.target.value)} />
+            </div>
+            <div>
+              <div className="text-sm text-slate-300 mb-1">to</div>
+              <input className="input" type="date" value={stmtTo} onChange={(e) => setStmtTo(e.target.value)} />
+            </div>
+            <select className="input max-w-xs" value={stmtFormat} onChange={(e) => setStmtFormat(e.target.value)}>
+              <option value="csv">CSV</option>
+              <option value="html">Printable (HTML / PDF)</option>
+              <option value="camt053">ISO 20022 camt.053</option>
+            </select>
+            <button className="btn" onClick={downloadStatement} disabled={!connected}>
+              Download statement
+            </button>
+          </div>
           <div className="overflow-auto">
             <table className="w-full text-sm">
               <thead className="text-left text-slate-300">
@@ -0,0 +1,122 @@
+import React, { useEffect, useState } from "react";
+import { createClient } from "../lib/api.js";
+
+function Section({ title, children }) {
+  return (
+    <div className="card p-5">
+      <div className="text-lg font-bold mb-3">{title}</div>
+      {children}
+    </div>
+  );
+}
+
+function short(x, n = 12) {
+  if (!x) return "";
+  const s = String(x);
+  return s.length <= n ? s : `${s.slice(0, n)}…`;
+}
+
+function fmtDelay(sec) {
+  if (sec % 86400 === 0) return `${sec / 86400}d`;
+  if (sec % 3600 === 0) return `${sec / 3600}h`;
+  if (sec % 60 === 0) return `${sec / 60}min`;
+  return `${sec}s`;
+}
+
+// "in 4min" / "ready now" theo giờ của chain (không phải giờ máy)
+function fmtEta(readyAt, chainTime) {
+  const left = readyAt - chainTime;
+  if (left <= 0) return "ready now";
+  return `in ${fmtDelay(left < 60 ? left : Math.ceil(left / 60) * 60)}`;
+}
+
+const STATUS_STYLE = {
+  PENDING: "bg-amber-500/20 text-amber-200",
+  READY: "bg-sky-500/20 text-sky-200",
+  EXECUTED: "bg-emerald-500/20 text-emerald-200",
+  CANCELLED: "bg-slate-500/20 text-slate-300",
+};
+
+/**
+ * Governance: admin changes queued in the timelock (risk params, system addresses, treasury, roles)
+ * and when each takes effect. Read-only — proposing/executing is done with the proposer/executor keys.
+ */
+export default function Governance({ backendUrl }) {
+  const [data, setData] = useState(null);
+  const [showHistory, setShowHistory] = useState(false);
+  const [msg, setMsg] = useState("");
+
+  async function load() {
+    try {
+      const data = await createClient({ baseUrl: backendUrl }).listGovernanceOperations();
+      setData(data);
+      setMsg("");
+    } catch (e) {
+      setMsg(`❌ ${e?.response?.data?.message || e.message}`);
+    }
+  }
+
+  useEffect(() => {
+    load();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [backendUrl]);
+
+  const ops = data?.operations || [];
+  const open = ops.filter((o) => o.status === "PENDING" || o.status === "READY");
+  const shown = showHistory ? ops : open;
+
+  return (
+    <Section title="Governance (timelocked admin changes)">
+      {!data?.timelock ? (
+        <div className="text-sm text-slate-400">
+          {msg || "No timelock deployed: admin changes take effect immediately."}
+        </div>
+      ) : (
+        <>
+          <div className="text-sm text-slate-300 mb-3">
+            Risk parameters, system addresses, treasury withdrawals and role grants are queued in the timelock{" "}
+            <span className="font-mono">{short(data.timelock, 10)}</span> and take effect after at least{" "}
+            <span className="font-semibold">{fmtDelay(data.minDelay)}</span>. {open.length} pending.
+          </div>
+
+          <div className="flex items-center gap-2 mb-3">
+            <button className="btn2" onClick={load}>Refresh</button>
+            <label className="text-sm text-slate-300 flex items-center gap-1">
+              <input type="checkbox" checked={showHistory} onChange={(e) => setShowHistory(e.target.checked)} />
+              Show executed / cancelled
+            </label>
+          </div>
+
+          <div className="space-y-2">
+            {shown.map((op) => (
+              <div key={op.id} className="rounded-lg border border-slate-700 p-3 text-sm">
+                <div className="flex flex-wrap items-center justify-between gap-2">
+                  <span className={"badge " + STATUS_STYLE[op.status]}>{op.status}</span>
+                  <span className="text-xs text-slate-400">
+                    {op.status === "EXECUTED" && `executed ${new Date(op.executedAt * 1000).toLocaleString()}`}
+                    {op.status === "CANCELLED" && `cancelled ${new Date(op.cancelledAt * 1000).toLocaleString()}`}
+                    {(op.status === "PENDING" || op.status === "READY") &&
+                      `takes effect ${new Date(op.readyAt * 1000).toLocaleString()} (${fmtEta(op.readyAt, data.chainTime)})`}
+                  </span>
+                </div>
+                {op.calls.map((c) => (
+                  <div key={c.index} className="font-mono text-xs mt-2 break-all">
+                    {c.summary}
+                    {c.value !== "0" && <span className="text-slate-400"> + {c.value} wei</span>}
+                  </div>
+                ))}
+                <div className="text-xs text-slate-500 mt-1">
+                  op <span className="font-mono">{short(op.id, 14)}</span> · delay {fmtDelay(op.delay)} · queued tx{" "}
+                  <span className="font-mono">{short(op.scheduledTx, 14)}</span>
+                </div>
+              </div>
+            ))}
+            {!shown.length && <div className="text-sm text-slate-400">Nothing queued.</div>}
+          </div>
+
+          {msg && <div className="text-sm mt-3 text-slate-200">{msg}</div>}
+        </>
+      )}
+    </Section>
+  );
+}